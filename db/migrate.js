@@ -0,0 +1,314 @@
+// backend/db/migrate.js
+// Versioned schema migrations. Each file in db/migrations is named
+// <version>_<name>.sql and holds a "-- migrate:up" and a "-- migrate:down"
+// section. Applied migrations are recorded in schema_migrations with a
+// checksum of the file, so an edited migration is noticed instead of ignored.
+//
+//   npm run migrate                       # apply pending migrations
+//   npm run migrate -- --to 0003          # ... up to and including 0003
+//   npm run migrate:status
+//   npm run migrate:down                  # roll back the last migration
+//   npm run migrate:down -- --steps 2 | --to 0001
+//   npm run migrate -- --baseline 0001    # database created from the old db/schema.sql:
+//                                         # record 0001 as applied without running it;
+//                                         # a plain migrate then upgrades it
+//
+// Every migration runs in its own transaction together with its
+// schema_migrations row; a session advisory lock keeps two runners (e.g. two
+// servers starting with DB_AUTO_MIGRATE=true) from migrating at once.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const db = require("./index");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+/**
+ * Migration files, oldest first -> [{ version, name, file, checksum, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+	const migrations = fs
+		.readdirSync(dir)
+		.filter((file) => file.endsWith(".sql"))
+		.map((file) => {
+			const match = FILE_PATTERN.exec(file);
+			if (!match) {
+				throw new Error(`Migration file name must be <version>_<name>.sql: ${file}`);
+			}
+			// CRLF checkouts must not look like edited migrations
+			const text = fs.readFileSync(path.join(dir, file), "utf8").replace(/\r\n/g, "\n");
+			const upAt = text.search(UP_MARKER);
+			const downAt = text.search(DOWN_MARKER);
+			if (upAt < 0) throw new Error(`${file} has no "-- migrate:up" section`);
+			if (downAt >= 0 && downAt < upAt) {
+				throw new Error(`${file}: "-- migrate:down" must come after "-- migrate:up"`);
+			}
+			const up = text.slice(upAt, downAt >= 0 ? downAt : undefined).replace(UP_MARKER, "");
+			const down = downAt >= 0 ? text.slice(downAt).replace(DOWN_MARKER, "") : "";
+			return {
+				version: match[1],
+				name: match[2],
+				file,
+				checksum: crypto.createHash("sha256").update(text).digest("hex"),
+				up: up.trim(),
+				down: down.trim(),
+			};
+		})
+		.sort((a, b) => Number(a.version) - Number(b.version));
+
+	migrations.forEach((m, i) => {
+		if (i && Number(migrations[i - 1].version) === Number(m.version)) {
+			throw new Error(`Two migrations share version ${m.version}: ${migrations[i - 1].file}, ${m.file}`);
+		}
+	});
+	return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+	await client.query(
+		`CREATE TABLE IF NOT EXISTS schema_migrations (
+       version VARCHAR(50) PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       checksum VARCHAR(64) NOT NULL,
+       applied_at TIMESTAMP NOT NULL DEFAULT NOW(),
+       execution_ms INTEGER NULL -- NULL when recorded by --baseline
+     )`
+	);
+}
+
+/**
+ * Run fn(client) holding the migration lock
+ */
+async function withMigrationLock(fn) {
+	const client = await db.connect();
+	try {
+		await client.query(`SELECT pg_advisory_lock(hashtext('schema_migrations'))`);
+		try {
+			await ensureMigrationsTable(client);
+			return await fn(client);
+		} finally {
+			await client.query(`SELECT pg_advisory_unlock(hashtext('schema_migrations'))`);
+		}
+	} finally {
+		client.release();
+	}
+}
+
+/**
+ * Files and schema_migrations side by side ->
+ * [{ version, name, state: applied | pending | modified | missing, applied_at }]
+ * (modified: the file changed after it was applied; missing: applied, file gone)
+ */
+async function compareMigrations(client, migrations) {
+	const result = await client.query(
+		`SELECT version, name, checksum, applied_at FROM schema_migrations`
+	);
+	const applied = new Map(result.rows.map((r) => [Number(r.version), r]));
+
+	const rows = migrations.map((m) => {
+		const row = applied.get(Number(m.version));
+		applied.delete(Number(m.version));
+		let state = "pending";
+		if (row) state = row.checksum === m.checksum ? "applied" : "modified";
+		return { version: m.version, name: m.name, state, applied_at: row?.applied_at || null, migration: m };
+	});
+	for (const row of applied.values()) {
+		rows.push({ version: row.version, name: row.name, state: "missing", applied_at: row.applied_at });
+	}
+	return rows.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+function assertUnchanged(rows) {
+	const modified = rows.filter((r) => r.state === "modified");
+	if (modified.length) {
+		throw new Error(
+			`Applied migrations were edited: ${modified.map((r) => `${r.version}_${r.name}`).join(", ")}. ` +
+				"Restore them and add a new migration for the change."
+		);
+	}
+}
+
+async function migrationStatus() {
+	const migrations = loadMigrations();
+	return withMigrationLock((client) => compareMigrations(client, migrations));
+}
+
+/**
+ * Apply pending migrations (up to version `to` when given), oldest first.
+ * Returns the applied ones.
+ */
+async function migrate({ to = null, log = console.log } = {}) {
+	const migrations = loadMigrations();
+	return withMigrationLock(async (client) => {
+		const rows = await compareMigrations(client, migrations);
+		assertUnchanged(rows);
+
+		const pending = rows.filter(
+			(r) => r.state === "pending" && (to === null || Number(r.version) <= Number(to))
+		);
+		const applied = [];
+		for (const { migration } of pending) {
+			const started = Date.now();
+			try {
+				await client.query("BEGIN");
+				await client.query(migration.up);
+				await client.query(
+					`INSERT INTO schema_migrations (version, name, checksum, applied_at, execution_ms)
+           VALUES ($1, $2, $3, NOW(), $4)`,
+					[migration.version, migration.name, migration.checksum, Date.now() - started]
+				);
+				await client.query("COMMIT");
+			} catch (err) {
+				try {
+					await client.query("ROLLBACK");
+				} catch (e) {
+					/* ignore */
+				}
+				err.message = `Migration ${migration.file} failed: ${err.message}`;
+				throw err;
+			}
+			log(`  applied ${migration.file} (${Date.now() - started}ms)`);
+			applied.push(migration);
+		}
+		return applied;
+	});
+}
+
+/**
+ * Roll back the newest applied migrations: `steps` of them (default 1), or every
+ * one newer than version `to`. Returns the rolled-back ones.
+ */
+async function rollback({ steps = 1, to = null, log = console.log } = {}) {
+	const migrations = loadMigrations();
+	return withMigrationLock(async (client) => {
+		const rows = await compareMigrations(client, migrations);
+		const done = rows.filter((r) => r.state !== "pending").reverse();
+		const targets =
+			to !== null ? done.filter((r) => Number(r.version) > Number(to)) : done.slice(0, steps);
+
+		const blocked = targets.find((r) => r.state === "missing" || !r.migration.down);
+		if (blocked) {
+			throw new Error(
+				blocked.state === "missing"
+					? `Migration ${blocked.version}_${blocked.name} is applied but its file is missing`
+					: `Migration ${blocked.migration.file} has no "-- migrate:down" section`
+			);
+		}
+
+		const rolledBack = [];
+		for (const { migration } of targets) {
+			try {
+				await client.query("BEGIN");
+				await client.query(migration.down);
+				await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [
+					migration.version,
+				]);
+				await client.query("COMMIT");
+			} catch (err) {
+				try {
+					await client.query("ROLLBACK");
+				} catch (e) {
+					/* ignore */
+				}
+				err.message = `Rolling back ${migration.file} failed: ${err.message}`;
+				throw err;
+			}
+			log(`  rolled back ${migration.file}`);
+			rolledBack.push(migration);
+		}
+		return rolledBack;
+	});
+}
+
+/**
+ * Record migrations up to version `to` as applied without running them, for
+ * databases whose schema already matches them: one created from the old
+ * db/schema.sql is at 0001 (the later migrations then upgrade it)
+ */
+async function baseline(to, { log = console.log } = {}) {
+	const migrations = loadMigrations();
+	if (!migrations.some((m) => Number(m.version) === Number(to))) {
+		throw new Error(`No migration with version ${to}`);
+	}
+	return withMigrationLock(async (client) => {
+		const rows = await compareMigrations(client, migrations);
+		const recorded = [];
+		for (const { state, migration } of rows) {
+			if (state !== "pending" || Number(migration.version) > Number(to)) continue;
+			await client.query(
+				`INSERT INTO schema_migrations (version, name, checksum, applied_at)
+         VALUES ($1, $2, $3, NOW())`,
+				[migration.version, migration.name, migration.checksum]
+			);
+			log(`  recorded ${migration.file} as applied`);
+			recorded.push(migration);
+		}
+		return recorded;
+	});
+}
+
+function parseArgs(argv) {
+	const args = { command: argv[0] || "up", to: null, steps: 1, baseline: null, force: false };
+	for (let i = 1; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === "--to") args.to = argv[++i];
+		else if (arg === "--steps") args.steps = parseInt(argv[++i], 10);
+		else if (arg === "--baseline") args.baseline = argv[++i];
+		else if (arg === "--force") args.force = true;
+		else throw new Error(`Unknown option: ${arg}`);
+	}
+	if (!["up", "down", "status"].includes(args.command)) {
+		throw new Error(`Unknown command: ${args.command} (use up, down or status)`);
+	}
+	if (args.to !== null && !/^\d+$/.test(args.to)) throw new Error("--to must be a version number");
+	if (!Number.isInteger(args.steps) || args.steps < 1) throw new Error("--steps must be a positive integer");
+	return args;
+}
+
+async function runCli(argv) {
+	const args = parseArgs(argv);
+
+	if (args.command === "status") {
+		const rows = await migrationStatus();
+		if (!rows.length) console.log("No migrations");
+		for (const r of rows) {
+			const when = r.applied_at ? new Date(r.applied_at).toISOString() : "";
+			console.log(`${r.state.padEnd(9)} ${r.version}_${r.name}  ${when}`.trimEnd());
+		}
+		return rows.some((r) => r.state === "modified" || r.state === "missing") ? 1 : 0;
+	}
+
+	if (args.command === "down") {
+		if (process.env.NODE_ENV === "production" && !args.force) {
+			throw new Error("Rolling back drops data; pass --force to do it with NODE_ENV=production");
+		}
+		const rolledBack = await rollback({ steps: args.steps, to: args.to });
+		console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s)` : "Nothing to roll back");
+		return 0;
+	}
+
+	if (args.baseline) {
+		const recorded = await baseline(args.baseline);
+		console.log(`Recorded ${recorded.length} migration(s) as applied`);
+		return 0;
+	}
+	const applied = await migrate({ to: args.to });
+	console.log(applied.length ? `Applied ${applied.length} migration(s)` : "Database is up to date");
+	return 0;
+}
+
+module.exports = { loadMigrations, migrationStatus, migrate, rollback, baseline };
+
+// Standalone: node db/migrate.js [up|down|status] [options]
+if (require.main === module) {
+	runCli(process.argv.slice(2))
+		.catch((err) => {
+			console.error("Migration failed:", err.message);
+			return 1;
+		})
+		.then((code) => db.end().finally(() => process.exit(code)));
+}
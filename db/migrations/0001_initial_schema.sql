@@ -1,8 +1,9 @@
--- Invoice Uploader Database Schema
+-- Invoice Uploader database schema: the last db/schema.sql, without its DROP
+-- statements and sample rows (see npm run seed). A database created from that
+-- file already has it; record it with `npm run migrate -- --baseline 0001` and
+-- the later migrations upgrade it.
 
--- Drop tables if they exist
-DROP TABLE IF EXISTS line_items CASCADE;
-DROP TABLE IF EXISTS invoices CASCADE;
+-- migrate:up
 
 -- Create invoices table
 CREATE TABLE invoices (
@@ -20,7 +21,7 @@ CREATE TABLE invoices (
   llm_model VARCHAR(100) NULL,
   extraction_at TIMESTAMP NULL,
   created_at TIMESTAMP DEFAULT NOW(),
-  updated_at TIMESTAMP DEFAULT NOW()
+  updated_at TIMESTAMP DEFAULT NOW(),
   confidence VARCHAR(10) DEFAULT NULL
 );
 
@@ -40,14 +41,7 @@ CREATE INDEX idx_invoices_status ON invoices(status);
 CREATE INDEX idx_invoices_created_at ON invoices(created_at DESC);
 CREATE INDEX idx_line_items_invoice_id ON line_items(invoice_id);
 
--- Insert sample data for testing
-INSERT INTO invoices (supplier_name, invoice_number, invoice_date, subtotal, total, status, raw_llm_json, llm_model, extraction_at) 
-VALUES 
-  ('Acme Inc.', 'INV-1001', '2025-11-01', 1000.00, 1200.00, 'EXTRACTED', '{}'::jsonb, 'none', NOW()),
-  ('Globex Corporation', '2025-204', '2025-11-10', 380.00, 450.50, 'NEEDS_REVIEW', NULL, NULL, NULL);
+-- migrate:down
 
-INSERT INTO line_items (invoice_id, description, quantity, unit_price, line_total)
-VALUES
-  (1, 'Consulting Services', 10, 100.00, 1000.00),
-  (2, 'Product A', 5, 50.00, 250.00),
-  (2, 'Product B', 2, 65.00, 130.00);
+DROP TABLE IF EXISTS line_items CASCADE;
+DROP TABLE IF EXISTS invoices CASCADE;
@@ -0,0 +1,65 @@
+-- Organizations, user accounts and API keys; every invoice belongs to an
+-- organization. Invoices from before this migration go to a new "Default
+-- organization", which the first account registered joins.
+
+-- migrate:up
+
+-- Create organizations table (every invoice, supplier and user belongs to one)
+CREATE TABLE organizations (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  base_currency VARCHAR(3) NOT NULL DEFAULT 'USD', -- ISO 4217; invoice totals are converted to it
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create users table
+-- role: viewer < editor < approver < admin
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL UNIQUE, -- stored lowercase
+  name VARCHAR(255) NULL,
+  password_hash VARCHAR(255) NOT NULL, -- bcrypt
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer'
+    CHECK (role IN ('viewer', 'editor', 'approver', 'admin')),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_login_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create api_keys table (long-lived keys for integrations; only the sha256 is stored)
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL, -- first characters, to recognise a key
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer'
+    CHECK (role IN ('viewer', 'editor', 'approver', 'admin')),
+  created_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NULL,
+  last_used_at TIMESTAMP NULL,
+  revoked_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- existing invoices: owned by the default organization
+INSERT INTO organizations (name)
+SELECT 'Default organization' WHERE EXISTS (SELECT 1 FROM invoices);
+
+ALTER TABLE invoices
+  ADD COLUMN organization_id INTEGER NULL REFERENCES organizations(id) ON DELETE CASCADE;
+UPDATE invoices SET organization_id = (SELECT MIN(id) FROM organizations);
+ALTER TABLE invoices ALTER COLUMN organization_id SET NOT NULL;
+
+CREATE INDEX idx_invoices_organization_id ON invoices(organization_id, created_at DESC);
+CREATE INDEX idx_users_organization_id ON users(organization_id);
+CREATE INDEX idx_api_keys_organization_id ON api_keys(organization_id);
+
+-- migrate:down
+
+ALTER TABLE invoices DROP COLUMN IF EXISTS organization_id;
+DROP TABLE IF EXISTS api_keys CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
+DROP TABLE IF EXISTS organizations CASCADE;
@@ -0,0 +1,105 @@
+-- What extraction stores besides the header: uploaded file metadata, tax IDs,
+-- tax lines, discounts and charges, OCR output, per-field evidence and
+-- validation findings.
+
+-- migrate:up
+
+ALTER TABLE invoices
+  ADD COLUMN original_filename VARCHAR(255) NULL, -- name of the file as uploaded (downloads)
+  ADD COLUMN mime_type VARCHAR(100) NULL,
+  ADD COLUMN content_hash VARCHAR(64) NULL, -- sha256 of the uploaded file
+  -- GSTIN / VAT registration numbers
+  ADD COLUMN supplier_tax_id VARCHAR(50) NULL,
+  ADD COLUMN buyer_tax_id VARCHAR(50) NULL,
+  -- total = subtotal - discount_total + charges_total + tax_total
+  ADD COLUMN discount_total DECIMAL(12, 2) DEFAULT 0.00,
+  ADD COLUMN charges_total DECIMAL(12, 2) DEFAULT 0.00,
+  ADD COLUMN tax_total DECIMAL(12, 2) NULL,
+  ADD COLUMN llm_provider VARCHAR(50) NULL,
+  -- OCR text given to the model (images / scanned PDF pages) and its 0.0-1.0 confidence
+  ADD COLUMN ocr_text TEXT NULL,
+  ADD COLUMN ocr_confidence DECIMAL(4, 3) NULL,
+  ADD COLUMN ocr_lang VARCHAR(50) NULL,
+  -- Per header field: { "<field>": { confidence, source_text, page, reviewed } }
+  -- (source_text: line of the document the value was read from)
+  ADD COLUMN field_evidence JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- Arithmetic / consistency findings: [{ code, severity, field, message, expected, actual }]
+  ADD COLUMN validation_issues JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN validated_at TIMESTAMP NULL;
+
+-- ISO 4217 (the organization's base currency when none was found)
+ALTER TABLE invoices ALTER COLUMN currency DROP DEFAULT;
+
+-- overall extraction confidence (0.0-1.0); text that is no such number is dropped
+ALTER TABLE invoices ALTER COLUMN confidence DROP DEFAULT;
+ALTER TABLE invoices ALTER COLUMN confidence TYPE DECIMAL(4, 3) USING (
+  CASE
+    WHEN confidence ~ '^\s*(0(\.\d+)?|1(\.0+)?|\.\d+)\s*$' THEN ROUND(confidence::numeric, 3)
+    ELSE NULL
+  END
+);
+
+ALTER TABLE line_items
+  ADD COLUMN tax_rate DECIMAL(7, 4) NULL, -- percent
+  -- extraction confidence (0.0-1.0) and the text / page the row was read from
+  ADD COLUMN confidence DECIMAL(4, 3) NULL,
+  ADD COLUMN source_text TEXT NULL,
+  ADD COLUMN source_page INTEGER NULL;
+
+-- Create tax_lines table (e.g. CGST 9%, SGST 9%, VAT 20%)
+CREATE TABLE tax_lines (
+  id SERIAL PRIMARY KEY,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  rate DECIMAL(7, 4) NULL, -- percent
+  base_amount DECIMAL(12, 2) NULL,
+  tax_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create invoice_adjustments table (invoice-level discounts and charges)
+-- kind: DISCOUNT, CHARGE; category: discount, shipping, freight, handling, fee, other
+CREATE TABLE invoice_adjustments (
+  id SERIAL PRIMARY KEY,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('DISCOUNT', 'CHARGE')),
+  category VARCHAR(50) NOT NULL,
+  description TEXT NULL,
+  rate DECIMAL(7, 4) NULL, -- percent
+  amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00, -- always positive
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- the same file can be uploaded once per organization
+CREATE UNIQUE INDEX uq_invoices_content_hash ON invoices(organization_id, content_hash) WHERE content_hash IS NOT NULL;
+CREATE INDEX idx_tax_lines_invoice_id ON tax_lines(invoice_id);
+CREATE INDEX idx_invoice_adjustments_invoice_id ON invoice_adjustments(invoice_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS invoice_adjustments CASCADE;
+DROP TABLE IF EXISTS tax_lines CASCADE;
+ALTER TABLE line_items
+  DROP COLUMN IF EXISTS tax_rate,
+  DROP COLUMN IF EXISTS confidence,
+  DROP COLUMN IF EXISTS source_text,
+  DROP COLUMN IF EXISTS source_page;
+ALTER TABLE invoices ALTER COLUMN confidence TYPE VARCHAR(10) USING confidence::text;
+ALTER TABLE invoices ALTER COLUMN currency SET DEFAULT 'USD';
+DROP INDEX IF EXISTS uq_invoices_content_hash;
+ALTER TABLE invoices
+  DROP COLUMN IF EXISTS original_filename,
+  DROP COLUMN IF EXISTS mime_type,
+  DROP COLUMN IF EXISTS content_hash,
+  DROP COLUMN IF EXISTS supplier_tax_id,
+  DROP COLUMN IF EXISTS buyer_tax_id,
+  DROP COLUMN IF EXISTS discount_total,
+  DROP COLUMN IF EXISTS charges_total,
+  DROP COLUMN IF EXISTS tax_total,
+  DROP COLUMN IF EXISTS llm_provider,
+  DROP COLUMN IF EXISTS ocr_text,
+  DROP COLUMN IF EXISTS ocr_confidence,
+  DROP COLUMN IF EXISTS ocr_lang,
+  DROP COLUMN IF EXISTS field_evidence,
+  DROP COLUMN IF EXISTS validation_issues,
+  DROP COLUMN IF EXISTS validated_at;
@@ -0,0 +1,56 @@
+-- Supplier master data; extracted supplier names are matched to it (exactly,
+-- by tax ID, by alias or fuzzily with pg_trgm).
+
+-- migrate:up
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm; -- fuzzy supplier name matching
+
+-- Create suppliers table (supplier master data)
+-- normalized_name: lowercased, punctuation and legal suffixes (Inc, Ltd, GmbH...) removed
+CREATE TABLE suppliers (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  canonical_name VARCHAR(255) NOT NULL,
+  normalized_name VARCHAR(255) NOT NULL,
+  tax_id VARCHAR(50) NULL, -- stored uppercase without separators
+  default_currency VARCHAR(10) NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (organization_id, normalized_name),
+  UNIQUE (organization_id, tax_id)
+);
+
+-- Create supplier_aliases table (other spellings of a supplier name)
+-- source: manual, review
+CREATE TABLE supplier_aliases (
+  id SERIAL PRIMARY KEY,
+  supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  alias VARCHAR(255) NOT NULL,
+  normalized_alias VARCHAR(255) NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (organization_id, normalized_alias)
+);
+
+-- Link to suppliers; method: tax_id, exact, alias, fuzzy, manual
+ALTER TABLE invoices
+  ADD COLUMN supplier_id INTEGER NULL REFERENCES suppliers(id) ON DELETE SET NULL,
+  ADD COLUMN supplier_match_score DECIMAL(4, 3) NULL,
+  ADD COLUMN supplier_match_method VARCHAR(20) NULL,
+  ADD COLUMN supplier_match_confirmed BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX idx_invoices_supplier_id ON invoices(supplier_id);
+CREATE INDEX idx_suppliers_normalized_name_trgm ON suppliers USING GIN (normalized_name gin_trgm_ops);
+CREATE INDEX idx_supplier_aliases_supplier_id ON supplier_aliases(supplier_id);
+CREATE INDEX idx_supplier_aliases_normalized_alias_trgm ON supplier_aliases USING GIN (normalized_alias gin_trgm_ops);
+
+-- migrate:down
+
+ALTER TABLE invoices
+  DROP COLUMN IF EXISTS supplier_id,
+  DROP COLUMN IF EXISTS supplier_match_score,
+  DROP COLUMN IF EXISTS supplier_match_method,
+  DROP COLUMN IF EXISTS supplier_match_confirmed;
+DROP TABLE IF EXISTS supplier_aliases CASCADE;
+DROP TABLE IF EXISTS suppliers CASCADE;
@@ -0,0 +1,95 @@
+-- Status workflow (services/invoice-status.js) with approvals, the review
+-- queue's claims, revision history and duplicate detection.
+
+-- migrate:up
+
+-- statuses the workflow doesn't know (the old PUT took any text) need review
+UPDATE invoices SET status = 'UPLOADED' WHERE status IS NULL;
+UPDATE invoices SET status = 'NEEDS_REVIEW'
+WHERE status NOT IN (
+  'UPLOADED', 'EXTRACTING', 'EXTRACTED', 'NEEDS_REVIEW', 'POSSIBLE_DUPLICATE',
+  'APPROVED', 'REJECTED', 'EXPORTED', 'PAID', 'SPLIT'
+);
+ALTER TABLE invoices ALTER COLUMN status SET NOT NULL;
+ALTER TABLE invoices ADD CONSTRAINT chk_invoices_status CHECK (status IN (
+  'UPLOADED', 'EXTRACTING', 'EXTRACTED', 'NEEDS_REVIEW', 'POSSIBLE_DUPLICATE',
+  'APPROVED', 'REJECTED', 'EXPORTED', 'PAID', 'SPLIT'
+));
+
+ALTER TABLE invoices
+  -- Suspected original (same supplier + invoice number / date / total); cleared by a reviewer override
+  ADD COLUMN duplicate_of_id INTEGER NULL REFERENCES invoices(id) ON DELETE SET NULL,
+  ADD COLUMN duplicate_override BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN duplicate_override_note TEXT NULL,
+  ADD COLUMN duplicate_override_at TIMESTAMP NULL,
+  -- Approval workflow
+  ADD COLUMN approved_at TIMESTAMP NULL,
+  ADD COLUMN rejection_reason TEXT NULL,
+  ADD COLUMN paid_at TIMESTAMP NULL;
+
+-- Create invoice_approvals table (approve / reject decisions; voided when the
+-- invoice is edited or reopened so approval starts over)
+CREATE TABLE invoice_approvals (
+  id SERIAL PRIMARY KEY,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  actor VARCHAR(255) NULL,
+  decision VARCHAR(10) NOT NULL CHECK (decision IN ('APPROVE', 'REJECT')),
+  note TEXT NULL, -- rejection reason / approver comment
+  voided_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create review_claims table (a reviewer's lock on an invoice in the review queue;
+-- ended claims are kept for throughput stats)
+-- outcome: COMPLETED (invoice left the queue), RELEASED (handed back), EXPIRED
+CREATE TABLE review_claims (
+  id SERIAL PRIMARY KEY,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  claimed_by VARCHAR(255) NOT NULL, -- user email or api_key:<name>
+  claimed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  released_at TIMESTAMP NULL,
+  outcome VARCHAR(20) NULL CHECK (outcome IN ('COMPLETED', 'RELEASED', 'EXPIRED'))
+);
+
+-- Create invoice_revisions table (snapshot of the invoice after every change)
+-- source: baseline, upload, extraction, import, user_edit, status_change, review, restore, split
+-- (invoices from before this migration get a baseline revision before their first tracked edit)
+CREATE TABLE invoice_revisions (
+  id SERIAL PRIMARY KEY,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL, -- 1, 2, 3... per invoice
+  source VARCHAR(30) NOT NULL,
+  actor VARCHAR(255) NULL,
+  note TEXT NULL,
+  changed_fields JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- { invoice: {...}, line_items: [], tax_lines: [], discounts: [], charges: [] }
+  snapshot JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (invoice_id, revision)
+);
+
+CREATE INDEX idx_invoices_duplicate_of_id ON invoices(duplicate_of_id);
+CREATE INDEX idx_invoice_approvals_invoice_id ON invoice_approvals(invoice_id);
+-- one active approval per approver
+CREATE UNIQUE INDEX uq_invoice_approvals_active ON invoice_approvals(invoice_id, actor)
+  WHERE decision = 'APPROVE' AND voided_at IS NULL;
+-- one open claim per invoice
+CREATE UNIQUE INDEX uq_review_claims_open ON review_claims(invoice_id) WHERE released_at IS NULL;
+CREATE INDEX idx_review_claims_claimed_by ON review_claims(claimed_by, claimed_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS invoice_revisions CASCADE;
+DROP TABLE IF EXISTS review_claims CASCADE;
+DROP TABLE IF EXISTS invoice_approvals CASCADE;
+ALTER TABLE invoices
+  DROP COLUMN IF EXISTS duplicate_of_id,
+  DROP COLUMN IF EXISTS duplicate_override,
+  DROP COLUMN IF EXISTS duplicate_override_note,
+  DROP COLUMN IF EXISTS duplicate_override_at,
+  DROP COLUMN IF EXISTS approved_at,
+  DROP COLUMN IF EXISTS rejection_reason,
+  DROP COLUMN IF EXISTS paid_at;
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS chk_invoices_status;
+ALTER TABLE invoices ALTER COLUMN status DROP NOT NULL;
@@ -0,0 +1,33 @@
+-- Filtering, sorting and full-text search on GET /api/invoices.
+
+-- migrate:up
+
+-- Full-text search over supplier name, invoice number and line-item descriptions
+-- (kept up to date by services/invoice-search.js refreshSearchVector)
+ALTER TABLE invoices ADD COLUMN search_vector TSVECTOR NULL;
+
+-- existing invoices
+UPDATE invoices i SET search_vector =
+  setweight(to_tsvector('simple', COALESCE(i.supplier_name, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(i.invoice_number, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(
+    (SELECT string_agg(li.description, ' ') FROM line_items li WHERE li.invoice_id = i.id), ''
+  )), 'B');
+
+CREATE INDEX idx_invoices_invoice_number ON invoices(invoice_number);
+CREATE INDEX idx_invoices_invoice_date ON invoices(invoice_date);
+CREATE INDEX idx_invoices_total ON invoices(total);
+CREATE INDEX idx_invoices_currency ON invoices(currency);
+CREATE INDEX idx_invoices_search_vector ON invoices USING GIN (search_vector);
+CREATE INDEX idx_invoices_supplier_name_trgm ON invoices USING GIN (supplier_name gin_trgm_ops);
+CREATE INDEX idx_invoices_invoice_number_trgm ON invoices USING GIN (invoice_number gin_trgm_ops);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_invoices_invoice_number;
+DROP INDEX IF EXISTS idx_invoices_invoice_date;
+DROP INDEX IF EXISTS idx_invoices_total;
+DROP INDEX IF EXISTS idx_invoices_currency;
+DROP INDEX IF EXISTS idx_invoices_supplier_name_trgm;
+DROP INDEX IF EXISTS idx_invoices_invoice_number_trgm;
+ALTER TABLE invoices DROP COLUMN IF EXISTS search_vector;
@@ -0,0 +1,45 @@
+-- Exchange rates and invoice totals in the organization's base currency.
+
+-- migrate:up
+
+-- Create exchange_rates table (imported from CSV; one unit of currency = rate
+-- units of base_currency on rate_date)
+CREATE TABLE exchange_rates (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  rate_date DATE NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  base_currency VARCHAR(3) NOT NULL,
+  rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),
+  source VARCHAR(255) NULL, -- who imported it
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (organization_id, currency, base_currency, rate_date)
+);
+
+-- total in the organization's base currency (NULL while no exchange rate is known);
+-- exchange_rate: base units per unit of currency, from the rate of exchange_rate_date
+ALTER TABLE invoices
+  ADD COLUMN base_currency VARCHAR(3) NULL,
+  ADD COLUMN exchange_rate DECIMAL(18, 8) NULL,
+  ADD COLUMN exchange_rate_date DATE NULL,
+  ADD COLUMN base_total DECIMAL(14, 2) NULL;
+
+-- existing invoices: there are no rates yet, so only those already in the base
+-- currency get a base total (services/currency.js refreshBaseAmounts does the
+-- rest once rates are imported)
+UPDATE invoices i SET
+  base_currency = o.base_currency,
+  exchange_rate = CASE WHEN i.currency = o.base_currency THEN 1 END,
+  base_total = CASE WHEN i.currency = o.base_currency THEN i.total END
+FROM organizations o
+WHERE o.id = i.organization_id;
+
+-- migrate:down
+
+ALTER TABLE invoices
+  DROP COLUMN IF EXISTS base_currency,
+  DROP COLUMN IF EXISTS exchange_rate,
+  DROP COLUMN IF EXISTS exchange_rate_date,
+  DROP COLUMN IF EXISTS base_total;
+DROP TABLE IF EXISTS exchange_rates CASCADE;
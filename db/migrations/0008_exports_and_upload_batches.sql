@@ -0,0 +1,61 @@
+-- Accounting export batches and batch / ZIP uploads.
+
+-- migrate:up
+
+-- Create export_batches table (one row per accounting export)
+CREATE TABLE export_batches (
+  id UUID PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  format VARCHAR(20) NOT NULL, -- csv, jsonl, iif
+  items VARCHAR(10) NOT NULL DEFAULT 'flat', -- flat, nested
+  mapping VARCHAR(50) NOT NULL DEFAULT 'default',
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  invoice_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create upload_batches table (one row per multi-file / ZIP upload)
+CREATE TABLE upload_batches (
+  id UUID PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  created_by VARCHAR(255) NULL, -- actor
+  auto_extract BOOLEAN NOT NULL DEFAULT TRUE, -- extraction queued on upload
+  created_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP NULL -- every file processed
+);
+
+ALTER TABLE invoices
+  -- Accounting export (invoices are exported once unless include_exported=true)
+  ADD COLUMN exported_at TIMESTAMP NULL,
+  ADD COLUMN export_batch_id UUID NULL REFERENCES export_batches(id) ON DELETE SET NULL,
+  ADD COLUMN upload_batch_id UUID NULL REFERENCES upload_batches(id) ON DELETE SET NULL;
+
+-- Create upload_batch_files table (per-file result of a batch upload)
+-- outcome: ACCEPTED, DUPLICATE, REJECTED
+CREATE TABLE upload_batch_files (
+  id SERIAL PRIMARY KEY,
+  batch_id UUID NOT NULL REFERENCES upload_batches(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL, -- order in the upload (ZIP entries in archive order)
+  filename VARCHAR(1000) NOT NULL, -- as uploaded; "<archive>.zip/<entry>" for ZIP entries
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('ACCEPTED', 'DUPLICATE', 'REJECTED')),
+  reason TEXT NULL,
+  invoice_id INTEGER NULL REFERENCES invoices(id) ON DELETE SET NULL,
+  duplicate_of_id INTEGER NULL REFERENCES invoices(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_invoices_export_batch_id ON invoices(export_batch_id);
+CREATE INDEX idx_invoices_upload_batch_id ON invoices(upload_batch_id);
+CREATE INDEX idx_invoices_not_exported ON invoices(id) WHERE exported_at IS NULL;
+CREATE INDEX idx_upload_batches_organization_id ON upload_batches(organization_id, created_at DESC);
+CREATE INDEX idx_upload_batch_files_batch_id ON upload_batch_files(batch_id, position);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS upload_batch_files CASCADE;
+ALTER TABLE invoices
+  DROP COLUMN IF EXISTS exported_at,
+  DROP COLUMN IF EXISTS export_batch_id,
+  DROP COLUMN IF EXISTS upload_batch_id;
+DROP TABLE IF EXISTS upload_batches CASCADE;
+DROP TABLE IF EXISTS export_batches CASCADE;
@@ -0,0 +1,19 @@
+-- Invoices split out of a multi-invoice PDF.
+
+-- migrate:up
+
+-- the parent (status SPLIT) and its pages (1-based, inclusive) in the parent's
+-- file, which it shares
+ALTER TABLE invoices
+  ADD COLUMN parent_invoice_id INTEGER NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  ADD COLUMN page_from INTEGER NULL,
+  ADD COLUMN page_to INTEGER NULL;
+
+CREATE INDEX idx_invoices_parent_invoice_id ON invoices(parent_invoice_id);
+
+-- migrate:down
+
+ALTER TABLE invoices
+  DROP COLUMN IF EXISTS parent_invoice_id,
+  DROP COLUMN IF EXISTS page_from,
+  DROP COLUMN IF EXISTS page_to;
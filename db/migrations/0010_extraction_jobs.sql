@@ -0,0 +1,32 @@
+-- Background extraction queue.
+
+-- migrate:up
+
+-- Create extraction_jobs table (background extraction queue)
+-- status: QUEUED, RUNNING, COMPLETED, DEAD
+CREATE TABLE extraction_jobs (
+  id SERIAL PRIMARY KEY,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'QUEUED',
+  provider VARCHAR(50) NULL,
+  options JSONB NOT NULL DEFAULT '{}'::jsonb,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP NULL,
+  locked_by VARCHAR(255) NULL,
+  last_error TEXT NULL,
+  result JSONB NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP NULL
+);
+
+CREATE INDEX idx_extraction_jobs_runnable ON extraction_jobs(run_at, id) WHERE status IN ('QUEUED', 'RUNNING');
+CREATE INDEX idx_extraction_jobs_invoice_id ON extraction_jobs(invoice_id);
+-- at most one pending job per invoice
+CREATE UNIQUE INDEX uq_extraction_jobs_pending ON extraction_jobs(invoice_id) WHERE status IN ('QUEUED', 'RUNNING');
+
+-- migrate:down
+
+DROP TABLE IF EXISTS extraction_jobs CASCADE;
@@ -0,0 +1,67 @@
+-- Outbound webhooks: subscriptions, a transactional outbox of events and their
+-- deliveries.
+
+-- migrate:up
+
+-- Create webhook_subscriptions table (outbound webhooks of an organization)
+-- events: event types to send (services/webhooks.js EVENT_TYPES), '*' for all
+CREATE TABLE webhook_subscriptions (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  url VARCHAR(2000) NOT NULL,
+  description TEXT NULL,
+  events TEXT[] NOT NULL DEFAULT ARRAY['*'],
+  secret VARCHAR(255) NOT NULL, -- HMAC-SHA256 signing key, only returned on create / rotate
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create webhook_events table (transactional outbox: written in the transaction
+-- that changes the invoice, only when a subscription wants the event)
+CREATE TABLE webhook_events (
+  id UUID PRIMARY KEY, -- X-Webhook-Id, the same on every retry and redelivery
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL,
+  invoice_id INTEGER NULL, -- no foreign key: invoice.deleted outlives the invoice
+  payload JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create webhook_deliveries table (one per event and subscription; a manual
+-- redelivery is a new row pointing at the original)
+-- status: PENDING, SENDING, DELIVERED, FAILED (gave up after max_attempts)
+CREATE TABLE webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  event_id UUID NOT NULL REFERENCES webhook_events(id) ON DELETE CASCADE,
+  subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  redelivery_of INTEGER NULL REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+    CHECK (status IN ('PENDING', 'SENDING', 'DELIVERED', 'FAILED')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 10,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP NULL,
+  locked_by VARCHAR(255) NULL,
+  -- last attempt
+  response_status INTEGER NULL,
+  response_body TEXT NULL, -- truncated
+  duration_ms INTEGER NULL,
+  last_error TEXT NULL,
+  delivered_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_subscriptions_organization_id ON webhook_subscriptions(organization_id);
+CREATE INDEX idx_webhook_events_invoice_id ON webhook_events(invoice_id);
+CREATE INDEX idx_webhook_deliveries_runnable ON webhook_deliveries(next_attempt_at, id) WHERE status IN ('PENDING', 'SENDING');
+CREATE INDEX idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id, id DESC);
+CREATE INDEX idx_webhook_deliveries_event_id ON webhook_deliveries(event_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+DROP TABLE IF EXISTS webhook_events CASCADE;
+DROP TABLE IF EXISTS webhook_subscriptions CASCADE;
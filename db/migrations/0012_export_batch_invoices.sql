@@ -0,0 +1,18 @@
+-- Invoices in each export batch. An invoice exported again with
+-- include_exported=true is in several batches; invoices.export_batch_id keeps
+-- the batch that exported it first.
+
+-- migrate:up
+CREATE TABLE export_batch_invoices (
+  batch_id UUID NOT NULL REFERENCES export_batches(id) ON DELETE CASCADE,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  PRIMARY KEY (batch_id, invoice_id)
+);
+CREATE INDEX idx_export_batch_invoices_invoice_id ON export_batch_invoices(invoice_id);
+
+-- earlier batches: the invoices still stamped with them
+INSERT INTO export_batch_invoices (batch_id, invoice_id)
+SELECT export_batch_id, id FROM invoices WHERE export_batch_id IS NOT NULL;
+
+-- migrate:down
+DROP TABLE IF EXISTS export_batch_invoices;
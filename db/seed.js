@@ -0,0 +1,62 @@
+// backend/db/seed.js
+// Loads sample data (db/seeds/dev.sql) for local development:
+//
+//   npm run seed
+//
+// Refuses with NODE_ENV=production, with pending migrations and when the
+// database already has an organization.
+
+const fs = require("fs");
+const path = require("path");
+const db = require("./index");
+const { migrationStatus } = require("./migrate");
+
+const SEED_FILE = path.join(__dirname, "seeds", "dev.sql");
+
+async function seed() {
+	if (process.env.NODE_ENV === "production") {
+		throw new Error("Sample data is for development only (NODE_ENV=production)");
+	}
+	const pending = (await migrationStatus()).filter((r) => r.state !== "applied");
+	if (pending.length) {
+		throw new Error("Database is not up to date; run `npm run migrate` first");
+	}
+
+	const client = await db.connect();
+	try {
+		await client.query("BEGIN");
+		// not twice, and never on top of real data
+		await client.query("LOCK TABLE organizations IN EXCLUSIVE MODE");
+		const orgRes = await client.query(`SELECT COUNT(*)::int AS n FROM organizations`);
+		if (orgRes.rows[0].n > 0) {
+			throw new Error("Database already has data; seed only an empty database");
+		}
+		await client.query(fs.readFileSync(SEED_FILE, "utf8"));
+		await client.query("COMMIT");
+	} catch (err) {
+		try {
+			await client.query("ROLLBACK");
+		} catch (e) {
+			/* ignore */
+		}
+		throw err;
+	} finally {
+		client.release();
+	}
+}
+
+module.exports = { seed };
+
+// Standalone: node db/seed.js
+if (require.main === module) {
+	seed()
+		.then(() => {
+			console.log("Loaded sample data; the first account registered joins its organization");
+			return 0;
+		})
+		.catch((err) => {
+			console.error("Seed failed:", err.message);
+			return 1;
+		})
+		.then((code) => db.end().finally(() => process.exit(code)));
+}
@@ -0,0 +1,35 @@
+-- Sample data for local development (npm run seed; only into an empty database)
+-- The first account registered becomes the admin of this organization.
+
+INSERT INTO organizations (name) VALUES ('Default organization');
+
+INSERT INTO suppliers (organization_id, canonical_name, normalized_name, default_currency)
+SELECT o.id, s.canonical_name, s.normalized_name, 'USD'
+FROM organizations o,
+  (VALUES ('Acme Inc.', 'acme'), ('Globex Corporation', 'globex')) AS s(canonical_name, normalized_name);
+
+INSERT INTO invoices (organization_id, supplier_name, supplier_id, supplier_match_score, supplier_match_method, supplier_match_confirmed, invoice_number, invoice_date, currency, subtotal, total, base_currency, exchange_rate, base_total, status, raw_llm_json, llm_model, extraction_at)
+SELECT s.organization_id, s.canonical_name, s.id, 1.000, 'exact', TRUE, v.invoice_number, v.invoice_date::date, 'USD', v.subtotal, v.total, 'USD', 1, v.total, v.status, v.raw_llm_json::jsonb, v.llm_model, v.extraction_at
+FROM suppliers s
+JOIN (VALUES
+  ('acme', 'INV-1001', '2025-11-01', 1000.00, 1200.00, 'EXTRACTED', '{}', 'none', NOW()),
+  ('globex', '2025-204', '2025-11-10', 380.00, 450.50, 'NEEDS_REVIEW', NULL, NULL, NULL)
+) AS v(supplier, invoice_number, invoice_date, subtotal, total, status, raw_llm_json, llm_model, extraction_at)
+  ON v.supplier = s.normalized_name;
+
+INSERT INTO line_items (invoice_id, description, quantity, unit_price, line_total)
+SELECT i.id, v.description, v.quantity, v.unit_price, v.line_total
+FROM invoices i
+JOIN (VALUES
+  ('INV-1001', 'Consulting Services', 10, 100.00, 1000.00),
+  ('2025-204', 'Product A', 5, 50.00, 250.00),
+  ('2025-204', 'Product B', 2, 65.00, 130.00)
+) AS v(invoice_number, description, quantity, unit_price, line_total)
+  ON v.invoice_number = i.invoice_number;
+
+UPDATE invoices i SET search_vector =
+  setweight(to_tsvector('simple', COALESCE(i.supplier_name, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(i.invoice_number, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(
+    (SELECT string_agg(li.description, ' ') FROM line_items li WHERE li.invoice_id = i.id), ''
+  )), 'B');
@@ -0,0 +1,162 @@
+// backend/llm/evidence.js
+// Source evidence for extracted values: the line of text each header field and
+// line item was read from, and its page. A snippet quoted by the model is kept
+// only when it really occurs in the text; otherwise the value itself is looked up.
+
+const { HEADER_FIELDS, MAX_SOURCE_TEXT } = require("./shared");
+const { splitPages } = require("./text");
+
+// a line with the field's label wins over another line showing the same amount
+const FIELD_LABELS = {
+	subtotal: /sub\s*-?\s*total|net\s+amount|taxable/i,
+	tax_total: /tax|vat|gst/i,
+	total: /total|amount\s+due|balance\s+due|payable/i,
+};
+
+function squash(s) {
+	return String(s).replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+function escapeRegExp(s) {
+	return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function groupThousands(digits, separator) {
+	return digits.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+}
+
+/**
+ * Ways a value may be printed -> regexes, most specific first
+ */
+function valuePatterns(field, value) {
+	if (typeof value === "number") {
+		const [int, dec] = Math.abs(value).toFixed(2).split(".");
+		const spellings = [
+			`${groupThousands(int, ",")}.${dec}`,
+			`${groupThousands(int, ".")},${dec}`,
+			`${groupThousands(int, " ")},${dec}`,
+			`${int}.${dec}`,
+			`${int},${dec}`,
+		];
+		if (dec === "00") spellings.push(groupThousands(int, ","), int);
+		// not part of a longer number
+		return [...new Set(spellings)].map(
+			(s) => new RegExp(`(^|[^\\d.,])${escapeRegExp(s)}(?![\\d]|[.,]\\d)`)
+		);
+	}
+
+	const text = String(value).trim();
+	const m = field === "invoice_date" && text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+	if (m) {
+		const [, y, mo, d] = m;
+		const day = String(Number(d));
+		const month = String(Number(mo));
+		return [
+			text,
+			`${d}/${mo}/${y}`,
+			`${mo}/${d}/${y}`,
+			`${d}.${mo}.${y}`,
+			`${d}-${mo}-${y}`,
+			`${day}/${month}/${y}`,
+			`${month}/${day}/${y}`,
+			`${day}.${month}.${y}`,
+		].map((s) => new RegExp(`(^|\\D)${escapeRegExp(s)}(?!\\d)`));
+	}
+	return [new RegExp(escapeRegExp(squash(text)).replace(/ /g, "\\s+"), "i")];
+}
+
+function snippet(line) {
+	return line.length > MAX_SOURCE_TEXT ? line.slice(0, MAX_SOURCE_TEXT) : line;
+}
+
+/**
+ * The model's quoted snippet, if it occurs in the text -> { source_text, page }
+ */
+function findQuoted(pages, quoted, page) {
+	if (!quoted) return null;
+	const needle = squash(quoted);
+	// the page the model named first, then the rest
+	const ordered = [...pages].sort((a, b) => (b.num === page) - (a.num === page));
+	for (const p of ordered) {
+		if (squash(p.lines.join(" ")).includes(needle)) {
+			return { source_text: snippet(quoted.trim()), page: p.num };
+		}
+	}
+	return null;
+}
+
+/**
+ * First line showing the value (the last one for the total, which is printed
+ * at the bottom after the line amounts) -> { source_text, page }
+ */
+function findValue(pages, field, value) {
+	const lines = [];
+	for (const p of pages) for (const line of p.lines) lines.push({ line, page: p.num });
+	if (field === "total") lines.reverse();
+
+	const label = FIELD_LABELS[field];
+	for (const re of valuePatterns(field, value)) {
+		const hit =
+			(label && lines.find((l) => re.test(l.line) && label.test(l.line))) ||
+			lines.find((l) => re.test(l.line));
+		if (hit) return { source_text: snippet(hit.line), page: hit.page };
+	}
+	return null;
+}
+
+/**
+ * Fill in source_text / page of parsed.fields and parsed.line_items from the
+ * text the values were extracted from (mutates and returns parsed)
+ */
+function locateEvidence(parsed, text) {
+	if (!parsed) return parsed;
+	const pages = splitPages(text);
+	const fields = parsed.fields || {};
+
+	for (const field of HEADER_FIELDS) {
+		const value = parsed[field];
+		if (value === null || value === undefined || value === "") continue;
+		const given = fields[field] || { confidence: null, source_text: null, page: null };
+		const found =
+			findQuoted(pages, given.source_text, given.page) || findValue(pages, field, value);
+		fields[field] = {
+			confidence: given.confidence,
+			source_text: found ? found.source_text : null,
+			page: found ? found.page : given.page,
+		};
+	}
+	parsed.fields = fields;
+
+	parsed.line_items = (parsed.line_items || []).map((li) => {
+		const found =
+			findQuoted(pages, li.source_text, li.page) ||
+			(li.description ? findValue(pages, "description", li.description) : null);
+		return {
+			...li,
+			source_text: found ? found.source_text : null,
+			page: found ? found.page : li.page ?? null,
+		};
+	});
+	return parsed;
+}
+
+/**
+ * Evidence to store for each header field that has a value; fields without a
+ * confidence of their own get the overall one
+ */
+function fieldEvidence(parsed) {
+	const result = {};
+	for (const field of HEADER_FIELDS) {
+		const value = parsed[field];
+		if (value === null || value === undefined || value === "") continue;
+		const entry = (parsed.fields || {})[field] || {};
+		result[field] = {
+			confidence: entry.confidence ?? parsed.confidence ?? null,
+			source_text: entry.source_text ?? null,
+			page: entry.page ?? null,
+		};
+	}
+	return result;
+}
+
+module.exports = { locateEvidence, fieldEvidence };
@@ -0,0 +1,166 @@
+// backend/llm/index.js
+// Extraction provider registry.
+// A provider is { name, model, isConfigured(), generate({ prompt, text, mime, filePath }) }
+// where generate() resolves to the raw model text; parsing is shared here.
+// Returns: { ok, parsed, raw, provider, model, ocr, error?, retryable?, fallback_from?, cross_check? }
+
+const fs = require("fs");
+const { buildExtractionPrompt, parseModelOutput } = require("./shared");
+const { extractTextFromFilePath } = require("./text");
+const { extractInvoiceFromText, compareExtractions } = require("./rules");
+const { locateEvidence } = require("./evidence");
+
+const DEFAULT_PROVIDER = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+// used when the chosen provider has no API key ("none" disables the fallback)
+const FALLBACK_PROVIDER = (process.env.LLM_FALLBACK_PROVIDER || "rules").toLowerCase();
+// re-run the rules extractor on LLM results and report disagreements
+const CROSS_CHECK = process.env.LLM_CROSS_CHECK === "true";
+
+const providers = new Map();
+
+function registerProvider(provider) {
+	if (!provider || !provider.name || typeof provider.generate !== "function") {
+		throw new Error("Provider must have a name and a generate() function");
+	}
+	providers.set(provider.name.toLowerCase(), provider);
+}
+
+function getProvider(name) {
+	return providers.get(String(name || DEFAULT_PROVIDER).toLowerCase()) || null;
+}
+
+function listProviders() {
+	return [...providers.values()].map((p) => ({
+		name: p.name,
+		model: p.model,
+		configured: p.isConfigured(),
+		default: p.name === DEFAULT_PROVIDER,
+	}));
+}
+
+function getFallbackProvider() {
+	const fallback = providers.get(FALLBACK_PROVIDER);
+	return fallback && fallback.isConfigured() ? fallback : null;
+}
+
+registerProvider(require("./providers/gemini"));
+registerProvider(require("./providers/openai"));
+registerProvider(require("./providers/fixture"));
+registerProvider(require("./providers/rules"));
+
+if (!getProvider(DEFAULT_PROVIDER)) {
+	console.warn(`LLM_PROVIDER "${DEFAULT_PROVIDER}" is not a registered provider.`);
+} else if (!getProvider(DEFAULT_PROVIDER).isConfigured()) {
+	console.warn(
+		getFallbackProvider()
+			? `Default provider "${DEFAULT_PROVIDER}" has no API key; falling back to "${FALLBACK_PROVIDER}".`
+			: `Default provider "${DEFAULT_PROVIDER}" has no API key; extraction calls will fail until set.`
+	);
+}
+
+/**
+ * Main: extractInvoiceFromFile(filePath, { provider, ocrLang, pages })
+ * - extracts file text (OCR for images and scanned PDF pages)
+ * - prompts the chosen provider with the text and a strict JSON schema instruction
+ *   (an unconfigured provider falls back to LLM_FALLBACK_PROVIDER)
+ * - returns parsed object or error/debug info
+ */
+async function extractInvoiceFromFile(filePath, options = {}) {
+	let provider = getProvider(options.provider);
+	const meta = {
+		provider: provider ? provider.name : options.provider || DEFAULT_PROVIDER,
+		model: provider ? provider.model : null,
+		ocr: null,
+	};
+
+	if (provider && !provider.isConfigured() && getFallbackProvider()) {
+		meta.fallback_from = provider.name;
+		provider = getFallbackProvider();
+		meta.provider = provider.name;
+		meta.model = provider.model;
+	}
+
+	try {
+		if (!provider) {
+			throw new Error(`Unknown extraction provider: ${meta.provider}`);
+		}
+
+		if (!provider.isConfigured()) {
+			return {
+				ok: false,
+				error: `Extraction provider "${provider.name}" is not configured`,
+				raw: null,
+				...meta,
+			};
+		}
+
+		if (!filePath || !fs.existsSync(filePath)) {
+			return {
+				ok: false,
+				error: "filePath missing or not found",
+				raw: null,
+				...meta,
+			};
+		}
+
+		const { text, mime, ocr } = await extractTextFromFilePath(filePath, {
+			lang: options.ocrLang,
+			pages: options.pages,
+		});
+		meta.ocr = ocr;
+
+		if (!text || text.trim().length === 0) {
+			return {
+				ok: false,
+				error: "No usable text extracted from file",
+				raw: null,
+				...meta,
+			};
+		}
+
+		const prompt = buildExtractionPrompt({ text, mime });
+
+		// provider/network failures are transient: callers may retry them
+		let rawOutput;
+		try {
+			rawOutput = await provider.generate({ prompt, text, mime, filePath });
+		} catch (err) {
+			console.error(`${provider.name} provider error:`, err?.message || err);
+			return {
+				ok: false,
+				error: err?.message ?? String(err),
+				raw: "",
+				retryable: true,
+				...meta,
+			};
+		}
+
+		const result = { ...parseModelOutput(rawOutput), ...meta };
+		// source snippet + page of every value, for the review UI
+		if (result.ok) locateEvidence(result.parsed, text);
+
+		if (CROSS_CHECK && result.ok && provider.name !== "rules") {
+			result.cross_check = {
+				provider: "rules",
+				mismatches: compareExtractions(
+					result.parsed,
+					extractInvoiceFromText(text)
+				),
+			};
+		}
+
+		return result;
+	} catch (err) {
+		console.error("extractInvoiceFromFile error:", err);
+		return { ok: false, error: err?.message ?? String(err), raw: "", ...meta };
+	}
+}
+
+module.exports = {
+	DEFAULT_PROVIDER,
+	FALLBACK_PROVIDER,
+	registerProvider,
+	getProvider,
+	listProviders,
+	extractInvoiceFromFile,
+};
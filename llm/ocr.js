@@ -0,0 +1,63 @@
+// backend/llm/ocr.js
+// OCR for image uploads and image-only PDF pages (tesseract.js)
+// Returns: { text, confidence (0.0-1.0), lang }
+
+const { createWorker } = require("tesseract.js");
+
+const OCR_LANG = process.env.OCR_LANG || "eng";
+// Optional local directory with <lang>.traineddata(.gz) for offline installs
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || undefined;
+
+/**
+ * OCR one or more images with a single tesseract worker.
+ * Accepts Buffers (PNG/JPEG) and returns one result per image, in order.
+ */
+async function recognizeImages(images, options = {}) {
+	const lang = options.lang || OCR_LANG;
+	const workerOptions = OCR_LANG_PATH ? { langPath: OCR_LANG_PATH } : {};
+	const worker = await createWorker(lang, undefined, workerOptions);
+
+	try {
+		const results = [];
+		for (const image of images) {
+			const { data } = await worker.recognize(image);
+			results.push({
+				text: data && data.text ? String(data.text) : "",
+				// tesseract reports 0-100; store 0.0-1.0 like the LLM confidence
+				confidence:
+					data && typeof data.confidence === "number"
+						? Math.round(data.confidence * 10) / 1000
+						: null,
+				lang,
+			});
+		}
+		return results;
+	} finally {
+		await worker.terminate();
+	}
+}
+
+/**
+ * Merge per-image OCR results into one { text, confidence, lang }.
+ * Confidence is averaged, weighted by the amount of text on each image.
+ */
+function mergeOcrResults(results) {
+	const text = results.map((r) => r.text.trim()).filter(Boolean).join("\n\n");
+
+	let weight = 0;
+	let sum = 0;
+	for (const r of results) {
+		if (r.confidence === null) continue;
+		const w = Math.max(1, r.text.trim().length);
+		weight += w;
+		sum += r.confidence * w;
+	}
+
+	return {
+		text,
+		confidence: weight ? Math.round((sum / weight) * 1000) / 1000 : null,
+		lang: results[0] ? results[0].lang : OCR_LANG,
+	};
+}
+
+module.exports = { OCR_LANG, recognizeImages, mergeOcrResults };
@@ -0,0 +1,43 @@
+// backend/llm/providers/fixture.js
+// Deterministic local provider: returns a canned response without any network call.
+// Set LLM_FIXTURE_PATH to a JSON file to control what it returns.
+
+const fs = require("fs");
+
+const FIXTURE_PATH = process.env.LLM_FIXTURE_PATH || null;
+
+const DEFAULT_FIXTURE = {
+	invoice_number: "INV-1001",
+	invoice_date: "2025-11-01",
+	supplier_name: "Acme Inc.",
+	currency: "USD",
+	subtotal: 1000,
+	total: 1200,
+	confidence: 1,
+	line_items: [
+		{
+			description: "Consulting Services",
+			quantity: 10,
+			unit_price: 100,
+			line_total: 1000,
+			confidence: 1,
+		},
+	],
+};
+
+module.exports = {
+	name: "fixture",
+	model: "fixture-v1",
+
+	isConfigured() {
+		return true;
+	},
+
+	/**
+	 * Return the fixture as raw model text (the prompt is ignored)
+	 */
+	async generate() {
+		if (FIXTURE_PATH) return fs.readFileSync(FIXTURE_PATH, "utf8");
+		return JSON.stringify(DEFAULT_FIXTURE);
+	},
+};
@@ -0,0 +1,93 @@
+// backend/llm/providers/gemini.js
+// Gemini (Google GenAI SDK) extraction provider
+
+const { GoogleGenAI } = require("@google/genai");
+
+const GENAI_API_KEY = process.env.GENAI_API_KEY || process.env.GEMINI_API_KEY;
+const GEMINI_MODEL = process.env.GEMINI_MODEL || "models/gemini-2.0-flash-lite";
+
+let genAI = null;
+
+function getClient() {
+	if (!genAI) genAI = new GoogleGenAI({ apiKey: GENAI_API_KEY });
+	return genAI;
+}
+
+/**
+ * Robustly extract textual output from GenAI SDK responses.
+ * SDK response shapes vary; this tries a few common ones.
+ */
+function extractTextFromGenAIResponse(res) {
+	try {
+		// candidates => candidate.content.parts[].text
+		if (res?.candidates && Array.isArray(res.candidates) && res.candidates[0]) {
+			const cand = res.candidates[0];
+			const parts = (cand.content && cand.content.parts) || cand.content;
+			if (Array.isArray(parts)) {
+				return parts.map((p) => p.text ?? JSON.stringify(p)).join("\n");
+			}
+			return JSON.stringify(cand);
+		}
+
+		// direct output array
+		if (Array.isArray(res?.output)) {
+			return res.output
+				.map((o) => (typeof o === "string" ? o : JSON.stringify(o)))
+				.join("\n");
+		}
+
+		// output_text convenience property (SDK)
+		if (typeof res?.output_text === "string" && res.output_text.trim()) {
+			return res.output_text;
+		}
+
+		// content.parts top-level
+		if (res?.content && Array.isArray(res.content)) {
+			return res.content
+				.map((c) => (c.text ? c.text : JSON.stringify(c)))
+				.join("\n");
+		}
+
+		// fallback stringify
+		if (typeof res === "string") return res;
+		return JSON.stringify(res);
+	} catch (e) {
+		return JSON.stringify(res);
+	}
+}
+
+module.exports = {
+	name: "gemini",
+	model: GEMINI_MODEL,
+
+	isConfigured() {
+		return Boolean(GENAI_API_KEY);
+	},
+
+	/**
+	 * Send the prompt to Gemini and return the raw text output
+	 */
+	async generate({ prompt }) {
+		if (!GENAI_API_KEY) {
+			throw new Error("GENAI_API_KEY environment variable not set");
+		}
+
+		// Build GenAI payload
+		const payload = {
+			model: GEMINI_MODEL,
+			contents: [
+				{
+					parts: [
+						{
+							text: prompt,
+						},
+					],
+				},
+			],
+			// Optionally add parameters like temperature, safetySettings, maxOutputTokens etc.
+		};
+
+		const res = await getClient().models.generateContent(payload);
+		return extractTextFromGenAIResponse(res);
+	},
+};
@@ -0,0 +1,91 @@
+// backend/llm/providers/openai.js
+// OpenAI (Responses API) extraction provider
+
+const OpenAI = require("openai");
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+
+let client = null;
+
+function getClient() {
+	if (!client) client = new OpenAI({ apiKey: OPENAI_API_KEY });
+	return client;
+}
+
+/**
+ * Defensive extractor for possible response shapes from Responses API.
+ * Prefer response.output_text when present (SDK convenience).
+ */
+function extractTextFromResponsesApi(resp) {
+	try {
+		// SDK provides output_text convenience property in many versions
+		if (typeof resp.output_text === "string" && resp.output_text.trim()) {
+			return resp.output_text;
+		}
+
+		// Common shape: resp.output is an array of items with content.parts[].text
+		if (Array.isArray(resp.output)) {
+			const parts = resp.output
+				.map((o) => {
+					if (typeof o === "string") return o;
+					if (o?.content && Array.isArray(o.content)) {
+						// join each content part
+						return o.content
+							.map((c) => c?.text ?? JSON.stringify(c))
+							.join("\n");
+					}
+					return JSON.stringify(o);
+				})
+				.join("\n");
+			if (parts) return parts;
+		}
+
+		// Some responses embed candidates or other shapes: check common properties
+		if (
+			resp?.candidates &&
+			Array.isArray(resp.candidates) &&
+			resp.candidates[0]
+		) {
+			const cand = resp.candidates[0];
+			if (cand?.content && Array.isArray(cand.content.parts)) {
+				return cand.content.parts
+					.map((p) => p.text ?? JSON.stringify(p))
+					.join("\n");
+			}
+			return JSON.stringify(cand);
+		}
+
+		// fallback: stringify entire response
+		return JSON.stringify(resp);
+	} catch (e) {
+		return JSON.stringify(resp);
+	}
+}
+
+module.exports = {
+	name: "openai",
+	model: OPENAI_MODEL,
+
+	isConfigured() {
+		return Boolean(OPENAI_API_KEY);
+	},
+
+	/**
+	 * Send the prompt to the OpenAI Responses API and return the raw text output
+	 */
+	async generate({ prompt }) {
+		if (!OPENAI_API_KEY) {
+			throw new Error("OPENAI_API_KEY environment variable not set");
+		}
+
+		const resp = await getClient().responses.create({
+			model: OPENAI_MODEL,
+			input: prompt,
+			// you can add temperature, max_output_tokens, or structured output options here
+			// e.g. temperature: 0, top_p: 1
+		});
+
+		return extractTextFromResponsesApi(resp);
+	},
+};
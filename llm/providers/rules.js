@@ -0,0 +1,20 @@
+// backend/llm/providers/rules.js
+// Offline rule-based provider: pattern matching on the extracted text, no API key needed
+
+const { extractInvoiceFromText } = require("../rules");
+
+module.exports = {
+	name: "rules",
+	model: "rules-v1",
+
+	isConfigured() {
+		return true;
+	},
+
+	/**
+	 * Run the heuristic extractor on the text and return it as raw JSON text
+	 */
+	async generate({ text }) {
+		return JSON.stringify(extractInvoiceFromText(text));
+	},
+};
@@ -0,0 +1,444 @@
+// backend/llm/rules.js
+// Deterministic, offline invoice extractor built on regex pattern libraries.
+// Works on the normalized text from extractTextFromFilePath and returns an
+// object in the same shape as INVOICE_SCHEMA (see ./shared).
+
+// Date order for ambiguous numeric dates like 04/05/2025 ("DMY" or "MDY")
+const DATE_ORDER = (process.env.RULES_DATE_ORDER || "DMY").toUpperCase();
+
+const MONTHS = {
+	jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+	jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+const MONTH_NAME = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+
+const PATTERNS = {
+	invoiceNumber: [
+		/\b(?:tax\s+)?invoice\s*(?:no\.?|number|num\.?|#|id)\s*[:#.\-]?\s*([A-Z0-9][A-Z0-9\-\/_.]*\d[A-Z0-9\-\/_]*)/i,
+		/\b(?:inv|bill|receipt)\s*(?:no\.?|number|#)\s*[:#.\-]?\s*([A-Z0-9][A-Z0-9\-\/_.]*\d[A-Z0-9\-\/_]*)/i,
+		/\binvoice\s*[:#]\s*([A-Z0-9][A-Z0-9\-\/_.]*\d[A-Z0-9\-\/_]*)/i,
+		/\b(INV[\-\/_]?\d[A-Z0-9\-\/_]*)\b/i,
+	],
+	// labels that usually precede the invoice (issue) date, most specific first
+	dateLabels: [
+		/\b(?:invoice|bill|issue)\s*date\b/i,
+		/\bdate\s+of\s+(?:issue|invoice)\b/i,
+		/\bdated\b/i,
+		/\bdate\b(?!\s*(?:of\s+)?(?:due|supply|delivery))/i,
+	],
+	dates: [
+		// 2025-10-05, 2025/10/05
+		{ re: /\b(\d{4})[\-\/.](\d{1,2})[\-\/.](\d{1,2})\b/, parts: "YMD" },
+		// 05/10/2025, 05-10-2025, 05.10.2025, 05/10/25
+		{ re: /\b(\d{1,2})[\-\/.](\d{1,2})[\-\/.](\d{4}|\d{2})\b/, parts: "NUMERIC" },
+		// 5 Oct 2025, 05-Oct-2025
+		{ re: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s\\-]+${MONTH_NAME}[\\s\\-,]+(\\d{4})\\b`, "i"), parts: "DMonY" },
+		// October 5, 2025
+		{ re: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, "i"), parts: "MonDY" },
+	],
+	supplierLabels: [
+		/^(?:from|supplier|seller|vendor|billed\s+by|sold\s+by)\s*[:\-]\s*(.+)$/i,
+	],
+	// header lines that are never the supplier name
+	notSupplier: /^(?:(?:tax\s+|proforma\s+|commercial\s+)?invoice|bill|receipt|statement|original|duplicate|page\s+\d|date|gstin|gst|vat|phone|tel|email|e-mail|www\.|http)/i,
+	currencies: [
+		{ re: /₹|\bINR\b|\bRs\.?(?=\s*\d)|\brupees?\b/i, code: "INR" },
+		{ re: /€|\bEUR\b|\beuros?\b/i, code: "EUR" },
+		{ re: /£|\bGBP\b/i, code: "GBP" },
+		{ re: /¥|\bJPY\b|\byen\b/i, code: "JPY" },
+		{ re: /\bAUD\b|A\$/i, code: "AUD" },
+		{ re: /\bCAD\b|C\$/i, code: "CAD" },
+		{ re: /\bSGD\b|S\$/i, code: "SGD" },
+		{ re: /\bAED\b|\bdirhams?\b/i, code: "AED" },
+		{ re: /\bCHF\b/i, code: "CHF" },
+		{ re: /\bUSD\b|US\$|\$/i, code: "USD" },
+	],
+	subtotal: /\bsub[\s\-]*total\b|\btaxable\s+(?:value|amount)\b|\bnet\s+amount\b/i,
+	// strongest "total" labels first
+	total: [
+		/\bgrand\s+total\b/i,
+		/\b(?:total\s+amount\s+(?:due|payable)|amount\s+(?:due|payable)|balance\s+due|total\s+due)\b/i,
+		/\btotal\s+amount\b|\binvoice\s+total\b/i,
+		/\btotal\b/i,
+	],
+	// "CGST @ 9% 45.00", "VAT 20% 12.00", "Sales Tax 8.25"
+	taxLine: /^(CGST|SGST|UTGST|IGST|GST|VAT|HST|PST|Sales\s+tax|Tax)\b\s*(?:@\s*)?(?:(\d+(?:\.\d+)?)\s*%)?/i,
+	taxTotal: /\b(?:total\s+(?:tax|gst|vat)(?:\s+amount)?|(?:tax|gst|vat)\s+(?:total|amount))\b/i,
+	discount: /^(?:less\s*:?\s*)?(?:trade\s+|cash\s+|special\s+)?discount\b(?:\s*(?:@\s*)?(\d+(?:\.\d+)?)\s*%)?/i,
+	charges: [
+		{ re: /^(?:shipping|delivery|postage)\b/i, category: "shipping" },
+		{ re: /^(?:freight|carriage|transport(?:ation)?)\b/i, category: "freight" },
+		{ re: /^(?:handling|packing|packaging|forwarding)\b/i, category: "handling" },
+		{ re: /^[\w\s]*\b(?:fee|surcharge)s?\b/i, category: "fee" },
+	],
+	// Indian GSTIN: 2-digit state code + PAN + entity + Z + checksum
+	gstin: /\b(\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z])\b/g,
+	vatId: /\b(?:VAT|TRN|ABN|tax\s*id)\s*(?:no\.?|number|reg(?:istration)?\.?(?:\s*no\.?)?|#)?\s*[:#]?\s*([A-Z]{0,2}\s?\d[0-9A-Z]{7,14})\b/gi,
+	// lines after this belong to the buyer, not the supplier
+	buyerSection: /\b(?:bill(?:ed)?\s+to|buyer|customer|sold\s+to|ship\s+to|consignee)\b/i,
+	// lines that are summary rows, not line items
+	notLineItem: /\b(?:sub[\s\-]*total|total|tax|vat|gst|cgst|sgst|igst|discount|shipping|freight|balance|amount\s+due|paid|round(?:ing|ed)?\s*off)\b/i,
+	amount: /\(?-?\d[\d,.]*\d\)?|-?\d/g,
+};
+
+/**
+ * Parse "1,234.56", "1.234,56", "1,23,456.00" or "(12.00)" into a number
+ */
+function parseAmount(str) {
+	if (str === null || str === undefined) return null;
+	let s = String(str).trim().replace(/\s/g, "");
+	const negative = /^\(.*\)$/.test(s) || s.startsWith("-");
+	s = s.replace(/[()\-]/g, "");
+	if (!s) return null;
+
+	const lastComma = s.lastIndexOf(",");
+	const lastDot = s.lastIndexOf(".");
+	if (lastComma > -1 && lastDot > -1) {
+		// whichever separator comes last is the decimal point
+		s =
+			lastComma > lastDot
+				? s.replace(/\./g, "").replace(",", ".")
+				: s.replace(/,/g, "");
+	} else if (lastComma > -1) {
+		// "12,50" is a decimal comma; "1,250" / "1,25,000" are thousands groups
+		s = /,\d{1,2}$/.test(s) ? s.replace(",", ".") : s.replace(/,/g, "");
+	}
+
+	const n = parseFloat(s);
+	if (Number.isNaN(n)) return null;
+	return negative ? -n : n;
+}
+
+/**
+ * All amounts on a line, left to right
+ */
+function amountsIn(line) {
+	return (line.match(PATTERNS.amount) || [])
+		.map(parseAmount)
+		.filter((n) => n !== null);
+}
+
+function monthNumber(name) {
+	const key = String(name).toLowerCase();
+	return MONTHS[key.slice(0, 4)] || MONTHS[key.slice(0, 3)] || null;
+}
+
+function toIsoDate(y, m, d) {
+	if (!m) return null;
+	if (y < 100) y += 2000;
+	const date = new Date(Date.UTC(y, m - 1, d));
+	if (
+		date.getUTCFullYear() !== y ||
+		date.getUTCMonth() !== m - 1 ||
+		date.getUTCDate() !== d
+	)
+		return null;
+	return date.toISOString().slice(0, 10);
+}
+
+/**
+ * First date found in a string, as YYYY-MM-DD
+ */
+function findDate(str) {
+	for (const { re, parts } of PATTERNS.dates) {
+		const m = str.match(re);
+		if (!m) continue;
+		let iso = null;
+		if (parts === "YMD") iso = toIsoDate(+m[1], +m[2], +m[3]);
+		else if (parts === "DMonY") iso = toIsoDate(+m[3], monthNumber(m[2]), +m[1]);
+		else if (parts === "MonDY") iso = toIsoDate(+m[3], monthNumber(m[1]), +m[2]);
+		else {
+			const a = +m[1];
+			const b = +m[2];
+			// an unambiguous day (> 12) wins over the configured order
+			const dayFirst = a > 12 ? true : b > 12 ? false : DATE_ORDER === "DMY";
+			iso = dayFirst ? toIsoDate(+m[3], b, a) : toIsoDate(+m[3], a, b);
+		}
+		if (iso) return iso;
+	}
+	return null;
+}
+
+function findInvoiceNumber(lines) {
+	for (const re of PATTERNS.invoiceNumber) {
+		for (const line of lines) {
+			const m = line.match(re);
+			if (m && !/^date$/i.test(m[1])) return m[1].replace(/[.,;:]+$/, "");
+		}
+	}
+	return null;
+}
+
+function findInvoiceDate(lines) {
+	for (const label of PATTERNS.dateLabels) {
+		for (let i = 0; i < lines.length; i++) {
+			const m = lines[i].match(label);
+			if (!m) continue;
+			// date on the same line after the label, or on the next line
+			const after = lines[i].slice(m.index + m[0].length);
+			const found = findDate(after) || (lines[i + 1] ? findDate(lines[i + 1]) : null);
+			if (found) return found;
+		}
+	}
+	// no label: first date anywhere in the document
+	for (const line of lines) {
+		const found = findDate(line);
+		if (found) return found;
+	}
+	return null;
+}
+
+function findSupplierName(lines) {
+	for (const re of PATTERNS.supplierLabels) {
+		for (const line of lines) {
+			const m = line.match(re);
+			if (m && m[1].trim()) return m[1].trim();
+		}
+	}
+	// otherwise the first header line that looks like a name
+	for (const line of lines.slice(0, 8)) {
+		const candidate = line.split("\t")[0].trim();
+		if (candidate.length < 2 || candidate.length > 80) continue;
+		if (PATTERNS.notSupplier.test(candidate)) continue;
+		if (!/[a-z]{2}/i.test(candidate)) continue;
+		if (findDate(candidate) || /\d{4,}/.test(candidate)) continue;
+		if (amountsIn(candidate).length > 1) continue; // a table row
+		return candidate;
+	}
+	return null;
+}
+
+function findCurrency(text) {
+	for (const { re, code } of PATTERNS.currencies) {
+		if (re.test(text)) return code;
+	}
+	return null;
+}
+
+/**
+ * Last amount on the last line matching the label pattern
+ */
+function findLabeledAmount(lines, label, exclude) {
+	for (let i = lines.length - 1; i >= 0; i--) {
+		const line = lines[i];
+		if (!label.test(line) || (exclude && exclude.test(line))) continue;
+		const amounts = amountsIn(line.replace(label, " "));
+		if (amounts.length) return amounts[amounts.length - 1];
+		// value on the next line (label / value rows)
+		const next = lines[i + 1] ? amountsIn(lines[i + 1]) : [];
+		if (next.length === 1) return next[0];
+	}
+	return null;
+}
+
+function findTotals(lines) {
+	const subtotal = findLabeledAmount(lines, PATTERNS.subtotal);
+	const notTotal = new RegExp(
+		`${PATTERNS.subtotal.source}|${PATTERNS.taxTotal.source}`,
+		"i"
+	);
+	let total = null;
+	for (const label of PATTERNS.total) {
+		total = findLabeledAmount(lines, label, notTotal);
+		if (total !== null) break;
+	}
+	return { subtotal, total };
+}
+
+/**
+ * Tax rows ("CGST @ 9% 45.00"). When the row has two amounts the first is
+ * the taxable base and the last the tax.
+ */
+function findTaxLines(lines) {
+	const taxLines = [];
+	for (const line of lines) {
+		const m = line.match(PATTERNS.taxLine);
+		if (!m || PATTERNS.taxTotal.test(line) || /\b(?:id|no\.?|number|in)\b\s*[:#]/i.test(line)) continue;
+
+		const amounts = amountsIn(line.slice(m[0].length));
+		if (!amounts.length) continue;
+
+		taxLines.push({
+			// CGST / VAT upper-cased; "Sales tax" / "Tax" kept as written
+			name: /tax/i.test(m[1]) ? m[1].replace(/\s+/g, " ") : m[1].toUpperCase(),
+			rate: m[2] !== undefined ? parseFloat(m[2]) : null,
+			base_amount: amounts.length > 1 ? amounts[0] : null,
+			tax_amount: amounts[amounts.length - 1],
+		});
+	}
+	return taxLines;
+}
+
+function findAdjustments(lines) {
+	const discounts = [];
+	const charges = [];
+	for (const line of lines) {
+		const d = line.match(PATTERNS.discount);
+		if (d) {
+			const amounts = amountsIn(line.slice(d[0].length));
+			if (amounts.length) {
+				discounts.push({
+					description: line.slice(0, d[0].length).trim(),
+					rate: d[1] !== undefined ? parseFloat(d[1]) : null,
+					amount: Math.abs(amounts[amounts.length - 1]),
+				});
+			}
+			continue;
+		}
+
+		for (const { re, category } of PATTERNS.charges) {
+			const c = line.match(re);
+			if (!c) continue;
+			const amounts = amountsIn(line.slice(c[0].length));
+			if (amounts.length) {
+				charges.push({
+					description: line.replace(/[\d.,()\-\s₹$€£]+$/, "").trim() || c[0],
+					category,
+					amount: Math.abs(amounts[amounts.length - 1]),
+				});
+			}
+			break;
+		}
+	}
+	return { discounts, charges };
+}
+
+/**
+ * GSTIN / VAT numbers: ones before the "Bill To" / buyer block belong to the
+ * supplier, the first one after it to the buyer.
+ */
+function findTaxIds(lines) {
+	let supplier_tax_id = null;
+	let buyer_tax_id = null;
+	let inBuyerSection = false;
+
+	for (const line of lines) {
+		if (PATTERNS.buyerSection.test(line)) inBuyerSection = true;
+
+		const ids = [
+			...[...line.matchAll(PATTERNS.gstin)].map((m) => m[1]),
+			...[...line.matchAll(PATTERNS.vatId)].map((m) => m[1].replace(/\s/g, "")),
+		];
+		for (const id of ids) {
+			if (!inBuyerSection && !supplier_tax_id) supplier_tax_id = id;
+			else if (inBuyerSection && !buyer_tax_id && id !== supplier_tax_id)
+				buyer_tax_id = id;
+		}
+	}
+	return { supplier_tax_id, buyer_tax_id };
+}
+
+/**
+ * Tabular rows: "<description> <qty> <unit price> <amount>".
+ * Rows where qty x unit price matches the amount get higher confidence.
+ */
+function findLineItems(lines) {
+	const items = [];
+	for (const line of lines) {
+		if (PATTERNS.notLineItem.test(line)) continue;
+		const m = line.match(/^(.*?[a-z].*?)[\s\t]+((?:[\d.,()\-]+[\s\t]+){2}[\d.,()\-]+)\s*$/i);
+		if (!m) continue;
+
+		const description = m[1].replace(/^\d+[.)]?\s+/, "").trim();
+		const nums = m[2].trim().split(/[\s\t]+/).map(parseAmount);
+		if (!description || nums.some((n) => n === null)) continue;
+
+		const [quantity, unit_price, line_total] = nums;
+		const consistent = Math.abs(quantity * unit_price - line_total) <= 0.01 * Math.max(1, Math.abs(line_total));
+		items.push({
+			description,
+			quantity,
+			unit_price,
+			line_total,
+			confidence: consistent ? 0.8 : 0.4,
+		});
+	}
+	return items;
+}
+
+/**
+ * extractInvoiceFromText(text) -> INVOICE_SCHEMA-shaped object
+ */
+function extractInvoiceFromText(text) {
+	const lines = String(text || "")
+		.split("\n")
+		.map((l) => l.trim())
+		.filter(Boolean);
+
+	const { subtotal, total } = findTotals(lines);
+	const { supplier_tax_id, buyer_tax_id } = findTaxIds(lines);
+	const { discounts, charges } = findAdjustments(lines);
+	const tax_lines = findTaxLines(lines);
+
+	const result = {
+		invoice_number: findInvoiceNumber(lines),
+		invoice_date: findInvoiceDate(lines),
+		supplier_name: findSupplierName(lines),
+		supplier_tax_id,
+		buyer_tax_id,
+		currency: findCurrency(text || ""),
+		subtotal,
+		tax_total: null,
+		total,
+		confidence: 0,
+		line_items: findLineItems(lines),
+		tax_lines,
+		discounts,
+		charges,
+	};
+
+	// no subtotal label? fall back to the sum of the line items
+	if (result.subtotal === null && result.line_items.length) {
+		const sum = result.line_items.reduce((acc, li) => acc + li.line_total, 0);
+		result.subtotal = Math.round(sum * 100) / 100;
+	}
+
+	result.tax_total = tax_lines.length
+		? Math.round(tax_lines.reduce((acc, t) => acc + t.tax_amount, 0) * 100) / 100
+		: findLabeledAmount(lines, PATTERNS.taxTotal);
+
+	// confidence: share of header fields found, capped below LLM-level certainty
+	const fields = ["invoice_number", "invoice_date", "supplier_name", "currency", "total"];
+	const found = fields.filter((f) => result[f] !== null).length;
+	result.confidence = Math.round((found / fields.length) * 0.7 * 100) / 100;
+	// every value found next to its label gets the same capped confidence
+	result.fields = {};
+	for (const field of Object.keys(result)) {
+		if (typeof result[field] === "object" || field === "confidence") continue;
+		result.fields[field] = { confidence: 0.7 };
+	}
+
+	return result;
+}
+
+/**
+ * Compare two extractions field by field (e.g. LLM vs rules).
+ * Returns [{ field, expected, actual }] for header fields that disagree;
+ * fields missing on either side are skipped.
+ */
+function compareExtractions(primary, secondary) {
+	const mismatches = [];
+	const fields = ["invoice_number", "invoice_date", "currency", "subtotal", "tax_total", "total"];
+	for (const field of fields) {
+		const a = primary ? primary[field] : null;
+		const b = secondary ? secondary[field] : null;
+		if (a === null || a === undefined || b === null || b === undefined) continue;
+
+		const same =
+			typeof a === "number" || typeof b === "number"
+				? Math.abs(Number(a) - Number(b)) <= 0.01
+				: String(a).replace(/\s/g, "").toLowerCase() ===
+				  String(b).replace(/\s/g, "").toLowerCase();
+		if (!same) mismatches.push({ field, expected: a, actual: b });
+	}
+	return mismatches;
+}
+
+module.exports = {
+	PATTERNS,
+	parseAmount,
+	findDate,
+	findInvoiceNumber,
+	extractInvoiceFromText,
+	compareExtractions,
+};
@@ -0,0 +1,260 @@
+// backend/llm/shared.js
+// Schema, prompt and output parsing shared by every extraction provider.
+
+const he = require("he");
+
+// Schema we want back from every provider
+const INVOICE_SCHEMA = {
+	invoice_number: "string|null",
+	invoice_date: "YYYY-MM-DD|null",
+	supplier_name: "string|null",
+	supplier_tax_id: "string|null (GSTIN / VAT number of the seller)",
+	buyer_tax_id: "string|null (GSTIN / VAT number of the buyer)",
+	currency: "string|null",
+	subtotal: "number|null (before discounts, charges and tax)",
+	tax_total: "number|null",
+	total: "number|null",
+	confidence: "number|null (0.0-1.0 overall confidence estimate)",
+	fields: {
+		"<header field name>": {
+			confidence: "number (0.0-1.0)",
+			source_text: "string|null (exact text the value was read from)",
+			page: "number|null",
+		},
+	},
+	line_items: [
+		{
+			description: "string",
+			quantity: "number",
+			unit_price: "number",
+			line_total: "number",
+			tax_rate: "number|null (percent)",
+			confidence: "number|null",
+			source_text: "string|null",
+			page: "number|null",
+		},
+	],
+	tax_lines: [
+		{
+			name: "string (e.g. CGST, SGST, IGST, VAT)",
+			rate: "number|null (percent)",
+			base_amount: "number|null",
+			tax_amount: "number",
+		},
+	],
+	discounts: [
+		{ description: "string|null", rate: "number|null (percent)", amount: "number" },
+	],
+	charges: [
+		{
+			description: "string|null",
+			category: "shipping|freight|handling|fee|other",
+			amount: "number",
+		},
+	],
+};
+
+// header fields that get a confidence and source evidence of their own
+const HEADER_FIELDS = [
+	"invoice_number",
+	"invoice_date",
+	"supplier_name",
+	"supplier_tax_id",
+	"buyer_tax_id",
+	"currency",
+	"subtotal",
+	"tax_total",
+	"total",
+];
+
+// longest source snippet kept per value
+const MAX_SOURCE_TEXT = 300;
+
+/**
+ * Normalize text for LLM prompts:
+ * - remove weird control chars
+ * - collapse blank lines
+ * - trim and limit length
+ */
+function normalizeTextForLLM(raw) {
+	if (!raw) return "";
+	let s = String(raw).replace(/\r/g, "\n");
+	// strip control characters except newline/tab; letters, digits and symbols of
+	// every script stay (OCR of Hindi, Arabic or CJK invoices)
+	s = s.replace(/[^\P{Cc}\t\n]/gu, " ");
+	s = s.replace(/\n{3,}/g, "\n\n");
+	s = s
+		.split("\n")
+		.map((l) => l.trim())
+		.filter(Boolean)
+		.join("\n");
+	// limit length (tune for token limits)
+	const maxLen = 30000; // characters
+	if (s.length > maxLen) s = s.slice(0, maxLen) + "\n\n...[TRUNCATED]";
+	return s;
+}
+
+/**
+ * Build strict prompt: ONLY JSON
+ */
+function buildExtractionPrompt({ text, mime }) {
+	return `
+You are an invoice extraction engine. I will provide the extracted text content from an invoice (PDF text layer or OCR).
+Return ONLY a JSON object (no prose) that strictly matches the schema described below.
+If a field is not present, return null. Numeric values must be numbers, date in YYYY-MM-DD.
+Provide a "confidence" (0.0-1.0) for the overall extraction, and optional confidences for each line item. Also, look for Invoice Number patterns in the text as well as Invoice Date patterns. The supplier name should be extracted from the header or footer if possible
+List each tax separately in "tax_lines" (for Indian invoices CGST, SGST and IGST are separate lines) with its rate, taxable base and amount. Put invoice-level discounts in "discounts" and shipping, freight or other fees in "charges"; all amounts are positive numbers. Extract GSTIN / VAT registration numbers for the supplier and the buyer.
+For every header field you return, add an entry to "fields" with your confidence (0.0-1.0) in that value, the exact text it was read from ("source_text", copied verbatim) and its page; every page of the text ends with a marker like "-- 2 of 3 --". Give each line item its own confidence, source_text and page as well.
+
+Schema:
+${JSON.stringify(INVOICE_SCHEMA, null, 2)}
+
+MIME type of original file: ${mime}
+
+BEGIN_EXTRACTED_TEXT:
+${text}
+END_EXTRACTED_TEXT
+
+Return only the JSON now (no explanation).
+`.trim();
+}
+
+function numberOrNull(v) {
+	if (v === null || v === undefined || v === "") return null;
+	const n = Number(v);
+	return Number.isNaN(n) ? null : n;
+}
+
+// 0.0-1.0, or null when missing / not a number
+function confidenceOrNull(v) {
+	const n = numberOrNull(v);
+	return n === null ? null : Math.min(1, Math.max(0, n));
+}
+
+function sourceTextOrNull(v) {
+	if (v === null || v === undefined) return null;
+	const s = String(v).trim();
+	return s ? s.slice(0, MAX_SOURCE_TEXT) : null;
+}
+
+function pageOrNull(v) {
+	const n = numberOrNull(v);
+	return n !== null && Number.isInteger(n) && n >= 1 ? n : null;
+}
+
+/**
+ * { field: { confidence, source_text, page } } for the known header fields
+ */
+function coerceFieldEvidence(fields) {
+	const result = {};
+	if (!fields || typeof fields !== "object") return result;
+	for (const field of HEADER_FIELDS) {
+		const entry = fields[field];
+		if (!entry || typeof entry !== "object") continue;
+		result[field] = {
+			confidence: confidenceOrNull(entry.confidence),
+			source_text: sourceTextOrNull(entry.source_text),
+			page: pageOrNull(entry.page),
+		};
+	}
+	return result;
+}
+
+/**
+ * Coerce numbers and normalize line items, tax lines, discounts and charges
+ * (mutates and returns parsed)
+ */
+function coerceParsedInvoice(parsed) {
+	if (!parsed) return parsed;
+
+	if (parsed.subtotal !== null && parsed.subtotal !== undefined)
+		parsed.subtotal = Number(parsed.subtotal) || 0;
+	if (parsed.total !== null && parsed.total !== undefined)
+		parsed.total = Number(parsed.total) || 0;
+	if (parsed.tax_total !== null && parsed.tax_total !== undefined)
+		parsed.tax_total = Number(parsed.tax_total) || 0;
+	parsed.confidence = confidenceOrNull(parsed.confidence);
+	parsed.fields = coerceFieldEvidence(parsed.fields);
+
+	if (!Array.isArray(parsed.line_items)) parsed.line_items = [];
+	parsed.line_items = parsed.line_items.map((li) => ({
+		description: li.description ?? "",
+		quantity: Number(li.quantity) || 0,
+		unit_price: Number(li.unit_price) || 0,
+		line_total:
+			Number(li.line_total) ||
+			Number(li.quantity || 0) * Number(li.unit_price || 0),
+		tax_rate: numberOrNull(li.tax_rate),
+		confidence: confidenceOrNull(li.confidence),
+		source_text: sourceTextOrNull(li.source_text),
+		page: pageOrNull(li.page),
+	}));
+
+	parsed.tax_lines = (Array.isArray(parsed.tax_lines) ? parsed.tax_lines : [])
+		.map((tl) => ({
+			name: tl.name ?? "Tax",
+			rate: numberOrNull(tl.rate),
+			base_amount: numberOrNull(tl.base_amount),
+			tax_amount: numberOrNull(tl.tax_amount),
+		}))
+		.filter((tl) => tl.tax_amount !== null || tl.rate !== null);
+
+	parsed.discounts = (Array.isArray(parsed.discounts) ? parsed.discounts : [])
+		.map((d) => ({
+			description: d.description ?? null,
+			rate: numberOrNull(d.rate),
+			amount: Math.abs(Number(d.amount) || 0),
+		}))
+		.filter((d) => d.amount > 0);
+
+	parsed.charges = (Array.isArray(parsed.charges) ? parsed.charges : [])
+		.map((c) => ({
+			description: c.description ?? null,
+			category: c.category ?? "other",
+			amount: Math.abs(Number(c.amount) || 0),
+		}))
+		.filter((c) => c.amount > 0);
+
+	return parsed;
+}
+
+/**
+ * Parse raw model text into an invoice object.
+ * Returns { ok, parsed, raw, error? }
+ */
+function parseModelOutput(rawText) {
+	const rawOutput = he.decode(String(rawText ?? ""));
+
+	// Search for first JSON object
+	const firstJsonMatch = rawOutput.match(/{[\s\S]*}/);
+	if (!firstJsonMatch) {
+		return {
+			ok: false,
+			error: "No JSON found in model output",
+			raw: rawOutput,
+		};
+	}
+
+	let parsed = null;
+	try {
+		parsed = JSON.parse(firstJsonMatch[0]);
+	} catch (parseErr) {
+		return {
+			ok: false,
+			error: "Model returned malformed JSON",
+			raw: rawOutput,
+		};
+	}
+
+	return { ok: true, parsed: coerceParsedInvoice(parsed), raw: rawOutput };
+}
+
+module.exports = {
+	INVOICE_SCHEMA,
+	HEADER_FIELDS,
+	MAX_SOURCE_TEXT,
+	normalizeTextForLLM,
+	buildExtractionPrompt,
+	coerceParsedInvoice,
+	parseModelOutput,
+};
@@ -0,0 +1,196 @@
+// backend/llm/text.js
+// Turns an uploaded file into plain text for the extraction providers.
+// PDFs use their text layer; images and image-only PDF pages go through OCR.
+// Returns: { text, mime, ocr: { text, confidence, lang, pages } | null }
+
+const fs = require("fs");
+const path = require("path");
+const { PDFParse } = require("pdf-parse");
+const { normalizeTextForLLM } = require("./shared");
+const { recognizeImages, mergeOcrResults } = require("./ocr");
+
+// Pages with less text than this are treated as scanned and OCR'd
+const OCR_MIN_PAGE_CHARS = parseInt(process.env.OCR_MIN_PAGE_CHARS || "20", 10);
+// Render scale for scanned PDF pages (higher = slower but more accurate OCR)
+const OCR_PDF_SCALE = parseFloat(process.env.OCR_PDF_SCALE || "2");
+
+const IMAGE_MIME_TYPES = {
+	".png": "image/png",
+	".jpg": "image/jpeg",
+	".jpeg": "image/jpeg",
+};
+
+/**
+ * Robust text extraction from a PDF buffer using pdf-parse
+ */
+async function extractTextFromPdfBuffer(buffer) {
+	try {
+		const pdfParser = new PDFParse({
+			data: buffer,
+		});
+		const data = await pdfParser.getText();
+		// prefer data.text; fallback to empty
+		const txt = data && data.text ? String(data.text) : "";
+		return normalizeTextForLLM(txt);
+	} catch (err) {
+		console.warn("pdf-parse failed:", err?.message || err);
+		return "";
+	}
+}
+
+// options.pages = { from, to } (1-based, inclusive) -> only those pages
+function inPageRange(num, range) {
+	return !range || (num >= range.from && num <= range.to);
+}
+
+// pdf-parse ends every page with "-- <num> of <total> --"; pages joined here get
+// the same marker so extracted values can be traced back to their page
+const PAGE_MARKER = /^-- (\d+) of \d+ --$/;
+
+function joinPages(pages, total) {
+	return pages.map((p) => `${p.text}\n-- ${p.num} of ${total} --`).join("\n\n");
+}
+
+/**
+ * Text with page markers -> [{ num, lines }]; text without markers is page 1
+ */
+function splitPages(text) {
+	const pages = [];
+	let lines = [];
+	for (const line of String(text || "").split("\n")) {
+		const m = line.trim().match(PAGE_MARKER);
+		if (m) {
+			pages.push({ num: parseInt(m[1], 10), lines });
+			lines = [];
+		} else if (line.trim()) {
+			lines.push(line.trim());
+		}
+	}
+	if (lines.length) pages.push({ num: pages.length ? null : 1, lines });
+	return pages;
+}
+
+/**
+ * Text layer of each PDF page -> [{ num, text }] (no OCR; scanned pages are empty)
+ */
+async function extractPagesFromPdfBuffer(buffer) {
+	const pdfParser = new PDFParse({ data: buffer });
+	try {
+		const data = await pdfParser.getText();
+		const pages = Array.isArray(data?.pages) ? data.pages : [];
+		return pages.map((p) => ({ num: p.num, text: normalizeTextForLLM(String(p.text || "")) }));
+	} finally {
+		await pdfParser.destroy().catch(() => {});
+	}
+}
+
+/**
+ * PDF text with an OCR fallback for pages that have no text layer.
+ * Pages are rendered with pdf-parse and OCR'd with tesseract.js.
+ * options.pages limits it to a page range (invoices split out of a larger PDF).
+ */
+async function extractTextFromPdfWithOcr(buffer, options = {}) {
+	let pdfParser;
+	try {
+		pdfParser = new PDFParse({ data: buffer });
+		const data = await pdfParser.getText();
+		const allPages = Array.isArray(data?.pages) ? data.pages : [];
+		const pages = allPages.filter((p) => inPageRange(p.num, options.pages));
+
+		const scanned = pages
+			.filter((p) => String(p.text || "").trim().length < OCR_MIN_PAGE_CHARS)
+			.map((p) => p.num);
+
+		if (!scanned.length) {
+			const text = options.pages
+				? joinPages(pages, allPages.length)
+				: data?.text || "";
+			return { text: normalizeTextForLLM(text), ocr: null };
+		}
+
+		const shots = await pdfParser.getScreenshot({
+			partial: scanned,
+			scale: OCR_PDF_SCALE,
+			imageDataUrl: false,
+			imageBuffer: true,
+		});
+		const ocrResults = await recognizeImages(
+			shots.pages.map((s) => Buffer.from(s.data)),
+			options
+		);
+		const ocrByPage = new Map(
+			shots.pages.map((s, i) => [s.pageNumber, ocrResults[i]])
+		);
+
+		// keep page order: text layer where present, OCR text for scanned pages
+		const text = joinPages(
+			pages.map((p) => ({
+				num: p.num,
+				text: ocrByPage.has(p.num) ? ocrByPage.get(p.num).text : p.text,
+			})),
+			allPages.length
+		);
+
+		return {
+			text: normalizeTextForLLM(text),
+			ocr: { ...mergeOcrResults(ocrResults), pages: scanned },
+		};
+	} catch (err) {
+		console.warn("PDF OCR fallback failed:", err?.message || err);
+		if (options.pages) {
+			const pages = await extractPagesFromPdfBuffer(buffer).catch(() => []);
+			const text = joinPages(
+				pages.filter((p) => inPageRange(p.num, options.pages)),
+				pages.length
+			);
+			return { text: normalizeTextForLLM(text), ocr: null };
+		}
+		return { text: await extractTextFromPdfBuffer(buffer), ocr: null };
+	} finally {
+		if (pdfParser) await pdfParser.destroy().catch(() => {});
+	}
+}
+
+/**
+ * Extract textual content from filePath (PDF, PNG or JPEG).
+ * options: { lang, pages: { from, to } } (pages: PDFs only)
+ * Returns { text, mime, ocr }
+ */
+async function extractTextFromFilePath(filePath, options = {}) {
+	const ext = path.extname(filePath || "").toLowerCase();
+	const buffer = fs.readFileSync(filePath);
+
+	if (ext === ".pdf") {
+		const { text, ocr } = await extractTextFromPdfWithOcr(buffer, options);
+		return { text, mime: "application/pdf", ocr };
+	}
+
+	if (IMAGE_MIME_TYPES[ext]) {
+		const [result] = await recognizeImages([buffer], options);
+		const ocr = { ...result, pages: [1] };
+		return {
+			text: normalizeTextForLLM(ocr.text),
+			mime: IMAGE_MIME_TYPES[ext],
+			ocr,
+		};
+	}
+
+	// Anything else: treat as plain text
+	try {
+		return {
+			text: normalizeTextForLLM(buffer.toString("utf8")),
+			mime: "text/plain",
+			ocr: null,
+		};
+	} catch (e) {
+		return { text: "", mime: "application/octet-stream", ocr: null };
+	}
+}
+
+module.exports = {
+	extractTextFromPdfBuffer,
+	extractPagesFromPdfBuffer,
+	extractTextFromPdfWithOcr,
+	extractTextFromFilePath,
+	splitPages,
+};
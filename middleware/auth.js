@@ -0,0 +1,53 @@
+// backend/middleware/auth.js
+// Express middleware: who is calling (JWT or API key) and what they may do.
+// Credentials: "Authorization: Bearer <jwt | api key>" or "X-API-Key: <api key>"
+
+const {
+	hasRole,
+	isApiKey,
+	principalFromToken,
+	principalFromApiKey,
+} = require("../services/auth");
+
+/**
+ * Sets req.user to the principal or responds 401
+ */
+async function authenticate(req, res, next) {
+	try {
+		const header = req.get("Authorization") || "";
+		const bearer = (header.match(/^Bearer\s+(\S+)$/i) || [])[1] || null;
+		const apiKey = req.get("X-API-Key") || (isApiKey(bearer) ? bearer : null);
+
+		const principal = apiKey
+			? await principalFromApiKey(apiKey)
+			: bearer
+			? await principalFromToken(bearer)
+			: null;
+		if (!principal) {
+			return res.status(401).json({ error: "Authentication required" });
+		}
+
+		req.user = principal;
+		next();
+	} catch (error) {
+		console.error("Authentication error:", error);
+		res.status(500).json({ error: "Failed to authenticate" });
+	}
+}
+
+/**
+ * requireRole("editor") - 403 unless req.user has the role or a higher one
+ */
+function requireRole(role) {
+	const middleware = (req, res, next) => {
+		if (!req.user || !hasRole(req.user.role, role)) {
+			return res.status(403).json({ error: `Requires the ${role} role` });
+		}
+		next();
+	};
+	// listed as x-required-role in /api/openapi.json
+	middleware.requiredRole = role;
+	return middleware;
+}
+
+module.exports = { authenticate, requireRole };
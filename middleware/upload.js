@@ -0,0 +1,83 @@
+// backend/middleware/upload.js
+// Multer setup for invoice uploads. Files land in a local incoming directory
+// and are moved to document storage once accepted (services/uploads.js).
+
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const { v4: uuidv4 } = require("uuid");
+const { XML_MIME_TYPES } = require("../services/ubl");
+const { sendFieldError } = require("./validate");
+const {
+	INCOMING_DIR,
+	UPLOAD_MIME_TYPES,
+	MAX_FILE_BYTES,
+} = require("../services/uploads");
+
+// a ZIP may hold a month of invoices
+const MAX_ARCHIVE_BYTES = parseInt(process.env.UPLOAD_MAX_ARCHIVE_BYTES || String(100 * 1024 * 1024), 10);
+const BATCH_MAX_FILES = parseInt(process.env.UPLOAD_BATCH_MAX_FILES || "100", 10);
+
+if (!fs.existsSync(INCOMING_DIR)) fs.mkdirSync(INCOMING_DIR, { recursive: true });
+
+// Multer storage (filename sanitized)
+const storage = multer.diskStorage({
+	destination: (req, file, cb) => cb(null, INCOMING_DIR),
+	filename: (req, file, cb) => {
+		// XML files are recognised by extension later on, so make sure they have one
+		const ext =
+			path.extname(file.originalname) ||
+			(XML_MIME_TYPES.includes(file.mimetype) ? ".xml" : "");
+		const uniqueName = `${Date.now()}-${uuidv4()}${ext}`;
+		cb(null, uniqueName);
+	},
+});
+
+// POST /api/invoices/upload: one supported file
+const upload = multer({
+	storage,
+	limits: { fileSize: MAX_FILE_BYTES },
+	fileFilter: (req, file, cb) => {
+		if (UPLOAD_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+		const err = new Error("must be a PDF, PNG, JPEG or UBL XML file");
+		err.code = "UNSUPPORTED_FILE_TYPE";
+		err.field = file.fieldname;
+		cb(err, false);
+	},
+});
+
+// POST /api/upload-batches: anything goes, unsupported files are reported per file
+const batchUpload = multer({
+	storage,
+	limits: { fileSize: Math.max(MAX_FILE_BYTES, MAX_ARCHIVE_BYTES), files: BATCH_MAX_FILES },
+});
+
+// multer error code -> message for the file field
+const UPLOAD_ERROR_MESSAGES = {
+	LIMIT_FILE_SIZE: "is too large",
+	LIMIT_FILE_COUNT: `must have at most ${BATCH_MAX_FILES} files`,
+	LIMIT_UNEXPECTED_FILE: "is not an expected file field",
+};
+
+/**
+ * Wrap a multer middleware so a rejected file (type, size, count, field name)
+ * is a 422 validation error instead of a 500
+ */
+function handleUploadErrors(middleware) {
+	return (req, res, next) =>
+		middleware(req, res, (err) => {
+			if (err instanceof multer.MulterError || (err && err.code === "UNSUPPORTED_FILE_TYPE")) {
+				const message = UPLOAD_ERROR_MESSAGES[err.code] || err.message;
+				return sendFieldError(res, "body", err.field || null, message);
+			}
+			next(err);
+		});
+}
+
+module.exports = {
+	upload,
+	batchUpload,
+	handleUploadErrors,
+	MAX_ARCHIVE_BYTES,
+	BATCH_MAX_FILES,
+};
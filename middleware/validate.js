@@ -0,0 +1,341 @@
+// backend/middleware/validate.js
+// Declarative request validation. A route lists JSON Schemas for its path
+// params, query string and body; services/openapi.js publishes the same specs
+// as /api/openapi.json.
+//
+//   router.get("/:id/history", validate({
+//     summary: "Revisions of an invoice",
+//     query: { include: { type: "string", enum: ["snapshot"] } },
+//   }), handler)
+//
+// Supported keywords: type (also a list, e.g. ["string", "null"]), enum, format
+// (date, date-time, email, uri, uuid, decimal), minLength / maxLength, pattern,
+// minimum / maximum (decimal strings included), items, minItems / maxItems,
+// properties, required and anyOf. A query parameter with `required: true` must
+// be present.
+//
+// Path and query values are checked as what they stand for ("12" as the integer
+// 12, "a,b" as a list, enum values in any case). Enum values that pass are
+// written back to req.params / req.query in the case the schema lists
+// ("approved,paid" -> "APPROVED,PAID"); other values are left as they are.
+// Failures answer 400 (path / query) or 422 (body):
+//   { error, code: "VALIDATION_FAILED", fields: [{ in, field, message }] }
+
+const TYPE_NAMES = {
+	integer: "an integer",
+	number: "a number",
+	string: "a string",
+	boolean: "true or false",
+	array: "an array",
+	object: "an object",
+	null: "null",
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_TIME_PATTERN =
+	/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// a real calendar day: 2025-02-30 would only fail in Postgres
+function isCalendarDate(v) {
+	const m = DATE_PATTERN.exec(v);
+	const d = m && new Date(Date.UTC(m[1], m[2] - 1, m[3]));
+	return Boolean(d) && d.getUTCMonth() === m[2] - 1 && d.getUTCDate() === Number(m[3]);
+}
+
+// format -> [test, message]
+const FORMATS = {
+	date: [isCalendarDate, "must be a date (YYYY-MM-DD)"],
+	"date-time": [
+		(v) =>
+			DATE_TIME_PATTERN.test(v) && isCalendarDate(v.slice(0, 10)) && !Number.isNaN(Date.parse(v)),
+		"must be an ISO 8601 date or date-time",
+	],
+	email: [(v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v), "must be an email address"],
+	uri: [(v) => /^https?:\/\/[^\s/]+\S*$/i.test(v), "must be an http(s) URL"],
+	uuid: [
+		(v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+		"must be a UUID",
+	],
+	decimal: [(v) => DECIMAL_PATTERN.test(v), "must be a decimal number"],
+};
+
+function typeOf(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+	return typeof value;
+}
+
+function hasType(type, value) {
+	if (type === "number") return typeof value === "number" && Number.isFinite(value);
+	return typeOf(value) === type;
+}
+
+function typesOf(schema) {
+	return schema.type === undefined ? null : [].concat(schema.type);
+}
+
+/**
+ * Check value against schema; problems are pushed to errors as { field, message }
+ */
+function check(schema, value, field, errors) {
+	const fail = (message) => errors.push({ field, message });
+
+	if (schema.anyOf) {
+		const results = schema.anyOf.map((branch) => {
+			const branchErrors = [];
+			check(branch, value, field, branchErrors);
+			return branchErrors;
+		});
+		if (results.some((r) => !r.length)) return;
+		// report the branch meant for this kind of value
+		const meant = schema.anyOf.findIndex((b) => (typesOf(b) || []).some((t) => hasType(t, value)));
+		errors.push(...results[meant >= 0 ? meant : 0]);
+		return;
+	}
+
+	const types = typesOf(schema);
+	if (types && !types.some((t) => hasType(t, value))) {
+		return fail(`must be ${types.map((t) => TYPE_NAMES[t]).join(" or ")}`);
+	}
+	if (schema.enum && !schema.enum.includes(value)) {
+		return fail(`must be one of: ${schema.enum.filter((v) => v !== null).join(", ")}`);
+	}
+
+	if (typeof value === "string") {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			return fail(
+				schema.minLength === 1
+					? "must not be empty"
+					: `must be at least ${schema.minLength} characters`
+			);
+		}
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+			return fail(`must be at most ${schema.maxLength} characters`);
+		}
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			return fail("has an invalid format");
+		}
+		if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format][0](value)) {
+			return fail(FORMATS[schema.format][1]);
+		}
+	}
+
+	const n =
+		typeof value === "number"
+			? value
+			: schema.format === "decimal" && typeof value === "string"
+			? Number(value)
+			: null;
+	if (n !== null) {
+		if (schema.minimum !== undefined && n < schema.minimum) {
+			return fail(`must be at least ${schema.minimum}`);
+		}
+		if (schema.maximum !== undefined && n > schema.maximum) {
+			return fail(`must be at most ${schema.maximum}`);
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			return fail(`must have at least ${schema.minItems} item(s)`);
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			return fail(`must have at most ${schema.maxItems} items`);
+		}
+		if (schema.items) {
+			value.forEach((item, i) => check(schema.items, item, `${field || ""}[${i}]`, errors));
+		}
+	}
+
+	if (typeOf(value) === "object") {
+		const path = (key) => (field ? `${field}.${key}` : key);
+		for (const key of Array.isArray(schema.required) ? schema.required : []) {
+			if (value[key] === undefined) errors.push({ field: path(key), message: "is required" });
+		}
+		for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+			if (value[key] !== undefined) check(propSchema, value[key], path(key), errors);
+		}
+	}
+}
+
+/**
+ * A path / query string as the value its schema describes, where it reads as one
+ */
+function parseParam(schema, raw) {
+	const types = typesOf(schema) || [];
+	if (types.includes("array")) {
+		return []
+			.concat(raw)
+			.flatMap((v) => String(v).split(","))
+			.map((v) => v.trim())
+			.filter(Boolean)
+			.map((v) => parseParam(schema.items || {}, v));
+	}
+	// repeated (?a=1&a=2) or nested (?a[b]=1) where one value is expected fails the type check
+	if (typeof raw !== "string") return raw;
+
+	if (types.includes("integer") && /^-?\d+$/.test(raw)) return Number(raw);
+	if (types.includes("number") && raw.trim() && Number.isFinite(Number(raw))) return Number(raw);
+	if (types.includes("boolean") && (raw === "true" || raw === "false")) return raw === "true";
+	if (schema.enum) {
+		const match = schema.enum.find((v) => String(v).toLowerCase() === raw.toLowerCase());
+		if (match !== undefined) return match;
+	}
+	return raw;
+}
+
+/**
+ * raw with its enum values in the schema's case, keeping its shape (a string,
+ * "a,b" or a repeated parameter)
+ */
+function canonicalEnums(schema, raw) {
+	const isList = (typesOf(schema) || []).includes("array");
+	const values = (isList ? schema.items || {} : schema).enum;
+	if (!values) return raw;
+	const canonical = (v) => {
+		const match = values.find((e) => String(e).toLowerCase() === v.toLowerCase());
+		return match !== undefined ? String(match) : v;
+	};
+	const fix = (v) =>
+		isList
+			? String(v)
+					.split(",")
+					.map((part) => canonical(part.trim()))
+					.join(",")
+			: canonical(v);
+	if (Array.isArray(raw)) return raw.map(fix);
+	return typeof raw === "string" ? fix(raw) : raw;
+}
+
+/**
+ * Check path / query values; the enum values of those that pass are written back
+ * to `values` in the case the schema lists
+ */
+function checkParams(location, schemas, values) {
+	const errors = [];
+	for (const [name, schema] of Object.entries(schemas || {})) {
+		const raw = values[name];
+		if (raw === undefined || raw === "") {
+			if (location === "path" || schema.required === true) {
+				errors.push({ field: name, message: "is required" });
+			}
+			continue;
+		}
+		const before = errors.length;
+		check(schema, parseParam(schema, raw), name, errors);
+		if (errors.length === before) values[name] = canonicalEnums(schema, raw);
+	}
+	return errors.map((e) => ({ in: location, ...e }));
+}
+
+/**
+ * { error, code, fields } for a list of { in, field, message }
+ */
+function validationBody(fields) {
+	const [first] = fields;
+	const message = first.field ? `${first.field} ${first.message}` : first.message;
+	return {
+		error: fields.length > 1 ? `${message} (and ${fields.length - 1} more)` : message,
+		code: "VALIDATION_FAILED",
+		fields,
+	};
+}
+
+function sendValidationError(res, status, fields) {
+	return res.status(status).json(validationBody(fields));
+}
+
+/**
+ * One field failing a check the schema can't express (e.g. an unknown currency)
+ */
+function sendFieldError(res, location, field, message) {
+	return sendValidationError(res, location === "body" ? 422 : 400, [
+		{ in: location, field, message },
+	]);
+}
+
+/**
+ * validate({ summary, description, params, query, body, contentType, responses })
+ * params / query: { name: schema }; body: an object schema, checked when
+ * contentType is application/json (the default). The spec stays on the
+ * middleware as .openapi.
+ */
+function validate(spec) {
+	const contentType = spec.contentType || "application/json";
+	const middleware = (req, res, next) => {
+		const paramErrors = [
+			...checkParams("path", spec.params, req.params),
+			...checkParams("query", spec.query, req.query),
+		];
+		if (paramErrors.length) return sendValidationError(res, 400, paramErrors);
+
+		if (spec.body && contentType === "application/json") {
+			const bodyErrors = [];
+			check(spec.body, req.body === undefined ? {} : req.body, null, bodyErrors);
+			if (bodyErrors.length) {
+				return sendValidationError(
+					res,
+					422,
+					bodyErrors.map((e) => ({
+						in: "body",
+						field: e.field,
+						message: e.field ? e.message : `Request body ${e.message}`,
+					}))
+				);
+			}
+		}
+		next();
+	};
+	middleware.openapi = { ...spec, contentType };
+	return middleware;
+}
+
+/**
+ * router.param() callback rejecting a malformed path param before any lookup
+ * runs with it; the schema stays on the callback for the OpenAPI document
+ */
+function validateParam(schema) {
+	const callback = (req, res, next, value, name) => {
+		const errors = checkParams("path", { [name]: schema }, { [name]: value });
+		if (errors.length) return sendValidationError(res, 400, errors);
+		next();
+	};
+	callback.schema = schema;
+	return callback;
+}
+
+// shared schemas
+const schemas = {
+	// SERIAL ids
+	id: { type: "integer", minimum: 1, maximum: 2147483647 },
+	uuid: { type: "string", format: "uuid" },
+	page: { type: "integer", minimum: 1, description: "1-based page number" },
+	limit: (max) => ({ type: "integer", minimum: 1, maximum: max, description: "Page size" }),
+	flag: { type: "boolean" },
+	date: { type: "string", format: "date" },
+	dateTime: { type: "string", format: "date-time" },
+	// DECIMAL(12, 2) columns; JSON numbers or numeric strings
+	amount: {
+		type: ["number", "string"],
+		format: "decimal",
+		minimum: -9999999999.99,
+		maximum: 9999999999.99,
+	},
+	// percent, DECIMAL(7, 4)
+	rate: { type: ["number", "string"], format: "decimal", minimum: -999, maximum: 999 },
+	// ISO 4217 code, a symbol or a name ("€", "eur"); normalized by services/currency
+	currency: { type: "string", minLength: 1, maxLength: 10 },
+	ocrLang: {
+		type: "string",
+		pattern: "^[a-zA-Z_]+(\\+[a-zA-Z_]+)*$",
+		description: 'Tesseract language(s), e.g. "eng" or "eng+hin"',
+	},
+	// schema, or null / "" for "none"
+	orEmpty: (schema) => ({
+		anyOf: [schema, { type: "string", maxLength: 0 }, { type: "null" }],
+	}),
+};
+
+module.exports = { validate, validateParam, sendFieldError, schemas };
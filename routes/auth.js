@@ -0,0 +1,460 @@
+const express = require("express");
+const db = require("../db/index");
+const router = express.Router();
+const { authenticate, requireRole } = require("../middleware/auth");
+const { validate, sendFieldError, schemas } = require("../middleware/validate");
+const {
+	ROLES,
+	JWT_EXPIRES_IN,
+	MIN_PASSWORD_LENGTH,
+	normalizeEmail,
+	hashPassword,
+	signToken,
+	generateApiKey,
+	publicUser,
+	login,
+} = require("../services/auth");
+const {
+	DEFAULT_BASE_CURRENCY,
+	normalizeCurrency,
+	refreshBaseAmounts,
+} = require("../services/currency");
+
+// after the first account, registration creates a new organization only when enabled
+const allowSignup = process.env.AUTH_ALLOW_SIGNUP === "true";
+
+const EMAIL = { type: "string", format: "email", maxLength: 255 };
+const PASSWORD = { type: "string", minLength: MIN_PASSWORD_LENGTH };
+const ROLE = { type: "string", enum: ROLES };
+
+function isUniqueViolation(error) {
+	return error && error.code === "23505";
+}
+
+function sessionResponse(user) {
+	return { token: signToken(user), expires_in: JWT_EXPIRES_IN, user: publicUser(user) };
+}
+
+// POST /api/auth/register { organization, name, email, password, base_currency }
+// The first account becomes the admin of the default organization; later ones
+// (AUTH_ALLOW_SIGNUP=true) create their own organization. base_currency
+// defaults to BASE_CURRENCY for new organizations.
+router.post(
+	"/register",
+	validate({
+		summary: "Register (first account: admin of the default organization)",
+		description:
+			"Later accounts create their own organization when AUTH_ALLOW_SIGNUP=true.",
+		body: {
+			type: "object",
+			properties: {
+				organization: { type: "string", maxLength: 255 },
+				name: { type: ["string", "null"], maxLength: 255 },
+				email: EMAIL,
+				password: PASSWORD,
+				base_currency: { ...schemas.currency, description: "Defaults to BASE_CURRENCY" },
+			},
+			required: ["email", "password"],
+		},
+		responses: {
+			201: "{ token, expires_in, user }",
+			403: "Registration is closed",
+			409: "Email is already registered",
+		},
+	}),
+	async (req, res) => {
+		const client = await db.connect();
+		try {
+			const { organization, name, password } = req.body || {};
+			const email = normalizeEmail(req.body?.email);
+			const baseCurrency = normalizeCurrency(req.body?.base_currency);
+
+			if (req.body?.base_currency && !baseCurrency) {
+				return sendFieldError(res, "body", "base_currency", "must be an ISO 4217 code");
+			}
+
+			await client.query("BEGIN");
+			// one registration at a time, so two can't both become the first admin
+			await client.query("LOCK TABLE users IN SHARE ROW EXCLUSIVE MODE");
+
+			const countRes = await client.query(`SELECT COUNT(*)::int AS n FROM users`);
+			const firstUser = countRes.rows[0].n === 0;
+			if (!firstUser && !allowSignup) {
+				await client.query("ROLLBACK");
+				return res.status(403).json({
+					error: "Registration is closed; ask an admin to create your account",
+				});
+			}
+
+			let organizationId = null;
+			if (firstUser) {
+				const orgRes = await client.query(
+					`SELECT id FROM organizations ORDER BY id ASC LIMIT 1`
+				);
+				organizationId = orgRes.rows.length ? orgRes.rows[0].id : null;
+				if (organizationId && organization) {
+					await client.query(`UPDATE organizations SET name = $1 WHERE id = $2`, [
+						String(organization).trim(),
+						organizationId,
+					]);
+				}
+				if (organizationId && baseCurrency) {
+					await client.query(`UPDATE organizations SET base_currency = $1 WHERE id = $2`, [
+						baseCurrency,
+						organizationId,
+					]);
+					await refreshBaseAmounts(client, { organizationId });
+				}
+			}
+			if (!organizationId) {
+				if (!organization || !String(organization).trim()) {
+					await client.query("ROLLBACK");
+					return sendFieldError(res, "body", "organization", "is required");
+				}
+				const orgRes = await client.query(
+					`INSERT INTO organizations (name, base_currency, created_at) VALUES ($1, $2, NOW()) RETURNING id`,
+					[String(organization).trim(), baseCurrency || DEFAULT_BASE_CURRENCY]
+				);
+				organizationId = orgRes.rows[0].id;
+			}
+
+			const userRes = await client.query(
+				`INSERT INTO users (organization_id, email, name, password_hash, role, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, 'admin', NOW(), NOW())
+       RETURNING *`,
+				[organizationId, email, name || null, await hashPassword(password)]
+			);
+
+			await client.query("COMMIT");
+
+			res.status(201).json(sessionResponse(userRes.rows[0]));
+		} catch (error) {
+			try {
+				await client.query("ROLLBACK");
+			} catch (e) {
+				/* ignore */
+			}
+			if (isUniqueViolation(error)) {
+				return res.status(409).json({ error: "Email is already registered" });
+			}
+			console.error("Register error:", error);
+			res.status(500).json({ error: "Failed to register" });
+		} finally {
+			client.release();
+		}
+	}
+);
+
+// POST /api/auth/login { email, password } -> { token, expires_in, user }
+router.post(
+	"/login",
+	validate({
+		summary: "Log in",
+		body: {
+			type: "object",
+			properties: {
+				email: { type: "string", minLength: 1, maxLength: 255 },
+				password: { type: "string", minLength: 1 },
+			},
+			required: ["email", "password"],
+		},
+		responses: { 200: "{ token, expires_in, user }", 401: "Invalid email or password" },
+	}),
+	async (req, res) => {
+		try {
+			const { email, password } = req.body || {};
+			const user = await login(email, password);
+			if (!user) return res.status(401).json({ error: "Invalid email or password" });
+
+			res.json(sessionResponse(user));
+		} catch (error) {
+			console.error("Login error:", error);
+			res.status(500).json({ error: "Failed to log in" });
+		}
+	}
+);
+
+// everything below needs a session or an API key
+router.use(authenticate);
+
+// GET /api/auth/me - the caller and their organization
+router.get("/me", validate({ summary: "The caller and their organization" }), async (req, res) => {
+	try {
+		const orgRes = await db.query(`SELECT * FROM organizations WHERE id = $1`, [
+			req.user.organization_id,
+		]);
+		res.json({ ...req.user, organization: orgRes.rows[0] || null });
+	} catch (error) {
+		console.error("Get me error:", error);
+		res.status(500).json({ error: "Failed to fetch user" });
+	}
+});
+
+// PUT /api/auth/organization { name, base_currency } - (admin) fields are kept when
+// omitted; changing the base currency recomputes every invoice's base_total
+router.put(
+	"/organization",
+	requireRole("admin"),
+	validate({
+		summary: "Update the organization (a new base currency recomputes base totals)",
+		body: {
+			type: "object",
+			properties: {
+				name: { type: "string", maxLength: 255 },
+				base_currency: schemas.currency,
+			},
+		},
+	}),
+	async (req, res) => {
+		const client = await db.connect();
+		try {
+			const { name } = req.body || {};
+			const baseCurrency = normalizeCurrency(req.body?.base_currency);
+			if (name !== undefined && !String(name).trim()) {
+				return sendFieldError(res, "body", "name", "must not be empty");
+			}
+			if (req.body?.base_currency !== undefined && !baseCurrency) {
+				return sendFieldError(res, "body", "base_currency", "must be an ISO 4217 code");
+			}
+
+			await client.query("BEGIN");
+			const result = await client.query(
+				`UPDATE organizations SET
+        name = COALESCE($1, name),
+        base_currency = COALESCE($2, base_currency)
+      WHERE id = $3
+      RETURNING *`,
+				[name !== undefined ? String(name).trim() : null, baseCurrency, req.user.organization_id]
+			);
+			// locked invoices too: every base_total has to be in the new currency
+			const invoicesUpdated = baseCurrency
+				? await refreshBaseAmounts(client, { organizationId: req.user.organization_id })
+				: 0;
+			await client.query("COMMIT");
+
+			res.json({ organization: result.rows[0], invoices_updated: invoicesUpdated });
+		} catch (error) {
+			try {
+				await client.query("ROLLBACK");
+			} catch (e) {
+				/* ignore */
+			}
+			console.error("Update organization error:", error);
+			res.status(500).json({ error: "Failed to update organization" });
+		} finally {
+			client.release();
+		}
+	}
+);
+
+// GET /api/auth/users - users of the organization (admin)
+router.get(
+	"/users",
+	requireRole("admin"),
+	validate({ summary: "Users of the organization" }),
+	async (req, res) => {
+		try {
+			const result = await db.query(
+				`SELECT * FROM users WHERE organization_id = $1 ORDER BY id ASC`,
+				[req.user.organization_id]
+			);
+			res.json({ users: result.rows.map(publicUser) });
+		} catch (error) {
+			console.error("List users error:", error);
+			res.status(500).json({ error: "Failed to fetch users" });
+		}
+	}
+);
+
+// POST /api/auth/users { email, name, password, role } - add a user (admin)
+router.post(
+	"/users",
+	requireRole("admin"),
+	validate({
+		summary: "Add a user",
+		body: {
+			type: "object",
+			properties: {
+				email: EMAIL,
+				name: { type: ["string", "null"], maxLength: 255 },
+				password: PASSWORD,
+				role: { ...ROLE, description: "Defaults to viewer" },
+			},
+			required: ["email", "password"],
+		},
+		responses: { 201: "The user", 409: "Email is already registered" },
+	}),
+	async (req, res) => {
+		try {
+			const { name, password, role = "viewer" } = req.body || {};
+			const email = normalizeEmail(req.body?.email);
+
+			const result = await db.query(
+				`INSERT INTO users (organization_id, email, name, password_hash, role, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       RETURNING *`,
+				[req.user.organization_id, email, name || null, await hashPassword(password), role]
+			);
+			res.status(201).json(publicUser(result.rows[0]));
+		} catch (error) {
+			if (isUniqueViolation(error)) {
+				return res.status(409).json({ error: "Email is already registered" });
+			}
+			console.error("Create user error:", error);
+			res.status(500).json({ error: "Failed to create user" });
+		}
+	}
+);
+
+// PUT /api/auth/users/:id { name, role, password, is_active } - (admin)
+// fields are kept when omitted; admins can't demote or deactivate themselves
+router.put(
+	"/users/:id",
+	requireRole("admin"),
+	validate({
+		summary: "Update a user (omitted fields are kept)",
+		params: { id: schemas.id },
+		body: {
+			type: "object",
+			properties: {
+				name: { type: ["string", "null"], maxLength: 255 },
+				role: ROLE,
+				password: PASSWORD,
+				is_active: { type: "boolean" },
+			},
+		},
+	}),
+	async (req, res) => {
+		try {
+			const id = parseInt(req.params.id, 10) || 0;
+			const { name, role, password, is_active } = req.body || {};
+
+			if (
+				req.user.type === "user" &&
+				id === req.user.id &&
+				((role !== undefined && role !== "admin") || is_active === false)
+			) {
+				return res.status(400).json({ error: "You can't remove your own admin access" });
+			}
+
+			const result = await db.query(
+				`UPDATE users SET
+        name = CASE WHEN $1::boolean THEN $2 ELSE name END,
+        role = COALESCE($3, role),
+        password_hash = COALESCE($4, password_hash),
+        is_active = COALESCE($5::boolean, is_active),
+        updated_at = NOW()
+      WHERE id = $6 AND organization_id = $7
+      RETURNING *`,
+				[
+					name !== undefined,
+					name || null,
+					role || null,
+					password !== undefined ? await hashPassword(password) : null,
+					typeof is_active === "boolean" ? is_active : null,
+					id,
+					req.user.organization_id,
+				]
+			);
+			if (!result.rows.length) return res.status(404).json({ error: "User not found" });
+
+			res.json(publicUser(result.rows[0]));
+		} catch (error) {
+			console.error("Update user error:", error);
+			res.status(500).json({ error: "Failed to update user" });
+		}
+	}
+);
+
+// GET /api/auth/api-keys - keys of the organization, without secrets (admin)
+router.get(
+	"/api-keys",
+	requireRole("admin"),
+	validate({ summary: "API keys of the organization, without secrets" }),
+	async (req, res) => {
+		try {
+			const result = await db.query(
+				`SELECT id, name, key_prefix, role, created_by, expires_at, last_used_at, revoked_at, created_at
+       FROM api_keys WHERE organization_id = $1 ORDER BY id ASC`,
+				[req.user.organization_id]
+			);
+			res.json({ api_keys: result.rows });
+		} catch (error) {
+			console.error("List API keys error:", error);
+			res.status(500).json({ error: "Failed to fetch API keys" });
+		}
+	}
+);
+
+// POST /api/auth/api-keys { name, role, expires_at } - the key is only returned here (admin)
+router.post(
+	"/api-keys",
+	requireRole("admin"),
+	validate({
+		summary: "Create an API key (the key is only returned here)",
+		body: {
+			type: "object",
+			properties: {
+				name: { type: "string", minLength: 1, maxLength: 100 },
+				role: { ...ROLE, description: "Defaults to viewer" },
+				expires_at: { ...schemas.dateTime, type: ["string", "null"] },
+			},
+			required: ["name"],
+		},
+		responses: { 201: "The key" },
+	}),
+	async (req, res) => {
+		try {
+			const { name, role = "viewer", expires_at } = req.body || {};
+
+			if (!String(name).trim()) {
+				return sendFieldError(res, "body", "name", "must not be empty");
+			}
+
+			const { key, key_prefix, key_hash } = generateApiKey();
+			const result = await db.query(
+				`INSERT INTO api_keys (organization_id, name, key_prefix, key_hash, role, created_by, expires_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       RETURNING id, name, key_prefix, role, created_by, expires_at, created_at`,
+				[
+					req.user.organization_id,
+					String(name).trim(),
+					key_prefix,
+					key_hash,
+					role,
+					req.user.type === "user" ? req.user.id : null,
+					expires_at ? new Date(expires_at) : null,
+				]
+			);
+			res.status(201).json({ ...result.rows[0], key });
+		} catch (error) {
+			console.error("Create API key error:", error);
+			res.status(500).json({ error: "Failed to create API key" });
+		}
+	}
+);
+
+// DELETE /api/auth/api-keys/:id - revoke (admin)
+router.delete(
+	"/api-keys/:id",
+	requireRole("admin"),
+	validate({ summary: "Revoke an API key", params: { id: schemas.id } }),
+	async (req, res) => {
+		try {
+			const result = await db.query(
+				`UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE id = $1 AND organization_id = $2
+       RETURNING id, revoked_at`,
+				[parseInt(req.params.id, 10) || 0, req.user.organization_id]
+			);
+			if (!result.rows.length) return res.status(404).json({ error: "API key not found" });
+
+			res.json({ message: "API key revoked", ...result.rows[0] });
+		} catch (error) {
+			console.error("Revoke API key error:", error);
+			res.status(500).json({ error: "Failed to revoke API key" });
+		}
+	}
+);
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require("express");
+const db = require("../db/index");
+const router = express.Router();
+const { requireRole } = require("../middleware/auth");
+const { validate, sendFieldError, schemas } = require("../middleware/validate");
+const {
+	RATE_MAX_AGE_DAYS,
+	normalizeCurrency,
+	parseRatesCsv,
+	importRates,
+	refreshBaseAmounts,
+} = require("../services/currency");
+const { STATUSES, isLocked } = require("../services/invoice-status");
+
+// rate files are small: a few years of daily rates for a handful of currencies
+const csvBody = express.text({
+	type: ["text/csv", "text/plain", "application/csv"],
+	limit: process.env.EXCHANGE_RATE_CSV_MAX_BYTES || "5mb",
+});
+
+async function baseCurrencyOf(client, organizationId) {
+	const result = await client.query(
+		`SELECT base_currency FROM organizations WHERE id = $1`,
+		[organizationId]
+	);
+	return result.rows[0].base_currency;
+}
+
+// GET /api/exchange-rates?currency=EUR&date_from=&date_to=&page=&limit= - newest first
+router.get(
+	"/",
+	validate({
+		summary: "Exchange rates, newest first",
+		query: {
+			currency: { ...schemas.currency, description: "Rates from or to this currency" },
+			date_from: schemas.date,
+			date_to: schemas.date,
+			page: schemas.page,
+			limit: schemas.limit(500),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const page = Math.max(1, parseInt(req.query.page || "1", 10));
+			const limit = Math.min(500, parseInt(req.query.limit || "100", 10));
+			const offset = (page - 1) * limit;
+
+			const currency = req.query.currency ? normalizeCurrency(req.query.currency) : null;
+			if (req.query.currency && !currency) {
+				return sendFieldError(res, "query", "currency", "must be an ISO 4217 code");
+			}
+
+			const params = [
+				req.user.organization_id,
+				currency,
+				req.query.date_from || null,
+				req.query.date_to || null,
+			];
+			const where = `WHERE organization_id = $1
+         AND ($2::varchar IS NULL OR currency = $2 OR base_currency = $2)
+         AND ($3::date IS NULL OR rate_date >= $3::date)
+         AND ($4::date IS NULL OR rate_date <= $4::date)`;
+
+			const result = await db.query(
+				`SELECT id, rate_date, currency, base_currency, rate, source, updated_at
+       FROM exchange_rates ${where}
+       ORDER BY rate_date DESC, currency ASC, id ASC
+       LIMIT $5 OFFSET $6`,
+				[...params, limit, offset]
+			);
+			const countRes = await db.query(
+				`SELECT COUNT(*)::int AS total FROM exchange_rates ${where}`,
+				params
+			);
+
+			res.json({
+				page,
+				limit,
+				total: countRes.rows[0].total,
+				base_currency: await baseCurrencyOf(db, req.user.organization_id),
+				max_age_days: RATE_MAX_AGE_DAYS,
+				rates: result.rows,
+			});
+		} catch (error) {
+			console.error("List exchange rates error:", error);
+			res.status(500).json({ error: "Failed to fetch exchange rates" });
+		}
+	}
+);
+
+// POST /api/exchange-rates/import - CSV body (Content-Type: text/csv):
+//   date,currency,rate[,base_currency]
+//   2025-11-03,EUR,1.0842
+// one unit of currency = rate units of base_currency (default: the organization's).
+// Existing rates for the same day are replaced; nothing is imported when a row
+// is invalid. Base-currency totals of the organization's invoices are recomputed;
+// approved, rejected, exported and paid invoices keep theirs.
+router.post(
+	"/import",
+	requireRole("admin"),
+	csvBody,
+	validate({
+		summary: "Import exchange rates from CSV (replaces rates of the same day)",
+		description:
+			"One unit of currency = rate units of base_currency (default: the organization's). " +
+			"Base totals are recomputed, except those of approved, rejected, exported and paid " +
+			"invoices.",
+		contentType: "text/csv",
+		body: { type: "string", description: "date,currency,rate[,base_currency] rows" },
+		responses: { 200: "Import counts", 400: "Invalid rows in CSV" },
+	}),
+	async (req, res) => {
+		if (typeof req.body !== "string" || !req.body.trim()) {
+			return res
+				.status(400)
+				.json({ error: "Send the rates as a CSV body with Content-Type: text/csv" });
+		}
+
+		const client = await db.connect();
+		try {
+			const baseCurrency = await baseCurrencyOf(client, req.user.organization_id);
+			const { rates, errors } = parseRatesCsv(req.body, baseCurrency);
+			if (errors.length) {
+				return res.status(400).json({ error: "Invalid rows in CSV", errors });
+			}
+			if (!rates.length) {
+				return res.status(400).json({ error: "CSV has no rates" });
+			}
+
+			await client.query("BEGIN");
+			const counts = await importRates(client, req.user.organization_id, rates, {
+				source: req.user.actor,
+			});
+			const invoicesUpdated = await refreshBaseAmounts(client, {
+				organizationId: req.user.organization_id,
+				keepStatuses: STATUSES.filter(isLocked),
+			});
+			await client.query("COMMIT");
+
+			res.json({
+				imported: rates.length,
+				...counts,
+				currencies: [...new Set(rates.map((r) => r.currency))].sort(),
+				invoices_updated: invoicesUpdated,
+			});
+		} catch (error) {
+			try {
+				await client.query("ROLLBACK");
+			} catch (e) {
+				/* ignore */
+			}
+			if (error.status) {
+				return res.status(error.status).json({ error: error.message });
+			}
+			console.error("Import exchange rates error:", error);
+			res.status(500).json({ error: "Failed to import exchange rates" });
+		} finally {
+			client.release();
+		}
+	}
+);
+
+// DELETE /api/exchange-rates/:id - (admin) base-currency totals are recomputed
+// (but not those of locked invoices)
+router.delete(
+	"/:id",
+	requireRole("admin"),
+	validate({
+		summary: "Delete an exchange rate (base totals are recomputed)",
+		params: { id: schemas.id },
+	}),
+	async (req, res) => {
+		const client = await db.connect();
+		try {
+			await client.query("BEGIN");
+			const result = await client.query(
+				`DELETE FROM exchange_rates WHERE id = $1 AND organization_id = $2 RETURNING *`,
+				[parseInt(req.params.id, 10) || 0, req.user.organization_id]
+			);
+			if (!result.rows.length) {
+				await client.query("ROLLBACK");
+				return res.status(404).json({ error: "Exchange rate not found" });
+			}
+			const invoicesUpdated = await refreshBaseAmounts(client, {
+				organizationId: req.user.organization_id,
+				keepStatuses: STATUSES.filter(isLocked),
+			});
+			await client.query("COMMIT");
+
+			res.json({ ok: true, deleted: result.rows[0], invoices_updated: invoicesUpdated });
+		} catch (error) {
+			try {
+				await client.query("ROLLBACK");
+			} catch (e) {
+				/* ignore */
+			}
+			console.error("Delete exchange rate error:", error);
+			res.status(500).json({ error: "Failed to delete exchange rate" });
+		} finally {
+			client.release();
+		}
+	}
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require("express");
+const db = require("../db/index");
+const router = express.Router();
+const { validate, schemas } = require("../middleware/validate");
+const { verifySignedUrl, sendInvoiceFile } = require("../services/files");
+
+// GET /api/files/:id?expires=&disposition=&signature= - download through a signed
+// URL (from file_url); no session needed, the signature is the authorization
+router.get(
+	"/:id",
+	validate({
+		summary: "Download a file through a signed URL (file_url of an invoice)",
+		description: "No credentials needed; the signature is the authorization.",
+		params: { id: schemas.id },
+		query: {
+			expires: { type: "integer", required: true, description: "Unix time the link expires" },
+			disposition: { type: "string", enum: ["inline", "attachment"] },
+			signature: { type: "string", required: true, maxLength: 200 },
+		},
+		responses: { 200: "The file", 403: "Invalid or expired link" },
+	}),
+	async (req, res) => {
+		try {
+			const result = await db.query(
+				`SELECT id, file_path, original_filename, mime_type FROM invoices WHERE id = $1`,
+				[parseInt(req.params.id, 10) || 0]
+			);
+			// same answer for a missing invoice and a bad signature
+			const invoice = result.rows[0];
+			const check = invoice
+				? verifySignedUrl(invoice, req.query)
+				: { ok: false, error: "Invalid file link" };
+			if (!check.ok) return res.status(403).json({ error: check.error });
+
+			await sendInvoiceFile(res, invoice, check.disposition);
+		} catch (error) {
+			console.error("Signed file download error:", error);
+			res.status(500).json({ error: "Failed to download file" });
+		}
+	}
+);
+
+module.exports = router;
@@ -1,481 +1,1563 @@
 const express = require("express");
-const multer = require("multer");
-const path = require("path");
-const fs = require("fs");
 const { v4: uuidv4 } = require("uuid");
 const db = require("../db/index");
 const router = express.Router();
-const { extractInvoiceFromFile } = require("../llm");
-
-const uploadFolder = process.env.UPLOAD_DIR || "uploads";
-const uploadBaseUrl = process.env.UPLOAD_BASE_URL || "/uploads"; // used by frontend to preview
-
-if (!fs.existsSync(uploadFolder))
-	fs.mkdirSync(uploadFolder, { recursive: true });
-
-// Multer storage (filename sanitized)
-const storage = multer.diskStorage({
-	destination: (req, file, cb) => cb(null, uploadFolder),
-	filename: (req, file, cb) => {
-		const uniqueName = `${Date.now()}-${uuidv4()}${path.extname(
-			file.originalname
-		)}`;
-		cb(null, uniqueName);
+const { requireRole } = require("../middleware/auth");
+const { upload, handleUploadErrors } = require("../middleware/upload");
+const {
+	validate,
+	validateParam,
+	sendFieldError,
+	schemas,
+} = require("../middleware/validate");
+const { getProvider, listProviders } = require("../llm");
+const { runExtraction } = require("../services/extraction");
+const { applyValidation } = require("../services/validation");
+const {
+	replaceLineItems,
+	replaceTaxLines,
+	replaceAdjustments,
+	refreshTotals,
+	loadInvoiceDetails,
+} = require("../services/invoice-details");
+const {
+	LOCK_TIMEOUT_MS,
+	enqueueExtraction,
+	listJobsForInvoice,
+} = require("../services/extraction-jobs");
+const {
+	matchInvoiceSupplier,
+	confirmInvoiceSupplier,
+} = require("../services/supplier-matching");
+const {
+	FILTER_QUERY,
+	LIST_QUERY,
+	buildFilters,
+	searchInvoices,
+	refreshSearchVector,
+} = require("../services/invoice-search");
+const { buildUblInvoice } = require("../services/ubl");
+const {
+	diffSnapshots,
+	recordRevision,
+	listRevisions,
+	getRevision,
+	restoreRevision,
+} = require("../services/revisions");
+const {
+	EDITABLE_STATUSES,
+	isLocked,
+	assertTransition,
+	approvalState,
+	voidApprovals,
+	approveInvoice,
+	rejectInvoice,
+	reopenInvoice,
+	markInvoicePaid,
+} = require("../services/invoice-status");
+const { signedFileUrl, sendInvoiceFile } = require("../services/files");
+const { removeFile, withLocalFile } = require("../services/storage");
+const { isPdf, readPdfPages, splitInvoice } = require("../services/invoice-split");
+const { ingestUpload } = require("../services/uploads");
+const { assertNotClaimedByOther, settleClaim } = require("../services/review-queue");
+const { recordInvoiceEvent, recordStatusEvent } = require("../services/webhooks");
+const { normalizeCurrency, refreshBaseAmounts } = require("../services/currency");
+const {
+	FORMATS,
+	getMapping,
+	listMappings,
+	streamExport,
+} = require("../services/export");
+
+// re-upload of an identical file: "reject" (409) or "link" (200 with the existing invoice)
+const duplicateUploadPolicy = process.env.DUPLICATE_UPLOAD_POLICY || "reject";
+
+/**
+ * Who is making the change (recorded in invoice_revisions and approvals)
+ */
+function actorOf(req) {
+	return req.user ? req.user.actor : null;
+}
+
+const nullableString = (maxLength) => ({ type: ["string", "null"], maxLength });
+
+const LINE_ITEM = {
+	type: "object",
+	properties: {
+		description: { type: ["string", "null"] },
+		quantity: schemas.orEmpty({ ...schemas.amount, minimum: -99999999.99, maximum: 99999999.99 }),
+		unit_price: schemas.orEmpty(schemas.amount),
+		line_total: schemas.orEmpty(schemas.amount),
+		tax_rate: schemas.orEmpty(schemas.rate),
+		source_page: schemas.orEmpty({ type: "integer", minimum: 1 }),
 	},
-});
+};
 
-const upload = multer({
-	storage,
-	limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
-	fileFilter: (req, file, cb) => {
-		const allowed = ["application/pdf", "image/png", "image/jpeg"];
-		if (allowed.includes(file.mimetype)) cb(null, true);
-		else cb(new Error("Only PDF, PNG, and JPEG files are allowed"), false);
+const TAX_LINE = {
+	type: "object",
+	properties: {
+		name: nullableString(50),
+		rate: schemas.orEmpty(schemas.rate),
+		base_amount: schemas.orEmpty(schemas.amount),
+		tax_amount: schemas.orEmpty(schemas.amount),
 	},
-});
+};
 
-// POST /api/invoices/upload
-router.post("/upload", upload.single("file"), async (req, res) => {
-	try {
-		if (!req.file) return res.status(400).json({ error: "File is required" });
+const ADJUSTMENT = {
+	type: "object",
+	properties: {
+		category: { ...nullableString(50), description: "e.g. shipping, freight, handling, fee" },
+		description: { type: ["string", "null"] },
+		rate: schemas.orEmpty(schemas.rate),
+		amount: schemas.orEmpty(schemas.amount),
+	},
+};
+
+const INVOICE_UPDATE = {
+	type: "object",
+	properties: {
+		supplier_name: nullableString(255),
+		supplier_tax_id: { ...nullableString(50), description: "Kept when omitted" },
+		buyer_tax_id: { ...nullableString(50), description: "Kept when omitted" },
+		invoice_number: nullableString(100),
+		// a date, or the timestamp GET returns for it
+		invoice_date: schemas.orEmpty(schemas.dateTime),
+		currency: {
+			...nullableString(10),
+			description: "ISO 4217 code, symbol or name; kept when omitted",
+		},
+		subtotal: schemas.orEmpty(schemas.amount),
+		tax_total: { ...schemas.orEmpty(schemas.amount), description: "Kept when omitted" },
+		total: schemas.orEmpty(schemas.amount),
+		line_items: { type: ["array", "null"], items: LINE_ITEM },
+		tax_lines: { type: ["array", "null"], items: TAX_LINE, description: "Kept when omitted" },
+		discounts: { type: ["array", "null"], items: ADJUSTMENT, description: "Kept when omitted" },
+		charges: { type: ["array", "null"], items: ADJUSTMENT, description: "Kept when omitted" },
+		status: schemas.orEmpty({
+			type: "string",
+			enum: EDITABLE_STATUSES,
+			description: "Use the approve / reject / reopen actions for the other statuses",
+		}),
+	},
+};
 
-		// Store record
+const NOTE_BODY = {
+	type: "object",
+	properties: { note: { type: ["string", "null"], maxLength: 2000 } },
+};
+
+// invoices of other organizations don't exist as far as the caller can tell
+// (a malformed id is answered 400 before it reaches a query)
+router.param("id", validateParam(schemas.id));
+router.param("id", async (req, res, next, id) => {
+	try {
 		const result = await db.query(
-			`INSERT INTO invoices (file_path, status, created_at, updated_at)
-       VALUES ($1, 'UPLOADED', NOW(), NOW())
-       RETURNING id, file_path, status, created_at`,
-			[
-				req.file.filename
-					? path.join(uploadFolder, req.file.filename)
-					: req.file.path,
-			]
+			`SELECT id FROM invoices WHERE id = $1 AND organization_id = $2`,
+			[parseInt(id, 10) || 0, req.user.organization_id]
 		);
+		if (!result.rows.length)
+			return res.status(404).json({ error: "Invoice not found" });
+		next();
+	} catch (error) {
+		next(error);
+	}
+});
 
-		const invoice = result.rows[0];
+/**
+ * Respond to a re-upload of a file we already have (the new copy is discarded)
+ */
+function respondDuplicateUpload(req, res, existing) {
+	const policy = (req.query.on_duplicate || duplicateUploadPolicy).toLowerCase();
+	const body = {
+		id: existing.id,
+		duplicate_of: existing.id,
+		status: existing.status,
+		file_url: signedFileUrl(existing),
+	};
+	if (policy === "link") {
+		return res.status(200).json({
+			...body,
+			duplicate: true,
+			message: "File was already uploaded; linked to the existing invoice",
+		});
+	}
+	return res.status(409).json({
+		...body,
+		error: "This file has already been uploaded",
+	});
+}
 
-		// Build a preview URL for frontend
-		const file_url = `${uploadBaseUrl}/${req.file.filename}`;
+// POST /api/invoices/upload?on_duplicate=reject|link
+router.post(
+	"/upload",
+	requireRole("editor"),
+	validate({
+		summary: "Upload an invoice file (PDF, PNG, JPEG or UBL XML)",
+		query: {
+			on_duplicate: {
+				type: "string",
+				enum: ["reject", "link"],
+				description: "Re-upload of an identical file: 409, or 200 with the existing invoice",
+			},
+		},
+		contentType: "multipart/form-data",
+		body: {
+			type: "object",
+			properties: { file: { type: "string", format: "binary" } },
+			required: ["file"],
+		},
+		responses: {
+			201: "Uploaded",
+			200: "Duplicate linked",
+			409: "Duplicate file",
+			422: "Unsupported, too large or invalid file",
+		},
+	}),
+	handleUploadErrors(upload.single("file")),
+	async (req, res) => {
+		if (!req.file) return sendFieldError(res, "body", "file", "is required");
 
-		// Optionally enqueue extraction job here (background worker)
-		res.status(201).json({
-			id: invoice.id,
-			file_path: invoice.file_path,
-			file_url,
-			status: invoice.status,
-			message: "File uploaded successfully",
-		});
-	} catch (error) {
-		console.error("Upload error:", error);
-		res
-			.status(500)
-			.json({ error: "Failed to upload file", details: error.message });
+		try {
+			const result = await ingestUpload(req.file, {
+				organizationId: req.user.organization_id,
+				actor: actorOf(req),
+			});
+			if (result.outcome === "REJECTED") {
+				const reason = result.details ? `${result.error}: ${result.details}` : result.error;
+				return sendFieldError(res, "body", "file", `was rejected: ${reason}`);
+			}
+			if (result.outcome === "DUPLICATE") {
+				return respondDuplicateUpload(req, res, result.existing);
+			}
+
+			const { invoice, job, imported } = result;
+			// expiring preview URL for the frontend
+			const file_url = signedFileUrl(invoice);
+
+			if (imported) {
+				return res.status(201).json({
+					id: invoice.id,
+					file_path: invoice.file_path,
+					file_url,
+					status: imported.invoice ? imported.invoice.status : "NEEDS_REVIEW",
+					job_id: null,
+					message: imported.ok
+						? "E-invoice imported"
+						: `E-invoice import failed: ${imported.error}`,
+					invoice: imported.invoice,
+					line_items: imported.line_items,
+					duplicate: imported.duplicate,
+				});
+			}
+
+			res.status(201).json({
+				id: invoice.id,
+				file_path: invoice.file_path,
+				file_url,
+				status: invoice.status,
+				job_id: job ? job.id : null,
+				message: "File uploaded successfully",
+			});
+		} catch (error) {
+			console.error("Upload error:", error);
+			res.status(500).json({ error: "Failed to upload file" });
+		}
 	}
-});
+);
 
-// GET /api/invoices - List with pagination
-router.get("/", async (req, res) => {
-	try {
-		const page = Math.max(1, parseInt(req.query.page || "1", 10));
-		const limit = Math.min(100, parseInt(req.query.limit || "25", 10));
-		const offset = (page - 1) * limit;
+// GET /api/invoices - List with filters, sorting, search and pagination
+// ?status=EXTRACTED,NEEDS_REVIEW&supplier_id=&supplier=&currency=&date_from=&date_to=
+// &total_min=&total_max=&confidence_min=&confidence_max=&q=
+// &sort=invoice_date&order=asc&page=&limit= (or &cursor=<next_cursor> for keyset paging)
+router.get(
+	"/",
+	validate({
+		summary: "List invoices with filters, sorting, search and pagination",
+		query: LIST_QUERY,
+	}),
+	async (req, res) => {
+		try {
+			const result = await searchInvoices(db, req.query, req.user.organization_id);
+			res.json(result);
+		} catch (error) {
+			if (error.status === 400) {
+				return res.status(400).json({ error: error.message });
+			}
+			console.error("List invoices error:", error);
+			res.status(500).json({ error: "Failed to fetch invoices" });
+		}
+	}
+);
 
-		const result = await db.query(
-			`
-      SELECT 
-        id, supplier_name, invoice_number, invoice_date, currency,
-        subtotal, total, status, created_at, updated_at
-      FROM invoices
-      ORDER BY created_at DESC
-      LIMIT $1 OFFSET $2
-    `,
-			[limit, offset]
-		);
+// GET /api/invoices/export?format=csv|jsonl|iif&items=flat|nested&mapping=default
+// &include_exported=true&dry_run=true&batch_id=<uuid> (+ any list filter)
+// Streams matching approved invoices that were not exported yet (other statuses
+// only when named in ?status=) and stamps them with exported_at /
+// export_batch_id. batch_id re-downloads an earlier batch.
+router.get(
+	"/export",
+	requireRole("editor"),
+	validate({
+		summary: "Export approved invoices not exported yet (or re-download a batch)",
+		description:
+			"Streams the matching invoices and stamps them with exported_at / export_batch_id; " +
+			"approved ones become EXPORTED. Only APPROVED invoices (and, with include_exported, " +
+			"EXPORTED / PAID ones) are exported unless status names others.",
+		query: {
+			...FILTER_QUERY,
+			format: { type: "string", enum: Object.keys(FORMATS) },
+			items: { type: "string", enum: ["flat", "nested"] },
+			mapping: { type: "string", maxLength: 50, description: "See /api/invoices/export/mappings" },
+			include_exported: schemas.flag,
+			dry_run: { ...schemas.flag, description: "Preview; nothing is stamped" },
+			batch_id: { ...schemas.uuid, description: "Re-download an earlier batch" },
+		},
+		responses: { 200: "The export file (X-Export-Batch-Id, X-Export-Count headers)" },
+	}),
+	async (req, res) => {
+		const format = String(req.query.format || "csv").toLowerCase();
+		const items = String(req.query.items || "flat").toLowerCase();
+		const mappingName = req.query.mapping || "default";
 
-		// total count for frontend pagination (optional)
-		const countRes = await db.query(
-			`SELECT COUNT(*)::int AS total FROM invoices`
-		);
-		const total = countRes.rows[0].total || 0;
+		let mapping;
+		let ids;
+		let batchId = null;
+		try {
+			mapping = getMapping(mappingName);
+			if (!mapping) {
+				return res.status(400).json({
+					error: `Unknown export mapping: ${mappingName}`,
+					mappings: listMappings().map((m) => m.name),
+				});
+			}
+
+			if (req.query.batch_id) {
+				// re-download an earlier batch
+				const batchRes = await db.query(
+					`SELECT id FROM export_batches WHERE id::text = $1 AND organization_id = $2`,
+					[String(req.query.batch_id), req.user.organization_id]
+				);
+				if (!batchRes.rows.length)
+					return res.status(404).json({ error: "Export batch not found" });
+
+				batchId = batchRes.rows[0].id;
+				const idRes = await db.query(
+					`SELECT invoice_id AS id FROM export_batch_invoices
+           WHERE batch_id = $1 ORDER BY invoice_id ASC`,
+					[batchId]
+				);
+				ids = idRes.rows.map((r) => r.id);
+			} else {
+				const { where, params } = buildFilters(req.query, req.user.organization_id);
+				const includeExported = req.query.include_exported === "true";
+				const conditions = [
+					...(where ? [where.slice("WHERE ".length)] : []),
+					...(includeExported ? [] : ["i.exported_at IS NULL"]),
+					// unapproved invoices only when the caller asks for them
+					...(req.query.status
+						? []
+						: [
+								includeExported
+									? "i.status IN ('APPROVED', 'EXPORTED', 'PAID')"
+									: "i.status = 'APPROVED'",
+						  ]),
+					// a split PDF is exported through its child invoices
+					"i.status <> 'SPLIT'",
+				];
+				const whereSql = conditions.length
+					? `WHERE ${conditions.join(" AND ")}`
+					: "";
+
+				if (req.query.dry_run === "true") {
+					// preview: nothing is stamped
+					const idRes = await db.query(
+						`SELECT i.id FROM invoices i ${whereSql} ORDER BY i.id ASC`,
+						params
+					);
+					ids = idRes.rows.map((r) => r.id);
+				} else {
+					// claim the invoices for a new batch in one statement, so two
+					// concurrent exports can't both pick up the same invoice
+					const client = await db.connect();
+					try {
+						await client.query("BEGIN");
+						batchId = uuidv4();
+						await client.query(
+							`INSERT INTO export_batches (id, organization_id, format, items, mapping, filters, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+							[
+								batchId,
+								req.user.organization_id,
+								format,
+								items,
+								mappingName,
+								JSON.stringify(req.query),
+							]
+						);
+						// approved invoices move on to EXPORTED; invoices exported before
+						// keep their first batch (export_batch_invoices lists every one)
+						const claimed = await client.query(
+							`WITH picked AS (
+               SELECT i.id, i.status FROM invoices i ${whereSql} FOR UPDATE
+             )
+             UPDATE invoices i SET
+               exported_at = COALESCE(i.exported_at, NOW()),
+               export_batch_id = COALESCE(i.export_batch_id, $${params.length + 1}),
+               status = CASE WHEN picked.status = 'APPROVED' THEN 'EXPORTED' ELSE i.status END
+             FROM picked WHERE i.id = picked.id
+             RETURNING i.id, picked.status AS previous_status`,
+							[...params, batchId]
+						);
+						ids = claimed.rows.map((r) => r.id).sort((a, b) => a - b);
+						for (const row of claimed.rows) {
+							if (row.previous_status !== "APPROVED") continue;
+							await recordRevision(client, row.id, {
+								source: "status_change",
+								actor: actorOf(req),
+								note: `Exported in batch ${batchId}`,
+							});
+							await recordStatusEvent(client, row.id, row.previous_status);
+						}
+
+						if (ids.length) {
+							await client.query(
+								`INSERT INTO export_batch_invoices (batch_id, invoice_id)
+                 SELECT $1, UNNEST($2::int[])`,
+								[batchId, ids]
+							);
+							await client.query(
+								`UPDATE export_batches SET invoice_count = $1 WHERE id = $2`,
+								[ids.length, batchId]
+							);
+							await client.query("COMMIT");
+						} else {
+							// nothing new to export: don't record an empty batch
+							await client.query("ROLLBACK");
+							batchId = null;
+						}
+					} catch (err) {
+						try {
+							await client.query("ROLLBACK");
+						} catch (e) {
+							/* ignore */
+						}
+						throw err;
+					} finally {
+						client.release();
+					}
+				}
+			}
+		} catch (error) {
+			if (error.status === 400) {
+				return res.status(400).json({ error: error.message });
+			}
+			console.error("Export invoices error:", error);
+			return res.status(500).json({ error: "Failed to export invoices" });
+		}
+
+		const filename = `invoices-${batchId || "preview"}.${FORMATS[format].extension}`;
+		res.setHeader("Content-Type", FORMATS[format].contentType);
+		res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+		res.setHeader("X-Export-Batch-Id", batchId || "");
+		res.setHeader("X-Export-Count", String(ids.length));
+
+		try {
+			await streamExport(db, res, ids, { format, items, mapping });
+			res.end();
+		} catch (error) {
+			// headers are already sent: cut the download short so it isn't mistaken for a full file
+			console.error("Export stream error:", error);
+			res.destroy(error);
+		}
+	}
+);
 
-		res.json({ page, limit, total, invoices: result.rows });
+// GET /api/invoices/export/mappings - available export column mappings
+router.get("/export/mappings", validate({ summary: "Export column mappings" }), (req, res) => {
+	try {
+		res.json({ mappings: listMappings() });
 	} catch (error) {
-		console.error("List invoices error:", error);
-		res
-			.status(500)
-			.json({ error: "Failed to fetch invoices", details: error.message });
+		console.error("List export mappings error:", error);
+		res.status(500).json({ error: "Failed to load export mappings" });
 	}
 });
 
+// GET /api/invoices/providers - registered extraction providers
+router.get("/providers", validate({ summary: "Registered extraction providers" }), (req, res) => {
+	res.json({ providers: listProviders() });
+});
+
 // GET /api/invoices/:id - detail with line items
-router.get("/:id", async (req, res) => {
-	try {
-		const { id } = req.params;
+router.get(
+	"/:id",
+	validate({ summary: "Invoice with line items, taxes, adjustments, approvals and file URLs" }),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
 
-		const invoiceResult = await db.query(
-			`SELECT * FROM invoices WHERE id = $1`,
-			[id]
-		);
-		if (invoiceResult.rows.length === 0)
-			return res.status(404).json({ error: "Invoice not found" });
+			const invoiceResult = await db.query(
+				`SELECT * FROM invoices WHERE id = $1`,
+				[id]
+			);
+			if (invoiceResult.rows.length === 0)
+				return res.status(404).json({ error: "Invoice not found" });
 
-		const itemsResult = await db.query(
-			`SELECT id, description, quantity, unit_price, line_total 
-       FROM line_items WHERE invoice_id = $1 ORDER BY id ASC`,
-			[id]
-		);
+			// line items, tax lines, discounts and charges
+			const details = await loadInvoiceDetails(db, id);
 
-		const invoiceRow = invoiceResult.rows[0];
+			const invoiceRow = invoiceResult.rows[0];
 
-		// Provide a file_url if possible (frontend-friendly)
-		const filename = path.basename(invoiceRow.file_path || "");
-		const file_url = filename ? `${uploadBaseUrl}/${filename}` : null;
+			// expiring preview / download URLs (see FILE_URL_TTL_SECONDS); an invoice
+			// split out of a larger PDF opens at its first page
+			const page = invoiceRow.parent_invoice_id ? `#page=${invoiceRow.page_from}` : "";
+			const file_url = signedFileUrl(invoiceRow) + page;
+			const file_download_url = signedFileUrl(invoiceRow, { download: true });
 
-		const invoice = { ...invoiceRow, file_url, line_items: itemsResult.rows };
+			// approvals collected vs. required by the total
+			const approval = await approvalState(db, invoiceRow);
 
-		res.json(invoice);
-	} catch (error) {
-		console.error("Get invoice error:", error);
-		res
-			.status(500)
-			.json({ error: "Failed to fetch invoice", details: error.message });
-	}
-});
+			// invoices split out of this PDF
+			const childrenRes = await db.query(
+				`SELECT id, status, page_from, page_to, invoice_number, invoice_date, currency, total
+       FROM invoices WHERE parent_invoice_id = $1 ORDER BY page_from ASC`,
+				[id]
+			);
 
-// PUT /api/invoices/:id - Update invoice + replace line items (transactional)
-router.put("/:id", async (req, res) => {
-	const client = await db.connect();
-	try {
-		const { id } = req.params;
-		const {
-			supplier_name,
-			invoice_number,
-			invoice_date,
-			currency,
-			subtotal,
-			total,
-			line_items,
-			status,
-		} = req.body;
-
-		// Basic validation
-		if (line_items && !Array.isArray(line_items)) {
-			return res.status(400).json({ error: "line_items must be an array" });
+			const invoice = {
+				...invoiceRow,
+				file_url,
+				file_download_url,
+				...details,
+				approval,
+				children: childrenRes.rows,
+			};
+
+			res.json(invoice);
+		} catch (error) {
+			console.error("Get invoice error:", error);
+			res.status(500).json({ error: "Failed to fetch invoice" });
 		}
+	}
+);
 
-		await client.query("BEGIN");
+// PUT /api/invoices/:id - Update invoice + replace line items, tax lines,
+// discounts and charges (transactional, re-validated)
+router.put(
+	"/:id",
+	requireRole("editor"),
+	validate({
+		summary: "Update an invoice and replace its line items (re-validated)",
+		body: INVOICE_UPDATE,
+		responses: {
+			200: "The updated invoice",
+			409: "Invoice is locked, being extracted or claimed by someone else",
+		},
+	}),
+	async (req, res) => {
+		const client = await db.connect();
+		try {
+			const { id } = req.params;
+			const {
+				supplier_name,
+				supplier_tax_id,
+				buyer_tax_id,
+				invoice_number,
+				invoice_date,
+				currency,
+				subtotal,
+				tax_total,
+				total,
+				line_items,
+				tax_lines,
+				discounts,
+				charges,
+				status,
+			} = req.body;
+
+			// "€" / "eur" -> "EUR"; omitted keeps the current currency
+			const currencyCode = normalizeCurrency(currency);
+			if (currency && !currencyCode) {
+				return sendFieldError(
+					res,
+					"body",
+					"currency",
+					`must be an ISO 4217 code (got "${currency}")`
+				);
+			}
+
+			await client.query("BEGIN");
+
+			const before = await client.query(
+				`SELECT supplier_name, supplier_tax_id, status,
+                updated_at >= NOW() - ($2::int * INTERVAL '1 millisecond') AS recently_updated
+         FROM invoices WHERE id = $1 FOR UPDATE`,
+				[id, LOCK_TIMEOUT_MS]
+			);
+
+			if (before.rows.length) {
+				const current = before.rows[0].status;
+				if (isLocked(current)) {
+					await client.query("ROLLBACK");
+					return res
+						.status(409)
+						.json({ error: `Invoice is ${current}; reopen it before editing` });
+				}
+				// the running extraction would overwrite the edit (a run untouched for
+				// EXTRACTION_LOCK_TIMEOUT_MS crashed, as in claimForExtraction)
+				if (current === "EXTRACTING" && before.rows[0].recently_updated) {
+					await client.query("ROLLBACK");
+					return res
+						.status(409)
+						.json({ error: "Invoice is being extracted; try again when it is done" });
+				}
+				if (status) assertTransition(current, status);
+				await assertNotClaimedByOther(client, id, actorOf(req));
+
+				// invoices without history (seeded / pre-existing rows) get their current
+				// state stored first so the edit can be diffed and undone
+				await recordRevision(client, id, { source: "baseline" });
+			}
 
-		const updateResult = await client.query(
-			`UPDATE invoices SET
+			// tax ids / tax_total / tax lines / discounts / charges are kept when omitted;
+			// the saved header counts as reviewed, so low extraction confidence no longer flags it
+			const updateResult = await client.query(
+				`UPDATE invoices SET
         supplier_name = $1,
         invoice_number = $2,
         invoice_date = $3,
-        currency = $4,
+        currency = COALESCE($4, currency,
+          (SELECT o.base_currency FROM organizations o WHERE o.id = invoices.organization_id)),
         subtotal = $5,
         total = $6,
         status = COALESCE($7, status),
+        supplier_tax_id = CASE WHEN $9::boolean THEN $10 ELSE supplier_tax_id END,
+        buyer_tax_id = CASE WHEN $11::boolean THEN $12 ELSE buyer_tax_id END,
+        field_evidence = COALESCE(
+          (SELECT jsonb_object_agg(e.key, e.value || '{"reviewed": true}'::jsonb)
+           FROM jsonb_each(invoices.field_evidence) e),
+          '{}'::jsonb
+        ),
         updated_at = NOW()
       WHERE id = $8
       RETURNING *`,
-			[
-				supplier_name || null,
-				invoice_number || null,
-				invoice_date || null,
-				currency || "USD",
-				subtotal || 0,
-				total || 0,
-				status || null,
+				[
+					supplier_name || null,
+					invoice_number || null,
+					invoice_date || null,
+					currencyCode,
+					subtotal || 0,
+					total || 0,
+					status || null,
+					id,
+					supplier_tax_id !== undefined,
+					supplier_tax_id || null,
+					buyer_tax_id !== undefined,
+					buyer_tax_id || null,
+				]
+			);
+
+			if (updateResult.rows.length === 0) {
+				await client.query("ROLLBACK");
+				return res.status(404).json({ error: "Invoice not found" });
+			}
+
+			// Replace line items (rows saved by a reviewer keep their source, not the model's confidence)
+			await replaceLineItems(
+				client,
 				id,
-			]
-		);
+				(line_items || []).map((li) => ({ ...li, confidence: null }))
+			);
 
-		if (updateResult.rows.length === 0) {
-			await client.query("ROLLBACK");
-			return res.status(404).json({ error: "Invoice not found" });
+			if (Array.isArray(tax_lines)) await replaceTaxLines(client, id, tax_lines);
+			if (Array.isArray(discounts) || Array.isArray(charges)) {
+				const current = await loadInvoiceDetails(client, id);
+				await replaceAdjustments(
+					client,
+					id,
+					Array.isArray(discounts) ? discounts : current.discounts,
+					Array.isArray(charges) ? charges : current.charges
+				);
+			}
+			await refreshTotals(client, id, {
+				taxTotal:
+					tax_total !== undefined ? tax_total : updateResult.rows[0].tax_total,
+			});
+			await refreshBaseAmounts(client, { invoiceId: id });
+
+			await refreshSearchVector(client, id);
+
+			// re-link the supplier when its name or tax id was edited
+			const edited = updateResult.rows[0];
+			if (
+				edited.supplier_name !== before.rows[0].supplier_name ||
+				edited.supplier_tax_id !== before.rows[0].supplier_tax_id
+			) {
+				await matchInvoiceSupplier(client, id);
+			}
+
+			// re-validate the edited values; errors send the invoice to NEEDS_REVIEW
+			await applyValidation(client, id);
+
+			// approvals collected so far were for the old values
+			await voidApprovals(client, id);
+
+			await recordRevision(client, id, {
+				source: status ? "status_change" : "user_edit",
+				actor: actorOf(req),
+			});
+			// a reviewer's claim is done once the invoice left the review queue
+			await settleClaim(client, id);
+			await recordStatusEvent(client, id, before.rows[0].status);
+
+			await client.query("COMMIT");
+
+			const refreshed = await client.query(
+				`SELECT * FROM invoices WHERE id = $1`,
+				[id]
+			);
+			const details = await loadInvoiceDetails(client, id);
+			const response = { ...refreshed.rows[0], ...details };
+			res.json(response);
+		} catch (error) {
+			// Rollback safely
+			try {
+				await client.query("ROLLBACK");
+			} catch (e) {
+				/* ignore */
+			}
+			if (error.status) {
+				return res.status(error.status).json({ error: error.message });
+			}
+			console.error("Update invoice error:", error);
+			res.status(500).json({ error: "Failed to update invoice" });
+		} finally {
+			client.release();
 		}
+	}
+);
+
+// DELETE /api/invoices/:id - Delete invoice and optionally delete file on disk
+// (a split PDF goes with its child invoices; a child leaves the shared file alone)
+router.delete(
+	"/:id",
+	requireRole("admin"),
+	validate({ summary: "Delete an invoice (a split PDF with its children)" }),
+	async (req, res) => {
+		const client = await db.connect();
+		try {
+			const { id } = req.params;
+
+			await client.query("BEGIN");
+
+			// invoice.deleted (also for the children of a split PDF) carries the
+			// invoice as it was, so it is recorded before the rows go
+			const deleting = await client.query(
+				`SELECT id FROM invoices WHERE id = $1 OR parent_invoice_id = $1
+       ORDER BY id ASC FOR UPDATE`,
+				[id]
+			);
+			for (const row of deleting.rows) {
+				await recordInvoiceEvent(client, row.id, "invoice.deleted", {
+					deleted_by: actorOf(req),
+				});
+			}
+
+			// the row goes first: once it is gone no signed URL or download works,
+			// even if removing the file below fails
+			const result = await client.query(
+				`DELETE FROM invoices WHERE id = $1 RETURNING id, file_path`,
+				[id]
+			);
+			if (result.rows.length === 0) {
+				await client.query("ROLLBACK");
+				return res.status(404).json({ error: "Invoice not found" });
+			}
+			await client.query("COMMIT");
 
-		// Replace line items
-		await client.query(`DELETE FROM line_items WHERE invoice_id = $1`, [id]);
-
-		const insertedItems = [];
-		if (Array.isArray(line_items)) {
-			for (const item of line_items) {
-				// coerce numbers safely
-				const qty = parseFloat(item.quantity) || 0;
-				const unit = parseFloat(item.unit_price) || 0;
-				const line_total = parseFloat(item.line_total) || qty * unit;
-
-				const itemResult = await client.query(
-					`INSERT INTO line_items (invoice_id, description, quantity, unit_price, line_total)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING id, description, quantity, unit_price, line_total`,
-					[id, item.description || "", qty, unit, line_total]
+			const filePath = result.rows[0].file_path;
+			const shared = filePath
+				? await client.query(`SELECT 1 FROM invoices WHERE file_path = $1 LIMIT 1`, [filePath])
+				: { rows: [] };
+			if (filePath && !shared.rows.length) {
+				await removeFile(filePath).catch((e) =>
+					console.warn("Failed to delete stored file:", e.message)
 				);
-				insertedItems.push(itemResult.rows[0]);
 			}
-		}
 
-		await client.query("COMMIT");
+			res.json({
+				message: "Invoice deleted successfully",
+				id: result.rows[0].id,
+			});
+		} catch (error) {
+			try {
+				await client.query("ROLLBACK");
+			} catch (e) {
+				/* ignore */
+			}
+			console.error("Delete invoice error:", error);
+			res.status(500).json({ error: "Failed to delete invoice" });
+		} finally {
+			client.release();
+		}
+	}
+);
 
-		const response = { ...updateResult.rows[0], line_items: insertedItems };
-		res.json(response);
-	} catch (error) {
-		// Rollback safely
+// GET /api/invoices/:id/file?download=true - the uploaded file (inline preview,
+// or as an attachment with download=true)
+router.get(
+	"/:id/file",
+	validate({
+		summary: "The uploaded file",
+		query: { download: { ...schemas.flag, description: "As an attachment" } },
+		responses: { 200: "The file" },
+	}),
+	async (req, res) => {
 		try {
-			await client.query("ROLLBACK");
-		} catch (e) {
-			/* ignore */
+			const result = await db.query(
+				`SELECT id, file_path, original_filename, mime_type FROM invoices WHERE id = $1`,
+				[req.params.id]
+			);
+			if (!result.rows[0].file_path)
+				return res.status(404).json({ error: "Invoice has no file" });
+
+			await sendInvoiceFile(
+				res,
+				result.rows[0],
+				req.query.download === "true" ? "attachment" : "inline"
+			);
+		} catch (error) {
+			console.error("Download invoice file error:", error);
+			res.status(500).json({ error: "Failed to download file" });
 		}
-		console.error("Update invoice error:", error);
-		res
-			.status(500)
-			.json({ error: "Failed to update invoice", details: error.message });
-	} finally {
-		client.release();
 	}
-});
+);
 
-// DELETE /api/invoices/:id - Delete invoice and optionally delete file on disk
-router.delete("/:id", async (req, res) => {
-	try {
+
+// POST /api/invoices/:id/extract?provider=gemini|openai|fixture|rules&ocr_lang=eng&async=true&split=false
+// Runs extraction inline, or with async=true queues it and returns 202 with the job.
+// A PDF holding several invoices is split into child invoices (split=false: extract as one)
+router.post(
+	"/:id/extract",
+	requireRole("editor"),
+	validate({
+		summary: "Extract the invoice's data (inline, or queued with async=true)",
+		query: {
+			provider: { type: "string", maxLength: 50, description: "See /api/invoices/providers" },
+			ocr_lang: schemas.ocrLang,
+			async: { type: "string", enum: ["true", "false", "1", "0"], description: "Queue it (202)" },
+			split: { ...schemas.flag, description: "false: extract a multi-invoice PDF as one" },
+		},
+		responses: { 200: "Extraction result", 202: "Extraction queued" },
+	}),
+	async (req, res) => {
 		const { id } = req.params;
+		try {
+			// provider: query param overrides LLM_PROVIDER
+			const providerName = req.query.provider || undefined;
+			if (providerName && !getProvider(providerName)) {
+				return res.status(400).json({
+					error: `Unknown extraction provider: ${providerName}`,
+					providers: listProviders().map((p) => p.name),
+				});
+			}
 
-		// Fetch file_path to remove file from disk if you want
-		const fetch = await db.query(
-			`SELECT file_path FROM invoices WHERE id = $1`,
-			[id]
-		);
-		if (!fetch.rows.length)
-			return res.status(404).json({ error: "Invoice not found" });
+			// tesseract language(s), e.g. "eng" or "eng+hin"; defaults to OCR_LANG
+			const ocrLang = req.query.ocr_lang || undefined;
 
-		const filePath = fetch.rows[0].file_path;
+			if (req.query.async === "true" || req.query.async === "1") {
+				// 404 / 409 like a direct extraction
+				const job = await enqueueExtraction(id, {
+					provider: providerName,
+					ocrLang,
+				});
+				return res.status(202).json({
+					ok: true,
+					message: "Extraction queued",
+					job_id: job.id,
+					job,
+				});
+			}
 
-		const result = await db.query(
-			`DELETE FROM invoices WHERE id = $1 RETURNING id`,
-			[id]
-		);
+			const outcome = await runExtraction(id, {
+				provider: providerName,
+				ocrLang,
+				actor: actorOf(req),
+				split: req.query.split !== "false",
+			});
 
-		if (result.rows.length === 0)
-			return res.status(404).json({ error: "Invoice not found" });
+			if (!outcome.ok) {
+				// return debug info (ok: false). In prod you might hide raw.
+				return res.status(200).json({
+					ok: false,
+					message:
+						"Extraction returned invalid JSON; invoice marked NEEDS_REVIEW",
+					details: outcome.error,
+					provider: outcome.provider,
+					model: outcome.model,
+					fallback_from: outcome.fallback_from,
+					raw: outcome.raw,
+				});
+			}
 
-		// delete file from disk if exists
-		try {
-			if (filePath) {
-				const fullPath = path.isAbsolute(filePath)
-					? filePath
-					: path.join(process.cwd(), filePath);
-				if (fs.existsSync(fullPath)) fs.unlinkSync(fullPath);
+			if (outcome.children) {
+				return res.json({
+					ok: true,
+					message: `PDF holds ${outcome.children.length} invoices; split and queued for extraction`,
+					provider: outcome.provider,
+					invoice: outcome.invoice,
+					children: outcome.children,
+				});
 			}
-		} catch (e) {
-			console.warn("Failed to delete file from disk:", e.message);
-		}
 
-		res.json({
-			message: "Invoice deleted successfully",
-			id: result.rows[0].id,
-		});
-	} catch (error) {
-		console.error("Delete invoice error:", error);
-		res
-			.status(500)
-			.json({ error: "Failed to delete invoice", details: error.message });
+			return res.json({
+				ok: true,
+				message: "Extraction complete",
+				provider: outcome.provider,
+				model: outcome.model,
+				fallback_from: outcome.fallback_from,
+				cross_check: outcome.cross_check,
+				invoice: outcome.invoice,
+				line_items: outcome.line_items,
+				tax_lines: outcome.tax_lines,
+				discounts: outcome.discounts,
+				charges: outcome.charges,
+				duplicate: outcome.duplicate,
+			});
+		} catch (err) {
+			if (err.status) {
+				return res.status(err.status).json({ error: err.message });
+			}
+			// runExtraction has given the invoice back with its previous status
+			console.error("LLM extract error:", err);
+			return res.status(500).json({ error: "Extraction failed" });
+		}
 	}
-});
+);
 
-// POST /api/invoices/:id/extract - Trigger AI extraction (now calling LLM)
-router.post("/:id/extract", async (req, res) => {
-	let client;
-	try {
-		client = await db.connect();
+// POST /api/invoices/:id/split?extract=false { ranges: [{ from, to }, ...] }
+// Split a multi-invoice PDF by hand: one child invoice per page range (1-based,
+// inclusive), queued for extraction unless extract=false. Splitting again
+// replaces the earlier children.
+router.post(
+	"/:id/split",
+	requireRole("editor"),
+	validate({
+		summary: "Split a multi-invoice PDF into child invoices by page range",
+		query: { extract: { ...schemas.flag, description: "false: don't queue the children" } },
+		body: {
+			type: "object",
+			properties: {
+				ranges: {
+					type: "array",
+					minItems: 2,
+					items: {
+						type: "object",
+						properties: {
+							from: { type: "integer", minimum: 1 },
+							to: { type: "integer", minimum: 1 },
+						},
+						required: ["from", "to"],
+					},
+					description: "1-based, inclusive page ranges",
+				},
+			},
+			required: ["ranges"],
+		},
+		responses: { 201: "The parent and its children" },
+	}),
+	async (req, res) => {
 		const { id } = req.params;
+		let client;
+		try {
+			const invRes = await db.query(`SELECT * FROM invoices WHERE id = $1`, [id]);
+			const invoice = invRes.rows[0];
+			if (!invoice.file_path) {
+				return res.status(400).json({ error: "No file associated with invoice" });
+			}
+			if (!isPdf(invoice)) {
+				return res.status(400).json({ error: "Only PDF invoices can be split" });
+			}
+			const pages = await withLocalFile(invoice.file_path, readPdfPages);
 
-		// 1) fetch invoice row to get file_path
-		const invRes = await client.query(`SELECT * FROM invoices WHERE id = $1`, [
-			id,
-		]);
-		if (!invRes.rows.length) {
-			return res.status(404).json({ error: "Invoice not found" });
-		}
-		const invoiceRow = invRes.rows[0];
-		const filePath = invoiceRow.file_path;
-		if (!filePath) {
-			return res.status(400).json({ error: "No file associated with invoice" });
+			client = await db.connect();
+			await client.query("BEGIN");
+			const parentRes = await client.query(
+				`SELECT * FROM invoices WHERE id = $1 FOR UPDATE`,
+				[id]
+			);
+			const children = await splitInvoice(client, parentRes.rows[0], req.body?.ranges, {
+				actor: actorOf(req),
+				pageCount: pages.length,
+				enqueue: req.query.extract !== "false",
+			});
+			await client.query("COMMIT");
+
+			const parent = await client.query(`SELECT * FROM invoices WHERE id = $1`, [id]);
+			res.status(201).json({ invoice: parent.rows[0], children });
+		} catch (error) {
+			if (client) {
+				try {
+					await client.query("ROLLBACK");
+				} catch (e) {
+					/* ignore */
+				}
+			}
+			if (error.status) {
+				return res.status(error.status).json({ error: error.message });
+			}
+			console.error("Split invoice error:", error);
+			res.status(500).json({ error: "Failed to split invoice" });
+		} finally {
+			if (client) client.release();
 		}
+	}
+);
 
-		// 2) call LLM helper (filePath may be relative)
-		const absolutePath = path.isAbsolute(filePath)
-			? filePath
-			: path.join(process.cwd(), filePath);
-		const llmResult = await extractInvoiceFromFile(absolutePath);
-
-		// If LLM failed to produce valid JSON, save raw output and mark NEEDS_REVIEW
-		if (!llmResult.ok) {
-			// Save raw LLM output as JSONB (wrap string into object to keep JSONB)
-			const rawPayload = llmResult.raw
-				? { raw: llmResult.raw }
-				: { error: llmResult.error || "no output" };
-			await client.query(
-				`UPDATE invoices
-         SET raw_llm_json = $1,
-             llm_model = $2,
-             status = 'NEEDS_REVIEW',
-             extraction_at = NOW(),
-             updated_at = NOW()
-         WHERE id = $3`,
-				[rawPayload, process.env.OPENAI_MODEL || null, id]
+// POST /api/invoices/:id/supplier/confirm { supplier_id }
+// Reviewer confirms (or corrects) the matched supplier; the invoice's spelling
+// of the supplier name is added as an alias. Without supplier_id the current
+// match is confirmed.
+router.post(
+	"/:id/supplier/confirm",
+	requireRole("editor"),
+	validate({
+		summary: "Confirm (or correct) the matched supplier",
+		body: {
+			type: "object",
+			properties: {
+				supplier_id: {
+					...schemas.id,
+					type: ["integer", "null"],
+					description: "Omitted: confirm the current match",
+				},
+			},
+		},
+	}),
+	async (req, res) => {
+		const client = await db.connect();
+		try {
+			const { id } = req.params;
+
+			await client.query("BEGIN");
+
+			const invRes = await client.query(
+				`SELECT id, supplier_id, status FROM invoices WHERE id = $1 FOR UPDATE`,
+				[id]
+			);
+			if (!invRes.rows.length) {
+				await client.query("ROLLBACK");
+				return res.status(404).json({ error: "Invoice not found" });
+			}
+			if (isLocked(invRes.rows[0].status)) {
+				await client.query("ROLLBACK");
+				return res
+					.status(409)
+					.json({ error: `Invoice is ${invRes.rows[0].status}; reopen it first` });
+			}
+			await assertNotClaimedByOther(client, id, actorOf(req));
+
+			const supplierId = req.body?.supplier_id ?? invRes.rows[0].supplier_id;
+			if (!supplierId) {
+				await client.query("ROLLBACK");
+				return res
+					.status(400)
+					.json({ error: "supplier_id is required (invoice has no matched supplier)" });
+			}
+
+			const supRes = await client.query(
+				`SELECT id FROM suppliers WHERE id = $1 AND organization_id = $2`,
+				[supplierId, req.user.organization_id]
 			);
+			if (!supRes.rows.length) {
+				await client.query("ROLLBACK");
+				return res.status(400).json({ error: "Supplier not found" });
+			}
+
+			const confirmed = await confirmInvoiceSupplier(client, id, supRes.rows[0].id);
+			const validation = await applyValidation(client, id);
+			await recordRevision(client, id, {
+				source: "review",
+				actor: actorOf(req),
+				note: "Supplier confirmed",
+			});
+			await settleClaim(client, id);
+			await recordStatusEvent(client, id, invRes.rows[0].status);
+
+			await client.query("COMMIT");
 
-			// return debug info (ok: false). In prod you might hide raw.
-			return res.status(200).json({
-				ok: false,
-				message:
-					"Extraction returned invalid JSON; invoice marked NEEDS_REVIEW",
-				details: llmResult.error,
-				raw: llmResult.raw ?? null,
+			const refreshed = await client.query(
+				`SELECT * FROM invoices WHERE id = $1`,
+				[id]
+			);
+			res.json({
+				invoice: refreshed.rows[0],
+				alias: confirmed.alias,
+				validation_issues: validation.issues,
 			});
+		} catch (error) {
+			try {
+				await client.query("ROLLBACK");
+			} catch (e) {
+				/* ignore */
+			}
+			if (error.status) {
+				return res.status(error.status).json({ error: error.message });
+			}
+			console.error("Confirm supplier error:", error);
+			res.status(500).json({ error: "Failed to confirm supplier" });
+		} finally {
+			client.release();
 		}
+	}
+);
 
-		// parsed JSON from LLM
-		const parsed = llmResult.parsed || {};
-		console.log("Parsed Values are: ", parsed);
-		// 3) Persist extracted fields transactionally
-		await client.query("BEGIN");
+// GET /api/invoices/:id/ubl - stored invoice as a UBL 2.1 Invoice document
+router.get(
+	"/:id/ubl",
+	validate({
+		summary: "The invoice as a UBL 2.1 document",
+		query: { download: { ...schemas.flag, description: "As an attachment" } },
+		responses: { 200: "UBL XML" },
+	}),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+
+			const invoiceResult = await db.query(
+				`SELECT * FROM invoices WHERE id = $1`,
+				[id]
+			);
+			if (invoiceResult.rows.length === 0)
+				return res.status(404).json({ error: "Invoice not found" });
 
-		// sanitize / coerce values to DB-friendly types
-		const supplier_name = parsed.supplier_name ?? null;
-		const invoice_number = parsed.invoice_number ?? null;
-		const confidence = parsed.confidence ?? null;
+			const invoice = invoiceResult.rows[0];
+			const details = await loadInvoiceDetails(db, id);
+			const xml = buildUblInvoice(invoice, details);
 
-		let invoice_date = null;
-		if (parsed.invoice_date) {
-			const d = new Date(parsed.invoice_date);
-			if (!Number.isNaN(d.getTime()))
-				invoice_date = d.toISOString().slice(0, 10); // YYYY-MM-DD
+			const name = String(invoice.invoice_number || `invoice-${invoice.id}`).replace(
+				/[^A-Za-z0-9._-]/g,
+				"_"
+			);
+			res.setHeader("Content-Type", "application/xml; charset=utf-8");
+			if (req.query.download === "true") {
+				res.setHeader("Content-Disposition", `attachment; filename="${name}.xml"`);
+			}
+			res.send(xml);
+		} catch (error) {
+			console.error("UBL export error:", error);
+			res.status(500).json({ error: "Failed to build UBL invoice" });
 		}
+	}
+);
 
-		const currency = parsed.currency ?? invoiceRow.currency ?? "INR";
-
-		const subtotal =
-			parsed.subtotal !== undefined && parsed.subtotal !== null
-				? parseFloat(parsed.subtotal) || 0
-				: invoiceRow.subtotal !== null
-				? Number(invoiceRow.subtotal)
-				: 0;
-
-		const total =
-			parsed.total !== undefined && parsed.total !== null
-				? parseFloat(parsed.total) || 0
-				: invoiceRow.total !== null
-				? Number(invoiceRow.total)
-				: 0;
-
-		// Prepare raw JSONB to store: prefer parsed object, but preserve raw text as fallback
-		const rawToStore =
-			typeof llmResult.raw === "string" && llmResult.raw.trim().length > 0
-				? (() => {
-						try {
-							// if raw is valid JSON string, parse it into JSONB
-							const maybe = JSON.parse(llmResult.raw);
-							return maybe;
-						} catch (e) {
-							// otherwise store parsed + raw text for debugging
-							return { parsed, raw: llmResult.raw };
-						}
-				  })()
-				: parsed;
-
-		// Update invoice (includes raw_llm_json, llm_model, extraction_at)
-		await client.query(
-			`UPDATE invoices SET
-         supplier_name = $1,
-         invoice_number = $2,
-         invoice_date = $3,
-         currency = $4,
-         subtotal = $5,
-         total = $6,
-         raw_llm_json = $7,
-         llm_model = $8,
-         extraction_at = NOW(),
-         status = 'EXTRACTED',
-         updated_at = NOW(),
-				 confidence = $10
-       WHERE id = $9`,
-			[
-				supplier_name,
-				invoice_number,
-				invoice_date,
-				currency,
-				subtotal,
-				total,
-				rawToStore,
-				process.env.OPENAI_MODEL || null,
-				id,
-				confidence,
-			]
-		);
+// POST /api/invoices/:id/not-duplicate { note } - reviewer override of a
+// POSSIBLE_DUPLICATE flag; later extractions skip the duplicate check
+router.post(
+	"/:id/not-duplicate",
+	requireRole("editor"),
+	validate({
+		summary: "Override a POSSIBLE_DUPLICATE flag",
+		body: NOTE_BODY,
+	}),
+	async (req, res) => {
+		const client = await db.connect();
+		try {
+			const { id } = req.params;
+			const note = req.body?.note ? String(req.body.note) : null;
 
-		// Replace line items (atomic)
-		await client.query(`DELETE FROM line_items WHERE invoice_id = $1`, [id]);
-
-		const parsedItems = Array.isArray(parsed.line_items)
-			? parsed.line_items
-			: [];
-		for (const li of parsedItems) {
-			const description = li.description ?? "";
-			const quantity =
-				li.quantity !== undefined && li.quantity !== null
-					? parseFloat(li.quantity) || 0
-					: 0;
-			const unit_price =
-				li.unit_price !== undefined && li.unit_price !== null
-					? parseFloat(li.unit_price) || 0
-					: 0;
-			const line_total =
-				li.line_total !== undefined && li.line_total !== null
-					? parseFloat(li.line_total) || quantity * unit_price
-					: quantity * unit_price;
+			await client.query("BEGIN");
 
+			const invRes = await client.query(
+				`SELECT id, status, duplicate_of_id FROM invoices WHERE id = $1 FOR UPDATE`,
+				[id]
+			);
+			if (!invRes.rows.length) {
+				await client.query("ROLLBACK");
+				return res.status(404).json({ error: "Invoice not found" });
+			}
+			if (isLocked(invRes.rows[0].status)) {
+				await client.query("ROLLBACK");
+				return res
+					.status(409)
+					.json({ error: `Invoice is ${invRes.rows[0].status}; reopen it first` });
+			}
+			await assertNotClaimedByOther(client, id, actorOf(req));
+
+			const wasFlagged = invRes.rows[0].status === "POSSIBLE_DUPLICATE";
 			await client.query(
-				`INSERT INTO line_items (invoice_id, description, quantity, unit_price, line_total, created_at)
-         VALUES ($1, $2, $3, $4, $5, NOW())`,
-				[id, description, quantity, unit_price, line_total]
+				`UPDATE invoices SET
+         duplicate_of_id = NULL,
+         duplicate_override = TRUE,
+         duplicate_override_note = $1,
+         duplicate_override_at = NOW(),
+         status = CASE WHEN $2::boolean THEN 'EXTRACTED' ELSE status END,
+         updated_at = NOW()
+       WHERE id = $3`,
+				[note, wasFlagged, id]
 			);
+
+			// back to EXTRACTED unless validation still finds an error
+			const validation = await applyValidation(client, id);
+			await recordRevision(client, id, {
+				source: "review",
+				actor: actorOf(req),
+				note: note || "Marked as not a duplicate",
+			});
+			await settleClaim(client, id);
+			await recordStatusEvent(client, id, invRes.rows[0].status);
+
+			await client.query("COMMIT");
+
+			const refreshed = await client.query(
+				`SELECT * FROM invoices WHERE id = $1`,
+				[id]
+			);
+			res.json({
+				invoice: refreshed.rows[0],
+				previous_duplicate_of: invRes.rows[0].duplicate_of_id,
+				validation_issues: validation.issues,
+			});
+		} catch (error) {
+			try {
+				await client.query("ROLLBACK");
+			} catch (e) {
+				/* ignore */
+			}
+			if (error.status) {
+				return res.status(error.status).json({ error: error.message });
+			}
+			console.error("Duplicate override error:", error);
+			res.status(500).json({ error: "Failed to override duplicate" });
+		} finally {
+			client.release();
 		}
+	}
+);
 
-		await client.query("COMMIT");
+/**
+ * Run a status workflow action on the invoice (row locked) in one transaction,
+ * record it as a revision and respond with the invoice and its approvals.
+ * action(client, invoice) returns the revision note.
+ */
+async function workflowAction(req, res, label, action) {
+	const client = await db.connect();
+	try {
+		const { id } = req.params;
+
+		await client.query("BEGIN");
 
-		// refetch updated invoice + items
-		const updated = await client.query(`SELECT * FROM invoices WHERE id = $1`, [
-			id,
-		]);
-		const items = await client.query(
-			`SELECT id, description, quantity, unit_price, line_total, created_at FROM line_items WHERE invoice_id = $1 ORDER BY id ASC`,
+		const invRes = await client.query(
+			`SELECT * FROM invoices WHERE id = $1 FOR UPDATE`,
 			[id]
 		);
+		if (!invRes.rows.length) {
+			await client.query("ROLLBACK");
+			return res.status(404).json({ error: "Invoice not found" });
+		}
 
-		return res.json({
-			ok: true,
-			message: "Extraction complete",
-			invoice: updated.rows[0],
-			line_items: items.rows,
+		// keep the state before the action for invoices without history
+		await recordRevision(client, id, { source: "baseline" });
+		const note = await action(client, invRes.rows[0]);
+		await recordRevision(client, id, {
+			source: "status_change",
+			actor: actorOf(req),
+			note,
 		});
-	} catch (err) {
+		await settleClaim(client, id);
+		await recordStatusEvent(client, id, invRes.rows[0].status);
+
+		await client.query("COMMIT");
+
+		const refreshed = await client.query(
+			`SELECT * FROM invoices WHERE id = $1`,
+			[id]
+		);
+		const approval = await approvalState(client, refreshed.rows[0]);
+		res.json({ invoice: refreshed.rows[0], approval });
+	} catch (error) {
 		try {
-			if (client) await client.query("ROLLBACK");
+			await client.query("ROLLBACK");
 		} catch (e) {
-			/* ignore rollback errors */
+			/* ignore */
 		}
-		console.error("LLM extract error:", err);
-		return res.status(500).json({
-			error: "Extraction failed",
-			details: err?.message || String(err),
-		});
+		if (error.status) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error(`${label} error:`, error);
+		res.status(500).json({ error: `Failed to ${label.toLowerCase()}` });
 	} finally {
+		client.release();
+	}
+}
+
+// POST /api/invoices/:id/approve { note } - one approval; the invoice becomes
+// APPROVED once it has the approvers its total requires (APPROVAL_THRESHOLDS)
+router.post(
+	"/:id/approve",
+	requireRole("approver"),
+	validate({
+		summary: "Approve (APPROVED once the total's required approvals are in)",
+		body: NOTE_BODY,
+	}),
+	(req, res) =>
+		workflowAction(req, res, "Approve invoice", async (client, invoice) => {
+			const result = await approveInvoice(client, invoice, {
+				actor: actorOf(req),
+				note: req.body?.note ? String(req.body.note) : null,
+			});
+			return result.status === "APPROVED"
+				? "Approved"
+				: `Approval ${result.received} of ${result.required}`;
+		})
+);
+
+// POST /api/invoices/:id/reject { reason }
+router.post(
+	"/:id/reject",
+	requireRole("approver"),
+	validate({
+		summary: "Reject the invoice",
+		body: {
+			type: "object",
+			properties: { reason: { type: "string", minLength: 1, maxLength: 2000 } },
+			required: ["reason"],
+		},
+	}),
+	(req, res) =>
+		workflowAction(req, res, "Reject invoice", async (client, invoice) => {
+			await rejectInvoice(client, invoice, {
+				actor: actorOf(req),
+				reason: req.body?.reason,
+			});
+			return `Rejected: ${String(req.body.reason).trim()}`;
+		})
+);
+
+// POST /api/invoices/:id/reopen { reason } - APPROVED / REJECTED -> NEEDS_REVIEW
+router.post(
+	"/:id/reopen",
+	requireRole("approver"),
+	validate({
+		summary: "Reopen an approved or rejected invoice (NEEDS_REVIEW)",
+		body: {
+			type: "object",
+			properties: { reason: { type: ["string", "null"], maxLength: 2000 } },
+		},
+	}),
+	(req, res) =>
+		workflowAction(req, res, "Reopen invoice", async (client, invoice) => {
+			await reopenInvoice(client, invoice);
+			return req.body?.reason ? `Reopened: ${req.body.reason}` : "Reopened";
+		})
+);
+
+// POST /api/invoices/:id/paid - EXPORTED -> PAID
+router.post(
+	"/:id/paid",
+	requireRole("approver"),
+	validate({ summary: "Mark an exported invoice paid" }),
+	(req, res) =>
+		workflowAction(req, res, "Mark invoice paid", async (client, invoice) => {
+			await markInvoicePaid(client, invoice);
+			return "Paid";
+		})
+);
+
+// GET /api/invoices/:id/history - revisions, oldest first (?include=snapshot)
+router.get(
+	"/:id/history",
+	validate({
+		summary: "Revisions of the invoice, oldest first",
+		query: { include: { type: "string", enum: ["snapshot"] } },
+	}),
+	async (req, res) => {
 		try {
-			if (client) client.release();
-		} catch (e) {
-			// ignore
+			const { id } = req.params;
+
+			const invRes = await db.query(`SELECT id FROM invoices WHERE id = $1`, [
+				id,
+			]);
+			if (!invRes.rows.length)
+				return res.status(404).json({ error: "Invoice not found" });
+
+			const revisions = await listRevisions(db, id);
+			if (req.query.include === "snapshot") {
+				for (const rev of revisions) {
+					rev.snapshot = (await getRevision(db, id, rev.revision)).snapshot;
+				}
+			}
+			res.json({ invoice_id: invRes.rows[0].id, revisions });
+		} catch (error) {
+			console.error("Invoice history error:", error);
+			res.status(500).json({ error: "Failed to fetch invoice history" });
 		}
 	}
-});
+);
+
+// GET /api/invoices/:id/revisions/diff?from=1&to=3 - field-level diff
+// (to defaults to the latest revision)
+router.get(
+	"/:id/revisions/diff",
+	validate({
+		summary: "Field-level diff between two revisions",
+		query: {
+			from: { type: "integer", minimum: 1, required: true },
+			to: { type: "integer", minimum: 1, description: "Defaults to the latest revision" },
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+			const from = parseInt(req.query.from, 10);
+
+			const revisions = await listRevisions(db, id);
+			if (!revisions.length)
+				return res.status(404).json({ error: "Invoice has no revisions" });
+			const to = req.query.to
+				? parseInt(req.query.to, 10)
+				: revisions[revisions.length - 1].revision;
+
+			const a = await getRevision(db, id, from);
+			const b = await getRevision(db, id, to);
+			if (!a || !b)
+				return res.status(404).json({ error: "Revision not found" });
+
+			res.json({
+				invoice_id: Number(id),
+				from: a.revision,
+				to: b.revision,
+				diff: diffSnapshots(a.snapshot, b.snapshot),
+			});
+		} catch (error) {
+			console.error("Revision diff error:", error);
+			res.status(500).json({ error: "Failed to diff revisions" });
+		}
+	}
+);
+
+// GET /api/invoices/:id/revisions/:rev - one revision with its snapshot
+router.get(
+	"/:id/revisions/:rev",
+	validate({
+		summary: "One revision with its snapshot",
+		params: { rev: { type: "integer", minimum: 1, maximum: 2147483647 } },
+	}),
+	async (req, res) => {
+		try {
+			const rev = await getRevision(db, req.params.id, parseInt(req.params.rev, 10) || 0);
+			if (!rev) return res.status(404).json({ error: "Revision not found" });
+			res.json(rev);
+		} catch (error) {
+			console.error("Get revision error:", error);
+			res.status(500).json({ error: "Failed to fetch revision" });
+		}
+	}
+);
+
+// POST /api/invoices/:id/revisions/:rev/restore - put the invoice back to a
+// revision (recorded as a new "restore" revision, re-validated)
+router.post(
+	"/:id/revisions/:rev/restore",
+	requireRole("editor"),
+	validate({
+		summary: "Put the invoice back to a revision (recorded as a new revision)",
+		params: { rev: { type: "integer", minimum: 1, maximum: 2147483647 } },
+	}),
+	async (req, res) => {
+		const client = await db.connect();
+		try {
+			const { id } = req.params;
+			const revision = parseInt(req.params.rev, 10) || 0;
+
+			await client.query("BEGIN");
+
+			const invRes = await client.query(
+				`SELECT id, status FROM invoices WHERE id = $1 FOR UPDATE`,
+				[id]
+			);
+			if (!invRes.rows.length) {
+				await client.query("ROLLBACK");
+				return res.status(404).json({ error: "Invoice not found" });
+			}
+			if (isLocked(invRes.rows[0].status)) {
+				await client.query("ROLLBACK");
+				return res
+					.status(409)
+					.json({ error: `Invoice is ${invRes.rows[0].status}; reopen it first` });
+			}
+			await assertNotClaimedByOther(client, id, actorOf(req));
+
+			if (!(await restoreRevision(client, id, revision))) {
+				await client.query("ROLLBACK");
+				return res.status(404).json({ error: "Revision not found" });
+			}
+
+			await refreshSearchVector(client, id);
+			await applyValidation(client, id);
+			await voidApprovals(client, id);
+			const recorded = await recordRevision(client, id, {
+				source: "restore",
+				actor: actorOf(req),
+				note: `Restored revision ${revision}`,
+			});
+			await settleClaim(client, id);
+			await recordStatusEvent(client, id, invRes.rows[0].status);
+
+			await client.query("COMMIT");
+
+			const refreshed = await client.query(
+				`SELECT * FROM invoices WHERE id = $1`,
+				[id]
+			);
+			const details = await loadInvoiceDetails(client, id);
+			res.json({
+				...refreshed.rows[0],
+				...details,
+				revision: recorded ? recorded.revision : null,
+			});
+		} catch (error) {
+			try {
+				await client.query("ROLLBACK");
+			} catch (e) {
+				/* ignore */
+			}
+			if (error.status) {
+				return res.status(error.status).json({ error: error.message });
+			}
+			console.error("Restore revision error:", error);
+			res.status(500).json({ error: "Failed to restore revision" });
+		} finally {
+			client.release();
+		}
+	}
+);
+
+// GET /api/invoices/:id/jobs - extraction job history / progress
+router.get(
+	"/:id/jobs",
+	validate({ summary: "Extraction jobs of the invoice" }),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+
+			const invRes = await db.query(
+				`SELECT id, status FROM invoices WHERE id = $1`,
+				[id]
+			);
+			if (!invRes.rows.length)
+				return res.status(404).json({ error: "Invoice not found" });
+
+			const jobs = await listJobsForInvoice(id);
+			res.json({
+				invoice_id: invRes.rows[0].id,
+				invoice_status: invRes.rows[0].status,
+				jobs,
+			});
+		} catch (error) {
+			console.error("List extraction jobs error:", error);
+			res.status(500).json({ error: "Failed to fetch extraction jobs" });
+		}
+	}
+);
 
 module.exports = router;
@@ -0,0 +1,77 @@
+const express = require("express");
+const db = require("../db/index");
+const router = express.Router();
+const { validate } = require("../middleware/validate");
+const { FILTER_QUERY } = require("../services/invoice-search");
+const { REPORTS, PERIODS, listReports, runReport } = require("../services/reports");
+const { csvLine } = require("../services/export");
+
+// GET /api/reports - available reports and their extra parameters
+router.get(
+	"/",
+	validate({ summary: "Available reports and their extra parameters" }),
+	(req, res) => {
+		res.json({ reports: listReports() });
+	}
+);
+
+// GET /api/reports/:name?format=json|csv&period=month|quarter|year&limit=
+// (+ any list filter: status, supplier_id, supplier, currency, date_from, date_to,
+// total_min, total_max, confidence_min, confidence_max, q)
+router.get(
+	"/:name",
+	validate({
+		summary: "Run a report",
+		params: { name: { type: "string", enum: Object.keys(REPORTS) } },
+		query: {
+			...FILTER_QUERY,
+			format: { type: "string", enum: ["json", "csv"] },
+			period: { type: "string", enum: Object.keys(PERIODS) },
+			limit: { type: "integer", minimum: 1, description: "Rows (at most 1000)" },
+		},
+		responses: { 200: "Report rows (JSON or a CSV download)" },
+	}),
+	async (req, res) => {
+		try {
+			const format = String(req.query.format || "json").toLowerCase();
+
+			const result = await runReport(
+				db,
+				req.params.name,
+				req.query,
+				req.user.organization_id
+			);
+
+			if (format === "csv") {
+				const stamp = new Date().toISOString().slice(0, 10);
+				res.setHeader("Content-Type", "text/csv; charset=utf-8");
+				res.setHeader(
+					"Content-Disposition",
+					`attachment; filename="${result.report}-${stamp}.csv"`
+				);
+				res.write(csvLine(result.columns));
+				for (const row of result.rows) {
+					res.write(csvLine(result.columns.map((c) => row[c])));
+				}
+				return res.end();
+			}
+
+			const { report, description, base_currency, rows } = result;
+			res.json({
+				report,
+				description,
+				base_currency,
+				generated_at: new Date().toISOString(),
+				rows,
+			});
+		} catch (error) {
+			if (error.status) {
+				return res.status(error.status).json({ error: error.message });
+			}
+			console.error("Report error:", error);
+			res.status(500).json({ error: "Failed to run report" });
+		}
+	}
+);
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require("express");
+const db = require("../db/index");
+const router = express.Router();
+const { requireRole } = require("../middleware/auth");
+const { validate, validateParam, schemas } = require("../middleware/validate");
+const { hasRole } = require("../services/auth");
+const { loadInvoiceDetails } = require("../services/invoice-details");
+const { signedFileUrl } = require("../services/files");
+const {
+	QUEUE_STATUSES,
+	listQueue,
+	claimInvoice,
+	releaseClaim,
+	claimNext,
+	reviewerStats,
+} = require("../services/review-queue");
+
+// invoices of other organizations don't exist as far as the caller can tell
+router.param("id", validateParam(schemas.id));
+router.param("id", async (req, res, next, id) => {
+	try {
+		const result = await db.query(
+			`SELECT id FROM invoices WHERE id = $1 AND organization_id = $2`,
+			[parseInt(id, 10) || 0, req.user.organization_id]
+		);
+		if (!result.rows.length)
+			return res.status(404).json({ error: "Invoice not found" });
+		next();
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * Run fn(client) in a transaction and send its result; err.status becomes the
+ * response status
+ */
+async function claimAction(req, res, label, fn) {
+	const client = await db.connect();
+	try {
+		await client.query("BEGIN");
+		const result = await fn(client);
+		await client.query("COMMIT");
+		res.json(result);
+	} catch (error) {
+		try {
+			await client.query("ROLLBACK");
+		} catch (e) {
+			/* ignore */
+		}
+		if (error.status) {
+			return res
+				.status(error.status)
+				.json({ error: error.message, claim: error.claim || undefined });
+		}
+		console.error(`${label} error:`, error);
+		res.status(500).json({ error: `Failed to ${label.toLowerCase()}` });
+	} finally {
+		client.release();
+	}
+}
+
+// GET /api/review-queue?status=NEEDS_REVIEW,POSSIBLE_DUPLICATE&unclaimed=true&page=&limit=
+// Invoices waiting for review, highest priority first (low confidence,
+// validation errors, high amount, waiting time)
+router.get(
+	"/",
+	validate({
+		summary: "Invoices waiting for review, highest priority first",
+		query: {
+			status: { type: "array", items: { type: "string", enum: QUEUE_STATUSES } },
+			unclaimed: schemas.flag,
+			page: schemas.page,
+			limit: schemas.limit(100),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const statuses = req.query.status
+				? String(req.query.status).split(",").map((s) => s.trim().toUpperCase())
+				: QUEUE_STATUSES;
+
+			const page = Math.max(1, parseInt(req.query.page || "1", 10));
+			const limit = Math.min(100, parseInt(req.query.limit || "25", 10));
+			const queue = await listQueue(db, req.user.organization_id, {
+				statuses,
+				unclaimed: req.query.unclaimed === "true",
+				limit,
+				offset: (page - 1) * limit,
+			});
+			res.json({ page, limit, ...queue });
+		} catch (error) {
+			console.error("Review queue error:", error);
+			res.status(500).json({ error: "Failed to fetch review queue" });
+		}
+	}
+);
+
+// GET /api/review-queue/stats?from=2025-11-01&to=2025-12-01
+// Claims, completed / released / expired reviews and average review time per reviewer
+router.get(
+	"/stats",
+	validate({
+		summary: "Claims and review times per reviewer",
+		query: { from: schemas.dateTime, to: schemas.dateTime },
+	}),
+	async (req, res) => {
+		try {
+			const range = {};
+			for (const key of ["from", "to"]) {
+				if (req.query[key]) range[key] = new Date(String(req.query[key])).toISOString();
+			}
+			const reviewers = await reviewerStats(db, req.user.organization_id, range);
+			res.json({ from: range.from || null, to: range.to || null, reviewers });
+		} catch (error) {
+			console.error("Review stats error:", error);
+			res.status(500).json({ error: "Failed to fetch review stats" });
+		}
+	}
+);
+
+// POST /api/review-queue/next?skip=true
+// Claim the highest-priority unclaimed invoice and return it with its line items
+// and file URL. The caller's current claim is returned again until the invoice
+// leaves the queue; skip=true hands it back and moves on.
+router.post(
+	"/next",
+	requireRole("editor"),
+	validate({
+		summary: "Claim the highest-priority unclaimed invoice",
+		query: { skip: { ...schemas.flag, description: "Hand the current claim back and move on" } },
+	}),
+	(req, res) =>
+		claimAction(req, res, "Claim next invoice", async (client) => {
+			const next = await claimNext(client, req.user.organization_id, req.user.actor, {
+				skip: req.query.skip === "true",
+			});
+			if (!next) return { claim: null, invoice: null, message: "Review queue is empty" };
+
+			const invRes = await client.query(`SELECT * FROM invoices WHERE id = $1`, [
+				next.claim.invoice_id,
+			]);
+			const invoice = invRes.rows[0];
+			const details = await loadInvoiceDetails(client, invoice.id);
+			return {
+				claim: next.claim,
+				resumed: next.resumed,
+				invoice: { ...invoice, file_url: signedFileUrl(invoice), ...details },
+			};
+		})
+);
+
+// POST /api/review-queue/:id/claim - lock the invoice to the caller for
+// REVIEW_CLAIM_TTL_MINUTES (claiming again extends it)
+router.post(
+	"/:id/claim",
+	requireRole("editor"),
+	validate({
+		summary: "Claim an invoice (claiming again extends the claim)",
+		responses: { 200: "The claim", 409: "Claimed by someone else" },
+	}),
+	(req, res) =>
+		claimAction(req, res, "Claim invoice", async (client) => {
+			const invRes = await client.query(
+				`SELECT id, status FROM invoices WHERE id = $1 FOR UPDATE`,
+				[req.params.id]
+			);
+			return { claim: await claimInvoice(client, invRes.rows[0], req.user.actor) };
+		})
+);
+
+// POST /api/review-queue/:id/release?force=true - hand the invoice back to the
+// queue (force: admins release someone else's claim)
+router.post(
+	"/:id/release",
+	requireRole("editor"),
+	validate({
+		summary: "Release a claim",
+		query: { force: { ...schemas.flag, description: "Admins: release someone else's claim" } },
+	}),
+	(req, res) =>
+		claimAction(req, res, "Release invoice", async (client) => ({
+			claim: await releaseClaim(client, parseInt(req.params.id, 10), req.user.actor, {
+				force: req.query.force === "true" && hasRole(req.user.role, "admin"),
+			}),
+		}))
+);
+
+module.exports = router;
@@ -0,0 +1,396 @@
+const express = require("express");
+const db = require("../db/index");
+const router = express.Router();
+const { requireRole } = require("../middleware/auth");
+const {
+	validate,
+	validateParam,
+	sendFieldError,
+	schemas,
+} = require("../middleware/validate");
+const {
+	normalizeSupplierName,
+	normalizeTaxId,
+	findSupplierMatch,
+	addSupplierAlias,
+} = require("../services/supplier-matching");
+const { normalizeCurrency } = require("../services/currency");
+
+// unique violation on normalized_name / tax_id / normalized_alias
+function isUniqueViolation(error) {
+	return error && error.code === "23505";
+}
+
+async function loadAliases(supplierId) {
+	const result = await db.query(
+		`SELECT id, alias, normalized_alias, source, created_at
+     FROM supplier_aliases WHERE supplier_id = $1 ORDER BY id ASC`,
+		[supplierId]
+	);
+	return result.rows;
+}
+
+const SUPPLIER_FIELDS = {
+	canonical_name: { type: "string", maxLength: 255 },
+	tax_id: { type: ["string", "null"], maxLength: 50 },
+	default_currency: { ...schemas.currency, type: ["string", "null"] },
+};
+
+// suppliers of other organizations don't exist as far as the caller can tell
+router.param("id", validateParam(schemas.id));
+router.param("id", async (req, res, next, id) => {
+	try {
+		const result = await db.query(
+			`SELECT id FROM suppliers WHERE id = $1 AND organization_id = $2`,
+			[parseInt(id, 10) || 0, req.user.organization_id]
+		);
+		if (!result.rows.length)
+			return res.status(404).json({ error: "Supplier not found" });
+		next();
+	} catch (error) {
+		next(error);
+	}
+});
+
+// GET /api/suppliers?q=acme - List with pagination (q: fuzzy name / alias search)
+router.get(
+	"/",
+	validate({
+		summary: "List suppliers",
+		query: {
+			q: { type: "string", maxLength: 255, description: "Fuzzy name / alias search" },
+			page: schemas.page,
+			limit: schemas.limit(100),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const page = Math.max(1, parseInt(req.query.page || "1", 10));
+			const limit = Math.min(100, parseInt(req.query.limit || "25", 10));
+			const offset = (page - 1) * limit;
+			const q = normalizeSupplierName(req.query.q) || null;
+
+			const result = await db.query(
+				`
+      SELECT
+        s.id, s.canonical_name, s.normalized_name, s.tax_id, s.default_currency,
+        s.created_at, s.updated_at,
+        (SELECT COUNT(*)::int FROM invoices i WHERE i.supplier_id = s.id) AS invoice_count
+      FROM suppliers s
+      WHERE s.organization_id = $4
+        AND ($1::varchar IS NULL
+         OR s.normalized_name % $1
+         OR s.normalized_name LIKE '%' || $1 || '%'
+         OR EXISTS (
+           SELECT 1 FROM supplier_aliases a
+           WHERE a.supplier_id = s.id AND (a.normalized_alias % $1 OR a.normalized_alias LIKE '%' || $1 || '%')
+         ))
+      ORDER BY CASE WHEN $1::varchar IS NULL THEN 0 ELSE similarity(s.normalized_name, $1) END DESC,
+               s.canonical_name ASC
+      LIMIT $2 OFFSET $3
+    `,
+				[q, limit, offset, req.user.organization_id]
+			);
+
+			const countRes = await db.query(
+				`SELECT COUNT(*)::int AS total FROM suppliers s
+       WHERE s.organization_id = $2
+         AND ($1::varchar IS NULL
+          OR s.normalized_name % $1
+          OR s.normalized_name LIKE '%' || $1 || '%'
+          OR EXISTS (
+            SELECT 1 FROM supplier_aliases a
+            WHERE a.supplier_id = s.id AND (a.normalized_alias % $1 OR a.normalized_alias LIKE '%' || $1 || '%')
+          ))`,
+				[q, req.user.organization_id]
+			);
+			const total = countRes.rows[0].total || 0;
+
+			res.json({ page, limit, total, suppliers: result.rows });
+		} catch (error) {
+			console.error("List suppliers error:", error);
+			res.status(500).json({ error: "Failed to fetch suppliers" });
+		}
+	}
+);
+
+// POST /api/suppliers/match { supplier_name, supplier_tax_id } - preview the matcher
+router.post(
+	"/match",
+	validate({
+		summary: "Preview which supplier an invoice would be matched to",
+		body: {
+			type: "object",
+			properties: {
+				supplier_name: { type: ["string", "null"], maxLength: 255 },
+				supplier_tax_id: { type: ["string", "null"], maxLength: 50 },
+			},
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { supplier_name, supplier_tax_id } = req.body || {};
+			if (!supplier_name && !supplier_tax_id) {
+				return sendFieldError(res, "body", "supplier_name", "or supplier_tax_id is required");
+			}
+
+			const match = await findSupplierMatch({
+				name: supplier_name,
+				taxId: supplier_tax_id,
+				organizationId: req.user.organization_id,
+			});
+			if (!match) return res.json({ match: null });
+
+			const supRes = await db.query(`SELECT * FROM suppliers WHERE id = $1`, [
+				match.supplier_id,
+			]);
+			res.json({ match: { ...match, supplier: supRes.rows[0] } });
+		} catch (error) {
+			console.error("Match supplier error:", error);
+			res.status(500).json({ error: "Failed to match supplier" });
+		}
+	}
+);
+
+// GET /api/suppliers/:id - detail with aliases
+router.get("/:id", validate({ summary: "Supplier with its aliases" }), async (req, res) => {
+	try {
+		const { id } = req.params;
+
+		const result = await db.query(`SELECT * FROM suppliers WHERE id = $1`, [
+			id,
+		]);
+		if (!result.rows.length)
+			return res.status(404).json({ error: "Supplier not found" });
+
+		const aliases = await loadAliases(id);
+		res.json({ ...result.rows[0], aliases });
+	} catch (error) {
+		console.error("Get supplier error:", error);
+		res.status(500).json({ error: "Failed to fetch supplier" });
+	}
+});
+
+// POST /api/suppliers { canonical_name, tax_id, default_currency, aliases: [] }
+router.post(
+	"/",
+	requireRole("editor"),
+	validate({
+		summary: "Create a supplier",
+		body: {
+			type: "object",
+			properties: {
+				...SUPPLIER_FIELDS,
+				aliases: { type: "array", items: { type: "string", maxLength: 255 } },
+			},
+			required: ["canonical_name"],
+		},
+		responses: { 201: "The supplier", 409: "Name or tax ID already exists" },
+	}),
+	async (req, res) => {
+		const client = await db.connect();
+		try {
+			const { canonical_name, tax_id, default_currency, aliases } = req.body || {};
+
+			const normalized = normalizeSupplierName(canonical_name);
+			if (!normalized) {
+				return sendFieldError(res, "body", "canonical_name", "must not be empty");
+			}
+			if (default_currency && !normalizeCurrency(default_currency)) {
+				return sendFieldError(res, "body", "default_currency", "must be an ISO 4217 code");
+			}
+
+			await client.query("BEGIN");
+
+			const result = await client.query(
+				`INSERT INTO suppliers (organization_id, canonical_name, normalized_name, tax_id, default_currency, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       RETURNING *`,
+				[
+					req.user.organization_id,
+					String(canonical_name).trim(),
+					normalized,
+					normalizeTaxId(tax_id),
+					normalizeCurrency(default_currency),
+				]
+			);
+			const supplier = result.rows[0];
+
+			for (const alias of aliases || []) {
+				await addSupplierAlias(client, supplier.id, alias, "manual");
+			}
+
+			await client.query("COMMIT");
+
+			res.status(201).json({ ...supplier, aliases: await loadAliases(supplier.id) });
+		} catch (error) {
+			try {
+				await client.query("ROLLBACK");
+			} catch (e) {
+				/* ignore */
+			}
+			if (isUniqueViolation(error)) {
+				return res
+					.status(409)
+					.json({ error: "A supplier with this name or tax ID already exists" });
+			}
+			console.error("Create supplier error:", error);
+			res.status(500).json({ error: "Failed to create supplier" });
+		} finally {
+			client.release();
+		}
+	}
+);
+
+// PUT /api/suppliers/:id - Update canonical name / tax id / default currency
+// (fields are kept when omitted)
+router.put(
+	"/:id",
+	requireRole("editor"),
+	validate({
+		summary: "Update a supplier (omitted fields are kept)",
+		body: { type: "object", properties: SUPPLIER_FIELDS },
+		responses: { 200: "The supplier", 409: "Name or tax ID already exists" },
+	}),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+			const { canonical_name, tax_id, default_currency } = req.body || {};
+
+			if (canonical_name !== undefined && !normalizeSupplierName(canonical_name)) {
+				return sendFieldError(res, "body", "canonical_name", "must not be empty");
+			}
+			if (default_currency && !normalizeCurrency(default_currency)) {
+				return sendFieldError(res, "body", "default_currency", "must be an ISO 4217 code");
+			}
+
+			const result = await db.query(
+				`UPDATE suppliers SET
+        canonical_name = COALESCE($1, canonical_name),
+        normalized_name = COALESCE($2, normalized_name),
+        tax_id = CASE WHEN $3::boolean THEN $4 ELSE tax_id END,
+        default_currency = CASE WHEN $5::boolean THEN $6 ELSE default_currency END,
+        updated_at = NOW()
+      WHERE id = $7
+      RETURNING *`,
+				[
+					canonical_name !== undefined ? String(canonical_name).trim() : null,
+					canonical_name !== undefined ? normalizeSupplierName(canonical_name) : null,
+					tax_id !== undefined,
+					normalizeTaxId(tax_id),
+					default_currency !== undefined,
+					normalizeCurrency(default_currency),
+					id,
+				]
+			);
+			if (!result.rows.length)
+				return res.status(404).json({ error: "Supplier not found" });
+
+			res.json({ ...result.rows[0], aliases: await loadAliases(id) });
+		} catch (error) {
+			if (isUniqueViolation(error)) {
+				return res
+					.status(409)
+					.json({ error: "A supplier with this name or tax ID already exists" });
+			}
+			console.error("Update supplier error:", error);
+			res.status(500).json({ error: "Failed to update supplier" });
+		}
+	}
+);
+
+// DELETE /api/suppliers/:id - linked invoices keep their supplier_name, lose supplier_id
+router.delete(
+	"/:id",
+	requireRole("admin"),
+	validate({ summary: "Delete a supplier (its invoices keep their supplier_name)" }),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+
+			const result = await db.query(
+				`DELETE FROM suppliers WHERE id = $1 RETURNING id`,
+				[id]
+			);
+			if (!result.rows.length)
+				return res.status(404).json({ error: "Supplier not found" });
+
+			res.json({
+				message: "Supplier deleted successfully",
+				id: result.rows[0].id,
+			});
+		} catch (error) {
+			console.error("Delete supplier error:", error);
+			res.status(500).json({ error: "Failed to delete supplier" });
+		}
+	}
+);
+
+// POST /api/suppliers/:id/aliases { alias }
+router.post(
+	"/:id/aliases",
+	requireRole("editor"),
+	validate({
+		summary: "Add an alias",
+		body: {
+			type: "object",
+			properties: { alias: { type: "string", maxLength: 255 } },
+			required: ["alias"],
+		},
+		responses: { 201: "The alias", 409: "Alias is taken" },
+	}),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+			const { alias } = req.body || {};
+
+			if (!normalizeSupplierName(alias)) {
+				return sendFieldError(res, "body", "alias", "must not be empty");
+			}
+
+			const supRes = await db.query(`SELECT id FROM suppliers WHERE id = $1`, [
+				id,
+			]);
+			if (!supRes.rows.length)
+				return res.status(404).json({ error: "Supplier not found" });
+
+			const created = await addSupplierAlias(db, id, alias, "manual");
+			if (!created) {
+				return res.status(409).json({
+					error: "Alias is already the supplier name or an alias of a supplier",
+				});
+			}
+
+			res.status(201).json(created);
+		} catch (error) {
+			console.error("Add supplier alias error:", error);
+			res.status(500).json({ error: "Failed to add alias" });
+		}
+	}
+);
+
+// DELETE /api/suppliers/:id/aliases/:aliasId
+router.delete(
+	"/:id/aliases/:aliasId",
+	requireRole("editor"),
+	validate({ summary: "Delete an alias", params: { aliasId: schemas.id } }),
+	async (req, res) => {
+		try {
+			const { id, aliasId } = req.params;
+
+			const result = await db.query(
+				`DELETE FROM supplier_aliases WHERE id = $1 AND supplier_id = $2 RETURNING id`,
+				[aliasId, id]
+			);
+			if (!result.rows.length)
+				return res.status(404).json({ error: "Alias not found" });
+
+			res.json({ message: "Alias deleted successfully", id: result.rows[0].id });
+		} catch (error) {
+			console.error("Delete supplier alias error:", error);
+			res.status(500).json({ error: "Failed to delete alias" });
+		}
+	}
+);
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require("express");
+const db = require("../db/index");
+const router = express.Router();
+const { requireRole } = require("../middleware/auth");
+const { validate, validateParam, sendFieldError, schemas } = require("../middleware/validate");
+const { batchUpload, handleUploadErrors } = require("../middleware/upload");
+const { getProvider, listProviders } = require("../llm");
+const { AUTO_ENQUEUE } = require("../services/uploads");
+const {
+	processUploadBatch,
+	getBatchStatus,
+	enqueueBatchExtraction,
+} = require("../services/upload-batches");
+
+// batches of other organizations don't exist as far as the caller can tell
+router.param("id", validateParam(schemas.uuid));
+router.param("id", async (req, res, next, id) => {
+	try {
+		const result = await db.query(
+			`SELECT id FROM upload_batches WHERE id = $1 AND organization_id = $2`,
+			[id, req.user.organization_id]
+		);
+		if (!result.rows.length)
+			return res.status(404).json({ error: "Upload batch not found" });
+		next();
+	} catch (error) {
+		next(error);
+	}
+});
+
+// POST /api/upload-batches?extract=false - multipart "files" (PDF, PNG, JPEG, UBL XML
+// or ZIP archives of them); one invoice per accepted file, results per file
+router.post(
+	"/",
+	requireRole("editor"),
+	validate({
+		summary: "Upload several invoice files (or ZIP archives of them) at once",
+		query: {
+			extract: {
+				...schemas.flag,
+				description: "Queue extraction (default: EXTRACTION_AUTO_ENQUEUE)",
+			},
+		},
+		contentType: "multipart/form-data",
+		body: {
+			type: "object",
+			properties: {
+				files: { type: "array", items: { type: "string", format: "binary" } },
+			},
+			required: ["files"],
+		},
+		responses: { 201: "The batch with a result per file" },
+	}),
+	handleUploadErrors(batchUpload.array("files")),
+	async (req, res) => {
+		if (!req.files || !req.files.length) {
+			return sendFieldError(res, "body", "files", "is required");
+		}
+
+		try {
+			const batch = await processUploadBatch(req.files, {
+				organizationId: req.user.organization_id,
+				actor: req.user.actor,
+				autoExtract:
+					req.query.extract === undefined ? AUTO_ENQUEUE : req.query.extract === "true",
+			});
+			res.status(201).json(batch);
+		} catch (error) {
+			console.error("Batch upload error:", error);
+			res.status(500).json({ error: "Failed to upload files" });
+		}
+	}
+);
+
+// GET /api/upload-batches?page=&limit= - newest first, with per-outcome counts
+router.get(
+	"/",
+	validate({
+		summary: "Upload batches, newest first",
+		query: { page: schemas.page, limit: schemas.limit(100) },
+	}),
+	async (req, res) => {
+		try {
+			const page = Math.max(1, parseInt(req.query.page || "1", 10));
+			const limit = Math.min(100, parseInt(req.query.limit || "25", 10));
+			const offset = (page - 1) * limit;
+
+			const result = await db.query(
+				`SELECT b.*,
+              COUNT(f.id)::int AS files,
+              COUNT(f.id) FILTER (WHERE f.outcome = 'ACCEPTED')::int AS accepted,
+              COUNT(f.id) FILTER (WHERE f.outcome = 'DUPLICATE')::int AS duplicate,
+              COUNT(f.id) FILTER (WHERE f.outcome = 'REJECTED')::int AS rejected
+       FROM upload_batches b
+       LEFT JOIN upload_batch_files f ON f.batch_id = b.id
+       WHERE b.organization_id = $1
+       GROUP BY b.id
+       ORDER BY b.created_at DESC, b.id
+       LIMIT $2 OFFSET $3`,
+				[req.user.organization_id, limit, offset]
+			);
+			const countRes = await db.query(
+				`SELECT COUNT(*)::int AS total FROM upload_batches WHERE organization_id = $1`,
+				[req.user.organization_id]
+			);
+
+			res.json({ page, limit, total: countRes.rows[0].total, batches: result.rows });
+		} catch (error) {
+			console.error("List upload batches error:", error);
+			res.status(500).json({ error: "Failed to fetch upload batches" });
+		}
+	}
+);
+
+// GET /api/upload-batches/:id - per-file results and extraction progress
+router.get(
+	"/:id",
+	validate({ summary: "Per-file results and extraction progress of a batch" }),
+	async (req, res) => {
+		try {
+			res.json(await getBatchStatus(req.params.id));
+		} catch (error) {
+			if (error.status === 404) return res.status(404).json({ error: error.message });
+			console.error("Get upload batch error:", error);
+			res.status(500).json({ error: "Failed to fetch upload batch" });
+		}
+	}
+);
+
+// POST /api/upload-batches/:id/extract?provider=&ocr_lang=&force=true
+// Queue extraction for the accepted invoices that were not extracted yet
+// (force=true: every accepted invoice that is not approved / rejected / exported / paid)
+router.post(
+	"/:id/extract",
+	requireRole("editor"),
+	validate({
+		summary: "Queue extraction for the batch's accepted invoices",
+		query: {
+			provider: { type: "string", maxLength: 50, description: "See /api/invoices/providers" },
+			ocr_lang: schemas.ocrLang,
+			force: { ...schemas.flag, description: "Also invoices that were extracted already" },
+		},
+		responses: { 202: "Extraction queued" },
+	}),
+	async (req, res) => {
+		try {
+			const providerName = req.query.provider || undefined;
+			if (providerName && !getProvider(providerName)) {
+				return res.status(400).json({
+					error: `Unknown extraction provider: ${providerName}`,
+					providers: listProviders().map((p) => p.name),
+				});
+			}
+			const ocrLang = req.query.ocr_lang || undefined;
+
+			const jobs = await enqueueBatchExtraction(req.params.id, {
+				force: req.query.force === "true",
+				provider: providerName,
+				ocrLang,
+			});
+			res.status(202).json({
+				ok: true,
+				message: jobs.length ? "Extraction queued" : "Nothing to extract",
+				queued: jobs.length,
+				jobs,
+			});
+		} catch (error) {
+			console.error("Batch extraction error:", error);
+			res.status(500).json({ error: "Failed to queue extraction" });
+		}
+	}
+);
+
+module.exports = router;
@@ -0,0 +1,369 @@
+const express = require("express");
+const db = require("../db/index");
+const router = express.Router();
+const { requireRole } = require("../middleware/auth");
+const {
+	validate,
+	validateParam,
+	sendFieldError,
+	schemas,
+} = require("../middleware/validate");
+const {
+	EVENT_TYPES,
+	PING_EVENT,
+	generateSecret,
+	normalizeWebhookUrl,
+	webhookUrlProblem,
+	normalizeEvents,
+	recordEvent,
+	listDeliveries,
+	getDelivery,
+	redeliver,
+} = require("../services/webhooks");
+
+const DELIVERY_STATUSES = ["PENDING", "SENDING", "DELIVERED", "FAILED"];
+
+// subscriptions carry the signing secret: admins only
+router.use(requireRole("admin"));
+
+// listed and returned without the secret (only shown on create / rotate)
+const SUBSCRIPTION_COLUMNS = `id, url, description, events, is_active, created_by,
+       created_at, updated_at, '…' || right(secret, 4) AS secret_hint`;
+
+const EVENT_NAME = { type: "string", enum: ["*", ...EVENT_TYPES] };
+const SUBSCRIPTION_FIELDS = {
+	url: { type: "string", format: "uri", maxLength: 2000 },
+	events: {
+		anyOf: [{ type: "array", minItems: 1, items: EVENT_NAME }, EVENT_NAME],
+		description: 'Event types to receive; "*" for all',
+	},
+	description: { type: ["string", "null"] },
+};
+const DELIVERY_ID = { deliveryId: schemas.id };
+
+// subscriptions of other organizations don't exist as far as the caller can tell
+router.param("id", validateParam(schemas.id));
+router.param("id", async (req, res, next, id) => {
+	try {
+		const result = await db.query(
+			`SELECT id FROM webhook_subscriptions WHERE id = $1 AND organization_id = $2`,
+			[parseInt(id, 10) || 0, req.user.organization_id]
+		);
+		if (!result.rows.length)
+			return res.status(404).json({ error: "Webhook subscription not found" });
+		next();
+	} catch (error) {
+		next(error);
+	}
+});
+
+function sendError(res, label, error) {
+	if (error.status) {
+		return res.status(error.status).json({ error: error.message });
+	}
+	console.error(`${label} error:`, error);
+	res.status(500).json({ error: `Failed to ${label.toLowerCase()}` });
+}
+
+// GET /api/webhooks/events - event types a subscription can ask for
+router.get(
+	"/events",
+	validate({ summary: "Event types a subscription can ask for" }),
+	(req, res) => {
+		res.json({ events: EVENT_TYPES });
+	}
+);
+
+// GET /api/webhooks/deliveries?subscription_id=&status=FAILED&event=&invoice_id=&page=&limit=
+// Delivery log, newest first
+router.get(
+	"/deliveries",
+	validate({
+		summary: "Delivery log, newest first",
+		query: {
+			subscription_id: schemas.id,
+			status: { type: "string", enum: DELIVERY_STATUSES },
+			event: { type: "string", maxLength: 50 },
+			invoice_id: schemas.id,
+			page: schemas.page,
+			limit: schemas.limit(200),
+		},
+	}),
+	async (req, res) => {
+		try {
+			const page = Math.max(1, parseInt(req.query.page || "1", 10));
+			const limit = Math.min(200, parseInt(req.query.limit || "50", 10));
+
+			const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+			const log = await listDeliveries(db, req.user.organization_id, {
+				subscriptionId: parseInt(req.query.subscription_id, 10) || null,
+				status,
+				eventType: req.query.event ? String(req.query.event).toLowerCase() : null,
+				invoiceId: parseInt(req.query.invoice_id, 10) || null,
+				limit,
+				offset: (page - 1) * limit,
+			});
+			res.json({ page, limit, ...log });
+		} catch (error) {
+			sendError(res, "Fetch webhook deliveries", error);
+		}
+	}
+);
+
+// GET /api/webhooks/deliveries/:deliveryId - with the payload and the receiver's response
+router.get(
+	"/deliveries/:deliveryId",
+	validate({
+		summary: "A delivery with its payload and the receiver's response",
+		params: DELIVERY_ID,
+	}),
+	async (req, res) => {
+		try {
+			const delivery = await getDelivery(
+				db,
+				req.user.organization_id,
+				parseInt(req.params.deliveryId, 10) || 0
+			);
+			if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+			res.json(delivery);
+		} catch (error) {
+			sendError(res, "Fetch webhook delivery", error);
+		}
+	}
+);
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver - send the same event
+// (same X-Webhook-Id) again as a new delivery with fresh attempts
+router.post(
+	"/deliveries/:deliveryId/redeliver",
+	validate({
+		summary: "Send a delivery's event again (same X-Webhook-Id)",
+		params: DELIVERY_ID,
+		responses: { 201: "The new delivery" },
+	}),
+	async (req, res) => {
+		try {
+			const delivery = await redeliver(
+				db,
+				req.user.organization_id,
+				parseInt(req.params.deliveryId, 10) || 0
+			);
+			res.status(201).json(delivery);
+		} catch (error) {
+			sendError(res, "Redeliver webhook", error);
+		}
+	}
+);
+
+// GET /api/webhooks - subscriptions with their pending / failed delivery counts
+router.get(
+	"/",
+	validate({ summary: "Subscriptions with their pending and failed delivery counts" }),
+	async (req, res) => {
+		try {
+			const result = await db.query(
+				`SELECT ${SUBSCRIPTION_COLUMNS},
+              (SELECT COUNT(*)::int FROM webhook_deliveries d
+               WHERE d.subscription_id = webhook_subscriptions.id
+                 AND d.status IN ('PENDING', 'SENDING')) AS pending_deliveries,
+              (SELECT COUNT(*)::int FROM webhook_deliveries d
+               WHERE d.subscription_id = webhook_subscriptions.id
+                 AND d.status = 'FAILED') AS failed_deliveries
+       FROM webhook_subscriptions
+       WHERE organization_id = $1
+       ORDER BY id ASC`,
+				[req.user.organization_id]
+			);
+			res.json({ subscriptions: result.rows });
+		} catch (error) {
+			sendError(res, "Fetch webhook subscriptions", error);
+		}
+	}
+);
+
+// POST /api/webhooks { url, events: ["invoice.approved", ...] | ["*"], description, secret }
+// The signing secret (generated unless given) is only returned here and by rotate-secret
+router.post(
+	"/",
+	validate({
+		summary: "Create a subscription (the signing secret is only returned here)",
+		body: {
+			type: "object",
+			properties: {
+				...SUBSCRIPTION_FIELDS,
+				secret: {
+					type: "string",
+					minLength: 16,
+					maxLength: 255,
+					description: "Generated when omitted",
+				},
+			},
+			required: ["url"],
+		},
+		responses: { 201: "The subscription with its secret" },
+	}),
+	async (req, res) => {
+		try {
+			const { url, events = ["*"], description, secret } = req.body || {};
+
+			const normalizedUrl = normalizeWebhookUrl(url);
+			if (!normalizedUrl) {
+				return sendFieldError(res, "body", "url", "must be an http(s) URL");
+			}
+			const urlProblem = await webhookUrlProblem(normalizedUrl);
+			if (urlProblem) return sendFieldError(res, "body", "url", urlProblem);
+
+			const result = await db.query(
+				`INSERT INTO webhook_subscriptions (organization_id, url, description, events, secret, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       RETURNING ${SUBSCRIPTION_COLUMNS}, secret`,
+				[
+					req.user.organization_id,
+					normalizedUrl,
+					description ? String(description).trim() : null,
+					normalizeEvents(events),
+					secret !== undefined ? String(secret) : generateSecret(),
+					req.user.actor,
+				]
+			);
+			res.status(201).json(result.rows[0]);
+		} catch (error) {
+			sendError(res, "Create webhook subscription", error);
+		}
+	}
+);
+
+// GET /api/webhooks/:id
+router.get("/:id", validate({ summary: "A subscription" }), async (req, res) => {
+	try {
+		const result = await db.query(
+			`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1`,
+			[req.params.id]
+		);
+		res.json(result.rows[0]);
+	} catch (error) {
+		sendError(res, "Fetch webhook subscription", error);
+	}
+});
+
+// PUT /api/webhooks/:id { url, events, description, is_active } - omitted fields are kept;
+// deliveries of an inactive subscription wait until it is active again
+router.put(
+	"/:id",
+	validate({
+		summary: "Update a subscription (omitted fields are kept)",
+		body: {
+			type: "object",
+			properties: { ...SUBSCRIPTION_FIELDS, is_active: { type: "boolean" } },
+		},
+	}),
+	async (req, res) => {
+		try {
+			const { url, events, description, is_active } = req.body || {};
+
+			const normalizedUrl = url !== undefined ? normalizeWebhookUrl(url) : null;
+			if (url !== undefined && !normalizedUrl) {
+				return sendFieldError(res, "body", "url", "must be an http(s) URL");
+			}
+			const urlProblem = normalizedUrl && (await webhookUrlProblem(normalizedUrl));
+			if (urlProblem) return sendFieldError(res, "body", "url", urlProblem);
+
+			const result = await db.query(
+				`UPDATE webhook_subscriptions SET
+        url = COALESCE($1, url),
+        events = COALESCE($2, events),
+        description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+        is_active = COALESCE($5, is_active),
+        updated_at = NOW()
+      WHERE id = $6
+      RETURNING ${SUBSCRIPTION_COLUMNS}`,
+				[
+					normalizedUrl,
+					events !== undefined ? normalizeEvents(events) : null,
+					description !== undefined,
+					description ? String(description).trim() : null,
+					is_active ?? null,
+					req.params.id,
+				]
+			);
+			res.json(result.rows[0]);
+		} catch (error) {
+			sendError(res, "Update webhook subscription", error);
+		}
+	}
+);
+
+// DELETE /api/webhooks/:id - its undelivered events are dropped with it
+router.delete(
+	"/:id",
+	validate({ summary: "Delete a subscription and its undelivered events" }),
+	async (req, res) => {
+		try {
+			const result = await db.query(
+				`DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id`,
+				[req.params.id]
+			);
+			res.json({
+				message: "Webhook subscription deleted successfully",
+				id: result.rows[0].id,
+			});
+		} catch (error) {
+			sendError(res, "Delete webhook subscription", error);
+		}
+	}
+);
+
+// POST /api/webhooks/:id/rotate-secret - new signing secret, used from the next attempt on
+router.post(
+	"/:id/rotate-secret",
+	validate({ summary: "Replace the signing secret" }),
+	async (req, res) => {
+		try {
+			const result = await db.query(
+				`UPDATE webhook_subscriptions SET secret = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING ${SUBSCRIPTION_COLUMNS}, secret`,
+				[generateSecret(), req.params.id]
+			);
+			res.json(result.rows[0]);
+		} catch (error) {
+			sendError(res, "Rotate webhook secret", error);
+		}
+	}
+);
+
+// POST /api/webhooks/:id/ping - queue a webhook.ping event for this subscription
+// only, to check the receiver and its signature verification
+router.post(
+	"/:id/ping",
+	validate({
+		summary: "Queue a webhook.ping event for this subscription",
+		responses: { 201: "The delivery", 409: "Subscription is inactive" },
+	}),
+	async (req, res) => {
+		try {
+			const recorded = await recordEvent(
+				db,
+				req.user.organization_id,
+				PING_EVENT,
+				{ message: "Webhook ping", subscription_id: parseInt(req.params.id, 10) },
+				{ subscriptionId: parseInt(req.params.id, 10) }
+			);
+			if (!recorded) {
+				return res
+					.status(409)
+					.json({ error: "Webhook subscription is inactive; activate it first" });
+			}
+			const delivery = await getDelivery(
+				db,
+				req.user.organization_id,
+				recorded.deliveries[0].id
+			);
+			res.status(201).json(delivery);
+		} catch (error) {
+			sendError(res, "Ping webhook", error);
+		}
+	}
+);
+
+module.exports = router;
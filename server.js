@@ -2,8 +2,6 @@ const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const rateLimit = require("express-rate-limit");
-const path = require("path");
-const fs = require("fs");
 
 dotenv.config();
 
@@ -19,16 +17,11 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 const PORT = process.env.PORT || 4000;
-const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads";
+// Document storage: STORAGE_DRIVER=local (UPLOAD_DIR) or s3
+const { describeStorage } = require("./services/storage");
 
-// Create upload directory if it doesn't exist
-if (!fs.existsSync(UPLOAD_DIR)) {
-  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-  console.log(`✓ Created upload directory: ${UPLOAD_DIR}`);
-}
-
-// Serve static files from uploads directory
-app.use("/uploads", express.static(path.join(__dirname, UPLOAD_DIR)));
+// Uploaded files are not served statically: see /api/files (signed URLs)
+// and /api/invoices/:id/file
 
 // Rate limiting for upload endpoint
 const uploadLimiter = rateLimit({
@@ -37,9 +30,45 @@ const uploadLimiter = rateLimit({
   message: "Too many upload requests, please try again later"
 });
 
-// Routes
-const invoicesRoute = require("./routes/invoices");
-app.use("/api/invoices", invoicesRoute);
+// Rate limiting for login / registration (password guessing)
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 attempts per windowMs
+  message: "Too many login attempts, please try again later"
+});
+
+// Routes (everything under /api except login / registration needs a session or API key)
+const { authenticate } = require("./middleware/auth");
+app.use("/api/auth/login", authLimiter);
+app.use("/api/auth/register", authLimiter);
+
+// mounted routers, also the source of /api/openapi.json
+const apiMounts = [];
+function mountApi(path, router, { authenticated = true } = {}) {
+  app.use(path, ...(authenticated ? [authenticate] : []), router);
+  apiMounts.push({ path, router, authenticated });
+}
+
+// authenticates itself after login / register
+mountApi("/api/auth", require("./routes/auth"), { authenticated: false });
+mountApi("/api/invoices", require("./routes/invoices"));
+mountApi("/api/upload-batches", require("./routes/upload-batches"));
+mountApi("/api/suppliers", require("./routes/suppliers"));
+mountApi("/api/reports", require("./routes/reports"));
+mountApi("/api/exchange-rates", require("./routes/exchange-rates"));
+mountApi("/api/review-queue", require("./routes/review-queue"));
+mountApi("/api/webhooks", require("./routes/webhooks"));
+// signed, expiring links carry their own authorization
+mountApi("/api/files", require("./routes/files"), { authenticated: false });
+
+// GET /api/openapi.json - OpenAPI 3.1 description of the routes above, generated
+// from their validation schemas (no credentials needed)
+const { buildOpenApiDocument } = require("./services/openapi");
+let openApiDocument = null;
+app.get("/api/openapi.json", (req, res) => {
+  openApiDocument = openApiDocument || buildOpenApiDocument(apiMounts);
+  res.json(openApiDocument);
+});
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -57,8 +86,17 @@ app.get("/", (req, res) => {
     version: "1.0.0",
     endpoints: {
       health: "/health",
+      auth: "/api/auth",
       invoices: "/api/invoices",
-      upload: "/api/invoices/upload"
+      suppliers: "/api/suppliers",
+      files: "/api/files",
+      upload: "/api/invoices/upload",
+      upload_batches: "/api/upload-batches",
+      review_queue: "/api/review-queue",
+      exchange_rates: "/api/exchange-rates",
+      reports: "/api/reports",
+      webhooks: "/api/webhooks",
+      openapi: "/api/openapi.json"
     }
   });
 });
@@ -70,20 +108,59 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
+  // express.json() could not parse the body
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({
+      error: "Request body is not valid JSON",
+      code: "MALFORMED_JSON",
+      fields: [{ in: "body", field: null, message: err.message }]
+    });
+  }
   console.error("Global error:", err);
-  res.status(err.status || 500).json({
-    error: err.message || "Internal server error",
+  const status = err.status || 500;
+  res.status(status).json({
+    // unexpected failures (e.g. database errors) are not passed on to the client
+    error: status < 500 ? err.message : "Internal server error",
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`
+// Pending migrations are applied before the server and workers start when
+// DB_AUTO_MIGRATE=true; otherwise run `npm run migrate` as a deploy step
+async function start() {
+  if (process.env.DB_AUTO_MIGRATE === "true") {
+    const { migrate } = require("./db/migrate");
+    const applied = await migrate();
+    console.log(`✓ Database migrations: ${applied.length} applied`);
+  }
+
+  // Background extraction worker: in-process unless EXTRACTION_WORKER=off
+  // (run `npm run worker` separately in that case)
+  if ((process.env.EXTRACTION_WORKER || "inline") === "inline") {
+    const { startWorker } = require("./services/extraction-worker");
+    startWorker();
+  }
+
+  // Webhook delivery worker: in-process unless WEBHOOK_WORKER=off
+  // (run `npm run webhook-worker` separately in that case)
+  if ((process.env.WEBHOOK_WORKER || "inline") === "inline") {
+    const { startWebhookWorker } = require("./services/webhook-worker");
+    startWebhookWorker();
+  }
+
+  app.listen(PORT, () => {
+    console.log(`
   ┌─────────────────────────────────────────┐
   │  Invoice Uploader Backend API           │
   │  Server running on port ${PORT}           │
   │  Environment: ${process.env.NODE_ENV || 'development'}              │
-  │  Upload dir: ${UPLOAD_DIR}                 │
+  │  Storage: ${describeStorage()}                 │
   └─────────────────────────────────────────┘
   `);
+  });
+}
+
+start().catch((err) => {
+  console.error("Failed to start:", err.message);
+  process.exit(1);
 });
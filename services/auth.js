@@ -0,0 +1,168 @@
+// backend/services/auth.js
+// Local accounts (bcrypt password hashes), JWT sessions and API keys.
+// Everything lives in Postgres; no external identity provider.
+// A principal is { type: "user" | "api_key", id, organization_id, role, email, actor }
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const db = require("../db/index");
+
+// in increasing order of permissions
+const ROLES = ["viewer", "editor", "approver", "admin"];
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || "12", 10);
+const MIN_PASSWORD_LENGTH = 8;
+
+// "inv_<prefix>_<secret>"; the prefix is stored in clear to tell keys apart
+const API_KEY_PREFIX = "inv_";
+
+function hasRole(role, required) {
+	return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function jwtSecret() {
+	const secret = process.env.JWT_SECRET;
+	if (!secret) throw new Error("JWT_SECRET is not set");
+	return secret;
+}
+
+function normalizeEmail(email) {
+	return email ? String(email).trim().toLowerCase() : "";
+}
+
+async function hashPassword(password) {
+	return bcrypt.hash(String(password), BCRYPT_ROUNDS);
+}
+
+async function verifyPassword(password, hash) {
+	return bcrypt.compare(String(password || ""), hash || "");
+}
+
+function signToken(user) {
+	return jwt.sign(
+		{ org: user.organization_id, role: user.role },
+		jwtSecret(),
+		{ subject: String(user.id), expiresIn: JWT_EXPIRES_IN }
+	);
+}
+
+function hashApiKey(key) {
+	return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+/**
+ * New random API key -> { key, key_prefix, key_hash } (key is shown once)
+ */
+function generateApiKey() {
+	const prefix = crypto.randomBytes(4).toString("hex");
+	const key = `${API_KEY_PREFIX}${prefix}_${crypto.randomBytes(24).toString("base64url")}`;
+	return { key, key_prefix: `${API_KEY_PREFIX}${prefix}`, key_hash: hashApiKey(key) };
+}
+
+function isApiKey(token) {
+	return String(token || "").startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * User row without the password hash
+ */
+function publicUser(row) {
+	if (!row) return null;
+	const { password_hash, ...user } = row;
+	return user;
+}
+
+/**
+ * Principal for a JWT, or null when it is invalid / expired or the user was
+ * deactivated. Role and organization are read from the database so changes
+ * apply to existing sessions.
+ */
+async function principalFromToken(token) {
+	let payload;
+	try {
+		payload = jwt.verify(token, jwtSecret());
+	} catch (e) {
+		if (e.message === "JWT_SECRET is not set") throw e;
+		return null;
+	}
+
+	const result = await db.query(
+		`SELECT id, organization_id, email, role FROM users
+     WHERE id = $1 AND is_active = TRUE`,
+		[parseInt(payload.sub, 10) || 0]
+	);
+	const user = result.rows[0];
+	if (!user) return null;
+	return {
+		type: "user",
+		id: user.id,
+		organization_id: user.organization_id,
+		role: user.role,
+		email: user.email,
+		actor: user.email,
+	};
+}
+
+/**
+ * Principal for an API key, or null when unknown, revoked or expired
+ */
+async function principalFromApiKey(key) {
+	const result = await db.query(
+		`UPDATE api_keys SET last_used_at = NOW()
+     WHERE key_hash = $1 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING id, organization_id, name, role`,
+		[hashApiKey(key)]
+	);
+	const apiKey = result.rows[0];
+	if (!apiKey) return null;
+	return {
+		type: "api_key",
+		id: apiKey.id,
+		organization_id: apiKey.organization_id,
+		role: apiKey.role,
+		email: null,
+		actor: `api_key:${apiKey.name}`,
+	};
+}
+
+let dummyHash = null;
+
+/**
+ * Check email + password -> user row (with last_login_at updated) or null
+ */
+async function login(email, password) {
+	const result = await db.query(
+		`SELECT * FROM users WHERE email = $1 AND is_active = TRUE`,
+		[normalizeEmail(email)]
+	);
+	const user = result.rows[0];
+	// compare against a dummy hash too, so unknown emails take as long
+	if (!dummyHash) dummyHash = await hashPassword(crypto.randomBytes(16).toString("hex"));
+	const ok = await verifyPassword(password, user ? user.password_hash : dummyHash);
+	if (!user || !ok) return null;
+
+	const updated = await db.query(
+		`UPDATE users SET last_login_at = NOW() WHERE id = $1 RETURNING *`,
+		[user.id]
+	);
+	return updated.rows[0];
+}
+
+module.exports = {
+	ROLES,
+	JWT_EXPIRES_IN,
+	MIN_PASSWORD_LENGTH,
+	hasRole,
+	normalizeEmail,
+	hashPassword,
+	signToken,
+	generateApiKey,
+	isApiKey,
+	publicUser,
+	principalFromToken,
+	principalFromApiKey,
+	login,
+};
@@ -0,0 +1,255 @@
+// backend/services/currency.js
+// Currency codes and base-currency amounts. Extracted currencies ("₹", "Rs.",
+// "euro") are normalized to ISO 4217 codes; invoice totals are converted to the
+// organization's base currency with the exchange rate for the invoice date from
+// the exchange_rates table (imported from CSV).
+
+// every ISO 4217 code the runtime knows
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf("currency"));
+
+// symbols and names -> ISO code (keys uppercased, without spaces and dots)
+const CURRENCY_ALIASES = {
+	"₹": "INR",
+	RS: "INR",
+	RUPEE: "INR",
+	RUPEES: "INR",
+	"$": "USD",
+	US$: "USD",
+	DOLLAR: "USD",
+	DOLLARS: "USD",
+	"€": "EUR",
+	EURO: "EUR",
+	EUROS: "EUR",
+	"£": "GBP",
+	POUND: "GBP",
+	POUNDS: "GBP",
+	"¥": "JPY",
+	YEN: "JPY",
+	"CN¥": "CNY",
+	RMB: "CNY",
+	YUAN: "CNY",
+	A$: "AUD",
+	AU$: "AUD",
+	C$: "CAD",
+	CA$: "CAD",
+	S$: "SGD",
+	HK$: "HKD",
+	NZ$: "NZD",
+	R$: "BRL",
+	"₩": "KRW",
+	"₽": "RUB",
+	"₺": "TRY",
+	"₱": "PHP",
+	"฿": "THB",
+	"₫": "VND",
+	"₦": "NGN",
+	"₪": "ILS",
+	ZŁ: "PLN",
+	RM: "MYR",
+	DH: "AED",
+	DHS: "AED",
+	DIRHAM: "AED",
+	DIRHAMS: "AED",
+	SFR: "CHF",
+};
+
+/**
+ * "₹" / "rs." / "eur" -> "INR" / "INR" / "EUR"; null when it is no known currency
+ */
+function normalizeCurrency(value) {
+	if (value === null || value === undefined) return null;
+	const key = String(value).trim().toUpperCase().replace(/[\s.]/g, "");
+	if (!key) return null;
+	if (/^[A-Z]{3}$/.test(key) && ISO_CURRENCIES.has(key)) return key;
+	return CURRENCY_ALIASES[key] || null;
+}
+
+// base currency of new organizations
+const DEFAULT_BASE_CURRENCY = normalizeCurrency(process.env.BASE_CURRENCY) || "USD";
+// a rate older than this (days before the invoice date) is not used
+const RATE_MAX_AGE_DAYS = parseInt(process.env.EXCHANGE_RATE_MAX_AGE_DAYS || "7", 10);
+
+function currencyError(status, message, extra = {}) {
+	const err = new Error(message);
+	err.status = status;
+	Object.assign(err, extra);
+	return err;
+}
+
+/**
+ * One CSV line -> fields (double quotes may wrap fields and escape themselves)
+ */
+function splitCsvLine(line) {
+	const fields = [];
+	let current = "";
+	let quoted = false;
+	for (let i = 0; i < line.length; i++) {
+		const ch = line[i];
+		if (quoted) {
+			if (ch === '"' && line[i + 1] === '"') {
+				current += '"';
+				i++;
+			} else if (ch === '"') {
+				quoted = false;
+			} else {
+				current += ch;
+			}
+		} else if (ch === '"') {
+			quoted = true;
+		} else if (ch === ",") {
+			fields.push(current.trim());
+			current = "";
+		} else {
+			current += ch;
+		}
+	}
+	fields.push(current.trim());
+	return fields;
+}
+
+/**
+ * Rates CSV -> { rates: [{ rate_date, currency, base_currency, rate }], errors: [{ line, error }] }
+ * Header: date,currency,rate[,base_currency]; one unit of currency = rate units
+ * of base_currency (defaults to baseCurrency).
+ */
+function parseRatesCsv(text, baseCurrency) {
+	const lines = String(text || "")
+		.replace(/^\uFEFF/, "")
+		.split(/\r?\n/);
+	const header = splitCsvLine(lines[0] || "").map((h) => h.toLowerCase());
+	const col = (name) => header.indexOf(name);
+	const missing = ["date", "currency", "rate"].filter((name) => col(name) < 0);
+	if (missing.length) {
+		throw currencyError(400, `CSV header must include date, currency and rate (missing ${missing.join(", ")})`);
+	}
+
+	const rates = [];
+	const errors = [];
+	const seen = new Set();
+	lines.slice(1).forEach((line, index) => {
+		if (!line.trim()) return;
+		const lineNo = index + 2;
+		const fields = splitCsvLine(line);
+		const date = fields[col("date")] || "";
+		const currency = normalizeCurrency(fields[col("currency")]);
+		const base =
+			col("base_currency") >= 0 && fields[col("base_currency")]
+				? normalizeCurrency(fields[col("base_currency")])
+				: baseCurrency;
+		const rate = Number(fields[col("rate")]);
+
+		let error = null;
+		if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(date).getTime())) {
+			error = "date must be YYYY-MM-DD";
+		} else if (!currency) {
+			error = `Unknown currency: ${fields[col("currency")] || ""}`;
+		} else if (!base) {
+			error = `Unknown base_currency: ${fields[col("base_currency")]}`;
+		} else if (currency === base) {
+			error = "currency and base_currency are the same";
+		} else if (!Number.isFinite(rate) || rate <= 0) {
+			error = "rate must be a positive number";
+		} else if (seen.has(`${date}|${currency}|${base}`)) {
+			error = `Duplicate rate for ${currency}/${base} on ${date}`;
+		}
+		if (error) return errors.push({ line: lineNo, error });
+
+		seen.add(`${date}|${currency}|${base}`);
+		rates.push({ rate_date: date, currency, base_currency: base, rate });
+	});
+	return { rates, errors };
+}
+
+/**
+ * Insert or replace rates of an organization -> { inserted, updated }
+ */
+async function importRates(client, organizationId, rates, { source = null } = {}) {
+	let inserted = 0;
+	let updated = 0;
+	for (const r of rates) {
+		const result = await client.query(
+			`INSERT INTO exchange_rates (organization_id, rate_date, currency, base_currency, rate, source, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       ON CONFLICT (organization_id, currency, base_currency, rate_date)
+       DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = NOW()
+       RETURNING (xmax = 0) AS inserted`,
+			[organizationId, r.rate_date, r.currency, r.base_currency, r.rate, source]
+		);
+		if (result.rows[0].inserted) inserted++;
+		else updated++;
+	}
+	return { inserted, updated };
+}
+
+/**
+ * Recompute base_currency / exchange_rate / exchange_rate_date / base_total of
+ * one invoice ({ invoiceId }) or of every invoice of an organization
+ * ({ organizationId }). The rate is the latest one on or before the invoice date
+ * (today without a date), direct or else inverted, at most RATE_MAX_AGE_DAYS old;
+ * without one base_total stays NULL. Invoices in keepStatuses keep a base_total
+ * they already have (rate changes don't touch approved amounts) and only get one
+ * while it is NULL. Returns the number of invoices updated.
+ */
+async function refreshBaseAmounts(
+	client,
+	{ invoiceId = null, organizationId = null, keepStatuses = [] } = {}
+) {
+	const result = await client.query(
+		`WITH conv AS (
+       SELECT i.id, o.base_currency,
+              CASE WHEN i.currency = o.base_currency THEN 1 ELSE r.rate END AS rate,
+              CASE WHEN i.currency = o.base_currency THEN NULL ELSE r.rate_date END AS rate_date
+       FROM invoices i
+       JOIN organizations o ON o.id = i.organization_id
+       LEFT JOIN LATERAL (
+         SELECT x.rate, x.rate_date FROM (
+           SELECT er.rate, er.rate_date, TRUE AS direct FROM exchange_rates er
+           WHERE er.organization_id = i.organization_id
+             AND er.currency = i.currency AND er.base_currency = o.base_currency
+           UNION ALL
+           SELECT 1 / er.rate, er.rate_date, FALSE FROM exchange_rates er
+           WHERE er.organization_id = i.organization_id
+             AND er.currency = o.base_currency AND er.base_currency = i.currency
+         ) x
+         WHERE x.rate_date <= COALESCE(i.invoice_date, CURRENT_DATE)
+           AND x.rate_date >= COALESCE(i.invoice_date, CURRENT_DATE) - $3::int
+         ORDER BY x.rate_date DESC, x.direct DESC
+         LIMIT 1
+       ) r ON TRUE
+       WHERE ($1::int IS NULL OR i.id = $1::int)
+         AND ($2::int IS NULL OR i.organization_id = $2::int)
+         AND (i.base_total IS NULL OR i.status <> ALL($4::varchar[]))
+     )
+     UPDATE invoices i SET
+       base_currency = c.base_currency,
+       exchange_rate = c.rate,
+       exchange_rate_date = c.rate_date,
+       base_total = ROUND(i.total * c.rate, 2)
+     FROM conv c
+     WHERE c.id = i.id`,
+		[invoiceId, organizationId, RATE_MAX_AGE_DAYS, keepStatuses]
+	);
+	return result.rowCount;
+}
+
+/**
+ * Invoices without a currency are in the organization's base currency
+ */
+async function applyBaseCurrencyDefault(client, invoiceId) {
+	await client.query(
+		`UPDATE invoices i SET currency = o.base_currency
+     FROM organizations o
+     WHERE i.id = $1 AND o.id = i.organization_id AND i.currency IS NULL`,
+		[invoiceId]
+	);
+}
+
+module.exports = {
+	DEFAULT_BASE_CURRENCY,
+	RATE_MAX_AGE_DAYS,
+	normalizeCurrency,
+	parseRatesCsv,
+	importRates,
+	refreshBaseAmounts,
+	applyBaseCurrencyDefault,
+};
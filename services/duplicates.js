@@ -0,0 +1,158 @@
+// backend/services/duplicates.js
+// Duplicate invoice detection.
+// - exact: sha256 of the uploaded file (content_hash), checked at upload time
+// - semantic: same supplier plus at least two of invoice_number / invoice_date / total,
+//   checked after extraction; flags POSSIBLE_DUPLICATE and links duplicate_of_id
+
+const crypto = require("crypto");
+const fs = require("fs");
+const db = require("../db/index");
+const { normalizeSupplierName } = require("./supplier-matching");
+
+// invoice dates this many days apart still count as the same date
+const DATE_TOLERANCE_DAYS = parseInt(process.env.DUPLICATE_DATE_TOLERANCE_DAYS || "0", 10);
+// absolute tolerance when comparing totals
+const AMOUNT_TOLERANCE = parseFloat(process.env.DUPLICATE_AMOUNT_TOLERANCE || "0.01");
+
+/**
+ * sha256 hex digest of a file on disk
+ */
+function hashFile(filePath) {
+	return new Promise((resolve, reject) => {
+		const hash = crypto.createHash("sha256");
+		fs.createReadStream(filePath)
+			.on("error", reject)
+			.on("data", (chunk) => hash.update(chunk))
+			.on("end", () => resolve(hash.digest("hex")));
+	});
+}
+
+/**
+ * Earlier upload of the same file by the organization, or null
+ */
+async function findByContentHash(contentHash, organizationId, client = db) {
+	const result = await client.query(
+		`SELECT id, file_path, status, created_at FROM invoices
+     WHERE content_hash = $1 AND organization_id = $2 ORDER BY id ASC LIMIT 1`,
+		[contentHash, organizationId]
+	);
+	return result.rows[0] || null;
+}
+
+/**
+ * "INV-001 " -> "INV001"
+ */
+function normalizeInvoiceNumber(value) {
+	if (!value) return null;
+	const s = String(value).toUpperCase().replace(/[^A-Z0-9]/g, "");
+	return s || null;
+}
+
+/**
+ * DATE columns come back from pg as local-midnight Date objects -> "YYYY-MM-DD"
+ */
+function isoDay(v) {
+	if (!v) return null;
+	if (v instanceof Date) {
+		const pad = (n) => String(n).padStart(2, "0");
+		return `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}`;
+	}
+	return String(v).slice(0, 10);
+}
+
+function sameSupplier(a, b) {
+	if (a.supplier_id && b.supplier_id) return a.supplier_id === b.supplier_id;
+	const na = normalizeSupplierName(a.supplier_name);
+	return Boolean(na) && na === normalizeSupplierName(b.supplier_name);
+}
+
+/**
+ * findPossibleDuplicate(client, invoice) -> { invoice_id, matched_fields } | null
+ * Only earlier invoices (lower id) of the same organization are candidates and
+ * the oldest match is the original, so re-extracting the original never flags
+ * it as a copy of its own duplicate.
+ */
+async function findPossibleDuplicate(client, invoice) {
+	const invoiceNumber = normalizeInvoiceNumber(invoice.invoice_number);
+	const invoiceDate = isoDay(invoice.invoice_date);
+	const total = invoice.total === null ? null : Number(invoice.total);
+
+	const candidates = await client.query(
+		`SELECT id, supplier_id, supplier_name, invoice_number, invoice_date, total
+     FROM invoices
+     WHERE id < $1
+       AND organization_id = $7
+       AND status <> 'SPLIT' -- a multi-invoice PDF, its children hold the data
+       AND (
+         ($2::varchar IS NOT NULL
+           AND UPPER(REGEXP_REPLACE(invoice_number, '[^A-Za-z0-9]', '', 'g')) = $2)
+         OR ($3::date IS NOT NULL
+           AND invoice_date BETWEEN $3::date - $4::int AND $3::date + $4::int
+           AND ABS(total - $5::numeric) <= $6::numeric)
+       )
+     ORDER BY id ASC
+     LIMIT 50`,
+		[
+			invoice.id,
+			invoiceNumber,
+			invoiceDate,
+			DATE_TOLERANCE_DAYS,
+			total,
+			AMOUNT_TOLERANCE,
+			invoice.organization_id,
+		]
+	);
+
+	const invoiceDay = invoiceDate ? Date.parse(invoiceDate) : null;
+
+	for (const c of candidates.rows) {
+		if (!sameSupplier(invoice, c)) continue;
+
+		const matched_fields = ["supplier"];
+		if (invoiceNumber && normalizeInvoiceNumber(c.invoice_number) === invoiceNumber)
+			matched_fields.push("invoice_number");
+		if (invoiceDay !== null && c.invoice_date) {
+			const days = Math.abs(Date.parse(isoDay(c.invoice_date)) - invoiceDay) / (24 * 60 * 60 * 1000);
+			if (Math.round(days) <= DATE_TOLERANCE_DAYS) matched_fields.push("invoice_date");
+		}
+		if (total !== null && c.total !== null && Math.abs(Number(c.total) - total) <= AMOUNT_TOLERANCE)
+			matched_fields.push("total");
+
+		if (matched_fields.length >= 3) return { invoice_id: c.id, matched_fields };
+	}
+	return null;
+}
+
+/**
+ * Run the semantic check inside the caller's transaction (after validation).
+ * A match sets status POSSIBLE_DUPLICATE and duplicate_of_id; invoices a
+ * reviewer marked as not a duplicate are skipped.
+ * Returns the match or null.
+ */
+async function applyDuplicateCheck(client, invoiceId) {
+	const invRes = await client.query(`SELECT * FROM invoices WHERE id = $1`, [
+		invoiceId,
+	]);
+	if (!invRes.rows.length) return null;
+
+	const invoice = invRes.rows[0];
+	if (invoice.duplicate_override) return null;
+
+	const match = await findPossibleDuplicate(client, invoice);
+	await client.query(
+		`UPDATE invoices SET
+       duplicate_of_id = $1,
+       status = CASE WHEN $1::int IS NOT NULL THEN 'POSSIBLE_DUPLICATE' ELSE status END
+     WHERE id = $2`,
+		[match ? match.invoice_id : null, invoiceId]
+	);
+	return match;
+}
+
+module.exports = {
+	hashFile,
+	findByContentHash,
+	normalizeInvoiceNumber,
+	findPossibleDuplicate,
+	applyDuplicateCheck,
+};
@@ -0,0 +1,314 @@
+// backend/services/export.js
+// Accounting export of invoices as CSV, JSON Lines or QuickBooks IIF.
+// Column mappings: built-in "default", plus named mappings from EXPORT_MAPPINGS_PATH:
+// { "<name>": { "invoice": { "<column>": "<invoice field>" },
+//               "line_item": { "<column>": "<line item field>" },
+//               "iif": { "ap_account", "expense_account", "tax_account", "charges_account", "discount_account" } } }
+
+const fs = require("fs");
+const path = require("path");
+
+const FORMATS = {
+	csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+	jsonl: { contentType: "application/x-ndjson; charset=utf-8", extension: "jsonl" },
+	iif: { contentType: "text/plain; charset=utf-8", extension: "iif" },
+};
+
+// invoices read from the database per round trip while streaming
+const CHUNK_SIZE = parseInt(process.env.EXPORT_CHUNK_SIZE || "500", 10);
+
+const DEFAULT_MAPPING = {
+	invoice: {
+		"Invoice ID": "id",
+		"Invoice Number": "invoice_number",
+		"Invoice Date": "invoice_date",
+		Supplier: "supplier_name",
+		"Supplier Tax ID": "supplier_tax_id",
+		Currency: "currency",
+		Subtotal: "subtotal",
+		Discount: "discount_total",
+		Charges: "charges_total",
+		Tax: "tax_total",
+		Total: "total",
+		Status: "status",
+	},
+	line_item: {
+		"Line Description": "description",
+		Quantity: "quantity",
+		"Unit Price": "unit_price",
+		"Line Total": "line_total",
+		"Tax Rate": "tax_rate",
+	},
+	iif: {
+		ap_account: "Accounts Payable",
+		expense_account: "Purchases",
+		tax_account: "Tax Paid",
+		charges_account: "Freight and Delivery",
+		discount_account: "Purchase Discounts",
+	},
+};
+
+let customMappings = null;
+
+/**
+ * Named mappings: "default" plus the ones in EXPORT_MAPPINGS_PATH (read once)
+ */
+function loadMappings() {
+	if (customMappings) return customMappings;
+	customMappings = { default: DEFAULT_MAPPING };
+
+	const file = process.env.EXPORT_MAPPINGS_PATH;
+	if (file) {
+		const parsed = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+		for (const [name, mapping] of Object.entries(parsed)) {
+			customMappings[name] = {
+				invoice: mapping.invoice || DEFAULT_MAPPING.invoice,
+				line_item: mapping.line_item || DEFAULT_MAPPING.line_item,
+				iif: { ...DEFAULT_MAPPING.iif, ...(mapping.iif || {}) },
+			};
+		}
+	}
+	return customMappings;
+}
+
+function getMapping(name = "default") {
+	return loadMappings()[name] || null;
+}
+
+function listMappings() {
+	return Object.entries(loadMappings()).map(([name, m]) => ({
+		name,
+		invoice_columns: Object.keys(m.invoice),
+		line_item_columns: Object.keys(m.line_item),
+	}));
+}
+
+/**
+ * DATE columns come back as local-midnight Date objects; timestamps as instants
+ */
+function formatValue(value, field) {
+	if (value === null || value === undefined) return null;
+	if (value instanceof Date) {
+		if (field === "invoice_date") {
+			const pad = (n) => String(n).padStart(2, "0");
+			return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+		}
+		return value.toISOString();
+	}
+	return value;
+}
+
+function mapRow(row, columns) {
+	const out = {};
+	for (const [column, field] of Object.entries(columns)) {
+		out[column] = formatValue(row ? row[field] : null, field);
+	}
+	return out;
+}
+
+// text from the document (supplier, descriptions, ...) that a spreadsheet
+// would run as a formula; numbers such as "-12.50" are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+function csvCell(value) {
+	if (value === null || value === undefined) return "";
+	let s = typeof value === "object" ? JSON.stringify(value) : String(value);
+	if (typeof value === "string" && FORMULA_START.test(s) && !PLAIN_NUMBER.test(s)) {
+		s = `'${s}`;
+	}
+	return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+	return values.map(csvCell).join(",") + "\r\n";
+}
+
+/**
+ * Rows for one invoice in CSV / JSON Lines.
+ * flat: one row per line item (invoice columns repeated); nested: one row per invoice
+ */
+function invoiceRecords(invoice, lineItems, mapping, items) {
+	const header = mapRow(invoice, mapping.invoice);
+	if (items === "nested") {
+		return [
+			{ ...header, line_items: lineItems.map((li) => mapRow(li, mapping.line_item)) },
+		];
+	}
+	if (!lineItems.length) return [{ ...header, ...mapRow(null, mapping.line_item) }];
+	return lineItems.map((li) => ({ ...header, ...mapRow(li, mapping.line_item) }));
+}
+
+// ---- QuickBooks IIF (tab-separated bill transactions) ----
+
+const IIF_COLUMNS = ["TRNSTYPE", "DATE", "ACCNT", "NAME", "AMOUNT", "DOCNUM", "MEMO"];
+
+function iifCell(value) {
+	// IIF has no quoting: strip tabs / newlines
+	return value === null || value === undefined
+		? ""
+		: String(value).replace(/[\t\r\n]+/g, " ");
+}
+
+function iifDate(value) {
+	const d = value instanceof Date ? value : value ? new Date(value) : null;
+	if (!d || Number.isNaN(d.getTime())) return "";
+	const pad = (n) => String(n).padStart(2, "0");
+	return `${pad(d.getMonth() + 1)}/${pad(d.getDate())}/${d.getFullYear()}`;
+}
+
+function iifHeader() {
+	return (
+		["!TRNS", ...IIF_COLUMNS].join("\t") +
+		"\r\n" +
+		["!SPL", ...IIF_COLUMNS].join("\t") +
+		"\r\n" +
+		"!ENDTRNS\r\n"
+	);
+}
+
+function round2(n) {
+	return Math.round(n * 100) / 100;
+}
+
+/**
+ * One BILL: TRNS credits accounts payable with the total, SPL lines debit
+ * expenses per line item, tax, charges and discounts. A final SPL absorbs
+ * any rounding difference so the transaction balances.
+ */
+function iifTransaction(invoice, lineItems, taxLines, adjustments, accounts) {
+	const date = iifDate(invoice.invoice_date || invoice.created_at);
+	const name = invoice.supplier_name || "Unknown supplier";
+	const docnum = invoice.invoice_number || `INV-${invoice.id}`;
+	const total = round2(Number(invoice.total) || 0);
+
+	const splits = [];
+	for (const li of lineItems) {
+		splits.push([accounts.expense_account, Number(li.line_total) || 0, li.description]);
+	}
+	if (!lineItems.length && Number(invoice.subtotal)) {
+		splits.push([accounts.expense_account, Number(invoice.subtotal), "Subtotal"]);
+	}
+	if (taxLines.length) {
+		for (const tl of taxLines) {
+			splits.push([accounts.tax_account, Number(tl.tax_amount) || 0, tl.name]);
+		}
+	} else if (Number(invoice.tax_total)) {
+		splits.push([accounts.tax_account, Number(invoice.tax_total), "Tax"]);
+	}
+	for (const adj of adjustments) {
+		const amount = Number(adj.amount) || 0;
+		splits.push(
+			adj.kind === "DISCOUNT"
+				? [accounts.discount_account, -amount, adj.description || "Discount"]
+				: [accounts.charges_account, amount, adj.description || adj.category]
+		);
+	}
+
+	const difference = round2(total - splits.reduce((acc, s) => acc + s[1], 0));
+	if (difference !== 0) {
+		splits.push([accounts.expense_account, difference, "Rounding / unallocated"]);
+	}
+
+	const line = (tag, accnt, amount, memo) =>
+		[tag, "BILL", date, accnt, name, round2(amount).toFixed(2), docnum, memo]
+			.map(iifCell)
+			.join("\t") + "\r\n";
+
+	return (
+		line("TRNS", accounts.ap_account, -total, `Invoice ${invoice.id}`) +
+		splits.map(([accnt, amount, memo]) => line("SPL", accnt, amount, memo)).join("") +
+		"ENDTRNS\r\n"
+	);
+}
+
+/**
+ * streamExport(client, out, ids, { format, items, mapping })
+ * Writes the invoices with the given ids (in id order) to a writable stream,
+ * reading CHUNK_SIZE invoices at a time.
+ */
+async function streamExport(client, out, ids, { format, items, mapping }) {
+	const write = (chunk) =>
+		out.write(chunk) ? Promise.resolve() : new Promise((r) => out.once("drain", r));
+
+	let csvColumns = null;
+	if (format === "iif") await write(iifHeader());
+	if (format === "csv") {
+		csvColumns =
+			items === "nested"
+				? [...Object.keys(mapping.invoice), "line_items"]
+				: [...Object.keys(mapping.invoice), ...Object.keys(mapping.line_item)];
+		await write(csvLine(csvColumns));
+	}
+
+	for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+		const chunk = ids.slice(i, i + CHUNK_SIZE);
+		const invoices = await client.query(
+			`SELECT * FROM invoices WHERE id = ANY($1::int[]) ORDER BY id ASC`,
+			[chunk]
+		);
+		const lineItems = await client.query(
+			`SELECT * FROM line_items WHERE invoice_id = ANY($1::int[]) ORDER BY id ASC`,
+			[chunk]
+		);
+		const taxLines =
+			format === "iif"
+				? await client.query(
+						`SELECT * FROM tax_lines WHERE invoice_id = ANY($1::int[]) ORDER BY id ASC`,
+						[chunk]
+				  )
+				: { rows: [] };
+		const adjustments =
+			format === "iif"
+				? await client.query(
+						`SELECT * FROM invoice_adjustments WHERE invoice_id = ANY($1::int[]) ORDER BY id ASC`,
+						[chunk]
+				  )
+				: { rows: [] };
+
+		const byInvoice = (rows) => {
+			const map = new Map();
+			for (const r of rows) {
+				if (!map.has(r.invoice_id)) map.set(r.invoice_id, []);
+				map.get(r.invoice_id).push(r);
+			}
+			return map;
+		};
+		const itemsOf = byInvoice(lineItems.rows);
+		const taxesOf = byInvoice(taxLines.rows);
+		const adjustmentsOf = byInvoice(adjustments.rows);
+
+		let text = "";
+		for (const inv of invoices.rows) {
+			const lis = itemsOf.get(inv.id) || [];
+			if (format === "iif") {
+				text += iifTransaction(
+					inv,
+					lis,
+					taxesOf.get(inv.id) || [],
+					adjustmentsOf.get(inv.id) || [],
+					mapping.iif
+				);
+				continue;
+			}
+			for (const record of invoiceRecords(inv, lis, mapping, items)) {
+				text +=
+					format === "csv"
+						? csvLine(csvColumns.map((c) => record[c]))
+						: JSON.stringify(record) + "\n";
+			}
+		}
+		await write(text);
+	}
+}
+
+module.exports = {
+	FORMATS,
+	DEFAULT_MAPPING,
+	getMapping,
+	listMappings,
+	streamExport,
+	csvCell,
+	csvLine,
+	iifTransaction,
+};
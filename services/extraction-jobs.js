@@ -0,0 +1,143 @@
+// backend/services/extraction-jobs.js
+// Postgres-backed extraction queue (extraction_jobs table).
+// Job status: QUEUED -> RUNNING -> COMPLETED | QUEUED (retry with backoff) | DEAD
+
+const db = require("../db/index");
+const { assertExtractable } = require("./invoice-status");
+
+const MAX_ATTEMPTS = parseInt(process.env.EXTRACTION_MAX_ATTEMPTS || "5", 10);
+const RETRY_BASE_MS = parseInt(process.env.EXTRACTION_RETRY_BASE_MS || "30000", 10);
+const RETRY_MAX_MS = parseInt(process.env.EXTRACTION_RETRY_MAX_MS || "3600000", 10);
+// RUNNING jobs older than this are assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = parseInt(process.env.EXTRACTION_LOCK_TIMEOUT_MS || "600000", 10);
+
+/**
+ * Exponential backoff for the given attempt number (1-based), capped
+ */
+function retryDelayMs(attempts) {
+	return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Queue an extraction for an invoice. If one is already QUEUED or RUNNING
+ * it is returned instead of creating a second job. A missing invoice is a 404,
+ * a split or locked one a 409 (as for a direct extraction).
+ * Pass a client to enqueue inside the caller's transaction.
+ */
+async function enqueueExtraction(invoiceId, options = {}, client = db) {
+	const invRes = await client.query(`SELECT id, status FROM invoices WHERE id = $1`, [
+		invoiceId,
+	]);
+	if (!invRes.rows.length) {
+		const err = new Error("Invoice not found");
+		err.status = 404;
+		throw err;
+	}
+	assertExtractable(invRes.rows[0]);
+
+	const inserted = await client.query(
+		`INSERT INTO extraction_jobs (invoice_id, provider, options, max_attempts)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (invoice_id) WHERE status IN ('QUEUED', 'RUNNING') DO NOTHING
+     RETURNING *`,
+		[
+			invoiceId,
+			options.provider || null,
+			{ ocrLang: options.ocrLang || null },
+			MAX_ATTEMPTS,
+		]
+	);
+	if (inserted.rows.length) return inserted.rows[0];
+
+	const existing = await client.query(
+		`SELECT * FROM extraction_jobs
+     WHERE invoice_id = $1 AND status IN ('QUEUED', 'RUNNING')
+     ORDER BY id DESC LIMIT 1`,
+		[invoiceId]
+	);
+	return existing.rows[0];
+}
+
+/**
+ * Claim the next runnable job (FOR UPDATE SKIP LOCKED so workers never collide)
+ */
+async function claimNextJob(workerId) {
+	const result = await db.query(
+		`UPDATE extraction_jobs SET
+       status = 'RUNNING',
+       attempts = attempts + 1,
+       locked_at = NOW(),
+       locked_by = $1,
+       updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM extraction_jobs
+       WHERE (status = 'QUEUED' AND run_at <= NOW())
+          OR (status = 'RUNNING' AND locked_at < NOW() - ($2::int * INTERVAL '1 millisecond'))
+       ORDER BY run_at ASC, id ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+		[workerId, LOCK_TIMEOUT_MS]
+	);
+	return result.rows[0] || null;
+}
+
+async function completeJob(jobId, result) {
+	await db.query(
+		`UPDATE extraction_jobs SET
+       status = 'COMPLETED',
+       result = $2,
+       locked_at = NULL,
+       locked_by = NULL,
+       finished_at = NOW(),
+       updated_at = NOW()
+     WHERE id = $1`,
+		[jobId, result || null]
+	);
+}
+
+/**
+ * Record a failed attempt: reschedule with backoff, or dead-letter the job
+ * when it is not retryable or has used all its attempts.
+ * Returns the updated job row.
+ */
+async function failJob(job, error, { retryable = true } = {}) {
+	const message = error?.message || String(error);
+	const dead = !retryable || job.attempts >= job.max_attempts;
+
+	const result = await db.query(
+		`UPDATE extraction_jobs SET
+       status = $2::varchar,
+       last_error = $3,
+       run_at = CASE WHEN $2 = 'QUEUED' THEN NOW() + ($4::int * INTERVAL '1 millisecond') ELSE run_at END,
+       finished_at = CASE WHEN $2 = 'DEAD' THEN NOW() ELSE NULL END,
+       locked_at = NULL,
+       locked_by = NULL,
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+		[job.id, dead ? "DEAD" : "QUEUED", message, retryDelayMs(job.attempts)]
+	);
+	return result.rows[0];
+}
+
+async function listJobsForInvoice(invoiceId) {
+	const result = await db.query(
+		`SELECT id, invoice_id, status, provider, options, attempts, max_attempts,
+            run_at, last_error, result, created_at, updated_at, finished_at
+     FROM extraction_jobs WHERE invoice_id = $1 ORDER BY id DESC`,
+		[invoiceId]
+	);
+	return result.rows;
+}
+
+module.exports = {
+	LOCK_TIMEOUT_MS,
+	retryDelayMs,
+	enqueueExtraction,
+	claimNextJob,
+	completeJob,
+	failJob,
+	listJobsForInvoice,
+};
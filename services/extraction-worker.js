@@ -0,0 +1,97 @@
+// backend/services/extraction-worker.js
+// Polls extraction_jobs and runs them. Started in-process by server.js
+// (EXTRACTION_WORKER=inline, the default) or standalone via `npm run worker`.
+
+const os = require("os");
+const db = require("../db/index");
+const { runExtraction, markExtractionFailed } = require("./extraction");
+const { claimNextJob, completeJob, failJob } = require("./extraction-jobs");
+
+const POLL_INTERVAL_MS = parseInt(process.env.EXTRACTION_POLL_MS || "2000", 10);
+const CONCURRENCY = parseInt(process.env.EXTRACTION_WORKER_CONCURRENCY || "1", 10);
+
+/**
+ * Run one claimed job, recording success, a retry or a dead letter
+ */
+async function processJob(job) {
+	try {
+		const outcome = await runExtraction(job.invoice_id, {
+			provider: job.provider || undefined,
+			ocrLang: job.options?.ocrLang || undefined,
+			throwOnRetryable: true,
+		});
+		await completeJob(job.id, {
+			ok: outcome.ok,
+			provider: outcome.provider,
+			model: outcome.model,
+			status: outcome.invoice?.status ?? "NEEDS_REVIEW",
+			duplicate_of_id: outcome.duplicate?.invoice_id ?? null,
+			error: outcome.error ?? null,
+		});
+	} catch (err) {
+		// 4xx errors (missing invoice/file) will never succeed: dead-letter them now
+		const retryable = err.retryable || !(err.status >= 400 && err.status < 500);
+		const updated = await failJob(job, err, { retryable });
+		console.warn(
+			`Extraction job ${job.id} (invoice ${job.invoice_id}) attempt ${job.attempts} failed: ${err.message}` +
+				(updated.status === "DEAD" ? " - moved to DEAD" : ` - retry at ${updated.run_at}`)
+		);
+
+		// the provider kept failing: keep its last output for review (any other
+		// error left the invoice as it was)
+		if (updated.status === "DEAD" && err.llmResult) {
+			await markExtractionFailed(job.invoice_id, err.llmResult).catch((e) =>
+				console.error("Failed to mark invoice NEEDS_REVIEW:", e)
+			);
+		}
+	}
+}
+
+/**
+ * startWorker() -> { stop() }
+ * Each slot claims and runs jobs until the queue is empty, then sleeps.
+ */
+function startWorker(options = {}) {
+	const pollMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+	const concurrency = options.concurrency || CONCURRENCY;
+	const workerId = `${os.hostname()}:${process.pid}`;
+	let stopped = false;
+	let timers = [];
+
+	async function tick(slot) {
+		if (stopped) return;
+		try {
+			let job;
+			while (!stopped && (job = await claimNextJob(`${workerId}:${slot}`))) {
+				await processJob(job);
+			}
+		} catch (err) {
+			console.error("Extraction worker error:", err);
+		}
+		if (!stopped) timers[slot] = setTimeout(() => tick(slot), pollMs);
+	}
+
+	for (let slot = 0; slot < concurrency; slot++) tick(slot);
+	console.log(`✓ Extraction worker started (${workerId}, concurrency ${concurrency})`);
+
+	return {
+		stop() {
+			stopped = true;
+			timers.forEach(clearTimeout);
+			timers = [];
+		},
+	};
+}
+
+module.exports = { startWorker, processJob };
+
+// Standalone: node services/extraction-worker.js
+if (require.main === module) {
+	const worker = startWorker();
+	const shutdown = () => {
+		worker.stop();
+		db.end().finally(() => process.exit(0));
+	};
+	process.on("SIGINT", shutdown);
+	process.on("SIGTERM", shutdown);
+}
@@ -0,0 +1,471 @@
+// backend/services/extraction.js
+// Runs the LLM extraction for one invoice and persists the result.
+// Used by POST /api/invoices/:id/extract and by the background extraction worker.
+
+const db = require("../db/index");
+const { extractInvoiceFromFile } = require("../llm");
+const { fieldEvidence } = require("../llm/evidence");
+const { applyValidation, crossCheckIssues, currencyIssues } = require("./validation");
+const {
+	replaceLineItems,
+	replaceTaxLines,
+	replaceAdjustments,
+	refreshTotals,
+	loadInvoiceDetails,
+} = require("./invoice-details");
+const {
+	matchInvoiceSupplier,
+	applySupplierDefaults,
+} = require("./supplier-matching");
+const { applyDuplicateCheck } = require("./duplicates");
+const { refreshSearchVector } = require("./invoice-search");
+const { isXmlFile, extractUblFromFile } = require("./ubl");
+const { recordRevision } = require("./revisions");
+const { recordInvoiceEvent, recordStatusEvent } = require("./webhooks");
+const { assertExtractable } = require("./invoice-status");
+const { LOCK_TIMEOUT_MS } = require("./extraction-jobs");
+const { withLocalFile } = require("./storage");
+const {
+	normalizeCurrency,
+	refreshBaseAmounts,
+	applyBaseCurrencyDefault,
+} = require("./currency");
+const {
+	AUTO_SPLIT,
+	isPdf,
+	readPdfPages,
+	detectInvoiceSegments,
+	splitInvoice,
+} = require("./invoice-split");
+
+function httpError(status, message) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+/**
+ * Save a failed extraction: keep the provider's raw output, OCR text and
+ * error, and mark NEEDS_REVIEW. Only for results a provider returned; when
+ * anything else fails, runExtraction gives the invoice back unchanged.
+ */
+async function markExtractionFailed(id, llmResult) {
+	const ocr = llmResult.ocr || {};
+	// Save raw LLM output as JSONB (wrap string into object to keep JSONB)
+	const rawPayload = llmResult.raw
+		? { raw: llmResult.raw }
+		: { error: llmResult.error || "no output" };
+
+	const client = await db.connect();
+	try {
+		await client.query("BEGIN");
+		const before = await client.query(
+			`SELECT status FROM invoices WHERE id = $1 FOR UPDATE`,
+			[id]
+		);
+		await client.query(
+			`UPDATE invoices
+       SET raw_llm_json = $1,
+           llm_provider = $2,
+           llm_model = $3,
+           ocr_text = $4,
+           ocr_confidence = $5,
+           ocr_lang = $6,
+           status = 'NEEDS_REVIEW',
+           extraction_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $7`,
+			[
+				rawPayload,
+				llmResult.provider ?? null,
+				llmResult.model ?? null,
+				ocr.text ?? null,
+				ocr.confidence ?? null,
+				ocr.lang ?? null,
+				id,
+			]
+		);
+
+		await recordRevision(client, id, {
+			source: "extraction",
+			actor: `system:${llmResult.provider || "extraction"}`,
+			note: llmResult.error || "Extraction failed",
+		});
+		await recordStatusEvent(client, id, before.rows[0]?.status);
+		await client.query("COMMIT");
+	} catch (err) {
+		try {
+			await client.query("ROLLBACK");
+		} catch (e) {
+			/* ignore rollback errors */
+		}
+		throw err;
+	} finally {
+		client.release();
+	}
+}
+
+/**
+ * Persist parsed extraction output (header + line items), its validation
+ * issues and a revision in one transaction
+ */
+async function saveExtraction(invoiceRow, llmResult, { actor } = {}) {
+	const id = invoiceRow.id;
+	const ocr = llmResult.ocr || {};
+	// parsed JSON from LLM
+	const parsed = llmResult.parsed || {};
+
+	// sanitize / coerce values to DB-friendly types
+	const supplier_name = parsed.supplier_name ?? null;
+	const supplier_tax_id = parsed.supplier_tax_id ?? null;
+	const buyer_tax_id = parsed.buyer_tax_id ?? null;
+	const invoice_number = parsed.invoice_number ?? null;
+	const confidence = parsed.confidence ?? null;
+	// per-field confidence and source snippet / page, checked against FIELD_CONFIDENCE_*
+	const field_evidence = fieldEvidence(parsed);
+	const line_items = (parsed.line_items || []).map((li) => ({
+		...li,
+		confidence: li.confidence ?? confidence,
+	}));
+
+	let invoice_date = null;
+	if (parsed.invoice_date) {
+		const d = new Date(parsed.invoice_date);
+		if (!Number.isNaN(d.getTime()))
+			invoice_date = d.toISOString().slice(0, 10); // YYYY-MM-DD
+	}
+
+	// "₹" / "Rs." -> "INR"; without one: the supplier's default currency, else the
+	// organization's base currency
+	const currency = normalizeCurrency(parsed.currency) ?? invoiceRow.currency ?? null;
+
+	const subtotal =
+		parsed.subtotal !== undefined && parsed.subtotal !== null
+			? parseFloat(parsed.subtotal) || 0
+			: invoiceRow.subtotal !== null
+			? Number(invoiceRow.subtotal)
+			: 0;
+
+	const total =
+		parsed.total !== undefined && parsed.total !== null
+			? parseFloat(parsed.total) || 0
+			: invoiceRow.total !== null
+			? Number(invoiceRow.total)
+			: 0;
+
+	// Prepare raw JSONB to store: prefer parsed object, but preserve raw text as fallback
+	const rawToStore =
+		typeof llmResult.raw === "string" && llmResult.raw.trim().length > 0
+			? (() => {
+					try {
+						// if raw is valid JSON string, parse it into JSONB
+						const maybe = JSON.parse(llmResult.raw);
+						return maybe;
+					} catch (e) {
+						// otherwise store parsed + raw text for debugging
+						return { parsed, raw: llmResult.raw };
+					}
+			  })()
+			: parsed;
+
+	const client = await db.connect();
+	try {
+		await client.query("BEGIN");
+
+		// Update invoice (includes raw_llm_json, llm_model, extraction_at)
+		await client.query(
+			`UPDATE invoices SET
+         supplier_name = $1,
+         invoice_number = $2,
+         invoice_date = $3,
+         currency = $4,
+         subtotal = $5,
+         total = $6,
+         raw_llm_json = $7,
+         llm_model = $8,
+         extraction_at = NOW(),
+         status = 'EXTRACTED',
+         updated_at = NOW(),
+         confidence = $10,
+         llm_provider = $11,
+         ocr_text = $12,
+         ocr_confidence = $13,
+         ocr_lang = $14,
+         supplier_tax_id = $15,
+         buyer_tax_id = $16,
+         field_evidence = $17
+       WHERE id = $9`,
+			[
+				supplier_name,
+				invoice_number,
+				invoice_date,
+				currency,
+				subtotal,
+				total,
+				rawToStore,
+				llmResult.model,
+				id,
+				confidence,
+				llmResult.provider,
+				ocr.text ?? null,
+				ocr.confidence ?? null,
+				ocr.lang ?? null,
+				supplier_tax_id,
+				buyer_tax_id,
+				JSON.stringify(field_evidence),
+			]
+		);
+
+		// Replace line items, tax lines, discounts and charges (atomic)
+		await replaceLineItems(client, id, line_items);
+		await replaceTaxLines(client, id, parsed.tax_lines);
+		await replaceAdjustments(client, id, parsed.discounts, parsed.charges);
+		await refreshTotals(client, id, { taxTotal: parsed.tax_total });
+		await refreshSearchVector(client, id);
+
+		// link to the suppliers table; low-score matches are flagged by validation
+		const supplierMatch = await matchInvoiceSupplier(client, id);
+		if (supplierMatch && !normalizeCurrency(parsed.currency)) {
+			await applySupplierDefaults(client, id, supplierMatch.supplier_id);
+		}
+		await applyBaseCurrencyDefault(client, id);
+		await refreshBaseAmounts(client, { invoiceId: id });
+
+		// arithmetic / consistency checks; errors send the invoice to NEEDS_REVIEW
+		await applyValidation(client, id, {
+			extraIssues: [
+				...crossCheckIssues(llmResult.cross_check),
+				...currencyIssues(parsed.currency),
+			],
+		});
+
+		// same supplier + invoice number / date / total as an earlier invoice
+		const duplicate = await applyDuplicateCheck(client, id);
+
+		await recordRevision(client, id, {
+			source: llmResult.provider === "ubl" ? "import" : "extraction",
+			actor: actor || `system:${llmResult.provider}`,
+			note: `${llmResult.provider} / ${llmResult.model}`,
+		});
+		await recordInvoiceEvent(client, id, "invoice.extracted", {
+			provider: llmResult.provider,
+			model: llmResult.model,
+		});
+		await recordStatusEvent(client, id, "EXTRACTING");
+
+		await client.query("COMMIT");
+
+		// refetch updated invoice + items
+		const updated = await client.query(`SELECT * FROM invoices WHERE id = $1`, [
+			id,
+		]);
+		const details = await loadInvoiceDetails(client, id);
+
+		return { invoice: updated.rows[0], ...details, duplicate };
+	} catch (err) {
+		try {
+			await client.query("ROLLBACK");
+		} catch (e) {
+			/* ignore rollback errors */
+		}
+		throw err;
+	} finally {
+		client.release();
+	}
+}
+
+/**
+ * A PDF found to hold several invoices: one child per segment, queued for
+ * extraction, parent marked SPLIT -> { invoice, children }
+ */
+async function saveSplit(id, segments, { actor } = {}) {
+	const client = await db.connect();
+	try {
+		await client.query("BEGIN");
+		const parentRes = await client.query(
+			`SELECT * FROM invoices WHERE id = $1 FOR UPDATE`,
+			[id]
+		);
+		const numbers = segments.map((s) => s.invoice_number).filter(Boolean);
+		const children = await splitInvoice(
+			client,
+			parentRes.rows[0],
+			segments.map((s) => ({ from: s.page_from, to: s.page_to })),
+			{
+				actor,
+				pageCount: segments[segments.length - 1].page_to,
+				note: `Found ${segments.length} invoices: ${numbers.join(", ")}`,
+			}
+		);
+		await client.query("COMMIT");
+
+		const updated = await client.query(`SELECT * FROM invoices WHERE id = $1`, [id]);
+		return { invoice: updated.rows[0], children };
+	} catch (err) {
+		try {
+			await client.query("ROLLBACK");
+		} catch (e) {
+			/* ignore rollback errors */
+		}
+		throw err;
+	} finally {
+		client.release();
+	}
+}
+
+/**
+ * runExtraction(id, { provider, ocrLang, throwOnRetryable, actor, split })
+ * - marks the invoice EXTRACTING while the provider runs (no pooled client held);
+ *   a second run on the same invoice meanwhile is a 409, and a run that throws
+ *   puts the previous status back
+ * - UBL / Peppol XML files are parsed directly (provider "ubl", no LLM call)
+ * - a PDF with several invoice numbers is split into child invoices instead
+ *   (provider "split", see services/invoice-split.js; split: false skips the check);
+ *   child invoices are extracted from their own pages
+ * - on success saves fields + line items, links the supplier and marks EXTRACTED
+ *   (NEEDS_REVIEW when validation finds an error or the supplier match is uncertain,
+ *   POSSIBLE_DUPLICATE when it looks like an earlier invoice)
+ * - on invalid output saves the raw text and marks NEEDS_REVIEW; when the stored
+ *   file can't be read or saving fails, the invoice keeps its status and columns
+ * - with throwOnRetryable, transient provider errors are thrown (err.retryable)
+ *   instead of being saved, so the worker can retry them
+ *
+ * Returns { ok, provider, model, fallback_from, invoice?, line_items?, tax_lines?,
+ *           discounts?, charges?, cross_check?, duplicate?, children?, error?, raw? }
+ */
+async function runExtraction(id, options = {}) {
+	const invoiceRow = await claimForExtraction(id, options.actor);
+	try {
+		return await extractClaimed(invoiceRow, options);
+	} catch (err) {
+		// give the invoice back (e.g. for the job's retry) instead of leaving
+		// it EXTRACTING
+		await db
+			.query(
+				`UPDATE invoices SET status = $2, updated_at = NOW()
+         WHERE id = $1 AND status = 'EXTRACTING'`,
+				[id, invoiceRow.status === "EXTRACTING" ? "NEEDS_REVIEW" : invoiceRow.status]
+			)
+			.catch(() => {});
+		throw err;
+	}
+}
+
+/**
+ * Mark the invoice EXTRACTING and record the revision under its row lock, so
+ * only one run starts: a split or locked invoice, or one another run is still
+ * extracting, is a 409. An EXTRACTING invoice untouched for
+ * EXTRACTION_LOCK_TIMEOUT_MS (its run crashed) can be taken over.
+ * Returns the invoice row as it was before.
+ */
+async function claimForExtraction(id, actor) {
+	const client = await db.connect();
+	try {
+		await client.query("BEGIN");
+		const invRes = await client.query(
+			`SELECT *,
+              updated_at >= NOW() - ($2::int * INTERVAL '1 millisecond') AS recently_updated
+       FROM invoices WHERE id = $1 FOR UPDATE`,
+			[id, LOCK_TIMEOUT_MS]
+		);
+		if (!invRes.rows.length) throw httpError(404, "Invoice not found");
+
+		const { recently_updated, ...invoiceRow } = invRes.rows[0];
+		if (!invoiceRow.file_path) {
+			throw httpError(400, "No file associated with invoice");
+		}
+		assertExtractable(invoiceRow);
+		if (invoiceRow.status === "EXTRACTING" && recently_updated) {
+			throw httpError(409, "Invoice is already being extracted");
+		}
+
+		await client.query(
+			`UPDATE invoices SET status = 'EXTRACTING', updated_at = NOW() WHERE id = $1`,
+			[id]
+		);
+		await recordRevision(client, id, {
+			source: "status_change",
+			actor: actor || null,
+			note: "Extraction started",
+		});
+		await client.query("COMMIT");
+		return invoiceRow;
+	} catch (err) {
+		try {
+			await client.query("ROLLBACK");
+		} catch (e) {
+			/* ignore rollback errors */
+		}
+		throw err;
+	} finally {
+		client.release();
+	}
+}
+
+async function extractClaimed(invoiceRow, options) {
+	const id = invoiceRow.id;
+
+	// UBL / Peppol XML is mapped directly; everything else goes through a provider.
+	// Remote storage is fetched to a temp file for the extractors; a storage
+	// outage is retried like a provider outage.
+	const llmResult = await withLocalFile(invoiceRow.file_path, async (filePath) => {
+		if (isXmlFile(filePath)) return extractUblFromFile(filePath);
+
+		const isChild = Boolean(invoiceRow.parent_invoice_id);
+		if (AUTO_SPLIT && options.split !== false && !isChild && isPdf(invoiceRow)) {
+			// unreadable text layer: extract the whole file as usual
+			const pages = await readPdfPages(filePath).catch(() => []);
+			const segments = detectInvoiceSegments(pages);
+			if (segments.length > 1) return { ok: true, provider: "split", segments };
+		}
+
+		return extractInvoiceFromFile(filePath, {
+			provider: options.provider,
+			ocrLang: options.ocrLang,
+			pages: isChild ? { from: invoiceRow.page_from, to: invoiceRow.page_to } : undefined,
+		});
+	}).catch((err) => {
+		// no provider result to keep: runExtraction gives the invoice back, and
+		// the worker retries it like a provider outage
+		err.retryable = true;
+		throw err;
+	});
+
+	if (!llmResult.ok && llmResult.retryable && options.throwOnRetryable) {
+		const err = new Error(llmResult.error || "Extraction provider failed");
+		err.retryable = true;
+		err.llmResult = llmResult;
+		throw err;
+	}
+
+	if (!llmResult.ok) {
+		await markExtractionFailed(id, llmResult);
+		return {
+			ok: false,
+			provider: llmResult.provider,
+			model: llmResult.model,
+			fallback_from: llmResult.fallback_from ?? null,
+			error: llmResult.error,
+			raw: llmResult.raw ?? null,
+		};
+	}
+
+	if (llmResult.segments) {
+		const split = await saveSplit(id, llmResult.segments, { actor: options.actor });
+		return { ok: true, provider: "split", model: null, fallback_from: null, ...split };
+	}
+
+	const saved = await saveExtraction(invoiceRow, llmResult, {
+		actor: options.actor,
+	});
+	return {
+		ok: true,
+		provider: llmResult.provider,
+		model: llmResult.model,
+		fallback_from: llmResult.fallback_from ?? null,
+		cross_check: llmResult.cross_check ?? null,
+		...saved,
+	};
+}
+
+module.exports = { runExtraction, markExtractionFailed };
@@ -0,0 +1,136 @@
+// backend/services/files.js
+// How uploaded invoice files are served (they are kept by ./storage).
+// Files are never served statically: clients get an expiring signed URL
+// (/api/files/:id?expires=&signature=) or download through the authenticated
+// GET /api/invoices/:id/file.
+
+const crypto = require("crypto");
+const path = require("path");
+const { fileInfo, openFile } = require("./storage");
+
+// lifetime of a signed file URL
+const FILE_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS || "900", 10);
+
+const CONTENT_TYPES = {
+	".pdf": "application/pdf",
+	".png": "image/png",
+	".jpg": "image/jpeg",
+	".jpeg": "image/jpeg",
+	".xml": "application/xml",
+};
+
+/**
+ * Original name of an uploaded file. Multer hands it over decoded as latin1;
+ * re-decode it as UTF-8 when that gives a valid name
+ */
+function originalFilename(file) {
+	const name = file && file.originalname;
+	if (!name) return null;
+	const utf8 = Buffer.from(name, "latin1").toString("utf8");
+	return utf8.includes("\ufffd") ? name : utf8;
+}
+
+function contentTypeOf(invoice) {
+	return (
+		invoice.mime_type ||
+		CONTENT_TYPES[path.extname(invoice.file_path || "").toLowerCase()] ||
+		"application/octet-stream"
+	);
+}
+
+function downloadNameOf(invoice) {
+	return invoice.original_filename || path.basename(invoice.file_path || "") || "invoice";
+}
+
+/**
+ * Content-Disposition with an ASCII fallback and the UTF-8 filename (RFC 6266)
+ */
+function contentDisposition(type, filename) {
+	const ascii = filename.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+	return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+function urlSecret() {
+	const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+	if (!secret) throw new Error("FILE_URL_SECRET (or JWT_SECRET) is not set");
+	return secret;
+}
+
+// the signature covers the file itself, so a link stops working when the
+// invoice is deleted or its file replaced
+function sign(invoice, expires, disposition) {
+	return crypto
+		.createHmac("sha256", urlSecret())
+		.update(`${invoice.id}\n${invoice.file_path}\n${expires}\n${disposition}`)
+		.digest("base64url");
+}
+
+/**
+ * Expiring URL for an invoice's file, or null when it has none.
+ * download: Content-Disposition attachment instead of inline (preview)
+ */
+function signedFileUrl(invoice, { download = false, ttlSeconds = FILE_URL_TTL_SECONDS } = {}) {
+	if (!invoice || !invoice.file_path) return null;
+	const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+	const disposition = download ? "attachment" : "inline";
+	const params = new URLSearchParams({
+		expires: String(expires),
+		disposition,
+		signature: sign(invoice, expires, disposition),
+	});
+	return `/api/files/${invoice.id}?${params}`;
+}
+
+/**
+ * Check the query of a signed URL against the invoice
+ * -> { ok: true, disposition } | { ok: false, error }
+ */
+function verifySignedUrl(invoice, { expires, disposition = "inline", signature } = {}) {
+	const exp = parseInt(expires, 10);
+	if (!exp || !signature || !["inline", "attachment"].includes(disposition)) {
+		return { ok: false, error: "Invalid file link" };
+	}
+	if (exp < Math.floor(Date.now() / 1000)) {
+		return { ok: false, error: "File link has expired" };
+	}
+
+	const expected = Buffer.from(sign(invoice, exp, disposition));
+	const given = Buffer.from(String(signature));
+	if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+		return { ok: false, error: "Invalid file link" };
+	}
+	return { ok: true, disposition };
+}
+
+/**
+ * Stream an invoice's file with Content-Type / Content-Disposition set
+ */
+async function sendInvoiceFile(res, invoice, disposition = "inline") {
+	const stat = invoice.file_path ? await fileInfo(invoice.file_path) : null;
+	if (!stat) {
+		return res.status(404).json({ error: "File not found" });
+	}
+	const stream = await openFile(invoice.file_path);
+
+	res.set({
+		"Content-Type": contentTypeOf(invoice),
+		"Content-Length": String(stat.size),
+		"Content-Disposition": contentDisposition(disposition, downloadNameOf(invoice)),
+		"Cache-Control": "private, no-store",
+		"X-Content-Type-Options": "nosniff",
+	});
+	stream
+		.on("error", (err) => {
+			console.error("File stream error:", err);
+			res.destroy(err);
+		})
+		.pipe(res);
+}
+
+module.exports = {
+	FILE_URL_TTL_SECONDS,
+	originalFilename,
+	signedFileUrl,
+	verifySignedUrl,
+	sendInvoiceFile,
+};
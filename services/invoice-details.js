@@ -0,0 +1,195 @@
+// backend/services/invoice-details.js
+// Child rows of an invoice: line items, tax lines, discounts and charges.
+// Used by PUT /api/invoices/:id and by extraction so both coerce values the same way.
+// Invoice totals: total = subtotal - discount_total + charges_total + tax_total
+
+function toNumberOrNull(v) {
+	if (v === null || v === undefined || v === "") return null;
+	const n = parseFloat(v);
+	return Number.isNaN(n) ? null : n;
+}
+
+function round2(n) {
+	return Math.round(n * 100) / 100;
+}
+
+function sumOf(rows, field) {
+	return round2(rows.reduce((acc, r) => acc + (Number(r[field]) || 0), 0));
+}
+
+/**
+ * Replace all line items of an invoice. Returns the inserted rows.
+ * Extracted items carry confidence, source_text and page (stored as source_page).
+ */
+async function replaceLineItems(client, invoiceId, items) {
+	await client.query(`DELETE FROM line_items WHERE invoice_id = $1`, [invoiceId]);
+
+	const inserted = [];
+	for (const item of Array.isArray(items) ? items : []) {
+		// coerce numbers safely
+		const qty = parseFloat(item.quantity) || 0;
+		const unit = parseFloat(item.unit_price) || 0;
+		const line_total = parseFloat(item.line_total) || qty * unit;
+
+		const itemResult = await client.query(
+			`INSERT INTO line_items (invoice_id, description, quantity, unit_price, line_total, tax_rate,
+                              confidence, source_text, source_page, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       RETURNING id, description, quantity, unit_price, line_total, tax_rate, confidence, source_text, source_page`,
+			[
+				invoiceId,
+				item.description || "",
+				qty,
+				unit,
+				line_total,
+				toNumberOrNull(item.tax_rate),
+				toNumberOrNull(item.confidence),
+				item.source_text || null,
+				parseInt(item.source_page ?? item.page, 10) || null,
+			]
+		);
+		inserted.push(itemResult.rows[0]);
+	}
+	return inserted;
+}
+
+/**
+ * Replace tax lines (e.g. CGST 9% on 1000.00 = 90.00).
+ * A missing tax_amount is computed from base_amount x rate.
+ */
+async function replaceTaxLines(client, invoiceId, taxLines) {
+	await client.query(`DELETE FROM tax_lines WHERE invoice_id = $1`, [invoiceId]);
+
+	const inserted = [];
+	for (const tl of Array.isArray(taxLines) ? taxLines : []) {
+		const rate = toNumberOrNull(tl.rate);
+		const base_amount = toNumberOrNull(tl.base_amount);
+		let tax_amount = toNumberOrNull(tl.tax_amount);
+		if (tax_amount === null && rate !== null && base_amount !== null)
+			tax_amount = round2((base_amount * rate) / 100);
+
+		const result = await client.query(
+			`INSERT INTO tax_lines (invoice_id, name, rate, base_amount, tax_amount)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, name, rate, base_amount, tax_amount`,
+			[invoiceId, tl.name || "Tax", rate, base_amount, tax_amount || 0]
+		);
+		inserted.push(result.rows[0]);
+	}
+	return inserted;
+}
+
+/**
+ * Replace invoice-level discounts and charges (shipping, freight, fees).
+ * Amounts are stored positive; kind says which way they count.
+ */
+async function replaceAdjustments(client, invoiceId, discounts, charges) {
+	await client.query(`DELETE FROM invoice_adjustments WHERE invoice_id = $1`, [
+		invoiceId,
+	]);
+
+	const rows = [
+		...(Array.isArray(discounts) ? discounts : []).map((d) => ({
+			...d,
+			kind: "DISCOUNT",
+			category: d.category || "discount",
+		})),
+		...(Array.isArray(charges) ? charges : []).map((c) => ({
+			...c,
+			kind: "CHARGE",
+			category: c.category || "fee",
+		})),
+	];
+
+	const inserted = { discounts: [], charges: [] };
+	for (const adj of rows) {
+		const amount = Math.abs(toNumberOrNull(adj.amount) || 0);
+		const result = await client.query(
+			`INSERT INTO invoice_adjustments (invoice_id, kind, category, description, rate, amount)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, kind, category, description, rate, amount`,
+			[
+				invoiceId,
+				adj.kind,
+				String(adj.category).toLowerCase(),
+				adj.description || null,
+				toNumberOrNull(adj.rate),
+				amount,
+			]
+		);
+		(adj.kind === "DISCOUNT" ? inserted.discounts : inserted.charges).push(
+			result.rows[0]
+		);
+	}
+	return inserted;
+}
+
+/**
+ * Recompute tax_total / discount_total / charges_total from the child rows.
+ * An explicit taxTotal (e.g. extracted without a breakdown) wins over the sum.
+ */
+async function refreshTotals(client, invoiceId, { taxTotal } = {}) {
+	const taxes = await client.query(
+		`SELECT tax_amount FROM tax_lines WHERE invoice_id = $1`,
+		[invoiceId]
+	);
+	const adjustments = await client.query(
+		`SELECT kind, amount FROM invoice_adjustments WHERE invoice_id = $1`,
+		[invoiceId]
+	);
+
+	const explicitTax = toNumberOrNull(taxTotal);
+	const tax_total = taxes.rows.length
+		? sumOf(taxes.rows, "tax_amount")
+		: explicitTax;
+	const discount_total = sumOf(
+		adjustments.rows.filter((a) => a.kind === "DISCOUNT"),
+		"amount"
+	);
+	const charges_total = sumOf(
+		adjustments.rows.filter((a) => a.kind === "CHARGE"),
+		"amount"
+	);
+
+	await client.query(
+		`UPDATE invoices SET tax_total = $1, discount_total = $2, charges_total = $3 WHERE id = $4`,
+		[tax_total, discount_total, charges_total, invoiceId]
+	);
+	return { tax_total, discount_total, charges_total };
+}
+
+/**
+ * Load line items, tax lines, discounts and charges for the detail response
+ */
+async function loadInvoiceDetails(client, invoiceId) {
+	const items = await client.query(
+		`SELECT id, description, quantity, unit_price, line_total, tax_rate, confidence, source_text, source_page
+     FROM line_items WHERE invoice_id = $1 ORDER BY id ASC`,
+		[invoiceId]
+	);
+	const taxes = await client.query(
+		`SELECT id, name, rate, base_amount, tax_amount
+     FROM tax_lines WHERE invoice_id = $1 ORDER BY id ASC`,
+		[invoiceId]
+	);
+	const adjustments = await client.query(
+		`SELECT id, kind, category, description, rate, amount
+     FROM invoice_adjustments WHERE invoice_id = $1 ORDER BY id ASC`,
+		[invoiceId]
+	);
+
+	return {
+		line_items: items.rows,
+		tax_lines: taxes.rows,
+		discounts: adjustments.rows.filter((a) => a.kind === "DISCOUNT"),
+		charges: adjustments.rows.filter((a) => a.kind === "CHARGE"),
+	};
+}
+
+module.exports = {
+	replaceLineItems,
+	replaceTaxLines,
+	replaceAdjustments,
+	refreshTotals,
+	loadInvoiceDetails,
+};
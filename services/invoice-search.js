@@ -0,0 +1,289 @@
+// backend/services/invoice-search.js
+// Filters, sorting, full-text search and pagination for GET /api/invoices.
+// Supports OFFSET paging (page/limit) and keyset paging (cursor from next_cursor).
+
+const { normalizeCurrency } = require("./currency");
+const { STATUSES } = require("./invoice-status");
+
+// sortable columns -> SQL expression + type used to cast the cursor value back
+const SORTABLE = {
+	id: { expr: "i.id", type: "int" },
+	supplier_name: { expr: "i.supplier_name", type: "varchar" },
+	invoice_number: { expr: "i.invoice_number", type: "varchar" },
+	invoice_date: { expr: "i.invoice_date", type: "date" },
+	currency: { expr: "i.currency", type: "varchar" },
+	subtotal: { expr: "i.subtotal", type: "numeric" },
+	total: { expr: "i.total", type: "numeric" },
+	base_total: { expr: "i.base_total", type: "numeric" },
+	status: { expr: "i.status", type: "varchar" },
+	confidence: { expr: "i.confidence", type: "numeric" },
+	created_at: { expr: "i.created_at", type: "timestamp" },
+	updated_at: { expr: "i.updated_at", type: "timestamp" },
+};
+
+// query schemas (middleware/validate.js) of the filters below, shared by the
+// list, export and report routes
+const FILTER_QUERY = {
+	status: {
+		type: "array",
+		items: { type: "string", enum: STATUSES },
+		description: "Comma-separated statuses",
+	},
+	supplier_id: { type: "integer", minimum: 1, maximum: 2147483647 },
+	supplier: { type: "string", maxLength: 255, description: "Part of the supplier name" },
+	currency: {
+		type: "array",
+		items: { type: "string", maxLength: 10 },
+		description: 'Comma-separated currencies ("€" / "eur" match EUR)',
+	},
+	date_from: { type: "string", format: "date" },
+	date_to: { type: "string", format: "date" },
+	total_min: { type: "number" },
+	total_max: { type: "number" },
+	base_total_min: { type: "number" },
+	base_total_max: { type: "number" },
+	confidence_min: { type: "number", minimum: 0, maximum: 1 },
+	confidence_max: { type: "number", minimum: 0, maximum: 1 },
+	q: {
+		type: "string",
+		maxLength: 500,
+		description: "Full-text search over supplier, invoice number and line items",
+	},
+};
+
+const LIST_QUERY = {
+	...FILTER_QUERY,
+	sort: { type: "string", enum: Object.keys(SORTABLE) },
+	order: { type: "string", enum: ["asc", "desc"] },
+	page: { type: "integer", minimum: 1 },
+	limit: { type: "integer", minimum: 1, description: "Page size (at most 100)" },
+	cursor: { type: "string", description: "next_cursor of the previous page (keyset paging)" },
+};
+
+const LIST_COLUMNS = `
+  i.id, i.supplier_name, i.supplier_id, i.invoice_number, i.invoice_date, i.currency,
+  i.subtotal, i.total, i.base_currency, i.exchange_rate, i.base_total, i.confidence, i.status, i.duplicate_of_id, i.exported_at, i.created_at, i.updated_at`;
+
+function badRequest(message) {
+	const err = new Error(message);
+	err.status = 400;
+	return err;
+}
+
+function listParam(value) {
+	if (value === undefined || value === "") return null;
+	return (Array.isArray(value) ? value : String(value).split(","))
+		.map((v) => String(v).trim())
+		.filter(Boolean);
+}
+
+function numberParam(query, name) {
+	if (query[name] === undefined || query[name] === "") return null;
+	const n = Number(query[name]);
+	if (Number.isNaN(n)) throw badRequest(`${name} must be a number`);
+	return n;
+}
+
+function dateParam(query, name) {
+	if (!query[name]) return null;
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(query[name]))
+		throw badRequest(`${name} must be YYYY-MM-DD`);
+	return query[name];
+}
+
+// user text inside ILIKE '%...%' (escape the LIKE wildcards)
+function containsPattern(text) {
+	return `%${String(text).replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+function encodeCursor(value, id) {
+	return Buffer.from(JSON.stringify({ v: value, id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+	try {
+		const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+		if (!c || !Number.isInteger(c.id)) throw new Error("bad cursor");
+		return c;
+	} catch (e) {
+		throw badRequest("Invalid cursor");
+	}
+}
+
+/**
+ * Build the WHERE clause for the filter query params, limited to one
+ * organization's invoices when organizationId is given.
+ * Returns { where: "WHERE ..." | "", params }
+ */
+function buildFilters(query, organizationId = null) {
+	const conditions = [];
+	const params = [];
+	const param = (value) => {
+		params.push(value);
+		return `$${params.length}`;
+	};
+	const add = (sql) => conditions.push(sql);
+
+	if (organizationId !== null) add(`i.organization_id = ${param(organizationId)}`);
+
+	const statuses = listParam(query.status);
+	if (statuses) add(`i.status = ANY(${param(statuses.map((s) => s.toUpperCase()))}::varchar[])`);
+
+	const currencies = listParam(query.currency);
+	if (currencies) {
+		// "€" / "eur" match EUR
+		const codes = currencies.map((c) => normalizeCurrency(c) || c.toUpperCase());
+		add(`i.currency = ANY(${param(codes)}::varchar[])`);
+	}
+
+	if (query.supplier_id) {
+		const supplierId = parseInt(query.supplier_id, 10);
+		if (Number.isNaN(supplierId)) throw badRequest("supplier_id must be an integer");
+		add(`i.supplier_id = ${param(supplierId)}`);
+	}
+
+	// supplier: substring of the extracted name (trigram index)
+	if (query.supplier) add(`i.supplier_name ILIKE ${param(containsPattern(query.supplier))}`);
+
+	const dateFrom = dateParam(query, "date_from");
+	const dateTo = dateParam(query, "date_to");
+	if (dateFrom) add(`i.invoice_date >= ${param(dateFrom)}::date`);
+	if (dateTo) add(`i.invoice_date <= ${param(dateTo)}::date`);
+
+	const totalMin = numberParam(query, "total_min");
+	const totalMax = numberParam(query, "total_max");
+	if (totalMin !== null) add(`i.total >= ${param(totalMin)}::numeric`);
+	if (totalMax !== null) add(`i.total <= ${param(totalMax)}::numeric`);
+
+	const baseTotalMin = numberParam(query, "base_total_min");
+	const baseTotalMax = numberParam(query, "base_total_max");
+	if (baseTotalMin !== null) add(`i.base_total >= ${param(baseTotalMin)}::numeric`);
+	if (baseTotalMax !== null) add(`i.base_total <= ${param(baseTotalMax)}::numeric`);
+
+	const confidenceMin = numberParam(query, "confidence_min");
+	const confidenceMax = numberParam(query, "confidence_max");
+	if (confidenceMin !== null) add(`${SORTABLE.confidence.expr} >= ${param(confidenceMin)}::numeric`);
+	if (confidenceMax !== null) add(`${SORTABLE.confidence.expr} <= ${param(confidenceMax)}::numeric`);
+
+	// q: full-text over supplier name, invoice number and line-item descriptions
+	// (search_vector), plus substring match on supplier name / invoice number
+	const q = query.q ? String(query.q).trim() : "";
+	if (q) {
+		const like = param(containsPattern(q));
+		add(
+			`(i.search_vector @@ websearch_to_tsquery('simple', ${param(q)})
+        OR i.supplier_name ILIKE ${like}
+        OR i.invoice_number ILIKE ${like})`
+		);
+	}
+
+	return {
+		where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+		params,
+	};
+}
+
+/**
+ * searchInvoices(client, query, organizationId)
+ * -> { page, limit, total, sort, order, next_cursor, totals, invoices }
+ * query: req.query of GET /api/invoices. totals: sum of every matching invoice in
+ * the base currency, and how many have no exchange rate yet (unconverted).
+ */
+async function searchInvoices(client, query = {}, organizationId = null) {
+	const limit = Math.min(100, Math.max(1, parseInt(query.limit || "25", 10) || 25));
+
+	const sort = query.sort || "created_at";
+	if (!SORTABLE[sort]) {
+		throw badRequest(`sort must be one of: ${Object.keys(SORTABLE).join(", ")}`);
+	}
+	const order = String(query.order || "desc").toLowerCase();
+	if (!["asc", "desc"].includes(order)) throw badRequest("order must be asc or desc");
+
+	const { expr, type } = SORTABLE[sort];
+	const { where, params } = buildFilters(query, organizationId);
+
+	const countRes = await client.query(
+		`SELECT COUNT(*)::int AS total,
+            MAX(i.base_currency) AS base_currency,
+            COALESCE(SUM(i.base_total), 0) AS base_total,
+            COUNT(*) FILTER (WHERE i.base_total IS NULL AND i.status NOT IN ('UPLOADED', 'EXTRACTING', 'SPLIT'))::int AS unconverted
+     FROM invoices i ${where}`,
+		params
+	);
+	const { total, ...totals } = countRes.rows[0];
+
+	// keyset: rows strictly after the cursor in (sort value NULLS LAST, id) order
+	const pageParams = [...params];
+	const conditions = where ? [where.slice("WHERE ".length)] : [];
+	let page = null;
+	let offset = 0;
+	if (query.cursor) {
+		const cursor = decodeCursor(query.cursor);
+		const cmp = order === "asc" ? ">" : "<";
+		pageParams.push(cursor.id);
+		const id = `$${pageParams.length}::int`;
+		if (cursor.v === null || cursor.v === undefined) {
+			conditions.push(`(${expr} IS NULL AND i.id ${cmp} ${id})`);
+		} else {
+			pageParams.push(String(cursor.v));
+			const v = `$${pageParams.length}::${type}`;
+			conditions.push(
+				`(${expr} ${cmp} ${v} OR (${expr} = ${v} AND i.id ${cmp} ${id}) OR ${expr} IS NULL)`
+			);
+		}
+	} else {
+		page = Math.max(1, parseInt(query.page || "1", 10) || 1);
+		offset = (page - 1) * limit;
+	}
+
+	pageParams.push(limit + 1, offset);
+	const result = await client.query(
+		`SELECT ${LIST_COLUMNS}, (${expr})::text AS sort_value
+     FROM invoices i
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY ${expr} ${order.toUpperCase()} NULLS LAST, i.id ${order.toUpperCase()}
+     LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+		pageParams
+	);
+
+	const rows = result.rows.slice(0, limit);
+	const last = rows[rows.length - 1];
+	const next_cursor =
+		result.rows.length > limit ? encodeCursor(last.sort_value, last.id) : null;
+
+	return {
+		page,
+		limit,
+		total,
+		sort,
+		order,
+		next_cursor,
+		totals,
+		invoices: rows.map(({ sort_value, ...row }) => row),
+	};
+}
+
+/**
+ * Recompute invoices.search_vector from the header and line-item descriptions
+ */
+async function refreshSearchVector(client, invoiceId) {
+	await client.query(
+		`UPDATE invoices i SET search_vector =
+       setweight(to_tsvector('simple', COALESCE(i.supplier_name, '')), 'A') ||
+       setweight(to_tsvector('simple', COALESCE(i.invoice_number, '')), 'A') ||
+       setweight(to_tsvector('simple', COALESCE(
+         (SELECT string_agg(li.description, ' ') FROM line_items li WHERE li.invoice_id = i.id), ''
+       )), 'B')
+     WHERE i.id = $1`,
+		[invoiceId]
+	);
+}
+
+module.exports = {
+	SORTABLE,
+	FILTER_QUERY,
+	LIST_QUERY,
+	buildFilters,
+	searchInvoices,
+	refreshSearchVector,
+};
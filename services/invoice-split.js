@@ -0,0 +1,180 @@
+// backend/services/invoice-split.js
+// Multi-invoice PDFs (a supplier statement, a scanner batch) become one child
+// invoice per page range. Children share the parent's stored file and are
+// extracted from their own pages only; the parent keeps status SPLIT.
+// Boundaries come from the invoice number printed on each page: a page with a
+// different number starts a new invoice, pages without one continue the current.
+
+const fs = require("fs");
+const { extractPagesFromPdfBuffer } = require("../llm/text");
+const { findInvoiceNumber } = require("../llm/rules");
+const { normalizeInvoiceNumber } = require("./duplicates");
+const { enqueueExtraction } = require("./extraction-jobs");
+const { recordRevision } = require("./revisions");
+const { recordInvoiceEvent } = require("./webhooks");
+const { isLocked, assertTransition } = require("./invoice-status");
+
+// detect and split multi-invoice PDFs during extraction (set to "false" to only split by hand)
+const AUTO_SPLIT = process.env.SPLIT_MULTI_INVOICE_PDFS !== "false";
+
+function splitError(status, message) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+function isPdf(invoice) {
+	return (
+		invoice.mime_type === "application/pdf" ||
+		/\.pdf$/i.test(invoice.file_path || "")
+	);
+}
+
+/**
+ * Text layer of each page of a local PDF -> [{ num, text }]
+ */
+async function readPdfPages(filePath) {
+	return extractPagesFromPdfBuffer(await fs.promises.readFile(filePath));
+}
+
+/**
+ * [{ num, text }] -> [{ page_from, page_to, invoice_number }], one entry per
+ * invoice found. Leading pages without a number belong to the first invoice.
+ */
+function detectInvoiceSegments(pages) {
+	const segments = [];
+	for (const page of pages) {
+		const lines = page.text
+			.split("\n")
+			.map((l) => l.trim())
+			.filter(Boolean);
+		const number = findInvoiceNumber(lines);
+		const key = normalizeInvoiceNumber(number);
+		const current = segments[segments.length - 1];
+
+		if (current && (!key || !current.key || key === current.key)) {
+			current.page_to = page.num;
+			if (!current.key && key) {
+				current.key = key;
+				current.invoice_number = number;
+			}
+		} else {
+			segments.push({ key, invoice_number: number, page_from: page.num, page_to: page.num });
+		}
+	}
+	return segments.map(({ key, ...segment }) => segment);
+}
+
+/**
+ * Validate [{ from, to }] page ranges (1-based, inclusive) -> sorted copies
+ */
+function normalizeRanges(ranges, pageCount) {
+	if (!Array.isArray(ranges) || ranges.length < 2) {
+		throw splitError(400, "ranges must list at least two page ranges");
+	}
+	const sorted = ranges
+		.map((r) => ({ from: Number(r && r.from), to: Number(r && r.to) }))
+		.sort((a, b) => a.from - b.from);
+
+	let previousTo = 0;
+	for (const r of sorted) {
+		if (!Number.isInteger(r.from) || !Number.isInteger(r.to) || r.from < 1 || r.to < r.from) {
+			throw splitError(400, "Each range needs integer pages with 1 <= from <= to");
+		}
+		if (r.to > pageCount) {
+			throw splitError(400, `Page ${r.to} is out of range (the PDF has ${pageCount} pages)`);
+		}
+		if (r.from <= previousTo) {
+			throw splitError(400, `Page ranges overlap at page ${r.from}`);
+		}
+		previousTo = r.to;
+	}
+	return sorted;
+}
+
+/**
+ * splitInvoice(client, parent, ranges, { actor, pageCount, enqueue, note })
+ * Replace the parent's children with one invoice per page range and mark the
+ * parent SPLIT. The parent row must be locked by the caller (FOR UPDATE inside
+ * a transaction). Returns the new child rows.
+ */
+async function splitInvoice(client, parent, ranges, options = {}) {
+	const { actor = null, pageCount, enqueue = true, note = null } = options;
+
+	if (parent.parent_invoice_id) {
+		throw splitError(400, "Invoice is already part of a split PDF");
+	}
+	if (!isPdf(parent)) {
+		throw splitError(400, "Only PDF invoices can be split");
+	}
+	if (isLocked(parent.status) && parent.status !== "SPLIT") {
+		throw splitError(409, `Invoice is ${parent.status}; reopen it before splitting`);
+	}
+	assertTransition(parent.status, "SPLIT");
+	const pages = normalizeRanges(ranges, pageCount);
+
+	// splitting again replaces the earlier children, unless one of them moved on
+	const existing = await client.query(
+		`SELECT id, status FROM invoices WHERE parent_invoice_id = $1 FOR UPDATE`,
+		[parent.id]
+	);
+	const locked = existing.rows.find((c) => isLocked(c.status));
+	if (locked) {
+		throw splitError(
+			409,
+			`Child invoice ${locked.id} is ${locked.status}; reopen it before splitting again`
+		);
+	}
+	await client.query(`DELETE FROM invoices WHERE parent_invoice_id = $1`, [parent.id]);
+
+	const children = [];
+	for (const range of pages) {
+		const result = await client.query(
+			`INSERT INTO invoices (organization_id, upload_batch_id, parent_invoice_id, page_from, page_to,
+                             file_path, original_filename, mime_type, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'UPLOADED', NOW(), NOW())
+       RETURNING id, parent_invoice_id, page_from, page_to, file_path, status, created_at`,
+			[
+				parent.organization_id,
+				parent.upload_batch_id,
+				parent.id,
+				range.from,
+				range.to,
+				parent.file_path,
+				parent.original_filename,
+				parent.mime_type,
+			]
+		);
+		const child = result.rows[0];
+		await recordRevision(client, child.id, {
+			source: "split",
+			actor,
+			note: `Pages ${range.from}-${range.to} of invoice ${parent.id}`,
+		});
+		await recordInvoiceEvent(client, child.id, "invoice.uploaded");
+		child.job = enqueue ? await enqueueExtraction(child.id, {}, client) : null;
+		children.push(child);
+	}
+
+	await client.query(
+		`UPDATE invoices SET status = 'SPLIT', extraction_at = NOW(), updated_at = NOW()
+     WHERE id = $1`,
+		[parent.id]
+	);
+	await recordRevision(client, parent.id, {
+		source: "status_change",
+		actor,
+		note: note || `Split into ${children.length} invoices`,
+	});
+
+	return children;
+}
+
+module.exports = {
+	AUTO_SPLIT,
+	isPdf,
+	readPdfPages,
+	detectInvoiceSegments,
+	normalizeRanges,
+	splitInvoice,
+};
@@ -0,0 +1,266 @@
+// backend/services/invoice-status.js
+// Invoice status workflow:
+//   UPLOADED -> EXTRACTING -> EXTRACTED | NEEDS_REVIEW | POSSIBLE_DUPLICATE
+//            -> APPROVED | REJECTED -> EXPORTED -> PAID
+// APPROVED / REJECTED are only reached through the approve / reject actions,
+// EXPORTED through the accounting export. Approved, rejected, exported and paid
+// invoices are locked: they have to be reopened before they can be edited.
+// SPLIT marks a PDF holding several invoices; its child invoices carry the data
+// (see services/invoice-split.js) and it stays locked.
+
+const { hasErrors } = require("./validation");
+
+const STATUSES = [
+	"UPLOADED",
+	"EXTRACTING",
+	"EXTRACTED",
+	"NEEDS_REVIEW",
+	"POSSIBLE_DUPLICATE",
+	"APPROVED",
+	"REJECTED",
+	"EXPORTED",
+	"PAID",
+	"SPLIT",
+];
+
+// allowed next statuses
+const TRANSITIONS = {
+	UPLOADED: ["EXTRACTING", "EXTRACTED", "NEEDS_REVIEW", "SPLIT"],
+	EXTRACTING: ["EXTRACTED", "NEEDS_REVIEW", "POSSIBLE_DUPLICATE", "SPLIT"],
+	EXTRACTED: ["EXTRACTING", "NEEDS_REVIEW", "POSSIBLE_DUPLICATE", "APPROVED", "REJECTED", "SPLIT"],
+	NEEDS_REVIEW: ["EXTRACTING", "EXTRACTED", "POSSIBLE_DUPLICATE", "APPROVED", "REJECTED", "SPLIT"],
+	POSSIBLE_DUPLICATE: ["EXTRACTING", "EXTRACTED", "NEEDS_REVIEW", "REJECTED", "SPLIT"],
+	APPROVED: ["EXPORTED", "NEEDS_REVIEW"],
+	REJECTED: ["NEEDS_REVIEW"],
+	EXPORTED: ["PAID"],
+	PAID: [],
+	SPLIT: [],
+};
+
+// statuses a reviewer may set directly through PUT /api/invoices/:id
+const EDITABLE_STATUSES = ["EXTRACTED", "NEEDS_REVIEW"];
+
+const LOCKED_STATUSES = new Set(["APPROVED", "REJECTED", "EXPORTED", "PAID", "SPLIT"]);
+
+// "10000:2,50000:3" -> totals of 10000 and above need 2 approvers, 50000 and above 3
+const APPROVAL_THRESHOLDS = parseThresholds(process.env.APPROVAL_THRESHOLDS);
+
+function parseThresholds(text) {
+	return String(text || "")
+		.split(",")
+		.map((part) => part.trim().split(":"))
+		.filter((pair) => pair.length === 2)
+		.map(([min, approvers]) => ({
+			min_total: Number(min),
+			approvers: parseInt(approvers, 10),
+		}))
+		.filter((t) => !Number.isNaN(t.min_total) && t.approvers > 0)
+		.sort((a, b) => a.min_total - b.min_total);
+}
+
+function workflowError(status, message) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+function isLocked(status) {
+	return LOCKED_STATUSES.has(status);
+}
+
+function canTransition(from, to) {
+	return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throws a 409 unless the invoice may be (re-)extracted: split PDFs are
+ * extracted through their children, locked invoices have to be reopened first
+ */
+function assertExtractable(invoice) {
+	if (invoice.status === "SPLIT") {
+		throw workflowError(409, "Invoice was split into separate invoices; extract those instead");
+	}
+	if (isLocked(invoice.status)) {
+		throw workflowError(409, `Invoice is ${invoice.status}; reopen it before extracting`);
+	}
+}
+
+/**
+ * Throws a 400 for an unknown status and a 409 for a transition the workflow
+ * does not allow
+ */
+function assertTransition(from, to) {
+	if (!STATUSES.includes(to)) {
+		throw workflowError(400, `status must be one of: ${STATUSES.join(", ")}`);
+	}
+	if (from !== to && !canTransition(from, to)) {
+		throw workflowError(409, `Cannot move invoice from ${from} to ${to}`);
+	}
+}
+
+/**
+ * Number of distinct approvers an invoice needs (at least 1). The thresholds
+ * are in the organization's base currency, so they apply to base_total; an
+ * invoice with a total but no exchange rate yet (base_total NULL) needs as many
+ * approvers as the highest threshold.
+ */
+function requiredApprovals({ total, base_total }) {
+	const unconverted = base_total === null || base_total === undefined;
+	if (unconverted && total !== null && total !== undefined) {
+		return Math.max(1, ...APPROVAL_THRESHOLDS.map((t) => t.approvers));
+	}
+	let required = 1;
+	for (const t of APPROVAL_THRESHOLDS) {
+		if (Number(base_total) >= t.min_total) required = Math.max(required, t.approvers);
+	}
+	return required;
+}
+
+/**
+ * Current (not voided) approvals of an invoice and how many it needs
+ */
+async function approvalState(client, invoice) {
+	const result = await client.query(
+		`SELECT id, actor, decision, note, created_at FROM invoice_approvals
+     WHERE invoice_id = $1 AND voided_at IS NULL AND decision = 'APPROVE'
+     ORDER BY id ASC`,
+		[invoice.id]
+	);
+	return {
+		required: requiredApprovals(invoice),
+		received: result.rows.length,
+		approvals: result.rows,
+	};
+}
+
+/**
+ * Drop the approvals collected so far (edit / reopen); they are kept as history
+ */
+async function voidApprovals(client, invoiceId) {
+	await client.query(
+		`UPDATE invoice_approvals SET voided_at = NOW()
+     WHERE invoice_id = $1 AND voided_at IS NULL`,
+		[invoiceId]
+	);
+}
+
+/**
+ * Record one approval inside the caller's transaction (invoice row locked).
+ * The invoice becomes APPROVED once it has the number of distinct approvers
+ * its base-currency total requires. Returns { status, required, received, approvals }
+ */
+async function approveInvoice(client, invoice, { actor, note = null }) {
+	if (!actor) throw workflowError(400, "An approver is required");
+	assertTransition(invoice.status, "APPROVED");
+	if (invoice.status === "APPROVED") {
+		throw workflowError(409, "Invoice is already approved");
+	}
+	if (hasErrors(invoice.validation_issues || [])) {
+		throw workflowError(409, "Invoice has validation errors");
+	}
+
+	const before = await approvalState(client, invoice);
+	if (before.approvals.some((a) => a.actor === actor)) {
+		throw workflowError(409, `${actor} has already approved this invoice`);
+	}
+
+	await client.query(
+		`INSERT INTO invoice_approvals (invoice_id, actor, decision, note, created_at)
+     VALUES ($1, $2, 'APPROVE', $3, NOW())`,
+		[invoice.id, actor, note]
+	);
+
+	const state = await approvalState(client, invoice);
+	let status = invoice.status;
+	if (state.received >= state.required) {
+		status = "APPROVED";
+		await client.query(
+			`UPDATE invoices SET status = 'APPROVED', approved_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+			[invoice.id]
+		);
+	}
+	return { status, ...state };
+}
+
+/**
+ * Reject the invoice with a reason (invoice row locked by the caller)
+ */
+async function rejectInvoice(client, invoice, { actor = null, reason }) {
+	if (!reason || !String(reason).trim()) {
+		throw workflowError(400, "A rejection reason is required");
+	}
+	assertTransition(invoice.status, "REJECTED");
+	if (invoice.status === "REJECTED") {
+		throw workflowError(409, "Invoice is already rejected");
+	}
+
+	await voidApprovals(client, invoice.id);
+	await client.query(
+		`INSERT INTO invoice_approvals (invoice_id, actor, decision, note, created_at)
+     VALUES ($1, $2, 'REJECT', $3, NOW())`,
+		[invoice.id, actor, String(reason).trim()]
+	);
+	await client.query(
+		`UPDATE invoices SET
+       status = 'REJECTED',
+       rejection_reason = $1,
+       approved_at = NULL,
+       updated_at = NOW()
+     WHERE id = $2`,
+		[String(reason).trim(), invoice.id]
+	);
+}
+
+/**
+ * Send an approved or rejected invoice back to NEEDS_REVIEW; approvals start over
+ */
+async function reopenInvoice(client, invoice) {
+	if (!["APPROVED", "REJECTED"].includes(invoice.status)) {
+		throw workflowError(409, `Cannot reopen an invoice in status ${invoice.status}`);
+	}
+
+	await voidApprovals(client, invoice.id);
+	await client.query(
+		`UPDATE invoices SET
+       status = 'NEEDS_REVIEW',
+       rejection_reason = NULL,
+       approved_at = NULL,
+       updated_at = NOW()
+     WHERE id = $1`,
+		[invoice.id]
+	);
+}
+
+/**
+ * EXPORTED -> PAID
+ */
+async function markInvoicePaid(client, invoice) {
+	assertTransition(invoice.status, "PAID");
+	if (invoice.status === "PAID") {
+		throw workflowError(409, "Invoice is already paid");
+	}
+	await client.query(
+		`UPDATE invoices SET status = 'PAID', paid_at = NOW(), updated_at = NOW()
+     WHERE id = $1`,
+		[invoice.id]
+	);
+}
+
+module.exports = {
+	STATUSES,
+	TRANSITIONS,
+	EDITABLE_STATUSES,
+	APPROVAL_THRESHOLDS,
+	isLocked,
+	canTransition,
+	assertTransition,
+	assertExtractable,
+	requiredApprovals,
+	approvalState,
+	voidApprovals,
+	approveInvoice,
+	rejectInvoice,
+	reopenInvoice,
+	markInvoicePaid,
+};
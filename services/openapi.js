@@ -0,0 +1,173 @@
+// backend/services/openapi.js
+// OpenAPI 3.1 document served at /api/openapi.json, built from the mounted
+// routers: each route's validate() spec (middleware/validate.js) gives its
+// summary, parameters and request body; authenticate / requireRole give its
+// security and required role.
+
+const { authenticate } = require("../middleware/auth");
+const { version } = require("../package.json");
+
+const FIELD_ERROR = {
+	type: "object",
+	properties: {
+		in: { type: "string", enum: ["path", "query", "body"] },
+		field: { type: ["string", "null"], description: 'e.g. "line_items[0].quantity"' },
+		message: { type: "string" },
+	},
+	required: ["in", "field", "message"],
+};
+
+const COMPONENTS = {
+	securitySchemes: {
+		bearerAuth: {
+			type: "http",
+			scheme: "bearer",
+			description: "JWT from /api/auth/login, or an API key",
+		},
+		apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+	},
+	schemas: {
+		Error: {
+			type: "object",
+			properties: { error: { type: "string" } },
+			required: ["error"],
+		},
+		ValidationError: {
+			type: "object",
+			properties: {
+				error: { type: "string", description: "The first problem, readable as is" },
+				code: { type: "string", enum: ["VALIDATION_FAILED", "MALFORMED_JSON"] },
+				fields: { type: "array", items: FIELD_ERROR },
+			},
+			required: ["error", "code", "fields"],
+		},
+	},
+	responses: {
+		BadRequest: response("Invalid path or query parameters, or a malformed JSON body", "ValidationError"),
+		Unauthorized: response("Missing or invalid credentials", "Error"),
+		Forbidden: response("The caller's role is too low", "Error"),
+		NotFound: response("Not found (or belongs to another organization)", "Error"),
+		UnprocessableEntity: response("The request body does not match its schema", "ValidationError"),
+	},
+};
+
+function response(description, schema) {
+	return {
+		description,
+		content: { "application/json": { schema: { $ref: `#/components/schemas/${schema}` } } },
+	};
+}
+
+function ref(name) {
+	return { $ref: `#/components/responses/${name}` };
+}
+
+// the parameter's own `required` / `description` live on the parameter object
+function parameter(name, location, schema, required) {
+	const { description, ...rest } = schema;
+	delete rest.required;
+	return {
+		name,
+		in: location,
+		required,
+		description,
+		schema: rest,
+		// comma-separated lists: ?status=EXTRACTED,NEEDS_REVIEW
+		...([].concat(rest.type).includes("array") && {
+			style: "form",
+			explode: false,
+		}),
+	};
+}
+
+function operationFor(route, spec, router) {
+	const pathParams = (route.path.match(/:\w+/g) || []).map((p) => p.slice(1));
+	const parameters = [
+		...pathParams.map((name) => {
+			const callback = ((router.params || {})[name] || []).find((fn) => fn.schema);
+			const schema = (spec.params || {})[name] || (callback && callback.schema) || { type: "string" };
+			return parameter(name, "path", schema, true);
+		}),
+		...Object.entries(spec.query || {}).map(([name, schema]) =>
+			parameter(name, "query", schema, schema.required === true)
+		),
+	];
+
+	const responses = {};
+	for (const [status, r] of Object.entries(spec.responses || { 200: "OK" })) {
+		responses[status] = typeof r === "string" ? { description: r } : r;
+	}
+	const jsonBody = spec.body && spec.contentType === "application/json";
+	if (parameters.length || jsonBody) responses["400"] = ref("BadRequest");
+	if (pathParams.length) responses["404"] = ref("NotFound");
+	if (jsonBody) responses["422"] = ref("UnprocessableEntity");
+
+	return {
+		summary: spec.summary,
+		description: spec.description,
+		parameters: parameters.length ? parameters : undefined,
+		requestBody: spec.body
+			? {
+					required: Array.isArray(spec.body.required) && spec.body.required.length > 0,
+					content: { [spec.contentType]: { schema: spec.body } },
+			  }
+			: undefined,
+		responses,
+	};
+}
+
+/**
+ * buildOpenApiDocument([{ path: "/api/invoices", router, authenticated: true }, ...])
+ * authenticated: the mount runs authenticate before the router (a router can
+ * also start authenticating part way, with router.use(authenticate))
+ */
+function buildOpenApiDocument(mounts) {
+	const paths = {};
+	const tags = [];
+
+	for (const mount of mounts) {
+		const tag = mount.path.split("/").pop();
+		tags.push({ name: tag });
+		let secured = Boolean(mount.authenticated);
+		let routerRole = null;
+
+		for (const layer of mount.router.stack) {
+			if (!layer.route) {
+				if (layer.handle === authenticate) secured = true;
+				if (layer.handle.requiredRole) routerRole = layer.handle.requiredRole;
+				continue;
+			}
+			const handles = layer.route.stack.map((l) => l.handle);
+			const spec = (handles.find((h) => h.openapi) || {}).openapi || {};
+			const role = (handles.find((h) => h.requiredRole) || {}).requiredRole || routerRole;
+			const path =
+				mount.path +
+				(layer.route.path === "/" ? "" : layer.route.path.replace(/:(\w+)/g, "{$1}"));
+
+			for (const method of Object.keys(layer.route.methods)) {
+				const operation = { tags: [tag], ...operationFor(layer.route, spec, mount.router) };
+				if (secured) operation.responses["401"] = ref("Unauthorized");
+				if (role) operation.responses["403"] = ref("Forbidden");
+				operation.security = secured ? [{ bearerAuth: [] }, { apiKey: [] }] : [];
+				operation["x-required-role"] = role || undefined;
+				paths[path] = { ...paths[path], [method]: operation };
+			}
+		}
+	}
+
+	return {
+		openapi: "3.1.0",
+		info: {
+			title: "Invoice Uploader Backend API",
+			version,
+			description:
+				"Errors are { error }; invalid input is answered 400 (path / query, " +
+				"malformed JSON) or 422 (body) with { error, code, fields }.",
+		},
+		tags,
+		paths,
+		components: COMPONENTS,
+	};
+}
+
+module.exports = { buildOpenApiDocument };
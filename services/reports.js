@@ -0,0 +1,254 @@
+// backend/services/reports.js
+// Spend analytics for GET /api/reports/:name. Every report takes the invoice list
+// filters (services/invoice-search.js) and returns { columns, rows }.
+// Spend is summed in the organization's base currency (invoices.base_total);
+// invoices without an exchange rate are counted as "unconverted" instead.
+// Split PDFs are always left out (their child invoices are counted).
+
+const { buildFilters } = require("./invoice-search");
+const { CONFIDENCE_MIN } = require("./validation");
+
+// spend reports skip invoices that are not spend unless ?status= says otherwise
+const NOT_SPEND_STATUSES = ["UPLOADED", "EXTRACTING", "REJECTED"];
+const REVIEW_STATUSES = ["NEEDS_REVIEW", "POSSIBLE_DUPLICATE"];
+
+// ?period= -> date_trunc unit and label format
+const PERIODS = {
+	month: "'YYYY-MM'",
+	quarter: `'YYYY-"Q"Q'`,
+	year: "'YYYY'",
+};
+
+function reportError(status, message) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+function periodOf(query) {
+	const period = String(query.period || "month").toLowerCase();
+	if (!PERIODS[period]) {
+		throw reportError(400, `period must be one of: ${Object.keys(PERIODS).join(", ")}`);
+	}
+	return period;
+}
+
+function limitOf(query, fallback) {
+	const limit = parseInt(query.limit || String(fallback), 10);
+	if (!Number.isInteger(limit) || limit < 1) {
+		throw reportError(400, "limit must be a positive integer");
+	}
+	return Math.min(1000, limit);
+}
+
+// "period" / "period_start" columns for a date expression
+function periodColumns(period, expr) {
+	const start = `date_trunc('${period}', ${expr})`;
+	return `to_char(${start}, ${PERIODS[period]}) AS period,
+            to_char(${start}, 'YYYY-MM-DD') AS period_start`;
+}
+
+const SPEND_COLUMNS = `COUNT(*)::int AS invoices,
+            COALESCE(SUM(i.base_total), 0) AS spend,
+            COUNT(*) FILTER (WHERE i.base_total IS NULL)::int AS unconverted`;
+
+const REPORTS = {
+	"spend-by-supplier": {
+		description: "Invoices and spend per supplier, highest spend first",
+		params: ["limit"],
+		columns: [
+			"supplier_id",
+			"supplier",
+			"invoices",
+			"spend",
+			"unconverted",
+			"average_invoice",
+			"first_invoice_date",
+			"last_invoice_date",
+		],
+		spend: true,
+		sql: ({ where, query, param }) => `
+      SELECT i.supplier_id, COALESCE(s.canonical_name, i.supplier_name) AS supplier,
+             ${SPEND_COLUMNS},
+             ROUND(AVG(i.base_total), 2) AS average_invoice,
+             to_char(MIN(i.invoice_date), 'YYYY-MM-DD') AS first_invoice_date,
+             to_char(MAX(i.invoice_date), 'YYYY-MM-DD') AS last_invoice_date
+      FROM invoices i
+      LEFT JOIN suppliers s ON s.id = i.supplier_id
+      ${where}
+      GROUP BY i.supplier_id, COALESCE(s.canonical_name, i.supplier_name)
+      ORDER BY spend DESC, supplier ASC NULLS LAST
+      LIMIT ${param(limitOf(query, 50))}`,
+	},
+
+	"spend-by-period": {
+		description: "Invoices and spend per month, quarter or year of the invoice date",
+		params: ["period"],
+		columns: ["period", "period_start", "invoices", "spend", "unconverted"],
+		spend: true,
+		sql: ({ where, query }) => {
+			const period = periodOf(query);
+			return `
+      SELECT ${periodColumns(period, "i.invoice_date")},
+             ${SPEND_COLUMNS}
+      FROM invoices i
+      ${where} AND i.invoice_date IS NOT NULL
+      GROUP BY 1, 2
+      ORDER BY period_start ASC`;
+		},
+	},
+
+	"spend-by-currency": {
+		description: "Invoices per invoice currency, in that currency and in the base currency",
+		params: [],
+		columns: ["currency", "total", "invoices", "spend", "unconverted"],
+		spend: true,
+		sql: ({ where }) => `
+      SELECT i.currency, COALESCE(SUM(i.total), 0) AS total,
+             ${SPEND_COLUMNS}
+      FROM invoices i
+      ${where}
+      GROUP BY i.currency
+      ORDER BY spend DESC, i.currency ASC NULLS LAST`,
+	},
+
+	"spend-by-status": {
+		description: "Invoices and spend per workflow status",
+		params: [],
+		columns: ["status", "invoices", "spend", "unconverted"],
+		spend: false,
+		sql: ({ where }) => `
+      SELECT i.status, ${SPEND_COLUMNS}
+      FROM invoices i
+      ${where}
+      GROUP BY i.status
+      ORDER BY invoices DESC, i.status ASC`,
+	},
+
+	"top-line-items": {
+		description: "Line-item descriptions with the highest spend (same text ignoring case and spacing)",
+		params: ["limit"],
+		columns: ["description", "lines", "invoices", "quantity", "spend", "unconverted"],
+		spend: true,
+		sql: ({ where, query, param }) => `
+      SELECT MIN(regexp_replace(btrim(li.description), '\\s+', ' ', 'g')) AS description,
+             COUNT(*)::int AS lines,
+             COUNT(DISTINCT i.id)::int AS invoices,
+             SUM(li.quantity) AS quantity,
+             COALESCE(ROUND(SUM(li.line_total * i.exchange_rate), 2), 0) AS spend,
+             COUNT(*) FILTER (WHERE i.exchange_rate IS NULL)::int AS unconverted
+      FROM line_items li
+      JOIN invoices i ON i.id = li.invoice_id
+      ${where} AND btrim(COALESCE(li.description, '')) <> ''
+      GROUP BY lower(regexp_replace(btrim(li.description), '\\s+', ' ', 'g'))
+      ORDER BY spend DESC, lines DESC
+      LIMIT ${param(limitOf(query, 20))}`,
+	},
+
+	"confidence-over-time": {
+		description: "Average extraction confidence per month, quarter or year of extraction",
+		params: ["period"],
+		columns: [
+			"period",
+			"period_start",
+			"invoices",
+			"average_confidence",
+			"min_confidence",
+			"low_confidence",
+			"average_ocr_confidence",
+		],
+		spend: false,
+		sql: ({ where, query, param }) => {
+			const period = periodOf(query);
+			return `
+      SELECT ${periodColumns(period, "i.extraction_at")},
+             COUNT(*)::int AS invoices,
+             ROUND(AVG(i.confidence), 3) AS average_confidence,
+             MIN(i.confidence) AS min_confidence,
+             COUNT(*) FILTER (WHERE i.confidence < ${param(CONFIDENCE_MIN)})::int AS low_confidence,
+             ROUND(AVG(i.ocr_confidence), 3) AS average_ocr_confidence
+      FROM invoices i
+      ${where} AND i.extraction_at IS NOT NULL
+      GROUP BY 1, 2
+      ORDER BY period_start ASC`;
+		},
+	},
+
+	"review-share": {
+		description: "Share of extracted invoices that needed review, per month, quarter or year of extraction",
+		params: ["period"],
+		columns: [
+			"period",
+			"period_start",
+			"invoices",
+			"needed_review",
+			"in_review",
+			"review_share",
+		],
+		spend: false,
+		sql: ({ where, query, param }) => {
+			const period = periodOf(query);
+			const review = param(REVIEW_STATUSES);
+			// in review now, or recorded in review by any revision
+			const neededReview = `(i.status = ANY(${review}::varchar[]) OR EXISTS (
+               SELECT 1 FROM invoice_revisions r
+               WHERE r.invoice_id = i.id
+                 AND r.snapshot->'invoice'->>'status' = ANY(${review}::varchar[])))`;
+			return `
+      SELECT ${periodColumns(period, "i.extraction_at")},
+             COUNT(*)::int AS invoices,
+             COUNT(*) FILTER (WHERE ${neededReview})::int AS needed_review,
+             COUNT(*) FILTER (WHERE i.status = ANY(${review}::varchar[]))::int AS in_review,
+             ROUND(COUNT(*) FILTER (WHERE ${neededReview})::numeric / COUNT(*), 3) AS review_share
+      FROM invoices i
+      ${where} AND i.extraction_at IS NOT NULL
+      GROUP BY 1, 2
+      ORDER BY period_start ASC`;
+		},
+	},
+};
+
+function listReports() {
+	return Object.entries(REPORTS).map(([name, r]) => ({
+		name,
+		description: r.description,
+		params: r.params,
+	}));
+}
+
+/**
+ * runReport(client, name, query, organizationId) -> { report, base_currency, columns, rows }
+ * query: list filters (status, supplier_id, supplier, currency, date_from / date_to,
+ * total_min / total_max, confidence_min / confidence_max, q) plus the report's params
+ */
+async function runReport(client, name, query = {}, organizationId) {
+	const report = REPORTS[name];
+	if (!report) throw reportError(404, `Unknown report: ${name}`);
+
+	const { where, params } = buildFilters(query, organizationId);
+	const conditions = where ? [where.slice("WHERE ".length)] : [];
+	const param = (value) => {
+		params.push(value);
+		return `$${params.length}`;
+	};
+	conditions.push("i.status <> 'SPLIT'");
+	if (report.spend && !query.status) {
+		conditions.push(`i.status <> ALL(${param(NOT_SPEND_STATUSES)}::varchar[])`);
+	}
+
+	const sql = report.sql({ where: `WHERE ${conditions.join(" AND ")}`, query, param });
+	const result = await client.query(sql, params);
+	const orgRes = await client.query(`SELECT base_currency FROM organizations WHERE id = $1`, [
+		organizationId,
+	]);
+
+	return {
+		report: name,
+		description: report.description,
+		base_currency: orgRes.rows.length ? orgRes.rows[0].base_currency : null,
+		columns: report.columns,
+		rows: result.rows,
+	};
+}
+
+module.exports = { REPORTS, PERIODS, listReports, runReport };
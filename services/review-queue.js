@@ -0,0 +1,296 @@
+// backend/services/review-queue.js
+// Human review queue: invoices waiting for a reviewer, highest priority first.
+// A claim locks an invoice to one reviewer for REVIEW_CLAIM_TTL_MINUTES and ends
+// as COMPLETED (the invoice left the queue), RELEASED (handed back) or EXPIRED.
+// Ended claims are kept for the per-reviewer throughput stats.
+
+const QUEUE_STATUSES = ["NEEDS_REVIEW", "POSSIBLE_DUPLICATE"];
+const CLAIM_TTL_MINUTES = parseInt(process.env.REVIEW_CLAIM_TTL_MINUTES || "15", 10);
+// totals at or above this get the full amount weight
+const AMOUNT_CAP = parseFloat(process.env.REVIEW_AMOUNT_CAP || "10000");
+// invoices waiting this long get the full age weight
+const AGE_CAP_HOURS = parseFloat(process.env.REVIEW_AGE_CAP_HOURS || "72");
+
+// priority points per factor (0-100 in total); each factor is scaled to 0.0-1.0
+const PRIORITY_WEIGHTS = { confidence: 35, errors: 30, amount: 20, age: 15 };
+
+function reviewError(status, message, extra = {}) {
+	const err = new Error(message);
+	err.status = status;
+	Object.assign(err, extra);
+	return err;
+}
+
+// factor columns for invoice alias i; $2 = AMOUNT_CAP, $3 = AGE_CAP_HOURS
+const FACTORS_SQL = `
+  1 - LEAST(1, COALESCE(i.confidence, 0)) AS confidence_factor,
+  LEAST(3, (SELECT COUNT(*) FROM jsonb_array_elements(i.validation_issues) e
+            WHERE e->>'severity' = 'error')) / 3.0 AS errors_factor,
+  LEAST(1, GREATEST(0, COALESCE(i.total, 0)) / $2::numeric) AS amount_factor,
+  LEAST(1, EXTRACT(EPOCH FROM NOW() - COALESCE(i.extraction_at, i.created_at)) / 3600 / $3::numeric) AS age_factor`;
+
+const PRIORITY_SQL = `ROUND((${PRIORITY_WEIGHTS.confidence} * confidence_factor
+  + ${PRIORITY_WEIGHTS.errors} * errors_factor
+  + ${PRIORITY_WEIGHTS.amount} * amount_factor
+  + ${PRIORITY_WEIGHTS.age} * age_factor)::numeric, 1)`;
+
+function toQueueItem(row) {
+	const {
+		confidence_factor,
+		errors_factor,
+		amount_factor,
+		age_factor,
+		claimed_by,
+		claimed_at,
+		expires_at,
+		...invoice
+	} = row;
+	const round = (n) => Math.round(Number(n) * 1000) / 1000;
+	return {
+		...invoice,
+		priority: Number(invoice.priority),
+		priority_factors: {
+			confidence: round(confidence_factor),
+			errors: round(errors_factor),
+			amount: round(amount_factor),
+			age: round(age_factor),
+		},
+		claim: claimed_by ? { claimed_by, claimed_at, expires_at } : null,
+	};
+}
+
+/**
+ * Close claims whose time ran out
+ */
+async function expireClaims(client) {
+	await client.query(
+		`UPDATE review_claims SET released_at = expires_at, outcome = 'EXPIRED'
+     WHERE released_at IS NULL AND expires_at <= NOW()`
+	);
+}
+
+/**
+ * Complete the open claim on an invoice once it has left the queue
+ * (saved without errors, approved, rejected, ...)
+ */
+async function settleClaim(client, invoiceId) {
+	await client.query(
+		`UPDATE review_claims c SET released_at = NOW(), outcome = 'COMPLETED'
+     FROM invoices i
+     WHERE c.invoice_id = $1 AND i.id = c.invoice_id
+       AND c.released_at IS NULL AND c.expires_at > NOW()
+       AND i.status <> ALL($2::varchar[])`,
+		[invoiceId, QUEUE_STATUSES]
+	);
+}
+
+/**
+ * Open claim on an invoice, or null
+ */
+async function activeClaim(client, invoiceId) {
+	const result = await client.query(
+		`SELECT * FROM review_claims
+     WHERE invoice_id = $1 AND released_at IS NULL AND expires_at > NOW()`,
+		[invoiceId]
+	);
+	return result.rows[0] || null;
+}
+
+/**
+ * 409 when another reviewer holds a claim on the invoice
+ */
+async function assertNotClaimedByOther(client, invoiceId, actor) {
+	const claim = await activeClaim(client, invoiceId);
+	if (claim && claim.claimed_by !== actor) {
+		throw reviewError(
+			409,
+			`Invoice is claimed by ${claim.claimed_by} until ${claim.expires_at.toISOString()}`,
+			{ claim }
+		);
+	}
+}
+
+/**
+ * listQueue(client, organizationId, { statuses, unclaimed, limit, offset })
+ * -> { total, items } ordered by priority
+ */
+async function listQueue(client, organizationId, options = {}) {
+	const { statuses = QUEUE_STATUSES, unclaimed = false, limit = 25, offset = 0 } = options;
+	await expireClaims(client);
+
+	const result = await client.query(
+		`WITH q AS (
+       SELECT i.id, i.status, i.supplier_name, i.invoice_number, i.invoice_date, i.currency,
+              i.total, i.confidence, i.validation_issues, i.duplicate_of_id, i.created_at,
+              i.extraction_at, ${FACTORS_SQL}
+       FROM invoices i
+       WHERE i.organization_id = $1 AND i.status = ANY($4::varchar[])
+     )
+     SELECT q.*, ${PRIORITY_SQL} AS priority,
+            c.claimed_by, c.claimed_at, c.expires_at,
+            COUNT(*) OVER ()::int AS total_count
+     FROM q
+     LEFT JOIN review_claims c ON c.invoice_id = q.id AND c.released_at IS NULL
+     WHERE NOT $5::boolean OR c.id IS NULL
+     ORDER BY priority DESC, q.id ASC
+     LIMIT $6 OFFSET $7`,
+		[organizationId, AMOUNT_CAP, AGE_CAP_HOURS, statuses, unclaimed, limit, offset]
+	);
+
+	const total = result.rows.length ? result.rows[0].total_count : 0;
+	return {
+		total,
+		items: result.rows.map(({ total_count, ...row }) => toQueueItem(row)),
+	};
+}
+
+/**
+ * Claim (or extend the caller's claim on) an invoice locked FOR UPDATE by the
+ * caller. Returns the claim row.
+ */
+async function claimInvoice(client, invoice, actor) {
+	if (!QUEUE_STATUSES.includes(invoice.status)) {
+		throw reviewError(409, `Invoice is ${invoice.status}, not waiting for review`);
+	}
+	await expireClaims(client);
+	await assertNotClaimedByOther(client, invoice.id, actor);
+
+	const extended = await client.query(
+		`UPDATE review_claims
+     SET expires_at = NOW() + ($3::int * INTERVAL '1 minute')
+     WHERE invoice_id = $1 AND claimed_by = $2 AND released_at IS NULL
+     RETURNING *`,
+		[invoice.id, actor, CLAIM_TTL_MINUTES]
+	);
+	if (extended.rows.length) return extended.rows[0];
+
+	const inserted = await client.query(
+		`INSERT INTO review_claims (invoice_id, claimed_by, claimed_at, expires_at)
+     VALUES ($1, $2, NOW(), NOW() + ($3::int * INTERVAL '1 minute'))
+     RETURNING *`,
+		[invoice.id, actor, CLAIM_TTL_MINUTES]
+	);
+	return inserted.rows[0];
+}
+
+/**
+ * Hand an invoice back to the queue. Only the claimant may release unless
+ * force (admins). Returns the ended claim.
+ */
+async function releaseClaim(client, invoiceId, actor, { force = false } = {}) {
+	await expireClaims(client);
+	const claim = await activeClaim(client, invoiceId);
+	if (!claim) throw reviewError(404, "Invoice is not claimed");
+	if (claim.claimed_by !== actor && !force) {
+		throw reviewError(403, `Invoice is claimed by ${claim.claimed_by}`);
+	}
+
+	const result = await client.query(
+		`UPDATE review_claims c SET
+       released_at = NOW(),
+       outcome = CASE WHEN i.status = ANY($2::varchar[]) THEN 'RELEASED' ELSE 'COMPLETED' END
+     FROM invoices i
+     WHERE c.id = $1 AND i.id = c.invoice_id
+     RETURNING c.*`,
+		[claim.id, QUEUE_STATUSES]
+	);
+	return result.rows[0];
+}
+
+/**
+ * The caller's next invoice to review -> { claim, resumed } or null when the
+ * queue is empty. An open claim on an invoice still in the queue is handed
+ * back (resumed) unless skip, which releases it instead; invoices the caller
+ * released are not offered to them again until the claim timeout has passed.
+ */
+async function claimNext(client, organizationId, actor, { skip = false } = {}) {
+	await expireClaims(client);
+
+	const mine = await client.query(
+		`SELECT c.id, c.invoice_id, i.status FROM review_claims c
+     JOIN invoices i ON i.id = c.invoice_id
+     WHERE c.claimed_by = $1 AND c.released_at IS NULL AND i.organization_id = $2
+     ORDER BY c.claimed_at ASC`,
+		[actor, organizationId]
+	);
+	for (const claim of mine.rows) {
+		if (QUEUE_STATUSES.includes(claim.status) && !skip) {
+			const resumed = await claimInvoice(client, { id: claim.invoice_id, status: claim.status }, actor);
+			return { claim: resumed, resumed: true };
+		}
+		await releaseClaim(client, claim.invoice_id, actor);
+	}
+
+	const next = await client.query(
+		`WITH q AS (
+       SELECT i.id, i.status, ${FACTORS_SQL}
+       FROM invoices i
+       WHERE i.organization_id = $1 AND i.status = ANY($4::varchar[])
+         AND NOT EXISTS (
+           SELECT 1 FROM review_claims c
+           WHERE c.invoice_id = i.id
+             AND (c.released_at IS NULL
+                  OR (c.claimed_by = $5 AND c.outcome = 'RELEASED'
+                      AND c.released_at > NOW() - ($6::int * INTERVAL '1 minute')))
+         )
+     )
+     SELECT q.id, q.status FROM q
+     ORDER BY ${PRIORITY_SQL} DESC, q.id ASC
+     LIMIT 10`,
+		[organizationId, AMOUNT_CAP, AGE_CAP_HOURS, QUEUE_STATUSES, actor, CLAIM_TTL_MINUTES]
+	);
+
+	// another reviewer may grab a candidate first: lock it and re-check
+	for (const candidate of next.rows) {
+		const locked = await client.query(
+			`SELECT id, status FROM invoices WHERE id = $1 FOR UPDATE SKIP LOCKED`,
+			[candidate.id]
+		);
+		if (!locked.rows.length || !QUEUE_STATUSES.includes(locked.rows[0].status)) continue;
+		if (await activeClaim(client, candidate.id)) continue;
+		return { claim: await claimInvoice(client, locked.rows[0], actor), resumed: false };
+	}
+	return null;
+}
+
+/**
+ * Per-reviewer claims and outcomes between from and to (ISO dates, optional)
+ */
+async function reviewerStats(client, organizationId, { from = null, to = null } = {}) {
+	await expireClaims(client);
+	const result = await client.query(
+		`SELECT c.claimed_by AS reviewer,
+            COUNT(*)::int AS claims,
+            COUNT(*) FILTER (WHERE c.outcome = 'COMPLETED')::int AS completed,
+            COUNT(*) FILTER (WHERE c.outcome = 'RELEASED')::int AS released,
+            COUNT(*) FILTER (WHERE c.outcome = 'EXPIRED')::int AS expired,
+            COUNT(*) FILTER (WHERE c.released_at IS NULL)::int AS open,
+            ROUND(AVG(EXTRACT(EPOCH FROM c.released_at - c.claimed_at))
+                  FILTER (WHERE c.outcome = 'COMPLETED'))::int AS avg_review_seconds,
+            MAX(c.released_at) FILTER (WHERE c.outcome = 'COMPLETED') AS last_completed_at
+     FROM review_claims c
+     JOIN invoices i ON i.id = c.invoice_id
+     WHERE i.organization_id = $1
+       AND ($2::timestamp IS NULL OR c.claimed_at >= $2::timestamp)
+       AND ($3::timestamp IS NULL OR c.claimed_at < $3::timestamp)
+     GROUP BY c.claimed_by
+     ORDER BY completed DESC, c.claimed_by ASC`,
+		[organizationId, from, to]
+	);
+	return result.rows;
+}
+
+module.exports = {
+	QUEUE_STATUSES,
+	CLAIM_TTL_MINUTES,
+	PRIORITY_WEIGHTS,
+	expireClaims,
+	settleClaim,
+	activeClaim,
+	assertNotClaimedByOther,
+	listQueue,
+	claimInvoice,
+	releaseClaim,
+	claimNext,
+	reviewerStats,
+};
@@ -0,0 +1,266 @@
+// backend/services/revisions.js
+// Revision history of an invoice: a snapshot of the header, line items, tax lines,
+// discounts and charges, stored after every change with who / what made it.
+// source: baseline, upload, extraction, import, user_edit, status_change, review, restore, split
+
+const {
+	replaceLineItems,
+	replaceTaxLines,
+	replaceAdjustments,
+	refreshTotals,
+	loadInvoiceDetails,
+} = require("./invoice-details");
+const { refreshBaseAmounts, applyBaseCurrencyDefault } = require("./currency");
+
+// bookkeeping / bulky columns left out of snapshots and diffs
+const EXCLUDED_FIELDS = new Set([
+	"updated_at",
+	"validated_at",
+	"search_vector",
+	"raw_llm_json",
+	"ocr_text",
+	"exported_at",
+	"export_batch_id",
+	// derived from currency / total / invoice_date and the exchange rates
+	"base_currency",
+	"exchange_rate",
+	"exchange_rate_date",
+	"base_total",
+]);
+
+const COLLECTIONS = ["line_items", "tax_lines", "discounts", "charges"];
+
+const RESTORABLE_STATUSES = ["UPLOADED", "EXTRACTED", "NEEDS_REVIEW", "POSSIBLE_DUPLICATE"];
+
+/**
+ * DATE columns come back from pg as local-midnight Date objects -> "YYYY-MM-DD"
+ */
+function isoDay(v) {
+	if (!(v instanceof Date)) return v ?? null;
+	const pad = (n) => String(n).padStart(2, "0");
+	return `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}`;
+}
+
+function stripIds(rows) {
+	return rows.map(({ id, invoice_id, created_at, ...rest }) => rest);
+}
+
+/**
+ * Current state of an invoice as a plain JSON-safe snapshot (or null)
+ */
+async function buildSnapshot(client, invoiceId) {
+	const invRes = await client.query(`SELECT * FROM invoices WHERE id = $1`, [
+		invoiceId,
+	]);
+	if (!invRes.rows.length) return null;
+
+	const invoice = {};
+	for (const [field, value] of Object.entries(invRes.rows[0])) {
+		if (EXCLUDED_FIELDS.has(field)) continue;
+		invoice[field] = field === "invoice_date" ? isoDay(value) : value;
+	}
+
+	const details = await loadInvoiceDetails(client, invoiceId);
+	const snapshot = { invoice };
+	for (const key of COLLECTIONS) snapshot[key] = stripIds(details[key]);
+
+	// round-trip so dates / numerics compare the same way as stored snapshots
+	return JSON.parse(JSON.stringify(snapshot));
+}
+
+// JSON with sorted keys: JSONB does not keep key order
+function stableStringify(value) {
+	if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+	if (value && typeof value === "object") {
+		return `{${Object.keys(value)
+			.sort()
+			.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+			.join(",")}}`;
+	}
+	return JSON.stringify(value ?? null);
+}
+
+function same(a, b) {
+	return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Field-level diff between two snapshots:
+ * { fields: [{ field, from, to }],
+ *   line_items|tax_lines|discounts|charges: { added: [], removed: [], changed: [{ index, fields }] } }
+ * Child rows are compared by position (they are replaced as a whole on save).
+ */
+function diffSnapshots(from, to) {
+	const a = from || { invoice: {} };
+	const b = to || { invoice: {} };
+
+	const fields = [];
+	const names = new Set([...Object.keys(a.invoice || {}), ...Object.keys(b.invoice || {})]);
+	for (const field of names) {
+		if (field === "created_at") continue;
+		const before = a.invoice?.[field] ?? null;
+		const after = b.invoice?.[field] ?? null;
+		if (!same(before, after)) fields.push({ field, from: before, to: after });
+	}
+
+	const diff = { fields };
+	for (const key of COLLECTIONS) {
+		const before = a[key] || [];
+		const after = b[key] || [];
+		const changed = [];
+		for (let i = 0; i < Math.min(before.length, after.length); i++) {
+			const rowFields = [];
+			for (const f of new Set([...Object.keys(before[i]), ...Object.keys(after[i])])) {
+				if (!same(before[i][f], after[i][f]))
+					rowFields.push({ field: f, from: before[i][f] ?? null, to: after[i][f] ?? null });
+			}
+			if (rowFields.length) changed.push({ index: i, fields: rowFields });
+		}
+		diff[key] = {
+			added: after.slice(before.length),
+			removed: before.slice(after.length),
+			changed,
+		};
+	}
+	return diff;
+}
+
+/**
+ * Names of what changed: header fields plus the child collections
+ */
+function changedFields(diff) {
+	return [
+		...diff.fields.map((f) => f.field),
+		...COLLECTIONS.filter(
+			(k) => diff[k].added.length || diff[k].removed.length || diff[k].changed.length
+		),
+	];
+}
+
+/**
+ * Snapshot the invoice inside the caller's transaction and store it as the
+ * next revision. Nothing is stored when nothing changed since the last one.
+ * Returns the revision row or null.
+ */
+async function recordRevision(client, invoiceId, { source, actor = null, note = null } = {}) {
+	const snapshot = await buildSnapshot(client, invoiceId);
+	if (!snapshot) return null;
+
+	const lastRes = await client.query(
+		`SELECT revision, snapshot FROM invoice_revisions
+     WHERE invoice_id = $1 ORDER BY revision DESC LIMIT 1`,
+		[invoiceId]
+	);
+	const last = lastRes.rows[0];
+	const changed = changedFields(diffSnapshots(last ? last.snapshot : null, snapshot));
+	if (last && !changed.length) return null;
+
+	const result = await client.query(
+		`INSERT INTO invoice_revisions
+       (invoice_id, revision, source, actor, note, changed_fields, snapshot, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+     RETURNING id, invoice_id, revision, source, actor, note, changed_fields, created_at`,
+		[
+			invoiceId,
+			last ? last.revision + 1 : 1,
+			source,
+			actor,
+			note,
+			JSON.stringify(changed),
+			JSON.stringify(snapshot),
+		]
+	);
+	return result.rows[0];
+}
+
+async function listRevisions(client, invoiceId) {
+	const result = await client.query(
+		`SELECT id, revision, source, actor, note, changed_fields, created_at
+     FROM invoice_revisions WHERE invoice_id = $1 ORDER BY revision ASC`,
+		[invoiceId]
+	);
+	return result.rows;
+}
+
+async function getRevision(client, invoiceId, revision) {
+	const result = await client.query(
+		`SELECT id, revision, source, actor, note, changed_fields, snapshot, created_at
+     FROM invoice_revisions WHERE invoice_id = $1 AND revision = $2`,
+		[invoiceId, revision]
+	);
+	return result.rows[0] || null;
+}
+
+/**
+ * Put the invoice back to a stored revision inside the caller's transaction:
+ * header fields, line items, tax lines, discounts and charges. The caller
+ * re-validates and records the result as a new "restore" revision.
+ * Returns false when the revision does not exist.
+ */
+async function restoreRevision(client, invoiceId, revision) {
+	const rev = await getRevision(client, invoiceId, revision);
+	if (!rev) return false;
+
+	const inv = rev.snapshot.invoice || {};
+	await client.query(
+		`UPDATE invoices SET
+       supplier_name = $1,
+       supplier_tax_id = $2,
+       buyer_tax_id = $3,
+       supplier_id = (
+         SELECT s.id FROM suppliers s
+         WHERE s.id = $4::int AND s.organization_id = invoices.organization_id
+       ),
+       supplier_match_score = $5,
+       supplier_match_method = $6,
+       supplier_match_confirmed = COALESCE($7::boolean, FALSE),
+       invoice_number = $8,
+       invoice_date = $9,
+       currency = $10,
+       subtotal = $11,
+       total = $12,
+       confidence = $13,
+       status = $14,
+       field_evidence = $16,
+       updated_at = NOW()
+     WHERE id = $15`,
+		[
+			inv.supplier_name ?? null,
+			inv.supplier_tax_id ?? null,
+			inv.buyer_tax_id ?? null,
+			inv.supplier_id ?? null,
+			inv.supplier_match_score ?? null,
+			inv.supplier_match_method ?? null,
+			inv.supplier_match_confirmed ?? null,
+			inv.invoice_number ?? null,
+			inv.invoice_date ?? null,
+			inv.currency ?? null,
+			inv.subtotal ?? 0,
+			inv.total ?? 0,
+			inv.confidence ?? null,
+			// review states only: approval / export / payment are not restored, and
+			// an interrupted extraction is not a state to go back to
+			RESTORABLE_STATUSES.includes(inv.status) ? inv.status : "NEEDS_REVIEW",
+			invoiceId,
+			JSON.stringify(inv.field_evidence || {}),
+		]
+	);
+
+	const snap = rev.snapshot;
+	await replaceLineItems(client, invoiceId, snap.line_items || []);
+	await replaceTaxLines(client, invoiceId, snap.tax_lines || []);
+	await replaceAdjustments(client, invoiceId, snap.discounts || [], snap.charges || []);
+	await refreshTotals(client, invoiceId, { taxTotal: inv.tax_total ?? null });
+	await applyBaseCurrencyDefault(client, invoiceId);
+	await refreshBaseAmounts(client, { invoiceId });
+	return true;
+}
+
+module.exports = {
+	buildSnapshot,
+	diffSnapshots,
+	recordRevision,
+	listRevisions,
+	getRevision,
+	restoreRevision,
+};
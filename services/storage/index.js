@@ -0,0 +1,100 @@
+// backend/services/storage/index.js
+// Document storage registry. New files go to STORAGE_DRIVER (local | s3); an
+// existing file is read / deleted by the driver that owns its file_path, so
+// invoices stored before a switch keep working until they are migrated
+// (node services/storage/migrate.js).
+// A driver is { name, isConfigured(), describe(), owns(ref), put(localPath, name, opts),
+// stat(ref), createReadStream(ref), withLocalFile(ref, fn), remove(ref) }
+
+const DEFAULT_DRIVER = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+
+const drivers = new Map();
+
+function registerDriver(driver) {
+	if (!driver || !driver.name || typeof driver.owns !== "function") {
+		throw new Error("Storage driver must have a name and an owns() function");
+	}
+	drivers.set(driver.name.toLowerCase(), driver);
+}
+
+function getDriver(name) {
+	return drivers.get(String(name || DEFAULT_DRIVER).toLowerCase()) || null;
+}
+
+/**
+ * Driver for new files; throws when STORAGE_DRIVER is unknown or not configured
+ */
+function defaultDriver() {
+	const driver = getDriver(DEFAULT_DRIVER);
+	if (!driver) throw new Error(`STORAGE_DRIVER "${DEFAULT_DRIVER}" is not a registered driver`);
+	if (!driver.isConfigured()) {
+		throw new Error(`Storage driver "${driver.name}" is not configured`);
+	}
+	return driver;
+}
+
+/**
+ * Driver a stored file_path belongs to
+ */
+function driverFor(ref) {
+	for (const driver of drivers.values()) {
+		if (driver.owns(ref)) return driver;
+	}
+	throw new Error(`No storage driver for file ${ref}`);
+}
+
+registerDriver(require("./local"));
+registerDriver(require("./s3"));
+
+if (!getDriver(DEFAULT_DRIVER)) {
+	console.warn(`STORAGE_DRIVER "${DEFAULT_DRIVER}" is not a registered driver.`);
+} else if (!getDriver(DEFAULT_DRIVER).isConfigured()) {
+	console.warn(`Storage driver "${DEFAULT_DRIVER}" is not configured; uploads will fail until it is.`);
+}
+
+/**
+ * Store a local file (multer upload, temp file) -> file_path reference.
+ * move: the local file is removed once stored
+ */
+async function storeFile(localPath, name, options = {}) {
+	return defaultDriver().put(localPath, name, options);
+}
+
+// { size } or null when the file is missing
+async function fileInfo(ref) {
+	return driverFor(ref).stat(ref);
+}
+
+async function openFile(ref) {
+	return driverFor(ref).createReadStream(ref);
+}
+
+/**
+ * Run fn(localPath) with the file available on local disk (extraction, OCR)
+ */
+async function withLocalFile(ref, fn) {
+	return driverFor(ref).withLocalFile(ref, fn);
+}
+
+async function removeFile(ref) {
+	return driverFor(ref).remove(ref);
+}
+
+function describeStorage() {
+	const driver = getDriver(DEFAULT_DRIVER);
+	return driver ? driver.describe() : `${DEFAULT_DRIVER} (unknown)`;
+}
+
+module.exports = {
+	DEFAULT_DRIVER,
+	registerDriver,
+	getDriver,
+	defaultDriver,
+	driverFor,
+	storeFile,
+	fileInfo,
+	openFile,
+	withLocalFile,
+	removeFile,
+	describeStorage,
+};
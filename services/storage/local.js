@@ -0,0 +1,95 @@
+// backend/services/storage/local.js
+// Local filesystem driver. References are the stored file_path values:
+// relative to the project root (e.g. "uploads/<name>") or absolute.
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_ROOT = path.resolve(__dirname, "..", "..");
+const UPLOAD_DIR = path.resolve(PROJECT_ROOT, process.env.UPLOAD_DIR || "uploads");
+
+// anything with a scheme ("s3://...") belongs to another driver
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/**
+ * Absolute path of a stored file_path (relative paths are under the project root)
+ */
+function resolveFilePath(ref) {
+	return path.resolve(PROJECT_ROOT, ref);
+}
+
+/**
+ * file_path to store for a file in UPLOAD_DIR
+ */
+function storedFilePath(name) {
+	const fullPath = path.join(UPLOAD_DIR, name);
+	const relative = path.relative(PROJECT_ROOT, fullPath);
+	// an UPLOAD_DIR outside the project is stored as an absolute path
+	return relative.startsWith("..") ? fullPath : relative;
+}
+
+// rename, or copy + unlink when the source is on another filesystem
+async function moveFile(from, to) {
+	try {
+		await fs.promises.rename(from, to);
+	} catch (err) {
+		if (err.code !== "EXDEV") throw err;
+		await fs.promises.copyFile(from, to);
+		await fs.promises.unlink(from);
+	}
+}
+
+module.exports = {
+	name: "local",
+	UPLOAD_DIR,
+	resolveFilePath,
+
+	isConfigured() {
+		return true;
+	},
+
+	describe() {
+		return `local ${UPLOAD_DIR}`;
+	},
+
+	owns(ref) {
+		return !SCHEME_PATTERN.test(String(ref || ""));
+	},
+
+	/**
+	 * Store a local file under `name`. move: take the file instead of copying it
+	 */
+	async put(localPath, name, { move = false } = {}) {
+		await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+		const target = path.join(UPLOAD_DIR, path.basename(name));
+		if (move) await moveFile(localPath, target);
+		else await fs.promises.copyFile(localPath, target);
+		return storedFilePath(path.basename(name));
+	},
+
+	// { size } or null when missing
+	async stat(ref) {
+		const stat = await fs.promises.stat(resolveFilePath(ref)).catch(() => null);
+		return stat && stat.isFile() ? { size: stat.size } : null;
+	},
+
+	async createReadStream(ref) {
+		return fs.createReadStream(resolveFilePath(ref));
+	},
+
+	// the file is already on disk
+	async withLocalFile(ref, fn) {
+		return fn(resolveFilePath(ref));
+	},
+
+	// false when there was nothing to delete
+	async remove(ref) {
+		try {
+			await fs.promises.unlink(resolveFilePath(ref));
+			return true;
+		} catch (err) {
+			if (err.code === "ENOENT") return false;
+			throw err;
+		}
+	},
+};
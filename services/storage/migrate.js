@@ -0,0 +1,124 @@
+// backend/services/storage/migrate.js
+// Moves stored invoice files to another storage driver and rewrites file_path.
+//
+//   npm run storage:migrate -- --to s3 [--dry-run] [--keep-source] [--limit 100]
+//
+// --to defaults to STORAGE_DRIVER. Each file is copied, then file_path is
+// updated (only if it did not change meanwhile), then the source is deleted
+// unless --keep-source. Safe to re-run: files already on the target are skipped.
+
+const path = require("path");
+const db = require("../../db/index");
+const { getDriver, driverFor, DEFAULT_DRIVER } = require("./index");
+
+const BATCH_SIZE = 100;
+
+function parseArgs(argv) {
+	const args = { to: DEFAULT_DRIVER, dryRun: false, keepSource: false, limit: null };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === "--to") args.to = argv[++i];
+		else if (arg === "--dry-run") args.dryRun = true;
+		else if (arg === "--keep-source") args.keepSource = true;
+		else if (arg === "--limit") args.limit = parseInt(argv[++i], 10) || null;
+		else throw new Error(`Unknown option: ${arg}`);
+	}
+	return args;
+}
+
+/**
+ * Move one invoice's file to `target` -> new file_path, or null when the
+ * invoice changed during the copy (the copy is removed again)
+ */
+async function migrateFile(invoice, target, { keepSource }) {
+	const source = driverFor(invoice.file_path);
+	const newPath = await source.withLocalFile(invoice.file_path, (localPath) =>
+		target.put(localPath, path.basename(invoice.file_path), {
+			contentType: invoice.mime_type,
+		})
+	);
+
+	// every invoice on the file moves along (split PDFs share their parent's file)
+	const result = await db.query(
+		`UPDATE invoices SET file_path = $1 WHERE file_path = $2`,
+		[newPath, invoice.file_path]
+	);
+	if (!result.rowCount) {
+		await target.remove(newPath).catch(() => {});
+		return null;
+	}
+
+	if (!keepSource) {
+		await source.remove(invoice.file_path).catch((err) =>
+			console.warn(`  could not delete ${invoice.file_path}: ${err.message}`)
+		);
+	}
+	return newPath;
+}
+
+/**
+ * migrateStorage({ to, dryRun, keepSource, limit }) -> { moved, skipped, failed }
+ */
+async function migrateStorage(options = {}) {
+	const target = getDriver(options.to || DEFAULT_DRIVER);
+	if (!target) throw new Error(`Unknown storage driver: ${options.to}`);
+	if (!target.isConfigured()) {
+		throw new Error(`Storage driver "${target.name}" is not configured`);
+	}
+
+	const stats = { moved: 0, skipped: 0, failed: 0 };
+	let lastId = 0;
+	for (;;) {
+		const batch = await db.query(
+			`SELECT id, file_path, mime_type FROM invoices
+       WHERE id > $1 AND file_path IS NOT NULL
+       ORDER BY id ASC LIMIT $2`,
+			[lastId, BATCH_SIZE]
+		);
+		if (!batch.rows.length) break;
+
+		for (const invoice of batch.rows) {
+			lastId = invoice.id;
+			if (target.owns(invoice.file_path)) continue;
+			if (options.limit && stats.moved + stats.failed >= options.limit) return stats;
+
+			if (options.dryRun) {
+				console.log(`  would move invoice ${invoice.id}: ${invoice.file_path}`);
+				stats.moved++;
+				continue;
+			}
+			try {
+				const newPath = await migrateFile(invoice, target, options);
+				if (newPath) {
+					console.log(`  invoice ${invoice.id}: ${invoice.file_path} -> ${newPath}`);
+					stats.moved++;
+				} else {
+					console.log(`  invoice ${invoice.id}: changed during the copy, skipped`);
+					stats.skipped++;
+				}
+			} catch (err) {
+				console.error(`  invoice ${invoice.id}: ${err.message}`);
+				stats.failed++;
+			}
+		}
+	}
+	return stats;
+}
+
+module.exports = { migrateStorage };
+
+// Standalone: node services/storage/migrate.js --to s3
+if (require.main === module) {
+	(async () => {
+		const args = parseArgs(process.argv.slice(2));
+		console.log(`Migrating invoice files to ${getDriver(args.to)?.describe() || args.to}${args.dryRun ? " (dry run)" : ""}`);
+		const stats = await migrateStorage(args);
+		console.log(`Done: ${stats.moved} moved, ${stats.skipped} skipped, ${stats.failed} failed`);
+		return stats.failed ? 1 : 0;
+	})()
+		.catch((err) => {
+			console.error("Storage migration failed:", err.message);
+			return 1;
+		})
+		.then((code) => db.end().finally(() => process.exit(code)));
+}
@@ -0,0 +1,147 @@
+// backend/services/storage/s3.js
+// S3-compatible driver (AWS S3, MinIO, ...). References are "s3://<bucket>/<key>".
+// For MinIO set S3_ENDPOINT (e.g. http://localhost:9000); path-style addressing
+// is then used unless S3_FORCE_PATH_STYLE=false.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+	S3Client,
+	PutObjectCommand,
+	GetObjectCommand,
+	HeadObjectCommand,
+	DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+const BUCKET = process.env.S3_BUCKET || "";
+const PREFIX = process.env.S3_PREFIX === undefined ? "invoices/" : process.env.S3_PREFIX;
+const ENDPOINT = process.env.S3_ENDPOINT || undefined;
+
+let client = null;
+
+function getClient() {
+	if (client) return client;
+	const credentials =
+		process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY
+			? {
+					accessKeyId: process.env.S3_ACCESS_KEY_ID,
+					secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+				}
+			: undefined; // default AWS credential chain
+	client = new S3Client({
+		region: process.env.S3_REGION || "us-east-1",
+		endpoint: ENDPOINT,
+		forcePathStyle: ENDPOINT ? process.env.S3_FORCE_PATH_STYLE !== "false" : false,
+		credentials,
+		// only send / check checksums when the API requires them; not every
+		// S3-compatible server understands the newer checksum headers
+		requestChecksumCalculation: "WHEN_REQUIRED",
+		responseChecksumValidation: "WHEN_REQUIRED",
+	});
+	return client;
+}
+
+/**
+ * "s3://bucket/some/key" -> { bucket, key }
+ */
+function parseRef(ref) {
+	const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(String(ref || ""));
+	if (!match) throw new Error(`Not an S3 file reference: ${ref}`);
+	return { bucket: match[1], key: match[2] };
+}
+
+function isNotFound(err) {
+	return (
+		err &&
+		(err.name === "NotFound" ||
+			err.name === "NoSuchKey" ||
+			(err.$metadata && err.$metadata.httpStatusCode === 404))
+	);
+}
+
+async function openObject(ref) {
+	const { bucket, key } = parseRef(ref);
+	const object = await getClient().send(
+		new GetObjectCommand({ Bucket: bucket, Key: key })
+	);
+	return object.Body;
+}
+
+module.exports = {
+	name: "s3",
+	parseRef,
+
+	isConfigured() {
+		return Boolean(BUCKET);
+	},
+
+	describe() {
+		return `s3 s3://${BUCKET}/${PREFIX}${ENDPOINT ? ` (${ENDPOINT})` : ""}`;
+	},
+
+	owns(ref) {
+		return String(ref || "").startsWith("s3://");
+	},
+
+	async put(localPath, name, { contentType, move = false } = {}) {
+		if (!BUCKET) throw new Error("S3_BUCKET is not set");
+		const key = `${PREFIX}${path.basename(name)}`;
+		const stat = await fs.promises.stat(localPath);
+		await getClient().send(
+			new PutObjectCommand({
+				Bucket: BUCKET,
+				Key: key,
+				Body: fs.createReadStream(localPath),
+				ContentLength: stat.size,
+				ContentType: contentType || undefined,
+			})
+		);
+		if (move) await fs.promises.unlink(localPath).catch(() => {});
+		return `s3://${BUCKET}/${key}`;
+	},
+
+	async stat(ref) {
+		const { bucket, key } = parseRef(ref);
+		try {
+			const head = await getClient().send(
+				new HeadObjectCommand({ Bucket: bucket, Key: key })
+			);
+			return { size: Number(head.ContentLength) };
+		} catch (err) {
+			if (isNotFound(err)) return null;
+			throw err;
+		}
+	},
+
+	createReadStream: openObject,
+
+	/**
+	 * Download to a temp file (keeping the extension, which the extractors use)
+	 * for the duration of fn
+	 */
+	async withLocalFile(ref, fn) {
+		const { key } = parseRef(ref);
+		const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "invoice-"));
+		const tmpPath = path.join(dir, path.basename(key));
+		try {
+			const body = await openObject(ref);
+			await new Promise((resolve, reject) => {
+				body
+					.on("error", reject)
+					.pipe(fs.createWriteStream(tmpPath))
+					.on("error", reject)
+					.on("finish", resolve);
+			});
+			return await fn(tmpPath);
+		} finally {
+			await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+		}
+	},
+
+	async remove(ref) {
+		const { bucket, key } = parseRef(ref);
+		await getClient().send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+		return true;
+	},
+};
@@ -0,0 +1,215 @@
+// backend/services/supplier-matching.js
+// Links invoices to the suppliers master table.
+// Match order: tax ID, exact normalized name / alias, then fuzzy (pg_trgm) name similarity.
+// Returns: { supplier_id, score, method, confirmed } | null
+
+const db = require("../db/index");
+
+// below this a fuzzy candidate is ignored
+const MIN_SCORE = parseFloat(process.env.SUPPLIER_MATCH_MIN_SCORE || "0.5");
+// fuzzy matches below this are linked but left unconfirmed (sent to review)
+const REVIEW_SCORE = parseFloat(process.env.SUPPLIER_MATCH_REVIEW_SCORE || "0.85");
+
+// legal-form words that don't distinguish suppliers ("Acme Inc." = "ACME INCORPORATED")
+const LEGAL_SUFFIXES = new Set([
+	"inc", "incorporated", "corp", "corporation", "co", "company", "ltd",
+	"limited", "llc", "llp", "lp", "plc", "pvt", "private", "pte", "pty",
+	"gmbh", "ag", "sa", "sas", "sarl", "srl", "spa", "bv", "nv", "oy", "ab",
+	"as", "kg", "the",
+]);
+
+/**
+ * "ACME Incorporated." -> "acme"; "Müller & Söhne GmbH" -> "muller and sohne"
+ */
+function normalizeSupplierName(name) {
+	if (!name) return "";
+	const words = String(name)
+		.normalize("NFKD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.toLowerCase()
+		.replace(/&/g, " and ")
+		.replace(/[^a-z0-9]+/g, " ")
+		.trim()
+		.split(/\s+/)
+		.filter(Boolean);
+
+	const significant = words.filter((w) => !LEGAL_SUFFIXES.has(w));
+	// a name made only of legal words ("The Company") keeps them
+	return (significant.length ? significant : words).join(" ");
+}
+
+function normalizeTaxId(taxId) {
+	if (!taxId) return null;
+	const s = String(taxId).toUpperCase().replace(/[^A-Z0-9]/g, "");
+	return s || null;
+}
+
+/**
+ * findSupplierMatch({ name, taxId, organizationId }, client) -> best match or null
+ * Only the organization's own suppliers are considered.
+ */
+async function findSupplierMatch({ name, taxId, organizationId }, client = db) {
+	const normalizedTaxId = normalizeTaxId(taxId);
+	if (normalizedTaxId) {
+		const byTax = await client.query(
+			`SELECT id FROM suppliers WHERE tax_id = $1 AND organization_id = $2 LIMIT 1`,
+			[normalizedTaxId, organizationId]
+		);
+		if (byTax.rows.length) {
+			return { supplier_id: byTax.rows[0].id, score: 1, method: "tax_id", confirmed: true };
+		}
+	}
+
+	const normalized = normalizeSupplierName(name);
+	if (!normalized) return null;
+
+	const exact = await client.query(
+		`SELECT id, 'exact' AS method FROM suppliers
+     WHERE normalized_name = $1 AND organization_id = $2
+     UNION ALL
+     SELECT supplier_id AS id, 'alias' AS method FROM supplier_aliases
+     WHERE normalized_alias = $1 AND organization_id = $2
+     LIMIT 1`,
+		[normalized, organizationId]
+	);
+	if (exact.rows.length) {
+		return {
+			supplier_id: exact.rows[0].id,
+			score: 1,
+			method: exact.rows[0].method,
+			confirmed: true,
+		};
+	}
+
+	// fuzzy: best trigram similarity over canonical names and aliases
+	const fuzzy = await client.query(
+		`SELECT id, MAX(score) AS score FROM (
+       SELECT id, similarity(normalized_name, $1) AS score
+       FROM suppliers WHERE normalized_name % $1 AND organization_id = $2
+       UNION ALL
+       SELECT supplier_id AS id, similarity(normalized_alias, $1) AS score
+       FROM supplier_aliases WHERE normalized_alias % $1 AND organization_id = $2
+     ) candidates
+     GROUP BY id
+     ORDER BY score DESC
+     LIMIT 1`,
+		[normalized, organizationId]
+	);
+	if (!fuzzy.rows.length) return null;
+
+	const score = Math.round(Number(fuzzy.rows[0].score) * 1000) / 1000;
+	if (score < MIN_SCORE) return null;
+
+	return {
+		supplier_id: fuzzy.rows[0].id,
+		score,
+		method: "fuzzy",
+		confirmed: score >= REVIEW_SCORE,
+	};
+}
+
+/**
+ * Match an invoice's extracted supplier inside the caller's transaction and
+ * store supplier_id / supplier_match_score / supplier_match_method.
+ * Returns the match (or null when nothing matched).
+ */
+async function matchInvoiceSupplier(client, invoiceId) {
+	const invRes = await client.query(
+		`SELECT organization_id, supplier_name, supplier_tax_id FROM invoices WHERE id = $1`,
+		[invoiceId]
+	);
+	if (!invRes.rows.length) return null;
+
+	const { organization_id, supplier_name, supplier_tax_id } = invRes.rows[0];
+	const match = await findSupplierMatch(
+		{ name: supplier_name, taxId: supplier_tax_id, organizationId: organization_id },
+		client
+	);
+
+	await client.query(
+		`UPDATE invoices SET
+       supplier_id = $1,
+       supplier_match_score = $2,
+       supplier_match_method = $3,
+       supplier_match_confirmed = $4
+     WHERE id = $5`,
+		[
+			match ? match.supplier_id : null,
+			match ? match.score : null,
+			match ? match.method : null,
+			match ? match.confirmed : false,
+			invoiceId,
+		]
+	);
+	return match;
+}
+
+/**
+ * Fill in the matched supplier's default currency when extraction found none
+ */
+async function applySupplierDefaults(client, invoiceId, supplierId) {
+	await client.query(
+		`UPDATE invoices i SET currency = s.default_currency
+     FROM suppliers s
+     WHERE i.id = $1 AND s.id = $2 AND s.default_currency IS NOT NULL`,
+		[invoiceId, supplierId]
+	);
+}
+
+/**
+ * Add a spelling as an alias of a supplier (no-op if it is already known)
+ */
+async function addSupplierAlias(client, supplierId, alias, source = "manual") {
+	const normalized = normalizeSupplierName(alias);
+	if (!normalized) return null;
+
+	const known = await client.query(
+		`SELECT 1 FROM suppliers WHERE id = $1 AND normalized_name = $2`,
+		[supplierId, normalized]
+	);
+	if (known.rows.length) return null;
+
+	const result = await client.query(
+		`INSERT INTO supplier_aliases (supplier_id, organization_id, alias, normalized_alias, source)
+     SELECT s.id, s.organization_id, $2, $3, $4 FROM suppliers s WHERE s.id = $1
+     ON CONFLICT (organization_id, normalized_alias) DO NOTHING
+     RETURNING id, supplier_id, alias, normalized_alias, source, created_at`,
+		[supplierId, String(alias).trim(), normalized, source]
+	);
+	return result.rows[0] || null;
+}
+
+/**
+ * Reviewer confirmation: link the invoice to supplierId and learn its
+ * spelling of the supplier name as an alias.
+ */
+async function confirmInvoiceSupplier(client, invoiceId, supplierId) {
+	const invRes = await client.query(
+		`UPDATE invoices SET
+       supplier_id = $1,
+       supplier_match_score = 1,
+       supplier_match_method = 'manual',
+       supplier_match_confirmed = TRUE,
+       updated_at = NOW()
+     WHERE id = $2
+     RETURNING supplier_name`,
+		[supplierId, invoiceId]
+	);
+	if (!invRes.rows.length) return null;
+
+	const alias = invRes.rows[0].supplier_name
+		? await addSupplierAlias(client, supplierId, invRes.rows[0].supplier_name, "review")
+		: null;
+	return { supplier_id: supplierId, alias };
+}
+
+module.exports = {
+	REVIEW_SCORE,
+	normalizeSupplierName,
+	normalizeTaxId,
+	findSupplierMatch,
+	matchInvoiceSupplier,
+	applySupplierDefaults,
+	addSupplierAlias,
+	confirmInvoiceSupplier,
+};
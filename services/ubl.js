@@ -0,0 +1,393 @@
+// backend/services/ubl.js
+// UBL 2.1 / Peppol BIS Billing 3.0 e-invoices.
+// - parseUblInvoice(xml): maps an Invoice / CreditNote document to the extraction
+//   schema (llm/shared.js INVOICE_SCHEMA), no LLM involved
+// - buildUblInvoice(invoice, details): renders a stored invoice as a UBL 2.1 Invoice
+//   (elements in UBL 2.1 schema order)
+
+const fs = require("fs");
+const { XMLParser } = require("fast-xml-parser");
+const { coerceParsedInvoice } = require("../llm/shared");
+
+const UBL_NS = {
+	Invoice: "urn:oasis:names:specification:ubl:schema:xsd:Invoice-2",
+	CreditNote: "urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2",
+	cac: "urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2",
+	cbc: "urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2",
+};
+
+// written on exported documents; set the Peppol BIS 3.0 identifiers
+// (urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0 /
+// urn:fdc:peppol.eu:2017:poacc:billing:01:1.0) when sending over Peppol
+const CUSTOMIZATION_ID = process.env.UBL_CUSTOMIZATION_ID || "urn:cen.eu:en16931:2017";
+const PROFILE_ID = process.env.UBL_PROFILE_ID || null;
+
+// our company, written as AccountingCustomerParty on exported documents
+const BUYER_NAME = process.env.UBL_BUYER_NAME || "Buyer";
+
+const XML_MIME_TYPES = ["application/xml", "text/xml"];
+
+const parser = new XMLParser({
+	ignoreAttributes: false,
+	attributeNamePrefix: "@_",
+	removeNSPrefix: true,
+	parseTagValue: false,
+	trimValues: true,
+	isArray: (name) =>
+		[
+			"InvoiceLine",
+			"CreditNoteLine",
+			"TaxTotal",
+			"TaxSubtotal",
+			"AllowanceCharge",
+			"Description",
+			"Note",
+		].includes(name),
+});
+
+function isXmlFile(filePath) {
+	return /\.xml$/i.test(filePath || "");
+}
+
+// ---- parsing ----
+
+function text(node) {
+	if (node === null || node === undefined) return null;
+	if (typeof node === "object") return node["#text"] ?? null;
+	return String(node);
+}
+
+function num(node) {
+	const t = text(node);
+	if (t === null || t === "") return null;
+	const n = Number(t);
+	return Number.isNaN(n) ? null : n;
+}
+
+function partyName(party) {
+	if (!party) return null;
+	return (
+		text(party.PartyLegalEntity?.RegistrationName) ||
+		text(party.PartyName?.Name) ||
+		null
+	);
+}
+
+function partyTaxId(party) {
+	if (!party) return null;
+	return (
+		text(party.PartyTaxScheme?.CompanyID) ||
+		text(party.PartyLegalEntity?.CompanyID) ||
+		null
+	);
+}
+
+/**
+ * parseUblInvoice(xml) -> { ok, parsed, profile, error? }
+ * profile: "peppol-bis-3.0" when the CustomizationID says so, else "ubl-2.1"
+ */
+function parseUblInvoice(xml) {
+	let doc;
+	try {
+		doc = parser.parse(String(xml));
+	} catch (e) {
+		return { ok: false, error: `Invalid XML: ${e.message}` };
+	}
+
+	const rootName = ["Invoice", "CreditNote"].find((n) => doc && doc[n]);
+	if (!rootName) {
+		return { ok: false, error: "Not a UBL Invoice or CreditNote document" };
+	}
+	const root = doc[rootName];
+	const currency = text(root.DocumentCurrencyCode);
+
+	// TaxTotal may repeat in the tax accounting currency; use the document currency one
+	const taxTotals = root.TaxTotal || [];
+	const taxTotal =
+		taxTotals.find((t) => !currency || t.TaxAmount?.["@_currencyID"] === currency) ||
+		taxTotals[0];
+
+	const lineTag = rootName === "Invoice" ? "InvoiceLine" : "CreditNoteLine";
+	const qtyTag = rootName === "Invoice" ? "InvoicedQuantity" : "CreditedQuantity";
+
+	const line_items = (root[lineTag] || []).map((line) => {
+		const price = num(line.Price?.PriceAmount);
+		const baseQty = num(line.Price?.BaseQuantity) || 1;
+		const name = text(line.Item?.Name);
+		const description = (line.Item?.Description || []).map(text).filter(Boolean).join(" ");
+		return {
+			description: [name, description].filter(Boolean).join(" - "),
+			quantity: num(line[qtyTag]),
+			unit_price: price !== null ? price / baseQty : null,
+			line_total: num(line.LineExtensionAmount),
+			tax_rate: num(line.Item?.ClassifiedTaxCategory?.Percent),
+			confidence: 1,
+		};
+	});
+
+	const tax_lines = (taxTotal?.TaxSubtotal || []).map((sub) => {
+		const category = sub.TaxCategory || {};
+		const scheme = text(category.TaxScheme?.ID) || "VAT";
+		return {
+			name: text(category.Name) || [scheme, text(category.ID)].filter(Boolean).join(" "),
+			rate: num(category.Percent) ?? num(sub.Percent),
+			base_amount: num(sub.TaxableAmount),
+			tax_amount: num(sub.TaxAmount),
+		};
+	});
+
+	const discounts = [];
+	const charges = [];
+	for (const ac of root.AllowanceCharge || []) {
+		const isCharge = text(ac.ChargeIndicator) === "true";
+		const entry = {
+			description: text(ac.AllowanceChargeReason) || text(ac.AllowanceChargeReasonCode),
+			rate: num(ac.MultiplierFactorNumeric),
+			amount: num(ac.Amount),
+		};
+		if (isCharge) charges.push({ ...entry, category: "fee" });
+		else discounts.push(entry);
+	}
+
+	const totals = root.LegalMonetaryTotal || {};
+	const supplier = root.AccountingSupplierParty?.Party;
+	const customer = root.AccountingCustomerParty?.Party;
+	const customization = text(root.CustomizationID) || "";
+
+	const parsed = coerceParsedInvoice({
+		invoice_number: text(root.ID),
+		invoice_date: text(root.IssueDate),
+		supplier_name: partyName(supplier),
+		supplier_tax_id: partyTaxId(supplier),
+		buyer_tax_id: partyTaxId(customer),
+		currency,
+		subtotal: num(totals.LineExtensionAmount),
+		tax_total: num(taxTotal?.TaxAmount),
+		total: num(totals.TaxInclusiveAmount) ?? num(totals.PayableAmount),
+		line_items,
+		tax_lines,
+		discounts,
+		charges,
+		// structured data: nothing is guessed
+		confidence: 1,
+	});
+
+	return {
+		ok: true,
+		parsed,
+		document_type: rootName,
+		profile: /peppol/i.test(customization) ? "peppol-bis-3.0" : "ubl-2.1",
+	};
+}
+
+/**
+ * Read and parse a stored XML file.
+ * Returns the same shape as extractInvoiceFromFile so it can be saved the same way.
+ */
+function extractUblFromFile(filePath) {
+	const xml = fs.readFileSync(filePath, "utf8");
+	const result = parseUblInvoice(xml);
+	return {
+		ok: result.ok,
+		parsed: result.parsed || null,
+		raw: null,
+		provider: "ubl",
+		model: result.profile || "ubl-2.1",
+		ocr: null,
+		error: result.error,
+		retryable: false,
+	};
+}
+
+// ---- building ----
+
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&apos;");
+}
+
+/**
+ * el("cbc:ID", "INV-1") / el("cac:Party", [children]) / el("cbc:Amount", "10.00", { currencyID })
+ * Empty values (null / undefined / []) render nothing.
+ */
+function el(name, content, attrs = {}) {
+	if (content === null || content === undefined) return "";
+	if (Array.isArray(content)) {
+		const inner = content.filter(Boolean).join("");
+		if (!inner) return "";
+		return `<${name}${attrString(attrs)}>${inner}</${name}>`;
+	}
+	return `<${name}${attrString(attrs)}>${escapeXml(content)}</${name}>`;
+}
+
+function attrString(attrs) {
+	return Object.entries(attrs)
+		.filter(([, v]) => v !== null && v !== undefined)
+		.map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+		.join("");
+}
+
+function money(value) {
+	return (Math.round((Number(value) || 0) * 100) / 100).toFixed(2);
+}
+
+function isoDay(value) {
+	if (!value) return null;
+	if (value instanceof Date) {
+		const pad = (n) => String(n).padStart(2, "0");
+		return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+	}
+	return String(value).slice(0, 10);
+}
+
+function taxCategory(tag, rate) {
+	const percent = Number(rate) || 0;
+	return el(tag, [
+		el("cbc:ID", percent > 0 ? "S" : "Z"),
+		el("cbc:Percent", String(percent)),
+		el("cac:TaxScheme", [el("cbc:ID", "VAT")]),
+	]);
+}
+
+function party(name, taxId) {
+	return el("cac:Party", [
+		name ? el("cac:PartyName", [el("cbc:Name", name)]) : "",
+		taxId
+			? el("cac:PartyTaxScheme", [
+					el("cbc:CompanyID", taxId),
+					el("cac:TaxScheme", [el("cbc:ID", "VAT")]),
+			  ])
+			: "",
+		el("cac:PartyLegalEntity", [el("cbc:RegistrationName", name || "Unknown")]),
+	]);
+}
+
+/**
+ * buildUblInvoice(invoice, { line_items, tax_lines, discounts, charges }) -> XML string
+ */
+function buildUblInvoice(invoice, details = {}) {
+	const currency = invoice.currency || "USD";
+	const amount = (tag, value) => el(tag, money(value), { currencyID: currency });
+
+	const lineItems = details.line_items || [];
+	const taxLines = details.tax_lines || [];
+	const discounts = details.discounts || [];
+	const charges = details.charges || [];
+
+	const lineExtension = lineItems.length
+		? lineItems.reduce((acc, li) => acc + (Number(li.line_total) || 0), 0)
+		: Number(invoice.subtotal) || 0;
+	const discountTotal = discounts.reduce((acc, d) => acc + (Number(d.amount) || 0), 0);
+	const chargeTotal = charges.reduce((acc, c) => acc + (Number(c.amount) || 0), 0);
+	const taxExclusive = lineExtension - discountTotal + chargeTotal;
+	const taxAmount =
+		invoice.tax_total !== null && invoice.tax_total !== undefined
+			? Number(invoice.tax_total)
+			: Math.max(0, (Number(invoice.total) || 0) - taxExclusive);
+
+	// tax breakdown: stored tax lines, or one subtotal over the whole base
+	const subtotals = taxLines.length
+		? taxLines.map((tl) => ({
+				base: tl.base_amount !== null ? Number(tl.base_amount) : taxExclusive,
+				amount: Number(tl.tax_amount) || 0,
+				rate: tl.rate,
+		  }))
+		: [
+				{
+					base: taxExclusive,
+					amount: taxAmount,
+					rate: taxExclusive ? Math.round((taxAmount / taxExclusive) * 10000) / 100 : 0,
+				},
+		  ];
+	const defaultRate = subtotals[0].rate;
+
+	const allowanceCharge = (isCharge, entry) =>
+		el("cac:AllowanceCharge", [
+			el("cbc:ChargeIndicator", isCharge ? "true" : "false"),
+			el("cbc:AllowanceChargeReason", entry.description || (isCharge ? entry.category : "Discount")),
+			entry.rate !== null && entry.rate !== undefined
+				? el("cbc:MultiplierFactorNumeric", String(entry.rate))
+				: "",
+			amount("cbc:Amount", entry.amount),
+			taxCategory("cac:TaxCategory", defaultRate),
+		]);
+
+	// an Invoice needs at least one line
+	const lines = lineItems.length
+		? lineItems
+		: [
+				{
+					description: "Invoice total",
+					quantity: 1,
+					unit_price: lineExtension,
+					line_total: lineExtension,
+					tax_rate: null,
+				},
+		  ];
+
+	const body = [
+		el("cbc:UBLVersionID", "2.1"),
+		el("cbc:CustomizationID", CUSTOMIZATION_ID),
+		el("cbc:ProfileID", PROFILE_ID),
+		el("cbc:ID", invoice.invoice_number || `INV-${invoice.id}`),
+		el("cbc:IssueDate", isoDay(invoice.invoice_date) || isoDay(invoice.created_at)),
+		el("cbc:InvoiceTypeCode", "380"),
+		el("cbc:DocumentCurrencyCode", currency),
+		el("cac:AccountingSupplierParty", [party(invoice.supplier_name, invoice.supplier_tax_id)]),
+		el("cac:AccountingCustomerParty", [party(BUYER_NAME, invoice.buyer_tax_id)]),
+		...discounts.map((d) => allowanceCharge(false, d)),
+		...charges.map((c) => allowanceCharge(true, c)),
+		el("cac:TaxTotal", [
+			amount("cbc:TaxAmount", taxAmount),
+			...subtotals.map((s) =>
+				el("cac:TaxSubtotal", [
+					amount("cbc:TaxableAmount", s.base),
+					amount("cbc:TaxAmount", s.amount),
+					taxCategory("cac:TaxCategory", s.rate),
+				])
+			),
+		]),
+		el("cac:LegalMonetaryTotal", [
+			amount("cbc:LineExtensionAmount", lineExtension),
+			amount("cbc:TaxExclusiveAmount", taxExclusive),
+			amount("cbc:TaxInclusiveAmount", taxExclusive + taxAmount),
+			discountTotal ? amount("cbc:AllowanceTotalAmount", discountTotal) : "",
+			chargeTotal ? amount("cbc:ChargeTotalAmount", chargeTotal) : "",
+			amount("cbc:PayableAmount", taxExclusive + taxAmount),
+		]),
+		...lines.map((li, i) =>
+			el("cac:InvoiceLine", [
+				el("cbc:ID", String(i + 1)),
+				el("cbc:InvoicedQuantity", String(Number(li.quantity) || 0), { unitCode: "C62" }),
+				amount("cbc:LineExtensionAmount", li.line_total),
+				el("cac:Item", [
+					el("cbc:Name", li.description || `Line ${i + 1}`),
+					taxCategory("cac:ClassifiedTaxCategory", li.tax_rate ?? defaultRate),
+				]),
+				el("cac:Price", [amount("cbc:PriceAmount", li.unit_price)]),
+			])
+		),
+	];
+
+	return (
+		'<?xml version="1.0" encoding="UTF-8"?>\n' +
+		el("Invoice", body, {
+			xmlns: UBL_NS.Invoice,
+			"xmlns:cac": UBL_NS.cac,
+			"xmlns:cbc": UBL_NS.cbc,
+		}) +
+		"\n"
+	);
+}
+
+module.exports = {
+	XML_MIME_TYPES,
+	isXmlFile,
+	parseUblInvoice,
+	extractUblFromFile,
+	buildUblInvoice,
+};
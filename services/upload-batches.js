@@ -0,0 +1,304 @@
+// backend/services/upload-batches.js
+// Multi-file and ZIP uploads. Every file (or archive entry) goes through
+// ingestUpload on its own and gets an upload_batch_files row with its outcome:
+// ACCEPTED (new invoice), DUPLICATE (same file already uploaded) or REJECTED.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const AdmZip = require("adm-zip");
+const { v4: uuidv4 } = require("uuid");
+const db = require("../db/index");
+const { enqueueExtraction } = require("./extraction-jobs");
+const { STATUSES, isLocked } = require("./invoice-status");
+const { originalFilename } = require("./files");
+const {
+	INCOMING_DIR,
+	MAX_FILE_BYTES,
+	MIME_TYPES_BY_EXTENSION,
+	ingestUpload,
+} = require("./uploads");
+
+const ARCHIVE_MIME_TYPES = ["application/zip", "application/x-zip-compressed"];
+const ZIP_MAX_ENTRIES = parseInt(process.env.UPLOAD_ZIP_MAX_ENTRIES || "500", 10);
+// bytes one archive may unpack to in total (its entries are on disk together)
+const ZIP_MAX_UNPACKED_BYTES = parseInt(
+	process.env.UPLOAD_ZIP_MAX_UNPACKED_BYTES || String(500 * 1024 * 1024),
+	10
+);
+
+function batchError(status, message) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+function isArchive(file) {
+	return (
+		ARCHIVE_MIME_TYPES.includes(file.mimetype) ||
+		path.extname(file.originalname || "").toLowerCase() === ".zip"
+	);
+}
+
+// folders and OS metadata (__MACOSX/, .DS_Store) are not files anyone uploaded
+function isIgnoredEntry(entry) {
+	return (
+		entry.isDirectory ||
+		entry.entryName.split("/").some((part) => part === "__MACOSX" || part.startsWith("."))
+	);
+}
+
+/**
+ * Unpacked size of an archive entry, or null when it is larger than `limit`.
+ * The sizes in the ZIP headers are whatever the archive claims, so the entry is
+ * inflated (at most `limit` bytes of it) to find out.
+ */
+function unpackedSize(entry, limit) {
+	const compressed = entry.getCompressedData();
+	if (entry.header.method === 0) return compressed.length > limit ? null : compressed.length;
+	try {
+		return zlib.inflateRawSync(compressed, { maxOutputLength: limit }).length;
+	} catch (err) {
+		if (err.code === "ERR_BUFFER_TOO_LARGE") return null;
+		throw err;
+	}
+}
+
+/**
+ * Unpack a ZIP upload into INCOMING_DIR -> [{ file } | { originalname, error }]
+ * in archive order. Entry names are never used as paths on disk.
+ */
+async function expandArchive(archive) {
+	const items = [];
+	let zip;
+	try {
+		zip = new AdmZip(archive.path);
+	} catch (err) {
+		return [{ originalname: archive.originalname, error: "Not a readable ZIP archive" }];
+	} finally {
+		fs.promises.unlink(archive.path).catch(() => {});
+	}
+
+	const entries = zip.getEntries().filter((e) => !isIgnoredEntry(e));
+	if (entries.length > ZIP_MAX_ENTRIES) {
+		return [
+			{
+				originalname: archive.originalname,
+				error: `Archive has more than ${ZIP_MAX_ENTRIES} files`,
+			},
+		];
+	}
+
+	let unpackedBytes = 0;
+	for (const entry of entries) {
+		const originalname = `${archive.originalname}/${entry.entryName}`;
+		const ext = path.extname(entry.entryName).toLowerCase();
+		if (ext === ".zip") {
+			items.push({ originalname, error: "Nested archives are not supported" });
+			continue;
+		}
+		if (!MIME_TYPES_BY_EXTENSION[ext]) {
+			items.push({ originalname, error: "Only PDF, PNG, JPEG and UBL XML files are allowed" });
+			continue;
+		}
+
+		const filename = `${Date.now()}-${uuidv4()}${ext}`;
+		const filePath = path.join(INCOMING_DIR, filename);
+		try {
+			// a ZIP bomb stops inflating at the limit instead of filling memory or disk
+			const size = unpackedSize(entry, MAX_FILE_BYTES);
+			if (size === null) {
+				items.push({ originalname, error: "File is larger than 10MB" });
+				continue;
+			}
+			if (unpackedBytes + size > ZIP_MAX_UNPACKED_BYTES) {
+				items.push({
+					originalname,
+					error: `Archive unpacks to more than ${Math.floor(ZIP_MAX_UNPACKED_BYTES / 1048576)}MB`,
+				});
+				continue;
+			}
+			// CRC-checked; fails when the headers don't match the data
+			const data = entry.getData();
+			unpackedBytes += data.length;
+			await fs.promises.writeFile(filePath, data);
+			items.push({
+				file: {
+					path: filePath,
+					filename,
+					originalname,
+					mimetype: MIME_TYPES_BY_EXTENSION[ext],
+					size: data.length,
+				},
+			});
+		} catch (err) {
+			console.error(`Could not unpack ${originalname}:`, err);
+			items.push({ originalname, error: "Could not unpack file" });
+		}
+	}
+	return items;
+}
+
+/**
+ * Create a batch and ingest the uploaded files (multer file objects) in order.
+ * Returns the batch status (see getBatchStatus).
+ */
+async function processUploadBatch(files, { organizationId, actor = null, autoExtract = true }) {
+	const batchId = uuidv4();
+	await db.query(
+		`INSERT INTO upload_batches (id, organization_id, created_by, auto_extract, created_at)
+     VALUES ($1, $2, $3, $4, NOW())`,
+		[batchId, organizationId, actor, autoExtract]
+	);
+
+	let position = 0;
+	const record = (filename, outcome, extra = {}) =>
+		db.query(
+			`INSERT INTO upload_batch_files (batch_id, position, filename, outcome, reason, invoice_id, duplicate_of_id, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
+			[
+				batchId,
+				++position,
+				filename,
+				outcome,
+				extra.reason || null,
+				extra.invoice_id || null,
+				extra.duplicate_of_id || null,
+			]
+		);
+
+	for (const upload of files) {
+		// multer hands over latin1-decoded names; archive entries are already UTF-8
+		const uploadName = originalFilename(upload);
+		const items = isArchive(upload)
+			? await expandArchive({ ...upload, originalname: uploadName })
+			: [{ file: { ...upload, originalname: uploadName } }];
+
+		for (const item of items) {
+			if (item.error) {
+				await record(item.originalname, "REJECTED", { reason: item.error });
+				continue;
+			}
+			const name = item.file.originalname;
+			try {
+				const result = await ingestUpload(item.file, {
+					organizationId,
+					actor,
+					batchId,
+					enqueue: autoExtract,
+					originalName: name,
+				});
+				if (result.outcome === "ACCEPTED") {
+					await record(name, "ACCEPTED", { invoice_id: result.invoice.id });
+				} else if (result.outcome === "DUPLICATE") {
+					await record(name, "DUPLICATE", {
+						reason: "This file has already been uploaded",
+						duplicate_of_id: result.existing.id,
+					});
+				} else {
+					await record(name, "REJECTED", {
+						reason: result.details ? `${result.error}: ${result.details}` : result.error,
+					});
+				}
+			} catch (err) {
+				console.error(`Batch ${batchId} file ${name} error:`, err);
+				await record(name, "REJECTED", { reason: "Failed to process file" });
+			}
+		}
+	}
+
+	await db.query(`UPDATE upload_batches SET completed_at = NOW() WHERE id = $1`, [batchId]);
+	return getBatchStatus(batchId);
+}
+
+/**
+ * Batch with per-file results and extraction progress of its accepted invoices
+ */
+async function getBatchStatus(batchId) {
+	const batchRes = await db.query(`SELECT * FROM upload_batches WHERE id = $1`, [batchId]);
+	if (!batchRes.rows.length) throw batchError(404, "Upload batch not found");
+
+	const filesRes = await db.query(
+		`SELECT f.position, f.filename, f.outcome, f.reason, f.invoice_id, f.duplicate_of_id,
+            i.status AS invoice_status
+     FROM upload_batch_files f
+     LEFT JOIN invoices i ON i.id = f.invoice_id
+     WHERE f.batch_id = $1
+     ORDER BY f.position ASC`,
+		[batchId]
+	);
+	// invoices split out of an uploaded PDF are part of the batch's extraction too
+	const childrenRes = await db.query(
+		`SELECT i.status FROM invoices i
+     JOIN upload_batch_files f ON f.invoice_id = i.parent_invoice_id
+     WHERE f.batch_id = $1`,
+		[batchId]
+	);
+	const jobsRes = await db.query(
+		`SELECT DISTINCT ON (j.invoice_id) j.invoice_id, j.status
+     FROM extraction_jobs j
+     JOIN invoices i ON i.id = j.invoice_id
+     JOIN upload_batch_files f ON f.invoice_id IN (i.id, i.parent_invoice_id)
+     WHERE f.batch_id = $1
+     ORDER BY j.invoice_id, j.id DESC`,
+		[batchId]
+	);
+
+	const files = filesRes.rows;
+	const summary = { files: files.length, accepted: 0, duplicate: 0, rejected: 0 };
+	const invoices = {};
+	for (const f of files) {
+		summary[f.outcome.toLowerCase()]++;
+		if (f.invoice_status) invoices[f.invoice_status] = (invoices[f.invoice_status] || 0) + 1;
+	}
+	for (const c of childrenRes.rows) invoices[c.status] = (invoices[c.status] || 0) + 1;
+	// latest job per invoice
+	const jobs = { QUEUED: 0, RUNNING: 0, COMPLETED: 0, DEAD: 0 };
+	for (const j of jobsRes.rows) jobs[j.status] = (jobs[j.status] || 0) + 1;
+
+	const pending = jobs.QUEUED + jobs.RUNNING;
+
+	return {
+		...batchRes.rows[0],
+		summary,
+		extraction: {
+			invoices,
+			jobs,
+			pending,
+			// no extraction queued or running (UPLOADED invoices wait for POST .../extract)
+			done: pending === 0 && !invoices.EXTRACTING,
+		},
+		files,
+	};
+}
+
+/**
+ * Queue extraction for the batch's accepted invoices that were never extracted
+ * (force: every invoice that is not locked by the approval workflow)
+ */
+async function enqueueBatchExtraction(batchId, { force = false, provider, ocrLang } = {}) {
+	const result = await db.query(
+		`SELECT i.id FROM invoices i
+     JOIN upload_batch_files f ON f.invoice_id IN (i.id, i.parent_invoice_id)
+     WHERE f.batch_id = $1
+       AND i.status <> ALL($2::varchar[])
+       AND ($3::boolean OR i.status = 'UPLOADED')
+     ORDER BY f.position ASC, i.id ASC`,
+		[batchId, STATUSES.filter(isLocked), force]
+	);
+
+	const jobs = [];
+	for (const row of result.rows) {
+		const job = await enqueueExtraction(row.id, { provider, ocrLang });
+		jobs.push({ invoice_id: row.id, job_id: job.id, status: job.status });
+	}
+	return jobs;
+}
+
+module.exports = {
+	ARCHIVE_MIME_TYPES,
+	isArchive,
+	processUploadBatch,
+	getBatchStatus,
+	enqueueBatchExtraction,
+};
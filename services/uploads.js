@@ -0,0 +1,165 @@
+// backend/services/uploads.js
+// Turns one uploaded file (on local disk) into an invoice: e-invoice check,
+// exact-duplicate check, document storage, insert + revision + extraction job.
+// Shared by POST /api/invoices/upload and batch / ZIP uploads.
+// Returns { outcome: "ACCEPTED", invoice, job, imported }
+//       | { outcome: "DUPLICATE", existing }
+//       | { outcome: "REJECTED", error, details }
+// The local file is always consumed (moved to storage or deleted).
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("../db/index");
+const { runExtraction } = require("./extraction");
+const { enqueueExtraction } = require("./extraction-jobs");
+const { hashFile, findByContentHash } = require("./duplicates");
+const { XML_MIME_TYPES, parseUblInvoice } = require("./ubl");
+const { recordRevision } = require("./revisions");
+const { recordInvoiceEvent } = require("./webhooks");
+const { originalFilename } = require("./files");
+const { storeFile, removeFile } = require("./storage");
+
+// multer writes uploads here first; they are moved to document storage once accepted
+const INCOMING_DIR =
+	process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "invoice-uploads");
+// queue extraction as soon as a file is uploaded (set to "false" to extract on demand)
+const AUTO_ENQUEUE = process.env.EXTRACTION_AUTO_ENQUEUE !== "false";
+const MAX_FILE_BYTES = 10 * 1024 * 1024; // 10MB
+
+const UPLOAD_MIME_TYPES = ["application/pdf", "image/png", "image/jpeg", ...XML_MIME_TYPES];
+// for files without a trustworthy MIME type (ZIP entries)
+const MIME_TYPES_BY_EXTENSION = {
+	".pdf": "application/pdf",
+	".png": "image/png",
+	".jpg": "image/jpeg",
+	".jpeg": "image/jpeg",
+	".xml": "application/xml",
+};
+
+function rejected(error, details = null) {
+	return { outcome: "REJECTED", error, details };
+}
+
+/**
+ * ingestUpload({ path, filename, originalname, mimetype, size },
+ *              { organizationId, actor, batchId, enqueue, originalName })
+ * filename: name the file gets in storage; originalName: name to record
+ * (default: multer's originalname)
+ */
+async function ingestUpload(file, options = {}) {
+	const { organizationId, actor = null, batchId = null, enqueue = AUTO_ENQUEUE } = options;
+	const originalName = options.originalName || originalFilename(file);
+	const discard = () => fs.promises.unlink(file.path).catch(() => {});
+
+	if (!UPLOAD_MIME_TYPES.includes(file.mimetype)) {
+		await discard();
+		return rejected("Only PDF, PNG, JPEG and UBL XML files are allowed");
+	}
+	if (file.size > MAX_FILE_BYTES) {
+		await discard();
+		return rejected("File is larger than 10MB");
+	}
+
+	// UBL 2.1 / Peppol BIS e-invoice: mapped directly after the insert, no LLM
+	const isUbl = XML_MIME_TYPES.includes(file.mimetype);
+	if (isUbl) {
+		const check = parseUblInvoice(await fs.promises.readFile(file.path, "utf8"));
+		if (!check.ok) {
+			await discard();
+			return rejected("Invalid e-invoice", check.error);
+		}
+	}
+
+	let contentHash;
+	let filePath;
+	try {
+		// exact re-upload of the same bytes
+		contentHash = await hashFile(file.path);
+		const existing = await findByContentHash(contentHash, organizationId);
+		if (existing) {
+			await discard();
+			return { outcome: "DUPLICATE", existing };
+		}
+
+		filePath = await storeFile(file.path, file.filename, {
+			contentType: file.mimetype,
+			move: true,
+		});
+	} catch (error) {
+		await discard();
+		throw error;
+	}
+
+	const client = await db.connect();
+	let invoice;
+	let job = null;
+	try {
+		await client.query("BEGIN");
+
+		const result = await client.query(
+			`INSERT INTO invoices (organization_id, upload_batch_id, file_path, original_filename, mime_type, content_hash, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 'UPLOADED', NOW(), NOW())
+       RETURNING id, file_path, status, created_at`,
+			[
+				organizationId,
+				batchId,
+				filePath,
+				originalName,
+				file.mimetype || null,
+				contentHash,
+			]
+		);
+		invoice = result.rows[0];
+		await recordRevision(client, invoice.id, {
+			source: "upload",
+			actor,
+			note: originalName,
+		});
+		await recordInvoiceEvent(client, invoice.id, "invoice.uploaded");
+
+		// Enqueue extraction job in the same transaction (picked up by the worker)
+		if (enqueue && !isUbl) job = await enqueueExtraction(invoice.id, {}, client);
+
+		await client.query("COMMIT");
+	} catch (error) {
+		try {
+			await client.query("ROLLBACK");
+		} catch (e) {
+			/* ignore */
+		}
+		removeFile(filePath).catch((e) =>
+			console.warn("Failed to remove stored file:", e.message)
+		);
+		// same file uploaded concurrently: unique index on content_hash
+		if (error.code === "23505") {
+			const existing = await findByContentHash(contentHash, organizationId).catch(
+				() => null
+			);
+			if (existing) return { outcome: "DUPLICATE", existing };
+		}
+		throw error;
+	} finally {
+		client.release();
+	}
+
+	let imported = null;
+	if (isUbl) {
+		// a failure leaves the invoice UPLOADED for POST /api/invoices/:id/extract
+		imported = await runExtraction(invoice.id, { actor }).catch((err) => {
+			console.error(`UBL import of invoice ${invoice.id} failed:`, err);
+			return { ok: false, error: "Extraction failed" };
+		});
+	}
+
+	return { outcome: "ACCEPTED", invoice, job, imported };
+}
+
+module.exports = {
+	INCOMING_DIR,
+	AUTO_ENQUEUE,
+	MAX_FILE_BYTES,
+	UPLOAD_MIME_TYPES,
+	MIME_TYPES_BY_EXTENSION,
+	ingestUpload,
+};
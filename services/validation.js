@@ -0,0 +1,394 @@
+// backend/services/validation.js
+// Arithmetic and consistency checks for an invoice and its line items.
+// Issue: { code, severity: "error"|"warning", field, message, expected?, actual? }
+// Any "error" issue sends the invoice to NEEDS_REVIEW.
+
+// absolute rounding tolerance per compared amount
+const AMOUNT_TOLERANCE = parseFloat(process.env.VALIDATION_AMOUNT_TOLERANCE || "0.05");
+// invoice dates older than this are flagged as implausible
+const MAX_AGE_DAYS = parseInt(process.env.VALIDATION_MAX_AGE_DAYS || "1825", 10);
+// allow for time zones / same-day uploads before flagging a future date
+const FUTURE_GRACE_DAYS = parseInt(process.env.VALIDATION_FUTURE_GRACE_DAYS || "1", 10);
+// extracted values below this confidence need a reviewer; per-field overrides
+// such as "total:0.9,invoice_number:0.8,line_items:0.5"
+const CONFIDENCE_MIN = parseFloat(process.env.FIELD_CONFIDENCE_MIN || "0.6");
+const CONFIDENCE_THRESHOLDS = parseConfidenceThresholds(
+	process.env.FIELD_CONFIDENCE_THRESHOLDS || ""
+);
+
+const { normalizeCurrency } = require("./currency");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toNumber(v) {
+	if (v === null || v === undefined || v === "") return null;
+	const n = Number(v);
+	return Number.isNaN(n) ? null : n;
+}
+
+function round2(n) {
+	return Math.round(n * 100) / 100;
+}
+
+/**
+ * DATE columns come back from pg as local-midnight Date objects
+ */
+function toDateOnly(v) {
+	if (!v) return null;
+	if (v instanceof Date) {
+		return new Date(Date.UTC(v.getFullYear(), v.getMonth(), v.getDate()));
+	}
+	const d = new Date(`${String(v).slice(0, 10)}T00:00:00Z`);
+	return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function issue(severity, code, field, message, extra = {}) {
+	return { code, severity, field, message, ...extra };
+}
+
+/**
+ * "total:0.9,line_items:0.5" -> { total: 0.9, line_items: 0.5 }
+ */
+function parseConfidenceThresholds(text) {
+	const thresholds = {};
+	for (const part of String(text).split(",")) {
+		const [field, value] = part.split(":").map((s) => s.trim());
+		const n = parseFloat(value);
+		if (field && !Number.isNaN(n)) thresholds[field] = n;
+	}
+	return thresholds;
+}
+
+function confidenceThreshold(field) {
+	return CONFIDENCE_THRESHOLDS[field] ?? CONFIDENCE_MIN;
+}
+
+/**
+ * Extracted header fields and line items below their confidence threshold.
+ * Fields a reviewer saved (reviewed) and rows without a confidence are skipped.
+ */
+function confidenceIssues(invoice, lineItems) {
+	const issues = [];
+	const evidence = invoice.field_evidence || {};
+	for (const [field, entry] of Object.entries(evidence)) {
+		const confidence = toNumber(entry && entry.confidence);
+		if (confidence === null || entry.reviewed) continue;
+		if (invoice[field] === null || invoice[field] === undefined) continue;
+		const threshold = confidenceThreshold(field);
+		if (confidence < threshold) {
+			issues.push(
+				issue(
+					"error",
+					"LOW_CONFIDENCE",
+					field,
+					`${field} was extracted with confidence ${confidence} (below ${threshold}); check it against the document`,
+					{ expected: threshold, actual: confidence }
+				)
+			);
+		}
+	}
+
+	const lineThreshold = confidenceThreshold("line_items");
+	lineItems.forEach((li, i) => {
+		const confidence = toNumber(li.confidence);
+		if (confidence !== null && confidence < lineThreshold) {
+			issues.push(
+				issue(
+					"error",
+					"LOW_CONFIDENCE",
+					`line_items[${i}]`,
+					`Line ${i + 1} was extracted with confidence ${confidence} (below ${lineThreshold})`,
+					{ expected: lineThreshold, actual: confidence }
+				)
+			);
+		}
+	});
+	return issues;
+}
+
+/**
+ * validateInvoice(invoice, lineItems, { taxLines, now, extraIssues }) -> issues[]
+ */
+function validateInvoice(invoice, lineItems = [], options = {}) {
+	const issues = [];
+	const now = options.now || new Date();
+
+	const subtotal = toNumber(invoice.subtotal);
+	const total = toNumber(invoice.total);
+
+	// negative header amounts
+	for (const [field, value] of [
+		["subtotal", subtotal],
+		["total", total],
+		["tax_total", toNumber(invoice.tax_total)],
+	]) {
+		if (value !== null && value < 0) {
+			issues.push(
+				issue("error", "NEGATIVE_AMOUNT", field, `${field} is negative`, {
+					actual: value,
+				})
+			);
+		}
+	}
+
+	// line items: negatives and quantity x unit_price = line_total
+	lineItems.forEach((li, i) => {
+		const qty = toNumber(li.quantity);
+		const unit = toNumber(li.unit_price);
+		const lineTotal = toNumber(li.line_total);
+		const prefix = `line_items[${i}]`;
+
+		for (const [field, value] of [
+			["quantity", qty],
+			["unit_price", unit],
+			["line_total", lineTotal],
+		]) {
+			if (value !== null && value < 0) {
+				issues.push(
+					issue("error", "NEGATIVE_AMOUNT", `${prefix}.${field}`, `Line ${i + 1} ${field} is negative`, {
+						actual: value,
+					})
+				);
+			}
+		}
+
+		if (qty !== null && unit !== null && lineTotal !== null) {
+			const expected = round2(qty * unit);
+			if (Math.abs(expected - lineTotal) > AMOUNT_TOLERANCE) {
+				issues.push(
+					issue(
+						"error",
+						"LINE_TOTAL_MISMATCH",
+						`${prefix}.line_total`,
+						`Line ${i + 1}: quantity x unit_price (${expected}) does not match line_total (${lineTotal})`,
+						{ expected, actual: lineTotal }
+					)
+				);
+			}
+		}
+	});
+
+	// sum of lines = subtotal (rounding tolerance grows with the number of lines)
+	if (lineItems.length && subtotal !== null) {
+		const sum = round2(
+			lineItems.reduce((acc, li) => acc + (toNumber(li.line_total) || 0), 0)
+		);
+		const tolerance = AMOUNT_TOLERANCE * Math.max(1, lineItems.length);
+		if (Math.abs(sum - subtotal) > tolerance) {
+			issues.push(
+				issue(
+					"error",
+					"SUBTOTAL_MISMATCH",
+					"subtotal",
+					`Sum of line totals (${sum}) does not match subtotal (${subtotal})`,
+					{ expected: sum, actual: subtotal }
+				)
+			);
+		}
+	}
+
+	// tax lines: base_amount x rate = tax_amount
+	(options.taxLines || []).forEach((tl, i) => {
+		const rate = toNumber(tl.rate);
+		const base = toNumber(tl.base_amount);
+		const amount = toNumber(tl.tax_amount);
+		if (amount !== null && amount < 0) {
+			issues.push(
+				issue("error", "NEGATIVE_AMOUNT", `tax_lines[${i}].tax_amount`, `${tl.name} tax amount is negative`, {
+					actual: amount,
+				})
+			);
+		}
+		if (rate !== null && base !== null && amount !== null) {
+			const expected = round2((base * rate) / 100);
+			if (Math.abs(expected - amount) > AMOUNT_TOLERANCE) {
+				issues.push(
+					issue(
+						"error",
+						"TAX_LINE_MISMATCH",
+						`tax_lines[${i}].tax_amount`,
+						`${tl.name}: ${rate}% of ${base} (${expected}) does not match tax amount (${amount})`,
+						{ expected, actual: amount }
+					)
+				);
+			}
+		}
+	});
+
+	// subtotal - discounts + charges + tax = total; without a stored tax amount
+	// the implied tax must not be negative
+	if (subtotal !== null && total !== null) {
+		const discounts = toNumber(invoice.discount_total) || 0;
+		const charges = toNumber(invoice.charges_total) || 0;
+		const net = round2(subtotal - discounts + charges);
+		const tax = toNumber(invoice.tax_total);
+		if (tax !== null) {
+			const expected = round2(net + tax);
+			if (Math.abs(expected - total) > AMOUNT_TOLERANCE) {
+				issues.push(
+					issue(
+						"error",
+						"TOTAL_MISMATCH",
+						"total",
+						`subtotal - discounts + charges + tax (${expected}) does not match total (${total})`,
+						{ expected, actual: total }
+					)
+				);
+			}
+		} else if (net - total > AMOUNT_TOLERANCE) {
+			issues.push(
+				issue(
+					"error",
+					"SUBTOTAL_EXCEEDS_TOTAL",
+					"total",
+					`subtotal after discounts and charges (${net}) is larger than total (${total})`,
+					{ expected: net, actual: total }
+				)
+			);
+		}
+	}
+
+	if (total === null || total === 0) {
+		issues.push(issue("warning", "MISSING_TOTAL", "total", "Invoice total is missing or zero"));
+	}
+
+	// dates: missing, in the future, or implausibly old
+	const invoiceDate = toDateOnly(invoice.invoice_date);
+	if (!invoiceDate) {
+		issues.push(issue("warning", "MISSING_DATE", "invoice_date", "Invoice date is missing"));
+	} else {
+		const today = toDateOnly(now);
+		const ageDays = Math.round((today - invoiceDate) / DAY_MS);
+		const iso = invoiceDate.toISOString().slice(0, 10);
+		if (ageDays < -FUTURE_GRACE_DAYS) {
+			issues.push(
+				issue("error", "DATE_IN_FUTURE", "invoice_date", `Invoice date ${iso} is in the future`, {
+					actual: iso,
+				})
+			);
+		} else if (ageDays > MAX_AGE_DAYS) {
+			issues.push(
+				issue(
+					"warning",
+					"DATE_IMPLAUSIBLE",
+					"invoice_date",
+					`Invoice date ${iso} is more than ${MAX_AGE_DAYS} days old`,
+					{ actual: iso }
+				)
+			);
+		}
+	}
+
+	if (!invoice.invoice_number) {
+		issues.push(issue("warning", "MISSING_INVOICE_NUMBER", "invoice_number", "Invoice number is missing"));
+	}
+
+	// supplier link (see services/supplier-matching.js)
+	if (invoice.supplier_id && invoice.supplier_match_confirmed === false) {
+		const score = toNumber(invoice.supplier_match_score);
+		issues.push(
+			issue(
+				"error",
+				"SUPPLIER_MATCH_UNCERTAIN",
+				"supplier_id",
+				`Supplier "${invoice.supplier_name}" matched supplier ${invoice.supplier_id} with low score ${score}; confirm the supplier`,
+				{ actual: score }
+			)
+		);
+	} else if (invoice.supplier_name && invoice.supplier_id === null) {
+		issues.push(
+			issue("warning", "UNKNOWN_SUPPLIER", "supplier_name", `Supplier "${invoice.supplier_name}" is not in the supplier list`)
+		);
+	}
+
+	issues.push(...confidenceIssues(invoice, lineItems));
+
+	return issues.concat(options.extraIssues || []);
+}
+
+function hasErrors(issues) {
+	return issues.some((i) => i.severity === "error");
+}
+
+/**
+ * Turn rules-vs-LLM cross-check mismatches into warnings
+ */
+function crossCheckIssues(crossCheck) {
+	if (!crossCheck || !Array.isArray(crossCheck.mismatches)) return [];
+	return crossCheck.mismatches.map((m) =>
+		issue(
+			"warning",
+			"CROSS_CHECK_MISMATCH",
+			m.field,
+			`${crossCheck.provider} extractor found ${m.actual} for ${m.field}`,
+			{ expected: m.expected, actual: m.actual }
+		)
+	);
+}
+
+/**
+ * Extracted currency that is no ISO 4217 code or known symbol (the invoice
+ * falls back to the supplier's or organization's currency)
+ */
+function currencyIssues(extracted) {
+	if (extracted === null || extracted === undefined || extracted === "") return [];
+	if (normalizeCurrency(extracted)) return [];
+	return [
+		issue(
+			"warning",
+			"UNKNOWN_CURRENCY",
+			"currency",
+			`Extracted currency "${extracted}" is not a known currency`,
+			{ actual: String(extracted) }
+		),
+	];
+}
+
+/**
+ * Validate the stored invoice inside the caller's transaction, save the
+ * issues and move the invoice to NEEDS_REVIEW when there is an error.
+ * Returns { issues, status }
+ */
+async function applyValidation(client, invoiceId, options = {}) {
+	const invRes = await client.query(`SELECT * FROM invoices WHERE id = $1`, [
+		invoiceId,
+	]);
+	if (!invRes.rows.length) return { issues: [], status: null };
+
+	const items = await client.query(
+		`SELECT quantity, unit_price, line_total, confidence FROM line_items WHERE invoice_id = $1 ORDER BY id ASC`,
+		[invoiceId]
+	);
+
+	const taxes = await client.query(
+		`SELECT name, rate, base_amount, tax_amount FROM tax_lines WHERE invoice_id = $1 ORDER BY id ASC`,
+		[invoiceId]
+	);
+
+	const issues = validateInvoice(invRes.rows[0], items.rows, {
+		...options,
+		taxLines: taxes.rows,
+	});
+
+	const updated = await client.query(
+		`UPDATE invoices SET
+       validation_issues = $1,
+       validated_at = NOW(),
+       status = CASE WHEN $2::boolean THEN 'NEEDS_REVIEW' ELSE status END
+     WHERE id = $3
+     RETURNING status`,
+		[JSON.stringify(issues), hasErrors(issues), invoiceId]
+	);
+
+	return { issues, status: updated.rows[0].status };
+}
+
+module.exports = {
+	CONFIDENCE_MIN,
+	CONFIDENCE_THRESHOLDS,
+	validateInvoice,
+	hasErrors,
+	crossCheckIssues,
+	currencyIssues,
+	applyValidation,
+};
@@ -0,0 +1,147 @@
+// backend/services/webhook-worker.js
+// Sends webhook_deliveries. Started in-process by server.js
+// (WEBHOOK_WORKER=inline, the default) or standalone via `npm run webhook-worker`.
+
+const os = require("os");
+const http = require("http");
+const https = require("https");
+const db = require("../db/index");
+const {
+	signPayload,
+	assertDeliverableUrl,
+	deliveryLookup,
+	claimNextDelivery,
+	completeDelivery,
+	failDelivery,
+} = require("./webhooks");
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_MS || "2000", 10);
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10);
+// receivers' response bodies are kept for the delivery log, truncated
+const RESPONSE_MAX_CHARS = parseInt(process.env.WEBHOOK_RESPONSE_MAX_CHARS || "2000", 10);
+
+/**
+ * POST body to url -> { status, text }. Redirects are not followed, and the
+ * connection only goes to addresses deliveryLookup accepts.
+ */
+function post(url, headers, body) {
+	assertDeliverableUrl(url);
+	const client = url.protocol === "https:" ? https : http;
+	return new Promise((resolve, reject) => {
+		const req = client.request(
+			url,
+			{
+				method: "POST",
+				headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+				lookup: deliveryLookup,
+				signal: AbortSignal.timeout(TIMEOUT_MS),
+			},
+			(res) => {
+				let text = "";
+				res.setEncoding("utf8");
+				res.on("data", (chunk) => {
+					if (text.length < RESPONSE_MAX_CHARS) text += chunk;
+				});
+				res.on("end", () => resolve({ status: res.statusCode, text }));
+				res.on("error", reject);
+			}
+		);
+		req.on("error", reject);
+		req.end(body);
+	});
+}
+
+/**
+ * POST one claimed delivery; any 2xx response counts as delivered, anything
+ * else (redirects included) is retried with backoff
+ */
+async function processDelivery(delivery) {
+	const body = JSON.stringify(delivery.payload);
+	const timestamp = Math.floor(Date.now() / 1000);
+	const started = Date.now();
+	let result = {};
+	try {
+		const response = await post(
+			new URL(delivery.url),
+			{
+				"Content-Type": "application/json",
+				"User-Agent": "invoice-backend-webhooks/1.0",
+				"X-Webhook-Id": delivery.event_id,
+				"X-Webhook-Event": delivery.event_type,
+				"X-Webhook-Delivery": String(delivery.id),
+				"X-Webhook-Timestamp": String(timestamp),
+				"X-Webhook-Signature": signPayload(delivery.secret, timestamp, body),
+			},
+			body
+		);
+		result = {
+			responseStatus: response.status,
+			responseBody: response.text.slice(0, RESPONSE_MAX_CHARS) || null,
+			durationMs: Date.now() - started,
+		};
+		if (response.status >= 200 && response.status < 300) {
+			return await completeDelivery(delivery.id, result);
+		}
+		throw new Error(`Receiver responded ${response.status}`);
+	} catch (err) {
+		// AbortSignal.timeout() aborts the request with an AbortError
+		const timedOut = err.name === "TimeoutError" || err.name === "AbortError";
+		const message = timedOut ? `Timed out after ${TIMEOUT_MS}ms` : err.message;
+		const updated = await failDelivery(delivery, new Error(message), {
+			durationMs: Date.now() - started,
+			...result,
+		});
+		console.warn(
+			`Webhook delivery ${delivery.id} (${delivery.event_type} -> ${delivery.url}) attempt ${delivery.attempts} failed: ${message}` +
+				(updated.status === "FAILED" ? " - giving up" : ` - retry at ${updated.next_attempt_at}`)
+		);
+		return updated;
+	}
+}
+
+/**
+ * startWebhookWorker() -> { stop() }
+ * Sends due deliveries until none are left, then sleeps.
+ */
+function startWebhookWorker(options = {}) {
+	const pollMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+	const workerId = `${os.hostname()}:${process.pid}:webhooks`;
+	let stopped = false;
+	let timer = null;
+
+	async function tick() {
+		if (stopped) return;
+		try {
+			let delivery;
+			while (!stopped && (delivery = await claimNextDelivery(workerId))) {
+				await processDelivery(delivery);
+			}
+		} catch (err) {
+			console.error("Webhook worker error:", err);
+		}
+		if (!stopped) timer = setTimeout(tick, pollMs);
+	}
+
+	tick();
+	console.log(`✓ Webhook worker started (${workerId})`);
+
+	return {
+		stop() {
+			stopped = true;
+			clearTimeout(timer);
+		},
+	};
+}
+
+module.exports = { startWebhookWorker, processDelivery };
+
+// Standalone: node services/webhook-worker.js
+if (require.main === module) {
+	const worker = startWebhookWorker();
+	const shutdown = () => {
+		worker.stop();
+		db.end().finally(() => process.exit(0));
+	};
+	process.on("SIGINT", shutdown);
+	process.on("SIGTERM", shutdown);
+}
@@ -0,0 +1,481 @@
+// backend/services/webhooks.js
+// Outbound webhooks. An invoice change records its event in the webhook_events
+// outbox inside the transaction that makes the change, with one webhook_deliveries
+// row per subscription that wants it; services/webhook-worker.js sends them
+// signed with HMAC-SHA256 and retries failures with backoff.
+// Delivery status: PENDING -> SENDING -> DELIVERED | PENDING (retry) | FAILED
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { v4: uuidv4 } = require("uuid");
+const db = require("../db/index");
+
+const EVENT_TYPES = [
+	"invoice.uploaded",
+	"invoice.extracted",
+	"invoice.needs_review",
+	"invoice.approved",
+	"invoice.rejected",
+	"invoice.exported",
+	"invoice.paid",
+	"invoice.deleted",
+];
+// sent by POST /api/webhooks/:id/ping only
+const PING_EVENT = "webhook.ping";
+
+// invoice status -> event recorded when an invoice enters it
+const STATUS_EVENTS = {
+	NEEDS_REVIEW: "invoice.needs_review",
+	POSSIBLE_DUPLICATE: "invoice.needs_review",
+	APPROVED: "invoice.approved",
+	REJECTED: "invoice.rejected",
+	EXPORTED: "invoice.exported",
+	PAID: "invoice.paid",
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "10", 10);
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || "30000", 10);
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS || "21600000", 10);
+// SENDING deliveries older than this are assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_LOCK_TIMEOUT_MS || "120000", 10);
+
+// invoice fields sent in event payloads (receivers fetch the rest from the API)
+const INVOICE_FIELDS = `id, organization_id, parent_invoice_id, upload_batch_id, status, original_filename,
+       supplier_id, supplier_name, invoice_number,
+       to_char(invoice_date, 'YYYY-MM-DD') AS invoice_date,
+       currency, subtotal, tax_total, total, base_currency, base_total,
+       confidence, duplicate_of_id, export_batch_id, created_at, updated_at`;
+
+function webhookError(status, message) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+/**
+ * Exponential backoff for the given attempt number (1-based), capped
+ */
+function retryDelayMs(attempts) {
+	return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+function generateSecret() {
+	return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * X-Webhook-Signature value: HMAC-SHA256 of "<timestamp>.<body>" with the
+ * subscription secret, hex encoded
+ */
+function signPayload(secret, timestamp, body) {
+	const hmac = crypto.createHmac("sha256", secret);
+	return `sha256=${hmac.update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * Subscription URL: http(s) with a host, no credentials; null when invalid
+ */
+function normalizeWebhookUrl(value) {
+	let url;
+	try {
+		url = new URL(String(value || "").trim());
+	} catch (e) {
+		return null;
+	}
+	if (!["http:", "https:"].includes(url.protocol) || !url.hostname) return null;
+	if (url.username || url.password) return null;
+	return url.toString();
+}
+
+// Receivers on loopback, private, link-local and other non-public networks are
+// refused, so a subscription can't make the worker POST into the server's own
+// network. WEBHOOK_ALLOWED_HOSTS lists exceptions: host names, addresses or
+// CIDR ranges, e.g. "hooks.internal,10.1.0.0/16".
+const BLOCKED_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+	["0.0.0.0", 8],
+	["10.0.0.0", 8],
+	["100.64.0.0", 10],
+	["127.0.0.0", 8],
+	["169.254.0.0", 16],
+	["172.16.0.0", 12],
+	["192.0.0.0", 24],
+	["192.168.0.0", 16],
+	["198.18.0.0", 15],
+	["224.0.0.0", 4],
+	["240.0.0.0", 4],
+]) {
+	BLOCKED_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+for (const [network, prefix] of [
+	["::", 127], // :: and ::1
+	["64:ff9b::", 96], // NAT64
+	["fc00::", 7],
+	["fe80::", 10],
+	["ff00::", 8],
+]) {
+	BLOCKED_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+
+const ALLOWED = parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
+
+function parseAllowedHosts(text) {
+	const hosts = new Set();
+	const networks = new net.BlockList();
+	for (const entry of String(text || "").split(",")) {
+		const value = entry.trim().toLowerCase().replace(/^\[|\]$/g, "");
+		if (!value) continue;
+		const [address, prefix] = value.split("/");
+		const family = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+		if (!net.isIP(address)) hosts.add(value);
+		else if (prefix !== undefined) networks.addSubnet(address, parseInt(prefix, 10), family);
+		else networks.addAddress(address, family);
+	}
+	return { hosts, networks };
+}
+
+function isBlockedAddress(address) {
+	const family = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+	return BLOCKED_NETWORKS.check(address, family) && !ALLOWED.networks.check(address, family);
+}
+
+function blockedAddressError(host, address) {
+	const err = new Error(
+		`${host} resolves to ${address}, a loopback, private or link-local address`
+	);
+	err.code = "WEBHOOK_ADDRESS_BLOCKED";
+	return err;
+}
+
+// URL hostname without IPv6 brackets
+function hostOf(url) {
+	return url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+}
+
+/**
+ * Why a subscription URL can't be used (its host is or resolves to a blocked
+ * address), or null. A host that does not resolve yet is accepted; deliveries
+ * check it again.
+ */
+async function webhookUrlProblem(value) {
+	const host = hostOf(new URL(value));
+	if (ALLOWED.hosts.has(host)) return null;
+
+	let addresses = [host];
+	if (!net.isIP(host)) {
+		try {
+			addresses = (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+		} catch (e) {
+			return null;
+		}
+	}
+	return addresses.some(isBlockedAddress)
+		? "must not point to a loopback, private or link-local address"
+		: null;
+}
+
+/**
+ * Throws unless a delivery may connect to the URL's host: an IP literal is
+ * checked here, a host name by deliveryLookup when the connection resolves it
+ */
+function assertDeliverableUrl(url) {
+	const host = hostOf(url);
+	if (net.isIP(host) && !ALLOWED.hosts.has(host) && isBlockedAddress(host)) {
+		throw blockedAddressError(host, host);
+	}
+}
+
+/**
+ * dns.lookup for delivery connections (http.request's lookup option): refuses
+ * blocked addresses, so a host re-pointed after the subscribe check is still
+ * not reached
+ */
+function deliveryLookup(hostname, options, callback) {
+	dns.lookup(hostname, options, (err, address, family) => {
+		if (err) return callback(err);
+		if (!ALLOWED.hosts.has(hostname.toLowerCase())) {
+			const list = Array.isArray(address) ? address : [{ address, family }];
+			const blocked = list.find((a) => isBlockedAddress(a.address));
+			if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+		}
+		callback(null, address, family);
+	});
+}
+
+/**
+ * ["invoice.approved", ...] or "*" -> sorted unique list; throws 400 on unknown events
+ */
+function normalizeEvents(value) {
+	const list = (Array.isArray(value) ? value : [value])
+		.map((e) => String(e || "").trim().toLowerCase())
+		.filter(Boolean);
+	if (!list.length) {
+		throw webhookError(400, `events must list at least one of: *, ${EVENT_TYPES.join(", ")}`);
+	}
+	const unknown = list.filter((e) => e !== "*" && !EVENT_TYPES.includes(e));
+	if (unknown.length) {
+		throw webhookError(
+			400,
+			`Unknown events: ${unknown.join(", ")} (use *, ${EVENT_TYPES.join(", ")})`
+		);
+	}
+	return list.includes("*") ? ["*"] : [...new Set(list)].sort();
+}
+
+/**
+ * Write an event to the outbox with a delivery for every active subscription of
+ * the organization that wants it (only subscriptionId when given, whatever its
+ * events). Call inside the caller's transaction so the event exists exactly when
+ * the change does. Returns { event, deliveries } or null when nobody listens.
+ */
+async function recordEvent(client, organizationId, type, data, { subscriptionId = null } = {}) {
+	const subs = await client.query(
+		`SELECT id FROM webhook_subscriptions
+     WHERE organization_id = $1 AND is_active
+       AND (CASE WHEN $2::int IS NULL THEN $3 = ANY(events) OR '*' = ANY(events)
+                 ELSE id = $2::int END)
+     ORDER BY id ASC`,
+		[organizationId, subscriptionId, type]
+	);
+	if (!subs.rows.length) return null;
+
+	const id = uuidv4();
+	const payload = {
+		id,
+		type,
+		created_at: new Date().toISOString(),
+		organization_id: organizationId,
+		data,
+	};
+	const eventRes = await client.query(
+		`INSERT INTO webhook_events (id, organization_id, event_type, invoice_id, payload, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     RETURNING *`,
+		[id, organizationId, type, data?.invoice?.id ?? null, payload]
+	);
+	const deliveries = await client.query(
+		`INSERT INTO webhook_deliveries (event_id, subscription_id, max_attempts, created_at, updated_at)
+     SELECT $1, s.id, $3, NOW(), NOW() FROM unnest($2::int[]) AS s(id)
+     RETURNING id, subscription_id, status`,
+		[id, subs.rows.map((r) => r.id), MAX_ATTEMPTS]
+	);
+	return { event: eventRes.rows[0], deliveries: deliveries.rows };
+}
+
+async function invoiceSummary(client, invoiceId) {
+	const result = await client.query(
+		`SELECT ${INVOICE_FIELDS} FROM invoices WHERE id = $1`,
+		[invoiceId]
+	);
+	if (!result.rows.length) return null;
+	const { organization_id, ...invoice } = result.rows[0];
+	return { organizationId: organization_id, invoice };
+}
+
+/**
+ * Record an invoice event ({ invoice, ...extra } as data). For invoice.deleted
+ * call it before the row is deleted.
+ */
+async function recordInvoiceEvent(client, invoiceId, type, extra = {}) {
+	const summary = await invoiceSummary(client, invoiceId);
+	if (!summary) return null;
+	return recordEvent(client, summary.organizationId, type, {
+		invoice: summary.invoice,
+		...extra,
+	});
+}
+
+/**
+ * Record the event of the status the invoice is in now (STATUS_EVENTS) when it
+ * differs from previousStatus; call after the change, before COMMIT
+ */
+async function recordStatusEvent(client, invoiceId, previousStatus) {
+	const summary = await invoiceSummary(client, invoiceId);
+	if (!summary || summary.invoice.status === previousStatus) return null;
+	const type = STATUS_EVENTS[summary.invoice.status];
+	if (!type) return null;
+	return recordEvent(client, summary.organizationId, type, {
+		invoice: summary.invoice,
+		previous_status: previousStatus || null,
+	});
+}
+
+/**
+ * Claim the next due delivery of an active subscription (FOR UPDATE SKIP LOCKED
+ * so workers never collide) with its payload, URL and secret
+ */
+async function claimNextDelivery(workerId) {
+	const result = await db.query(
+		`WITH claimed AS (
+       UPDATE webhook_deliveries SET
+         status = 'SENDING',
+         attempts = attempts + 1,
+         locked_at = NOW(),
+         locked_by = $1,
+         updated_at = NOW()
+       WHERE id = (
+         SELECT d.id FROM webhook_deliveries d
+         JOIN webhook_subscriptions s ON s.id = d.subscription_id
+         WHERE s.is_active
+           AND ((d.status = 'PENDING' AND d.next_attempt_at <= NOW())
+             OR (d.status = 'SENDING' AND d.locked_at < NOW() - ($2::int * INTERVAL '1 millisecond')))
+         ORDER BY d.next_attempt_at ASC, d.id ASC
+         FOR UPDATE OF d SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *
+     )
+     SELECT c.*, e.event_type, e.payload, s.url, s.secret
+     FROM claimed c
+     JOIN webhook_events e ON e.id = c.event_id
+     JOIN webhook_subscriptions s ON s.id = c.subscription_id`,
+		[workerId, LOCK_TIMEOUT_MS]
+	);
+	return result.rows[0] || null;
+}
+
+async function completeDelivery(deliveryId, { responseStatus, responseBody, durationMs }) {
+	const result = await db.query(
+		`UPDATE webhook_deliveries SET
+       status = 'DELIVERED',
+       response_status = $2,
+       response_body = $3,
+       duration_ms = $4,
+       last_error = NULL,
+       delivered_at = NOW(),
+       locked_at = NULL,
+       locked_by = NULL,
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+		[deliveryId, responseStatus, responseBody, durationMs]
+	);
+	return result.rows[0];
+}
+
+/**
+ * Record a failed attempt: reschedule with backoff, or give up (FAILED) once
+ * the delivery has used all its attempts. Returns the updated delivery.
+ */
+async function failDelivery(delivery, error, { responseStatus = null, responseBody = null, durationMs = null } = {}) {
+	const failed = delivery.attempts >= delivery.max_attempts;
+	const result = await db.query(
+		`UPDATE webhook_deliveries SET
+       status = $2::varchar,
+       last_error = $3,
+       response_status = $4,
+       response_body = $5,
+       duration_ms = $6,
+       next_attempt_at = CASE WHEN $2 = 'PENDING'
+         THEN NOW() + ($7::int * INTERVAL '1 millisecond') ELSE next_attempt_at END,
+       locked_at = NULL,
+       locked_by = NULL,
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+		[
+			delivery.id,
+			failed ? "FAILED" : "PENDING",
+			error?.message || String(error),
+			responseStatus,
+			responseBody,
+			durationMs,
+			retryDelayMs(delivery.attempts),
+		]
+	);
+	return result.rows[0];
+}
+
+// delivery log columns (payload and response body only in single-delivery views)
+const DELIVERY_COLUMNS = `d.id, d.event_id, e.event_type, e.invoice_id, d.subscription_id, s.url,
+       d.redelivery_of, d.status, d.attempts, d.max_attempts, d.next_attempt_at,
+       d.response_status, d.duration_ms, d.last_error, d.delivered_at,
+       d.created_at, d.updated_at`;
+
+/**
+ * Delivery log of an organization, newest first
+ * filters: { subscriptionId, status, eventType, invoiceId, limit, offset }
+ */
+async function listDeliveries(client, organizationId, filters = {}) {
+	const params = [
+		organizationId,
+		filters.subscriptionId || null,
+		filters.status || null,
+		filters.eventType || null,
+		filters.invoiceId || null,
+	];
+	const where = `WHERE s.organization_id = $1
+       AND ($2::int IS NULL OR d.subscription_id = $2::int)
+       AND ($3::varchar IS NULL OR d.status = $3::varchar)
+       AND ($4::varchar IS NULL OR e.event_type = $4::varchar)
+       AND ($5::int IS NULL OR e.invoice_id = $5::int)`;
+	const from = `FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     JOIN webhook_events e ON e.id = d.event_id`;
+
+	const result = await client.query(
+		`SELECT ${DELIVERY_COLUMNS} ${from} ${where}
+     ORDER BY d.id DESC
+     LIMIT $6 OFFSET $7`,
+		[...params, filters.limit || 50, filters.offset || 0]
+	);
+	const countRes = await client.query(
+		`SELECT COUNT(*)::int AS total ${from} ${where}`,
+		params
+	);
+	return { total: countRes.rows[0].total, deliveries: result.rows };
+}
+
+async function getDelivery(client, organizationId, deliveryId) {
+	const result = await client.query(
+		`SELECT ${DELIVERY_COLUMNS}, d.response_body, e.payload
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     JOIN webhook_events e ON e.id = d.event_id
+     WHERE d.id = $1 AND s.organization_id = $2`,
+		[deliveryId, organizationId]
+	);
+	return result.rows[0] || null;
+}
+
+/**
+ * Send a delivery's event again as a new delivery (same X-Webhook-Id, fresh
+ * attempts); the original stays in the log
+ */
+async function redeliver(client, organizationId, deliveryId) {
+	const original = await getDelivery(client, organizationId, deliveryId);
+	if (!original) throw webhookError(404, "Delivery not found");
+
+	const result = await client.query(
+		`INSERT INTO webhook_deliveries (event_id, subscription_id, redelivery_of, max_attempts, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW())
+     RETURNING id`,
+		[original.event_id, original.subscription_id, original.id, MAX_ATTEMPTS]
+	);
+	return getDelivery(client, organizationId, result.rows[0].id);
+}
+
+module.exports = {
+	EVENT_TYPES,
+	PING_EVENT,
+	STATUS_EVENTS,
+	retryDelayMs,
+	generateSecret,
+	signPayload,
+	normalizeWebhookUrl,
+	webhookUrlProblem,
+	assertDeliverableUrl,
+	deliveryLookup,
+	normalizeEvents,
+	recordEvent,
+	recordInvoiceEvent,
+	recordStatusEvent,
+	claimNextDelivery,
+	completeDelivery,
+	failDelivery,
+	listDeliveries,
+	getDelivery,
+	redeliver,
+};
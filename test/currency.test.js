@@ -0,0 +1,147 @@
+// backend/test/currency.test.js
+
+// read when services/currency.js is loaded
+process.env.EXCHANGE_RATE_MAX_AGE_DAYS = "7";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	pool,
+	migrateDatabase,
+	resetDatabase,
+	createOrganization,
+	createInvoice,
+} = require("./helpers/db");
+const {
+	normalizeCurrency,
+	parseRatesCsv,
+	importRates,
+	refreshBaseAmounts,
+} = require("../services/currency");
+const { STATUSES, isLocked } = require("../services/invoice-status");
+
+let organizationId;
+
+async function baseAmounts(id) {
+	const result = await pool.query(
+		`SELECT base_currency, exchange_rate, base_total FROM invoices WHERE id = $1`,
+		[id]
+	);
+	return result.rows[0];
+}
+
+test.before(migrateDatabase);
+
+test.beforeEach(async () => {
+	await resetDatabase();
+	organizationId = await createOrganization("Test organization", "USD");
+});
+
+test("normalizeCurrency maps codes, symbols and names to ISO 4217", () => {
+	assert.equal(normalizeCurrency("eur"), "EUR");
+	assert.equal(normalizeCurrency("₹"), "INR");
+	assert.equal(normalizeCurrency("Rs."), "INR");
+	assert.equal(normalizeCurrency("US$"), "USD");
+	assert.equal(normalizeCurrency("dirhams"), "AED");
+	assert.equal(normalizeCurrency("XYZ"), null);
+	assert.equal(normalizeCurrency(""), null);
+});
+
+test("parseRatesCsv reads rates and reports bad rows", () => {
+	const { rates, errors } = parseRatesCsv(
+		[
+			"date,currency,rate,base_currency",
+			"2025-06-01,eur,1.08,",
+			"2025-06-01,GBP,1.27,USD",
+			"2025-06-01,EUR,1.09,",
+			"06/01/2025,INR,0.012,",
+			"2025-06-01,USD,1,USD",
+			"2025-06-01,JPY,-1,",
+		].join("\n"),
+		"USD"
+	);
+	assert.deepEqual(rates, [
+		{ rate_date: "2025-06-01", currency: "EUR", base_currency: "USD", rate: 1.08 },
+		{ rate_date: "2025-06-01", currency: "GBP", base_currency: "USD", rate: 1.27 },
+	]);
+	assert.deepEqual(errors.map((e) => e.line), [4, 5, 6, 7]);
+	assert.throws(() => parseRatesCsv("day,currency\n", "USD"), { status: 400 });
+});
+
+test("refreshBaseAmounts converts with the latest recent rate, direct or inverted", async () => {
+	await importRates(pool, organizationId, [
+		{ rate_date: "2025-05-20", currency: "EUR", base_currency: "USD", rate: 1.05 },
+		{ rate_date: "2025-05-30", currency: "EUR", base_currency: "USD", rate: 1.1 },
+		{ rate_date: "2025-06-02", currency: "EUR", base_currency: "USD", rate: 1.2 },
+		{ rate_date: "2025-05-31", currency: "USD", base_currency: "INR", rate: 80 },
+	]);
+	const usd = await createInvoice(organizationId, {
+		currency: "USD",
+		total: "50.00",
+		invoice_date: "2025-06-01",
+	});
+	const eur = await createInvoice(organizationId, {
+		currency: "EUR",
+		total: "100.00",
+		invoice_date: "2025-06-01",
+	});
+	const inr = await createInvoice(organizationId, {
+		currency: "INR",
+		total: "8000.00",
+		invoice_date: "2025-06-01",
+	});
+	// the only rate is older than EXCHANGE_RATE_MAX_AGE_DAYS
+	const stale = await createInvoice(organizationId, {
+		currency: "EUR",
+		total: "100.00",
+		invoice_date: "2025-05-19",
+	});
+
+	assert.equal(await refreshBaseAmounts(pool, { organizationId }), 4);
+	assert.deepEqual(await baseAmounts(usd.id), {
+		base_currency: "USD",
+		exchange_rate: "1.00000000",
+		base_total: "50.00",
+	});
+	assert.equal((await baseAmounts(eur.id)).base_total, "110.00");
+	assert.equal((await baseAmounts(inr.id)).base_total, "100.00");
+	assert.equal((await baseAmounts(stale.id)).base_total, null);
+});
+
+test("a rate change leaves the base totals of locked invoices alone", async () => {
+	const fields = { currency: "EUR", total: "100.00", invoice_date: "2025-06-01" };
+	await importRates(pool, organizationId, [
+		{ rate_date: "2025-06-01", currency: "EUR", base_currency: "USD", rate: 1.1 },
+	]);
+	const approved = await createInvoice(organizationId, { ...fields, status: "APPROVED" });
+	const open = await createInvoice(organizationId, { ...fields, status: "EXTRACTED" });
+	await refreshBaseAmounts(pool, { organizationId });
+
+	// approved without a rate: converted once one is imported
+	const unconverted = await createInvoice(organizationId, {
+		...fields,
+		currency: "GBP",
+		status: "EXPORTED",
+	});
+	await importRates(pool, organizationId, [
+		{ rate_date: "2025-06-01", currency: "EUR", base_currency: "USD", rate: 1.5 },
+		{ rate_date: "2025-06-01", currency: "GBP", base_currency: "USD", rate: 1.25 },
+	]);
+	const keepStatuses = STATUSES.filter(isLocked);
+	assert.equal(await refreshBaseAmounts(pool, { organizationId, keepStatuses }), 2);
+
+	assert.equal((await baseAmounts(approved.id)).base_total, "110.00");
+	assert.equal((await baseAmounts(open.id)).base_total, "150.00");
+	assert.equal((await baseAmounts(unconverted.id)).base_total, "125.00");
+
+	// a base-currency change converts every invoice
+	await pool.query(`UPDATE organizations SET base_currency = 'EUR' WHERE id = $1`, [
+		organizationId,
+	]);
+	await refreshBaseAmounts(pool, { organizationId });
+	assert.deepEqual(await baseAmounts(approved.id), {
+		base_currency: "EUR",
+		exchange_rate: "1.00000000",
+		base_total: "100.00",
+	});
+});
@@ -0,0 +1,102 @@
+// backend/test/duplicates.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	pool,
+	migrateDatabase,
+	resetDatabase,
+	createOrganization,
+	createInvoice,
+} = require("./helpers/db");
+const {
+	normalizeInvoiceNumber,
+	findPossibleDuplicate,
+	applyDuplicateCheck,
+} = require("../services/duplicates");
+
+const FIELDS = {
+	supplier_name: "Acme Supplies Ltd",
+	invoice_number: "INV-001",
+	invoice_date: "2025-06-01",
+	total: "118.00",
+	status: "EXTRACTED",
+};
+
+let organizationId;
+
+async function loadInvoice(id) {
+	const result = await pool.query(`SELECT * FROM invoices WHERE id = $1`, [id]);
+	return result.rows[0];
+}
+
+test.before(migrateDatabase);
+
+test.beforeEach(async () => {
+	await resetDatabase();
+	organizationId = await createOrganization();
+});
+
+test("normalizeInvoiceNumber ignores case and punctuation", () => {
+	assert.equal(normalizeInvoiceNumber(" inv-001/a "), "INV001A");
+	assert.equal(normalizeInvoiceNumber("--"), null);
+	assert.equal(normalizeInvoiceNumber(null), null);
+});
+
+test("a later invoice matching an earlier one is its possible duplicate", async () => {
+	const original = await createInvoice(organizationId, FIELDS);
+	const copy = await createInvoice(organizationId, {
+		...FIELDS,
+		invoice_number: "inv 001",
+		total: "120.00",
+	});
+
+	const match = await applyDuplicateCheck(pool, copy.id);
+	assert.deepEqual(match, {
+		invoice_id: original.id,
+		matched_fields: ["supplier", "invoice_number", "invoice_date"],
+	});
+	const row = await loadInvoice(copy.id);
+	assert.equal(row.status, "POSSIBLE_DUPLICATE");
+	assert.equal(row.duplicate_of_id, original.id);
+});
+
+test("the original is never a duplicate of a later copy", async () => {
+	const original = await createInvoice(organizationId, FIELDS);
+	const copy = await createInvoice(organizationId, FIELDS);
+	await applyDuplicateCheck(pool, copy.id);
+
+	// re-extracting the original
+	assert.equal(await findPossibleDuplicate(pool, await loadInvoice(original.id)), null);
+	assert.equal(await applyDuplicateCheck(pool, original.id), null);
+	assert.equal((await loadInvoice(original.id)).status, "EXTRACTED");
+});
+
+test("the oldest of several matches is the original", async () => {
+	const first = await createInvoice(organizationId, FIELDS);
+	await createInvoice(organizationId, FIELDS);
+	const third = await createInvoice(organizationId, FIELDS);
+
+	const match = await findPossibleDuplicate(pool, await loadInvoice(third.id));
+	assert.equal(match.invoice_id, first.id);
+});
+
+test("other suppliers, organizations, split PDFs and overrides don't match", async () => {
+	const otherOrganization = await createOrganization("Other");
+	await createInvoice(otherOrganization, FIELDS);
+	await createInvoice(organizationId, { ...FIELDS, supplier_name: "Globex" });
+	await createInvoice(organizationId, { ...FIELDS, status: "SPLIT" });
+	// only the supplier and total match
+	await createInvoice(organizationId, { ...FIELDS, invoice_number: "X-9", invoice_date: null });
+
+	const invoice = await createInvoice(organizationId, FIELDS);
+	assert.equal(await findPossibleDuplicate(pool, await loadInvoice(invoice.id)), null);
+
+	await createInvoice(organizationId, FIELDS);
+	const overridden = await createInvoice(organizationId, {
+		...FIELDS,
+		duplicate_override: true,
+	});
+	assert.equal(await applyDuplicateCheck(pool, overridden.id), null);
+	assert.equal((await loadInvoice(overridden.id)).status, "EXTRACTED");
+});
@@ -0,0 +1,119 @@
+// backend/test/export.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_MAPPING, csvCell, csvLine, iifTransaction } = require("../services/export");
+
+const ACCOUNTS = DEFAULT_MAPPING.iif;
+
+// IIF lines as { type, accnt, amount, memo }
+function iifRows(text) {
+	return text
+		.split("\r\n")
+		.filter(Boolean)
+		.map((line) => {
+			const [type, , , accnt, , amount, , memo] = line.split("\t");
+			return { type, accnt, amount: amount === undefined ? null : Number(amount), memo };
+		});
+}
+
+// sum of the TRNS and SPL amounts in cents; a balanced transaction sums to 0
+function imbalance(rows) {
+	return rows
+		.filter((r) => r.type !== "ENDTRNS")
+		.reduce((acc, r) => acc + Math.round(r.amount * 100), 0);
+}
+
+test("iifTransaction credits payables with the total and balances the splits", () => {
+	const rows = iifRows(
+		iifTransaction(
+			{
+				id: 7,
+				invoice_number: "INV-7",
+				invoice_date: new Date(2025, 2, 4),
+				supplier_name: "Acme",
+				total: "118.00",
+			},
+			[
+				{ description: "Paper", line_total: "60.00" },
+				{ description: "Toner", line_total: "45.00" },
+			],
+			[{ name: "VAT 20%", tax_amount: "20.00" }],
+			[
+				{ kind: "DISCOUNT", amount: "10.00", description: "Early payment" },
+				{ kind: "CHARGE", amount: "3.00", category: "shipping" },
+			],
+			ACCOUNTS
+		)
+	);
+
+	assert.deepEqual(
+		rows.map((r) => [r.type, r.accnt, r.amount]),
+		[
+			["TRNS", "Accounts Payable", -118],
+			["SPL", "Purchases", 60],
+			["SPL", "Purchases", 45],
+			["SPL", "Tax Paid", 20],
+			["SPL", "Purchase Discounts", -10],
+			["SPL", "Freight and Delivery", 3],
+			["ENDTRNS", undefined, null],
+		]
+	);
+	assert.equal(imbalance(rows), 0);
+});
+
+test("iifTransaction books a rounding difference so the bill still balances", () => {
+	const rows = iifRows(
+		iifTransaction(
+			{ id: 8, total: "100.00", tax_total: "16.66" },
+			[
+				{ description: "A", line_total: "33.33" },
+				{ description: "B", line_total: "33.33" },
+				{ description: "C", line_total: "16.67" },
+			],
+			[],
+			[],
+			ACCOUNTS
+		)
+	);
+	const last = rows[rows.length - 2];
+	assert.deepEqual(
+		[last.accnt, last.amount, last.memo],
+		["Purchases", 0.01, "Rounding / unallocated"]
+	);
+	assert.equal(imbalance(rows), 0);
+});
+
+test("iifTransaction uses the subtotal when there are no line items", () => {
+	const text = iifTransaction(
+		{ id: 9, supplier_name: "Tab\tSupplier", subtotal: "50", tax_total: "5", total: "55" },
+		[],
+		[],
+		[],
+		ACCOUNTS
+	);
+	const rows = iifRows(text);
+	assert.deepEqual(
+		rows.map((r) => [r.type, r.amount, r.memo]),
+		[
+			["TRNS", -55, "Invoice 9"],
+			["SPL", 50, "Subtotal"],
+			["SPL", 5, "Tax"],
+			["ENDTRNS", null, undefined],
+		]
+	);
+	// tabs inside values would shift the IIF columns
+	assert.match(text, /\tTab Supplier\t/);
+	assert.match(text, /\tINV-9\t/);
+});
+
+test("csvCell quotes separators and neutralizes formulas", () => {
+	assert.equal(csvCell(null), "");
+	assert.equal(csvCell('Acme, "Ltd"'), '"Acme, ""Ltd"""');
+	assert.equal(csvCell("=1+1"), "'=1+1");
+	assert.equal(csvCell('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+	assert.equal(csvCell("@SUM(A1)"), "'@SUM(A1)");
+	assert.equal(csvCell("-12.50"), "-12.50");
+	assert.equal(csvCell(-12.5), "-12.5");
+	assert.equal(csvLine(["a", 1, null]), "a,1,\r\n");
+});
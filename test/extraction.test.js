@@ -0,0 +1,158 @@
+// backend/test/extraction.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "extraction-test-"));
+const FIXTURE_PATH = path.join(TMP_DIR, "fixture.json");
+const DOCUMENT_PATH = path.join(TMP_DIR, "invoice.txt");
+
+// read when the modules below are loaded
+process.env.LLM_PROVIDER = "fixture";
+process.env.LLM_FALLBACK_PROVIDER = "none";
+process.env.LLM_CROSS_CHECK = "false";
+process.env.LLM_FIXTURE_PATH = FIXTURE_PATH;
+process.env.EXTRACTION_LOCK_TIMEOUT_MS = "60000";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	pool,
+	migrateDatabase,
+	resetDatabase,
+	createOrganization,
+	createInvoice,
+} = require("./helpers/db");
+const { runExtraction } = require("../services/extraction");
+const { enqueueExtraction, claimNextJob } = require("../services/extraction-jobs");
+
+const FIXTURE = {
+	invoice_number: "INV-9",
+	invoice_date: "2025-06-01",
+	supplier_name: "Acme Supplies",
+	currency: "USD",
+	subtotal: 100,
+	total: 100,
+	confidence: 0.95,
+	line_items: [{ description: "Paper", quantity: 1, unit_price: 100, line_total: 100 }],
+};
+
+let organizationId;
+
+function writeFixture(output) {
+	fs.writeFileSync(FIXTURE_PATH, typeof output === "string" ? output : JSON.stringify(output));
+}
+
+async function loadInvoice(id) {
+	const result = await pool.query(`SELECT * FROM invoices WHERE id = $1`, [id]);
+	return result.rows[0];
+}
+
+test.before(async () => {
+	fs.writeFileSync(DOCUMENT_PATH, "Invoice INV-9 from Acme Supplies, total 100.00 USD");
+	await migrateDatabase();
+});
+
+test.after(() => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+test.beforeEach(async () => {
+	await resetDatabase();
+	organizationId = await createOrganization();
+	writeFixture(FIXTURE);
+});
+
+test("runExtraction saves the provider's result", async () => {
+	const invoice = await createInvoice(organizationId, { file_path: DOCUMENT_PATH });
+	const outcome = await runExtraction(invoice.id);
+
+	assert.equal(outcome.ok, true);
+	assert.equal(outcome.provider, "fixture");
+	assert.equal(outcome.invoice.invoice_number, "INV-9");
+	assert.equal(outcome.invoice.llm_provider, "fixture");
+	assert.notEqual(outcome.invoice.status, "EXTRACTING");
+	assert.deepEqual(outcome.line_items.map((li) => li.description), ["Paper"]);
+});
+
+test("invalid provider output is kept and the invoice needs review", async () => {
+	writeFixture("not json at all");
+	const invoice = await createInvoice(organizationId, { file_path: DOCUMENT_PATH });
+	const outcome = await runExtraction(invoice.id);
+
+	assert.equal(outcome.ok, false);
+	const row = await loadInvoice(invoice.id);
+	assert.equal(row.status, "NEEDS_REVIEW");
+	assert.equal(row.llm_provider, "fixture");
+	assert.ok(row.raw_llm_json.raw.includes("not json at all"));
+});
+
+test("an invoice another run is extracting is a 409 until its run is stale", async () => {
+	const invoice = await createInvoice(organizationId, {
+		file_path: DOCUMENT_PATH,
+		status: "EXTRACTING",
+	});
+	await assert.rejects(runExtraction(invoice.id), { status: 409 });
+
+	await pool.query(
+		`UPDATE invoices SET updated_at = NOW() - INTERVAL '2 minutes' WHERE id = $1`,
+		[invoice.id]
+	);
+	const outcome = await runExtraction(invoice.id);
+	assert.equal(outcome.ok, true);
+});
+
+test("locked, missing and fileless invoices are not extracted or queued", async () => {
+	const approved = await createInvoice(organizationId, {
+		file_path: DOCUMENT_PATH,
+		status: "APPROVED",
+	});
+	await assert.rejects(runExtraction(approved.id), { status: 409 });
+	await assert.rejects(enqueueExtraction(approved.id), { status: 409 });
+	assert.equal((await loadInvoice(approved.id)).status, "APPROVED");
+
+	await assert.rejects(runExtraction(999), { status: 404 });
+	await assert.rejects(enqueueExtraction(999), { status: 404 });
+
+	const fileless = await createInvoice(organizationId, {});
+	await assert.rejects(runExtraction(fileless.id), { status: 400 });
+});
+
+test("enqueueExtraction returns the pending job instead of queueing a second one", async () => {
+	const invoice = await createInvoice(organizationId, { file_path: DOCUMENT_PATH });
+	const job = await enqueueExtraction(invoice.id, { provider: "fixture" });
+	assert.equal((await enqueueExtraction(invoice.id)).id, job.id);
+
+	const claimed = await claimNextJob("test-worker");
+	assert.equal(claimed.id, job.id);
+	assert.equal(claimed.status, "RUNNING");
+	assert.equal((await enqueueExtraction(invoice.id)).id, job.id);
+	assert.equal(await claimNextJob("test-worker"), null);
+});
+
+test("a failure without a provider result gives the invoice back unchanged", async () => {
+	const invoice = await createInvoice(organizationId, {
+		file_path: DOCUMENT_PATH,
+		status: "EXTRACTED",
+		raw_llm_json: { earlier: true },
+		llm_provider: "gemini",
+		invoice_number: "INV-8",
+	});
+
+	// saving fails (invoice_number is VARCHAR(100))
+	writeFixture({ ...FIXTURE, invoice_number: "X".repeat(150) });
+	await assert.rejects(runExtraction(invoice.id), /too long/);
+	let row = await loadInvoice(invoice.id);
+	assert.equal(row.status, "EXTRACTED");
+	assert.deepEqual(row.raw_llm_json, { earlier: true });
+	assert.equal(row.llm_provider, "gemini");
+	assert.equal(row.invoice_number, "INV-8");
+
+	// the stored file can't be read: retryable, nothing recorded
+	await pool.query(`UPDATE invoices SET file_path = 'ftp://files/invoice.txt' WHERE id = $1`, [
+		invoice.id,
+	]);
+	await assert.rejects(runExtraction(invoice.id), (err) => err.retryable === true);
+	row = await loadInvoice(invoice.id);
+	assert.equal(row.status, "EXTRACTED");
+	assert.deepEqual(row.raw_llm_json, { earlier: true });
+});
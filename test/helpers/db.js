@@ -0,0 +1,104 @@
+// backend/test/helpers/db.js
+// In-memory Postgres (PGlite) standing in for db/index.js, so tests run the
+// migrations and the services' SQL without a database server. Require it before
+// anything that requires db/index.js. Parameters and results go through the pg
+// driver's own conversions (DECIMAL as strings, DATE as local-midnight Dates).
+//
+// PGlite has a single session: a client from connect() shares it with the
+// pool, so tests run one transaction at a time.
+
+const path = require("path");
+const { PGlite } = require("@electric-sql/pglite");
+const { pg_trgm } = require("@electric-sql/pglite/contrib/pg_trgm");
+const { types } = require("pg");
+const { prepareValue } = require("pg/lib/utils");
+
+// bool, int8, int2, int4, oid, json, float4, float8, date, timestamp, timestamptz, numeric, jsonb
+const PARSED_TYPES = [16, 20, 21, 23, 26, 114, 700, 701, 1082, 1114, 1184, 1700, 3802];
+
+const pglite = new PGlite({
+	extensions: { pg_trgm },
+	parsers: Object.fromEntries(PARSED_TYPES.map((oid) => [oid, types.getTypeParser(oid)])),
+});
+
+function toResult(result) {
+	return {
+		rows: result.rows,
+		rowCount: result.affectedRows || result.rows.length,
+		fields: result.fields,
+	};
+}
+
+async function query(text, values) {
+	// without parameters pg uses the simple protocol, which runs several statements
+	if (!values || !values.length) {
+		const results = await pglite.exec(text);
+		return toResult(results[results.length - 1] || { rows: [] });
+	}
+	return toResult(await pglite.query(text, values.map(prepareValue)));
+}
+
+const pool = {
+	query,
+	connect: async () => ({ query, release() {} }),
+	on() {},
+	end: async () => {},
+};
+
+const dbIndex = require.resolve(path.join(__dirname, "../../db/index.js"));
+require.cache[dbIndex] = { id: dbIndex, filename: dbIndex, loaded: true, exports: pool };
+
+/**
+ * Apply every migration (once per test file)
+ */
+async function migrateDatabase() {
+	await require("../../db/migrate").migrate({ log: () => {} });
+}
+
+/**
+ * Empty every table but schema_migrations
+ */
+async function resetDatabase() {
+	const result = await pglite.query(
+		`SELECT tablename FROM pg_tables
+     WHERE schemaname = 'public' AND tablename <> 'schema_migrations'`
+	);
+	if (!result.rows.length) return;
+	const tables = result.rows.map((r) => `"${r.tablename}"`).join(", ");
+	await pglite.exec(`TRUNCATE ${tables} RESTART IDENTITY CASCADE`);
+}
+
+/**
+ * A new organization -> its id
+ */
+async function createOrganization(name = "Test organization", baseCurrency = "USD") {
+	const result = await query(
+		`INSERT INTO organizations (name, base_currency) VALUES ($1, $2) RETURNING id`,
+		[name, baseCurrency]
+	);
+	return result.rows[0].id;
+}
+
+/**
+ * Insert an invoice of the organization with the given columns -> the row
+ */
+async function createInvoice(organizationId, fields = {}) {
+	const columns = ["organization_id", ...Object.keys(fields)];
+	const values = [organizationId, ...Object.values(fields)];
+	const result = await query(
+		`INSERT INTO invoices (${columns.join(", ")})
+     VALUES (${columns.map((c, i) => `$${i + 1}`).join(", ")})
+     RETURNING *`,
+		values
+	);
+	return result.rows[0];
+}
+
+module.exports = {
+	pglite,
+	pool,
+	migrateDatabase,
+	resetDatabase,
+	createOrganization,
+	createInvoice,
+};
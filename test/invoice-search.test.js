@@ -0,0 +1,122 @@
+// backend/test/invoice-search.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	pool,
+	migrateDatabase,
+	resetDatabase,
+	createOrganization,
+	createInvoice,
+} = require("./helpers/db");
+const { searchInvoices, refreshSearchVector } = require("../services/invoice-search");
+
+let organizationId;
+
+async function search(query) {
+	return searchInvoices(pool, query, organizationId);
+}
+
+async function ids(query) {
+	return (await search(query)).invoices.map((i) => i.id);
+}
+
+// every page of a keyset walk, following next_cursor
+async function walk(query) {
+	const pages = [];
+	let cursor;
+	do {
+		const result = await search({ ...query, ...(cursor ? { cursor } : {}) });
+		pages.push(result.invoices.map((i) => i.id));
+		cursor = result.next_cursor;
+	} while (cursor);
+	return pages;
+}
+
+test.before(migrateDatabase);
+
+test.beforeEach(async () => {
+	await resetDatabase();
+	organizationId = await createOrganization();
+});
+
+test("filters narrow the list to one organization's matching invoices", async () => {
+	const acme = await createInvoice(organizationId, {
+		supplier_name: "Acme 100% Supplies",
+		currency: "EUR",
+		total: "50.00",
+		status: "APPROVED",
+	});
+	const globex = await createInvoice(organizationId, {
+		supplier_name: "Globex",
+		currency: "USD",
+		total: "500.00",
+		status: "EXTRACTED",
+	});
+	await createInvoice(await createOrganization("Other"), {
+		supplier_name: "Acme 100% Supplies",
+		currency: "EUR",
+		total: "50.00",
+		status: "APPROVED",
+	});
+
+	assert.deepEqual(await ids({ status: ["approved"] }), [acme.id]);
+	assert.deepEqual(await ids({ currency: ["€"] }), [acme.id]);
+	assert.deepEqual(await ids({ supplier: "100%" }), [acme.id]);
+	assert.deepEqual(await ids({ supplier: "1_0" }), []);
+	assert.deepEqual(await ids({ total_min: 100 }), [globex.id]);
+	assert.deepEqual(await ids({ status: ["APPROVED"], total_min: 100 }), []);
+	assert.equal((await search({})).total, 2);
+});
+
+test("q matches line-item descriptions and partial invoice numbers", async () => {
+	const paper = await createInvoice(organizationId, {
+		supplier_name: "Acme",
+		invoice_number: "INV-2025-001",
+	});
+	const toner = await createInvoice(organizationId, {
+		supplier_name: "Globex",
+		invoice_number: "G-17",
+	});
+	await pool.query(
+		`INSERT INTO line_items (invoice_id, description)
+     VALUES ($1, 'Printer paper'), ($2, 'Toner')`,
+		[paper.id, toner.id]
+	);
+	await refreshSearchVector(pool, paper.id);
+	await refreshSearchVector(pool, toner.id);
+
+	assert.deepEqual(await ids({ q: "paper" }), [paper.id]);
+	assert.deepEqual(await ids({ q: "toner -paper" }), [toner.id]);
+	assert.deepEqual(await ids({ q: "2025-0" }), [paper.id]);
+	assert.deepEqual(await ids({ q: "stapler" }), []);
+});
+
+test("keyset pages cover every invoice once, in order, with ties and NULLs", async () => {
+	const totals = ["20.00", null, "10.00", "20.00", null, "5.00", "20.00"];
+	const created = [];
+	for (const total of totals) created.push(await createInvoice(organizationId, { total }));
+	const [a, b, c, d, e, f, g] = created.map((i) => i.id);
+
+	assert.deepEqual(await walk({ sort: "total", order: "asc", limit: 2 }), [
+		[f, c],
+		[a, d],
+		[g, b],
+		[e],
+	]);
+	assert.deepEqual(await walk({ sort: "total", order: "desc", limit: 3 }), [
+		[g, d, a],
+		[c, f, e],
+		[b],
+	]);
+
+	const first = await search({ sort: "total", order: "asc", limit: 7 });
+	assert.equal(first.page, 1);
+	assert.equal(first.next_cursor, null);
+});
+
+test("a bad cursor, sort or order is a 400", async () => {
+	await assert.rejects(search({ cursor: "not-a-cursor" }), { status: 400 });
+	await assert.rejects(search({ sort: "file_path" }), { status: 400 });
+	await assert.rejects(search({ order: "up" }), { status: 400 });
+});
@@ -0,0 +1,78 @@
+// backend/test/invoice-status.test.js
+
+// read when services/invoice-status.js is loaded
+process.env.APPROVAL_THRESHOLDS = "50000:3, 10000:2, bad, 500:0";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	STATUSES,
+	TRANSITIONS,
+	APPROVAL_THRESHOLDS,
+	isLocked,
+	canTransition,
+	assertTransition,
+	assertExtractable,
+	requiredApprovals,
+} = require("../services/invoice-status");
+
+test("canTransition follows the workflow", () => {
+	assert.equal(canTransition("UPLOADED", "EXTRACTING"), true);
+	assert.equal(canTransition("EXTRACTED", "APPROVED"), true);
+	assert.equal(canTransition("APPROVED", "EXPORTED"), true);
+	assert.equal(canTransition("EXPORTED", "PAID"), true);
+
+	assert.equal(canTransition("UPLOADED", "APPROVED"), false);
+	assert.equal(canTransition("POSSIBLE_DUPLICATE", "APPROVED"), false);
+	assert.equal(canTransition("EXPORTED", "NEEDS_REVIEW"), false);
+	assert.equal(canTransition("PAID", "EXPORTED"), false);
+	assert.equal(canTransition("UNKNOWN", "EXTRACTED"), false);
+});
+
+test("every transition target is a known status", () => {
+	assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...STATUSES].sort());
+	for (const targets of Object.values(TRANSITIONS)) {
+		for (const to of targets) assert.ok(STATUSES.includes(to), to);
+	}
+	for (const status of ["PAID", "SPLIT"]) assert.deepEqual(TRANSITIONS[status], []);
+});
+
+test("assertTransition throws 400 for an unknown status and 409 for a disallowed move", () => {
+	assert.throws(() => assertTransition("EXTRACTED", "ARCHIVED"), { status: 400 });
+	assert.throws(() => assertTransition("PAID", "APPROVED"), {
+		status: 409,
+		message: "Cannot move invoice from PAID to APPROVED",
+	});
+	assert.doesNotThrow(() => assertTransition("NEEDS_REVIEW", "NEEDS_REVIEW"));
+});
+
+test("approved, rejected, exported, paid and split invoices are locked", () => {
+	for (const status of STATUSES) {
+		const locked = ["APPROVED", "REJECTED", "EXPORTED", "PAID", "SPLIT"].includes(status);
+		assert.equal(isLocked(status), locked, status);
+	}
+	assert.throws(() => assertExtractable({ status: "SPLIT" }), { status: 409 });
+	assert.throws(() => assertExtractable({ status: "APPROVED" }), { status: 409 });
+	assert.doesNotThrow(() => assertExtractable({ status: "NEEDS_REVIEW" }));
+});
+
+test("APPROVAL_THRESHOLDS skips malformed entries and sorts by total", () => {
+	assert.deepEqual(APPROVAL_THRESHOLDS, [
+		{ min_total: 10000, approvers: 2 },
+		{ min_total: 50000, approvers: 3 },
+	]);
+});
+
+test("requiredApprovals compares the thresholds with base_total", () => {
+	assert.equal(requiredApprovals({ total: 500, base_total: 500 }), 1);
+	assert.equal(requiredApprovals({ total: 10000, base_total: 10000 }), 2);
+	assert.equal(requiredApprovals({ total: 49999.99, base_total: 49999.99 }), 2);
+	assert.equal(requiredApprovals({ total: 80000, base_total: "80000.00" }), 3);
+	// JPY 1,200,000 at a base-currency total of 7,200
+	assert.equal(requiredApprovals({ total: 1200000, base_total: 7200 }), 1);
+});
+
+test("requiredApprovals asks for the most approvers when the total is not converted yet", () => {
+	assert.equal(requiredApprovals({ total: 20, base_total: null }), 3);
+	assert.equal(requiredApprovals({ total: null, base_total: null }), 1);
+});
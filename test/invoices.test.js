@@ -0,0 +1,148 @@
+// backend/test/invoices.test.js
+
+// read when the modules below are loaded
+process.env.EXTRACTION_LOCK_TIMEOUT_MS = "60000";
+process.env.EXTRACTION_AUTO_ENQUEUE = "false";
+process.env.LLM_PROVIDER = "rules";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const {
+	pool,
+	migrateDatabase,
+	resetDatabase,
+	createOrganization,
+	createInvoice,
+} = require("./helpers/db");
+
+let server;
+let baseUrl;
+let organizationId;
+
+// /api/invoices as an editor of the test organization
+function startServer() {
+	const app = express();
+	app.use(express.json());
+	app.use((req, res, next) => {
+		req.user = {
+			id: 1,
+			organization_id: organizationId,
+			role: "editor",
+			actor: "editor@example.com",
+		};
+		next();
+	});
+	app.use("/api/invoices", require("../routes/invoices"));
+	return new Promise((resolve) => {
+		server = app.listen(0, "127.0.0.1", () => {
+			baseUrl = `http://127.0.0.1:${server.address().port}/api/invoices`;
+			resolve();
+		});
+	});
+}
+
+async function put(id, body) {
+	const res = await fetch(`${baseUrl}/${id}`, {
+		method: "PUT",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(body),
+	});
+	return { status: res.status, body: await res.json() };
+}
+
+async function loadInvoice(id) {
+	const result = await pool.query(`SELECT * FROM invoices WHERE id = $1`, [id]);
+	return result.rows[0];
+}
+
+test.before(async () => {
+	await migrateDatabase();
+	await startServer();
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test.beforeEach(async () => {
+	await resetDatabase();
+	organizationId = await createOrganization();
+});
+
+const EDIT = {
+	supplier_name: "Acme Supplies",
+	invoice_number: "INV-7",
+	invoice_date: "2025-06-01",
+	currency: "USD",
+	subtotal: 100,
+	total: 100,
+	line_items: [{ description: "Paper", quantity: 1, unit_price: 100, line_total: 100 }],
+};
+
+test("PUT /:id saves the edit and records a revision", async () => {
+	const invoice = await createInvoice(organizationId, { status: "NEEDS_REVIEW" });
+	const res = await put(invoice.id, EDIT);
+
+	assert.equal(res.status, 200);
+	assert.equal(res.body.invoice_number, "INV-7");
+	assert.deepEqual(res.body.line_items.map((li) => li.description), ["Paper"]);
+	const revisions = await pool.query(
+		`SELECT source, actor FROM invoice_revisions WHERE invoice_id = $1 ORDER BY id`,
+		[invoice.id]
+	);
+	assert.deepEqual(revisions.rows.at(-1), { source: "user_edit", actor: "editor@example.com" });
+});
+
+test("PUT /:id is a 409 while the invoice is being extracted", async () => {
+	const invoice = await createInvoice(organizationId, {
+		status: "EXTRACTING",
+		invoice_number: "INV-1",
+	});
+	const res = await put(invoice.id, EDIT);
+
+	assert.equal(res.status, 409);
+	const row = await loadInvoice(invoice.id);
+	assert.equal(row.status, "EXTRACTING");
+	assert.equal(row.invoice_number, "INV-1");
+
+	// the run crashed: its invoice can be fixed by hand
+	await pool.query(
+		`UPDATE invoices SET updated_at = NOW() - INTERVAL '2 minutes' WHERE id = $1`,
+		[invoice.id]
+	);
+	assert.equal((await put(invoice.id, { ...EDIT, status: "NEEDS_REVIEW" })).status, 200);
+	assert.equal((await loadInvoice(invoice.id)).invoice_number, "INV-7");
+});
+
+test("PUT /:id is a 409 for locked invoices and a 404 for other organizations'", async () => {
+	const approved = await createInvoice(organizationId, { status: "APPROVED" });
+	assert.equal((await put(approved.id, EDIT)).status, 409);
+
+	const other = await createInvoice(await createOrganization("Other"), { status: "EXTRACTED" });
+	assert.equal((await put(other.id, EDIT)).status, 404);
+});
+
+test("POST /upload answers 422 for an XML file that is no e-invoice", async () => {
+	const form = new FormData();
+	form.append("file", new Blob(["<note>hello</note>"], { type: "application/xml" }), "note.xml");
+	const res = await fetch(`${baseUrl}/upload`, { method: "POST", body: form });
+	const body = await res.json();
+
+	assert.equal(res.status, 422);
+	assert.equal(body.code, "VALIDATION_FAILED");
+	assert.equal(body.fields[0].field, "file");
+	assert.match(body.error, /^file was rejected: Invalid e-invoice/);
+	const count = await pool.query(`SELECT COUNT(*)::int AS n FROM invoices`);
+	assert.equal(count.rows[0].n, 0);
+});
+
+test("GET / takes sort and status values in any case", async () => {
+	await createInvoice(organizationId, { status: "APPROVED", total: "20.00" });
+	await createInvoice(organizationId, { status: "APPROVED", total: "10.00" });
+	await createInvoice(organizationId, { status: "EXTRACTED", total: "30.00" });
+
+	const res = await fetch(`${baseUrl}?status=approved&sort=Total&order=ASC`);
+	const body = await res.json();
+	assert.equal(res.status, 200);
+	assert.equal(body.sort, "total");
+	assert.deepEqual(body.invoices.map((i) => i.total), ["10.00", "20.00"]);
+});
@@ -0,0 +1,111 @@
+// backend/test/migrate.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pglite, pool } = require("./helpers/db");
+const { loadMigrations, migrate, rollback, baseline } = require("../db/migrate");
+
+const silent = { log: () => {} };
+
+async function dropSchema() {
+	await pglite.exec(`DROP SCHEMA public CASCADE; CREATE SCHEMA public;`);
+}
+
+// rows a database created from the old db/schema.sql could hold
+async function insertOldInvoices() {
+	await pool.query(`
+    INSERT INTO invoices (file_path, supplier_name, invoice_number, currency, subtotal, total, status, confidence)
+    VALUES
+      ('uploads/a.pdf', 'Acme Supplies', 'INV-001', 'USD', 100.00, 118.00, 'EXTRACTED', '0.92'),
+      ('uploads/b.pdf', 'Globex', 'G-77', 'EUR', 50.00, 59.00, 'DONE', 'high'),
+      ('uploads/c.pdf', NULL, NULL, 'USD', NULL, NULL, NULL, NULL);
+    INSERT INTO line_items (invoice_id, description, quantity, unit_price, line_total)
+    VALUES (1, 'Printer paper', 10, 10.00, 100.00);
+  `);
+}
+
+test("0001 is the old db/schema.sql and the later migrations upgrade its rows", async () => {
+	await dropSchema();
+	await migrate({ to: "0001", ...silent });
+	await insertOldInvoices();
+	await migrate(silent);
+
+	const orgs = await pool.query(`SELECT id, name, base_currency FROM organizations`);
+	assert.deepEqual(orgs.rows, [{ id: 1, name: "Default organization", base_currency: "USD" }]);
+
+	const { rows } = await pool.query(
+		`SELECT id, organization_id, status, confidence, base_currency, base_total,
+            search_vector @@ plainto_tsquery('simple', 'paper') AS finds_line_item
+     FROM invoices ORDER BY id`
+	);
+	assert.deepEqual(
+		rows.map((r) => ({ ...r })),
+		[
+			{
+				id: 1,
+				organization_id: 1,
+				status: "EXTRACTED",
+				confidence: "0.920",
+				base_currency: "USD",
+				base_total: "118.00",
+				finds_line_item: true,
+			},
+			{
+				id: 2,
+				organization_id: 1,
+				status: "NEEDS_REVIEW",
+				confidence: null,
+				base_currency: "USD",
+				base_total: null, // no EUR rate yet
+				finds_line_item: false,
+			},
+			{
+				id: 3,
+				organization_id: 1,
+				status: "UPLOADED",
+				confidence: null,
+				base_currency: "USD",
+				base_total: null,
+				finds_line_item: false,
+			},
+		]
+	);
+});
+
+test("an empty database gets no default organization", async () => {
+	await dropSchema();
+	await migrate(silent);
+	const orgs = await pool.query(`SELECT COUNT(*)::int AS n FROM organizations`);
+	assert.equal(orgs.rows[0].n, 0);
+});
+
+test("--baseline 0001 records a database created from db/schema.sql, migrate upgrades it", async () => {
+	await dropSchema();
+	const [initial] = loadMigrations();
+	assert.equal(initial.version, "0001");
+	await pglite.exec(initial.up);
+	await insertOldInvoices();
+
+	const recorded = await baseline("0001", silent);
+	assert.deepEqual(recorded.map((m) => m.version), ["0001"]);
+	const applied = await migrate(silent);
+	assert.equal(applied.length, loadMigrations().length - 1);
+
+	const { rows } = await pool.query(
+		`SELECT COUNT(*)::int AS n FROM invoices WHERE organization_id = 1`
+	);
+	assert.equal(rows[0].n, 3);
+});
+
+test("every migration rolls back and applies again", async () => {
+	await dropSchema();
+	await migrate(silent);
+	await rollback({ to: "0", ...silent });
+
+	const tables = await pool.query(
+		`SELECT tablename FROM pg_tables WHERE schemaname = 'public' ORDER BY tablename`
+	);
+	assert.deepEqual(tables.rows.map((r) => r.tablename), ["schema_migrations"]);
+	const applied = await migrate(silent);
+	assert.equal(applied.length, loadMigrations().length);
+});
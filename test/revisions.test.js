@@ -0,0 +1,137 @@
+// backend/test/revisions.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	pool,
+	migrateDatabase,
+	resetDatabase,
+	createOrganization,
+	createInvoice,
+} = require("./helpers/db");
+const { replaceLineItems } = require("../services/invoice-details");
+const {
+	buildSnapshot,
+	diffSnapshots,
+	recordRevision,
+	listRevisions,
+	getRevision,
+	restoreRevision,
+} = require("../services/revisions");
+
+const FIELDS = {
+	supplier_name: "Acme Supplies",
+	invoice_number: "INV-1",
+	invoice_date: "2025-06-01",
+	currency: "USD",
+	subtotal: "100.00",
+	total: "100.00",
+	status: "NEEDS_REVIEW",
+};
+const PAPER = { description: "Paper", quantity: 1, unit_price: 100 };
+const TONER = { description: "Toner", quantity: 2, unit_price: 50 };
+
+let organizationId;
+
+async function loadInvoice(id) {
+	const result = await pool.query(`SELECT * FROM invoices WHERE id = $1`, [id]);
+	return result.rows[0];
+}
+
+test.before(migrateDatabase);
+
+test.beforeEach(async () => {
+	await resetDatabase();
+	organizationId = await createOrganization();
+});
+
+test("recordRevision stores what changed and skips saves that changed nothing", async () => {
+	const invoice = await createInvoice(organizationId, FIELDS);
+	await replaceLineItems(pool, invoice.id, [PAPER]);
+
+	const baseline = await recordRevision(pool, invoice.id, { source: "baseline" });
+	assert.equal(baseline.revision, 1);
+	assert.equal(await recordRevision(pool, invoice.id, { source: "baseline" }), null);
+
+	await pool.query(`UPDATE invoices SET invoice_number = 'INV-2' WHERE id = $1`, [invoice.id]);
+	await replaceLineItems(pool, invoice.id, [TONER]);
+	const edit = await recordRevision(pool, invoice.id, {
+		source: "user_edit",
+		actor: "editor@example.com",
+	});
+	assert.equal(edit.revision, 2);
+	assert.deepEqual(edit.changed_fields, ["invoice_number", "line_items"]);
+
+	const revisions = await listRevisions(pool, invoice.id);
+	assert.deepEqual(
+		revisions.map((r) => [r.revision, r.source, r.actor]),
+		[
+			[1, "baseline", null],
+			[2, "user_edit", "editor@example.com"],
+		]
+	);
+	assert.equal(await recordRevision(pool, 999, { source: "baseline" }), null);
+});
+
+test("diffSnapshots compares header fields and child rows by position", async () => {
+	const invoice = await createInvoice(organizationId, FIELDS);
+	await replaceLineItems(pool, invoice.id, [PAPER]);
+	const before = await buildSnapshot(pool, invoice.id);
+	assert.equal(before.invoice.invoice_date, "2025-06-01");
+	assert.equal("search_vector" in before.invoice, false);
+
+	await pool.query(`UPDATE invoices SET total = 150, invoice_date = NULL WHERE id = $1`, [
+		invoice.id,
+	]);
+	await replaceLineItems(pool, invoice.id, [
+		{ ...PAPER, unit_price: 120 },
+		{ ...TONER, quantity: 1, unit_price: 30 },
+	]);
+	const diff = diffSnapshots(before, await buildSnapshot(pool, invoice.id));
+
+	assert.deepEqual(diff.fields, [
+		{ field: "invoice_date", from: "2025-06-01", to: null },
+		{ field: "total", from: "100.00", to: "150.00" },
+	]);
+	assert.deepEqual(diff.line_items.changed, [
+		{
+			index: 0,
+			fields: [
+				{ field: "unit_price", from: "100.00", to: "120.00" },
+				{ field: "line_total", from: "100.00", to: "120.00" },
+			],
+		},
+	]);
+	assert.deepEqual(diff.line_items.added.map((li) => li.description), ["Toner"]);
+	assert.deepEqual(diff.line_items.removed, []);
+	assert.deepEqual(diff.tax_lines, { added: [], removed: [], changed: [] });
+});
+
+test("restoreRevision puts back the header and line items, but not approval", async () => {
+	const invoice = await createInvoice(organizationId, FIELDS);
+	await replaceLineItems(pool, invoice.id, [PAPER]);
+	await recordRevision(pool, invoice.id, { source: "baseline" });
+
+	await pool.query(
+		`UPDATE invoices SET invoice_number = 'INV-2', status = 'APPROVED' WHERE id = $1`,
+		[invoice.id]
+	);
+	await replaceLineItems(pool, invoice.id, []);
+	await recordRevision(pool, invoice.id, { source: "user_edit" });
+
+	assert.equal(await restoreRevision(pool, invoice.id, 1), true);
+	const row = await loadInvoice(invoice.id);
+	assert.equal(row.invoice_number, "INV-1");
+	assert.equal(row.status, "NEEDS_REVIEW");
+	const items = await pool.query(`SELECT description FROM line_items WHERE invoice_id = $1`, [
+		invoice.id,
+	]);
+	assert.deepEqual(items.rows, [{ description: "Paper" }]);
+
+	// an approved snapshot comes back as a review state
+	assert.equal(await restoreRevision(pool, invoice.id, 2), true);
+	assert.equal((await loadInvoice(invoice.id)).status, "NEEDS_REVIEW");
+
+	assert.equal(await restoreRevision(pool, invoice.id, 3), false);
+	assert.equal(await getRevision(pool, invoice.id, 3), null);
+});
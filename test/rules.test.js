@@ -0,0 +1,111 @@
+// backend/test/rules.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	parseAmount,
+	findDate,
+	extractInvoiceFromText,
+	compareExtractions,
+} = require("../llm/rules");
+const rulesProvider = require("../llm/providers/rules");
+
+const GST_INVOICE = [
+	"Acme Supplies Ltd",
+	"GSTIN 27AAPFU0939F1ZV",
+	"Tax Invoice",
+	"Invoice No: INV-2025-0042",
+	"Invoice Date: 05/10/2025",
+	"Bill To: Example Buyer Pvt Ltd",
+	"GSTIN 29AABCU9603R1ZM",
+	"Description\tQty\tRate\tAmount",
+	"Printer paper A4\t10\t250.00\t2,500.00",
+	"Toner cartridge\t2\t1,200.00\t2,400.00",
+	"Sub Total\t4,900.00",
+	"CGST @ 9% 4,900.00 441.00",
+	"SGST @ 9% 4,900.00 441.00",
+	"Grand Total ₹ 5,782.00",
+].join("\n");
+
+test("parseAmount reads thousands groups, decimal commas and negatives", () => {
+	assert.equal(parseAmount("1,234.56"), 1234.56);
+	assert.equal(parseAmount("1.234,56"), 1234.56);
+	assert.equal(parseAmount("1,25,000"), 125000);
+	assert.equal(parseAmount("12,50"), 12.5);
+	assert.equal(parseAmount("(12.00)"), -12);
+	assert.equal(parseAmount("abc"), null);
+});
+
+test("findDate prefers an unambiguous day over the configured order", () => {
+	assert.equal(findDate("2025-10-05"), "2025-10-05");
+	assert.equal(findDate("October 5, 2025"), "2025-10-05");
+	assert.equal(findDate("5th Oct 2025"), "2025-10-05");
+	assert.equal(findDate("13/04/2025"), "2025-04-13");
+	assert.equal(findDate("04/13/2025"), "2025-04-13");
+	assert.equal(findDate("31/02/2025"), null);
+});
+
+test("extractInvoiceFromText finds the header, totals, tax lines and line items", () => {
+	const parsed = extractInvoiceFromText(GST_INVOICE);
+
+	assert.equal(parsed.invoice_number, "INV-2025-0042");
+	assert.equal(parsed.invoice_date, "2025-10-05");
+	assert.equal(parsed.supplier_name, "Acme Supplies Ltd");
+	assert.equal(parsed.supplier_tax_id, "27AAPFU0939F1ZV");
+	assert.equal(parsed.buyer_tax_id, "29AABCU9603R1ZM");
+	assert.equal(parsed.currency, "INR");
+	assert.equal(parsed.subtotal, 4900);
+	assert.equal(parsed.tax_total, 882);
+	assert.equal(parsed.total, 5782);
+	assert.deepEqual(
+		parsed.tax_lines.map((t) => [t.name, t.rate, t.base_amount, t.tax_amount]),
+		[
+			["CGST", 9, 4900, 441],
+			["SGST", 9, 4900, 441],
+		]
+	);
+	assert.deepEqual(
+		parsed.line_items.map((li) => [li.description, li.quantity, li.unit_price, li.line_total]),
+		[
+			["Printer paper A4", 10, 250, 2500],
+			["Toner cartridge", 2, 1200, 2400],
+		]
+	);
+	// every header field found, capped below LLM-level certainty
+	assert.equal(parsed.confidence, 0.7);
+});
+
+test("extractInvoiceFromText sums the line items when there is no subtotal row", () => {
+	const parsed = extractInvoiceFromText(
+		["Widget Co", "Invoice # 7781", "Bolts 3 1.50 4.50", "Nuts 4 0.25 1.00", "Total USD 5.50"].join(
+			"\n"
+		)
+	);
+	assert.equal(parsed.invoice_number, "7781");
+	assert.equal(parsed.currency, "USD");
+	assert.equal(parsed.subtotal, 5.5);
+	assert.equal(parsed.total, 5.5);
+	assert.equal(parsed.invoice_date, null);
+});
+
+test("extractInvoiceFromText returns empty fields for empty text", () => {
+	const parsed = extractInvoiceFromText("");
+	assert.equal(parsed.invoice_number, null);
+	assert.equal(parsed.total, null);
+	assert.deepEqual(parsed.line_items, []);
+	assert.equal(parsed.confidence, 0);
+});
+
+test("the rules provider returns the extraction as JSON text", async () => {
+	assert.equal(rulesProvider.isConfigured(), true);
+	const raw = await rulesProvider.generate({ text: GST_INVOICE });
+	assert.equal(JSON.parse(raw).total, 5782);
+});
+
+test("compareExtractions reports disagreeing fields and skips missing ones", () => {
+	const mismatches = compareExtractions(
+		{ invoice_number: "INV 42", total: 100, currency: "EUR", invoice_date: null },
+		{ invoice_number: "inv42", total: 100.5, currency: "EUR", invoice_date: "2025-01-01" }
+	);
+	assert.deepEqual(mismatches, [{ field: "total", expected: 100, actual: 100.5 }]);
+});
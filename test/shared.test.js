@@ -0,0 +1,28 @@
+// backend/test/shared.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeTextForLLM } = require("../llm/shared");
+
+test("normalizeTextForLLM keeps text of every script", () => {
+	const text = [
+		"कर बीजक संख्या: INV-42",
+		"فاتورة ضريبية رقم ٤٢",
+		"請求書 合計 ¥12,000",
+		"Σύνολο: 1.234,00 € / ₹ 5,000 / ₩ 9,900",
+	].join("\n");
+	assert.equal(normalizeTextForLLM(text), text);
+});
+
+test("normalizeTextForLLM strips control characters and blank lines", () => {
+	assert.equal(
+		normalizeTextForLLM("Invoice\u0000 No\u0007: 12\r\n\r\n\r\n\fTotal:\t100\u001b\u007f\n\u0085"),
+		"Invoice  No : 12\nTotal:\t100"
+	);
+	assert.equal(normalizeTextForLLM(null), "");
+});
+
+test("normalizeTextForLLM truncates long text", () => {
+	const result = normalizeTextForLLM("x".repeat(30010));
+	assert.equal(result, `${"x".repeat(30000)}\n\n...[TRUNCATED]`);
+});
@@ -0,0 +1,125 @@
+// backend/test/ubl.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildUblInvoice, parseUblInvoice } = require("../services/ubl");
+
+const INVOICE = {
+	id: 42,
+	invoice_number: "INV-2025-042",
+	invoice_date: "2025-03-04",
+	supplier_name: "Müller & Söhne <GmbH>",
+	supplier_tax_id: "DE123456789",
+	buyer_tax_id: "NL001234567B01",
+	currency: "EUR",
+	subtotal: "150.00",
+	tax_total: "27.55",
+	total: "172.55",
+};
+
+const DETAILS = {
+	line_items: [
+		{
+			description: "Consulting",
+			quantity: "2",
+			unit_price: "50.00",
+			line_total: "100.00",
+			tax_rate: "21",
+		},
+		{
+			description: "Books",
+			quantity: "5",
+			unit_price: "10.00",
+			line_total: "50.00",
+			tax_rate: "9",
+		},
+	],
+	tax_lines: [
+		{ name: "VAT 21%", rate: "21", base_amount: "95.00", tax_amount: "19.95" },
+		{ name: "VAT 9%", rate: "9", base_amount: "50.00", tax_amount: "4.50" },
+	],
+	discounts: [{ description: "Loyalty discount", rate: null, amount: "10.00" }],
+	charges: [{ description: "Delivery", category: "shipping", rate: null, amount: "5.00" }],
+};
+
+test("parseUblInvoice reads back what buildUblInvoice wrote", () => {
+	const result = parseUblInvoice(buildUblInvoice(INVOICE, DETAILS));
+	assert.equal(result.ok, true);
+	assert.equal(result.document_type, "Invoice");
+	assert.equal(result.profile, "ubl-2.1");
+
+	const parsed = result.parsed;
+	assert.equal(parsed.invoice_number, "INV-2025-042");
+	assert.equal(parsed.invoice_date, "2025-03-04");
+	assert.equal(parsed.supplier_name, "Müller & Söhne <GmbH>");
+	assert.equal(parsed.supplier_tax_id, "DE123456789");
+	assert.equal(parsed.buyer_tax_id, "NL001234567B01");
+	assert.equal(parsed.currency, "EUR");
+	assert.equal(parsed.subtotal, 150);
+	assert.equal(parsed.tax_total, 27.55);
+	// 150 - 10 + 5 + 27.55
+	assert.equal(parsed.total, 172.55);
+
+	assert.deepEqual(
+		parsed.line_items.map((li) => [
+			li.description,
+			li.quantity,
+			li.unit_price,
+			li.line_total,
+			li.tax_rate,
+		]),
+		[
+			["Consulting", 2, 50, 100, 21],
+			["Books", 5, 10, 50, 9],
+		]
+	);
+	assert.deepEqual(
+		parsed.tax_lines.map((tl) => [tl.rate, tl.base_amount, tl.tax_amount]),
+		[
+			[21, 95, 19.95],
+			[9, 50, 4.5],
+		]
+	);
+	assert.deepEqual(
+		parsed.discounts.map((d) => [d.description, d.amount]),
+		[["Loyalty discount", 10]]
+	);
+	assert.deepEqual(
+		parsed.charges.map((c) => [c.description, c.amount]),
+		[["Delivery", 5]]
+	);
+});
+
+test("buildUblInvoice writes one line and one tax subtotal for an invoice without details", () => {
+	const xml = buildUblInvoice({
+		id: 7,
+		invoice_date: null,
+		created_at: "2025-06-01T10:00:00Z",
+		currency: null,
+		subtotal: "200.00",
+		tax_total: null,
+		total: "240.00",
+	});
+	const { ok, parsed } = parseUblInvoice(xml);
+	assert.equal(ok, true);
+	assert.equal(parsed.invoice_number, "INV-7");
+	assert.equal(parsed.invoice_date, "2025-06-01");
+	assert.equal(parsed.currency, "USD");
+	assert.equal(parsed.tax_total, 40);
+	assert.equal(parsed.total, 240);
+	assert.deepEqual(
+		parsed.line_items.map((li) => [li.description, li.quantity, li.line_total]),
+		[["Invoice total", 1, 200]]
+	);
+	assert.deepEqual(
+		parsed.tax_lines.map((tl) => [tl.rate, tl.base_amount, tl.tax_amount]),
+		[[20, 200, 40]]
+	);
+});
+
+test("parseUblInvoice rejects documents that are not UBL invoices", () => {
+	assert.deepEqual(parseUblInvoice("<Order><ID>1</ID></Order>"), {
+		ok: false,
+		error: "Not a UBL Invoice or CreditNote document",
+	});
+});
@@ -0,0 +1,119 @@
+// backend/test/upload-batches.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "upload-batches-test-"));
+
+// read when the modules below are loaded
+process.env.UPLOAD_DIR = path.join(TMP_DIR, "uploads");
+process.env.UPLOAD_TMP_DIR = path.join(TMP_DIR, "incoming");
+process.env.UPLOAD_ZIP_MAX_UNPACKED_BYTES = "2500";
+process.env.STORAGE_DRIVER = "local";
+process.env.LLM_PROVIDER = "rules";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const AdmZip = require("adm-zip");
+const { migrateDatabase, resetDatabase, createOrganization } = require("./helpers/db");
+const { processUploadBatch } = require("../services/upload-batches");
+
+const CENTRAL_HEADER = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+let organizationId;
+let archives = 0;
+
+// `size` bytes of file content; a different fill for every file
+function pdfBytes(size, fill) {
+	return Buffer.alloc(size, `%PDF-${fill}-`);
+}
+
+/**
+ * A ZIP upload (multer file object) of { name: Buffer } entries; patch(buffer)
+ * may rewrite the finished archive
+ */
+function zipUpload(entries, patch = (b) => b) {
+	const zip = new AdmZip();
+	for (const [name, data] of Object.entries(entries)) zip.addFile(name, data);
+	const file = path.join(TMP_DIR, `upload-${++archives}.zip`);
+	fs.writeFileSync(file, patch(zip.toBuffer()));
+	return { path: file, originalname: "invoices.zip", mimetype: "application/zip" };
+}
+
+// set a 32-bit field of every local and central header, as a forged archive would
+function patchHeaders(field, value) {
+	const offsets = { crc: [14, 16], size: [22, 24] }[field];
+	return (buffer) => {
+		for (let i = 0; i + 4 <= buffer.length; i++) {
+			const signature = buffer.readUInt32LE(i);
+			if (signature === LOCAL_HEADER) buffer.writeUInt32LE(value, i + offsets[0]);
+			if (signature === CENTRAL_HEADER) buffer.writeUInt32LE(value, i + offsets[1]);
+		}
+		return buffer;
+	};
+}
+
+async function upload(entries, patch) {
+	const batch = await processUploadBatch([zipUpload(entries, patch)], {
+		organizationId,
+		autoExtract: false,
+	});
+	return batch.files.map((f) => [f.filename, f.outcome, f.reason]);
+}
+
+test.before(async () => {
+	fs.mkdirSync(process.env.UPLOAD_TMP_DIR, { recursive: true });
+	await migrateDatabase();
+});
+
+test.after(() => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+test.beforeEach(async () => {
+	await resetDatabase();
+	organizationId = await createOrganization();
+});
+
+test("archive entries are accepted or rejected one by one", async () => {
+	const files = await upload({
+		"march/a.pdf": pdfBytes(100, "a"),
+		"notes.txt": Buffer.from("hello"),
+		"old.zip": Buffer.from("PK"),
+		"__MACOSX/._a.pdf": Buffer.from("x"),
+	});
+	assert.deepEqual(files, [
+		["invoices.zip/march/a.pdf", "ACCEPTED", null],
+		["invoices.zip/notes.txt", "REJECTED", "Only PDF, PNG, JPEG and UBL XML files are allowed"],
+		["invoices.zip/old.zip", "REJECTED", "Nested archives are not supported"],
+	]);
+});
+
+test("entries are measured by what they inflate to, not by their headers", async () => {
+	const bomb = Buffer.alloc(11 * 1024 * 1024, 0);
+	for (const claimed of [100, 0]) {
+		const files = await upload({ "bomb.pdf": bomb }, patchHeaders("size", claimed));
+		assert.deepEqual(files, [["invoices.zip/bomb.pdf", "REJECTED", "File is larger than 10MB"]]);
+	}
+	assert.deepEqual(fs.readdirSync(process.env.UPLOAD_TMP_DIR), []);
+});
+
+test("an archive unpacks to at most UPLOAD_ZIP_MAX_UNPACKED_BYTES", async () => {
+	const files = await upload({
+		"a.pdf": pdfBytes(1500, "a"),
+		"b.pdf": pdfBytes(1500, "b"),
+		"c.pdf": pdfBytes(900, "c"),
+	});
+	assert.deepEqual(files, [
+		["invoices.zip/a.pdf", "ACCEPTED", null],
+		["invoices.zip/b.pdf", "REJECTED", "Archive unpacks to more than 0MB"],
+		["invoices.zip/c.pdf", "ACCEPTED", null],
+	]);
+});
+
+test("unpack failures are reported without internals", async (t) => {
+	const logged = t.mock.method(console, "error", () => {});
+	const files = await upload({ "a.pdf": pdfBytes(100, "a") }, patchHeaders("crc", 1));
+	assert.deepEqual(files, [["invoices.zip/a.pdf", "REJECTED", "Could not unpack file"]]);
+	assert.equal(logged.mock.callCount(), 1);
+});
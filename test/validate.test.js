@@ -0,0 +1,164 @@
+// backend/test/validate.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validate, validateParam, sendFieldError, schemas } = require("../middleware/validate");
+
+function fakeRes() {
+	return {
+		statusCode: 200,
+		body: undefined,
+		status(code) {
+			this.statusCode = code;
+			return this;
+		},
+		json(body) {
+			this.body = body;
+			return this;
+		},
+	};
+}
+
+// runs the middleware; { next: true } when it let the request through
+function run(middleware, req) {
+	const res = fakeRes();
+	let next = false;
+	middleware({ params: {}, query: {}, ...req }, res, () => (next = true));
+	return { next, status: res.statusCode, body: res.body };
+}
+
+const createInvoice = validate({
+	params: { id: schemas.id },
+	query: {
+		status: { type: "array", items: { type: "string", enum: ["APPROVED", "PAID"] } },
+		page: schemas.page,
+		dry_run: schemas.flag,
+	},
+	body: {
+		type: "object",
+		required: ["invoice_number"],
+		properties: {
+			invoice_number: { type: "string", minLength: 1, maxLength: 20 },
+			invoice_date: schemas.orEmpty(schemas.date),
+			total: schemas.amount,
+			line_items: {
+				type: "array",
+				maxItems: 2,
+				items: { type: "object", properties: { quantity: { type: "number" } } },
+			},
+		},
+	},
+});
+
+test("validate lets a valid request through", () => {
+	const result = run(createInvoice, {
+		params: { id: "12" },
+		query: { status: "approved,paid", page: "2", dry_run: "true" },
+		body: {
+			invoice_number: "INV-1",
+			invoice_date: "",
+			total: "1250.50",
+			line_items: [{ quantity: 2.5 }],
+		},
+	});
+	assert.deepEqual(result, { next: true, status: 200, body: undefined });
+});
+
+test("validate writes enum values back in the case the schema lists", () => {
+	const sorted = validate({
+		params: { format: { type: "string", enum: ["csv", "json"] } },
+		query: { sort: { type: "string", enum: ["invoice_date", "total"] } },
+	});
+	const req = { params: { format: "CSV" }, query: { sort: "Invoice_Date" } };
+	assert.equal(run(sorted, req).next, true);
+	assert.deepEqual(req, { params: { format: "csv" }, query: { sort: "invoice_date" } });
+
+	const listed = { params: { id: "3" }, query: { status: "approved, paid", page: "2" } };
+	run(createInvoice, { ...listed, body: { invoice_number: "INV-1" } });
+	assert.deepEqual(listed.query, { status: "APPROVED,PAID", page: "2" });
+
+	const repeated = { params: { id: "3" }, query: { status: ["approved", "Paid"] } };
+	run(createInvoice, { ...repeated, body: { invoice_number: "INV-1" } });
+	assert.deepEqual(repeated.query.status, ["APPROVED", "PAID"]);
+
+	const invalid = { params: { id: "3" }, query: { status: "approved,void" } };
+	run(createInvoice, { ...invalid, body: { invoice_number: "INV-1" } });
+	assert.equal(invalid.query.status, "approved,void");
+});
+
+test("validate answers 400 for bad path and query values", () => {
+	const result = run(createInvoice, {
+		params: { id: "0" },
+		query: { status: "approved,void", page: "x" },
+		body: { invoice_number: "INV-1" },
+	});
+	assert.equal(result.next, false);
+	assert.equal(result.status, 400);
+	assert.equal(result.body.code, "VALIDATION_FAILED");
+	assert.deepEqual(result.body.fields, [
+		{ in: "path", field: "id", message: "must be at least 1" },
+		{ in: "query", field: "status[1]", message: "must be one of: APPROVED, PAID" },
+		{ in: "query", field: "page", message: "must be an integer" },
+	]);
+	assert.equal(result.body.error, "id must be at least 1 (and 2 more)");
+});
+
+test("validate answers 422 for body errors, nested fields included", () => {
+	const result = run(createInvoice, {
+		params: { id: "1" },
+		body: {
+			invoice_date: "2025-02-30",
+			total: "12.3.4",
+			line_items: [{ quantity: "2" }, {}, {}],
+		},
+	});
+	assert.equal(result.status, 422);
+	assert.deepEqual(result.body.fields, [
+		{ in: "body", field: "invoice_number", message: "is required" },
+		{ in: "body", field: "invoice_date", message: "must be a date (YYYY-MM-DD)" },
+		{ in: "body", field: "total", message: "must be a decimal number" },
+		{ in: "body", field: "line_items", message: "must have at most 2 items" },
+	]);
+});
+
+test("validate checks array items and amount limits", () => {
+	const result = run(createInvoice, {
+		params: { id: "1" },
+		body: { invoice_number: "", total: 1e11, line_items: [{ quantity: "2" }] },
+	});
+	assert.deepEqual(result.body.fields, [
+		{ in: "body", field: "invoice_number", message: "must not be empty" },
+		{ in: "body", field: "total", message: "must be at most 9999999999.99" },
+		{ in: "body", field: "line_items[0].quantity", message: "must be a number" },
+	]);
+});
+
+test("validate reports a non-object body without a field name", () => {
+	const result = run(createInvoice, { params: { id: "1" }, body: [] });
+	assert.equal(result.status, 422);
+	assert.deepEqual(result.body.fields, [
+		{ in: "body", field: null, message: "Request body must be an object" },
+	]);
+});
+
+test("validate keeps the spec for the OpenAPI document", () => {
+	assert.equal(createInvoice.openapi.contentType, "application/json");
+	assert.equal(createInvoice.openapi.params.id, schemas.id);
+});
+
+test("validateParam rejects a malformed path param", () => {
+	const callback = validateParam(schemas.id);
+	const res = fakeRes();
+	let next = false;
+	callback({}, res, () => (next = true), "abc", "id");
+	assert.equal(next, false);
+	assert.equal(res.statusCode, 400);
+	assert.deepEqual(res.body.fields, [{ in: "path", field: "id", message: "must be an integer" }]);
+});
+
+test("sendFieldError answers 422 for the body and 400 otherwise", () => {
+	const res = sendFieldError(fakeRes(), "body", "currency", "is not a known currency");
+	assert.equal(res.statusCode, 422);
+	assert.equal(res.body.error, "currency is not a known currency");
+	assert.equal(sendFieldError(fakeRes(), "query", "from", "is invalid").statusCode, 400);
+});
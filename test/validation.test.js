@@ -0,0 +1,104 @@
+// backend/test/validation.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateInvoice, hasErrors } = require("../services/validation");
+
+const NOW = new Date("2025-06-15T12:00:00Z");
+
+const INVOICE = {
+	invoice_number: "INV-1",
+	invoice_date: "2025-06-01",
+	supplier_name: "Acme",
+	supplier_id: 3,
+	subtotal: "100.00",
+	discount_total: "10.00",
+	charges_total: "5.00",
+	tax_total: "19.00",
+	total: "114.00",
+};
+
+const LINE_ITEMS = [
+	{ quantity: "2", unit_price: "25.00", line_total: "50.00" },
+	{ quantity: "1", unit_price: "50.00", line_total: "50.00" },
+];
+
+function codes(issues) {
+	return issues.map((i) => i.code);
+}
+
+test("validateInvoice accepts an invoice whose amounts add up", () => {
+	const issues = validateInvoice(INVOICE, LINE_ITEMS, {
+		now: NOW,
+		taxLines: [{ name: "VAT", rate: "20", base_amount: "95.00", tax_amount: "19.00" }],
+	});
+	assert.deepEqual(issues, []);
+	assert.equal(hasErrors(issues), false);
+});
+
+test("validateInvoice flags line, subtotal, tax line and total mismatches", () => {
+	const issues = validateInvoice(
+		{ ...INVOICE, subtotal: "90.00", total: "120.00" },
+		[{ quantity: "2", unit_price: "25.00", line_total: "55.00" }, LINE_ITEMS[1]],
+		{ now: NOW, taxLines: [{ name: "VAT", rate: "20", base_amount: "95.00", tax_amount: "20.00" }] }
+	);
+	assert.deepEqual(codes(issues), [
+		"LINE_TOTAL_MISMATCH",
+		"SUBTOTAL_MISMATCH",
+		"TAX_LINE_MISMATCH",
+		"TOTAL_MISMATCH",
+	]);
+	const total = issues.find((i) => i.code === "TOTAL_MISMATCH");
+	// 90 - 10 + 5 + 19
+	assert.equal(total.expected, 104);
+	assert.equal(total.actual, 120);
+	assert.equal(hasErrors(issues), true);
+});
+
+test("validateInvoice allows a rounding difference per line", () => {
+	const lines = [
+		{ quantity: "3", unit_price: "0.333", line_total: "1.00" },
+		{ quantity: "3", unit_price: "0.333", line_total: "1.00" },
+	];
+	const invoice = {
+		...INVOICE,
+		subtotal: "2.01",
+		discount_total: null,
+		charges_total: null,
+		tax_total: "0",
+		total: "2.01",
+	};
+	const issues = validateInvoice(invoice, lines, { now: NOW });
+	assert.deepEqual(issues, []);
+});
+
+test("validateInvoice without a tax amount only checks that the net fits in the total", () => {
+	const issues = validateInvoice({ ...INVOICE, tax_total: null, total: "90.00" }, LINE_ITEMS, {
+		now: NOW,
+	});
+	assert.deepEqual(codes(issues), ["SUBTOTAL_EXCEEDS_TOTAL"]);
+	assert.equal(issues[0].expected, 95);
+});
+
+test("validateInvoice reports negative amounts and missing header fields", () => {
+	const issues = validateInvoice(
+		{ supplier_name: null, subtotal: "-5", total: null, tax_total: null, invoice_date: null },
+		[],
+		{ now: NOW }
+	);
+	assert.deepEqual(codes(issues), [
+		"NEGATIVE_AMOUNT",
+		"MISSING_TOTAL",
+		"MISSING_DATE",
+		"MISSING_INVOICE_NUMBER",
+	]);
+	assert.equal(issues[0].severity, "error");
+	assert.equal(issues[1].severity, "warning");
+});
+
+test("validateInvoice rejects an invoice date in the future", () => {
+	const issues = validateInvoice({ ...INVOICE, invoice_date: "2025-08-01" }, LINE_ITEMS, {
+		now: NOW,
+	});
+	assert.deepEqual(codes(issues), ["DATE_IN_FUTURE"]);
+});
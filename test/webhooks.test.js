@@ -0,0 +1,195 @@
+// backend/test/webhooks.test.js
+
+// read when the modules below are loaded
+process.env.WEBHOOK_ALLOWED_HOSTS = "localhost,10.1.0.0/16";
+process.env.WEBHOOK_MAX_ATTEMPTS = "2";
+process.env.WEBHOOK_RETRY_BASE_MS = "60000";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const {
+	pool,
+	migrateDatabase,
+	resetDatabase,
+	createOrganization,
+	createInvoice,
+} = require("./helpers/db");
+const {
+	webhookUrlProblem,
+	assertDeliverableUrl,
+	deliveryLookup,
+	recordInvoiceEvent,
+	recordStatusEvent,
+	claimNextDelivery,
+} = require("../services/webhooks");
+const { processDelivery } = require("../services/webhook-worker");
+
+const SECRET = "whsec_test";
+
+let organizationId;
+let receiver;
+let received;
+let respondWith;
+
+async function createSubscription(url, events = ["*"], isActive = true) {
+	const result = await pool.query(
+		`INSERT INTO webhook_subscriptions (organization_id, url, events, secret, is_active)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+		[organizationId, url, events, SECRET, isActive]
+	);
+	return result.rows[0].id;
+}
+
+function receiverUrl(host = "localhost") {
+	return `http://${host}:${receiver.address().port}/hook`;
+}
+
+async function loadDelivery(id) {
+	const result = await pool.query(`SELECT * FROM webhook_deliveries WHERE id = $1`, [id]);
+	return result.rows[0];
+}
+
+test.before(async () => {
+	await migrateDatabase();
+	receiver = http.createServer((req, res) => {
+		let body = "";
+		req.on("data", (chunk) => (body += chunk));
+		req.on("end", () => {
+			received.push({ headers: req.headers, body });
+			res.writeHead(respondWith);
+			res.end("ok");
+		});
+	});
+	await new Promise((resolve) => receiver.listen(0, "localhost", resolve));
+});
+
+test.after(() => new Promise((resolve) => receiver.close(resolve)));
+
+test.beforeEach(async () => {
+	await resetDatabase();
+	organizationId = await createOrganization();
+	received = [];
+	respondWith = 200;
+});
+
+test("invoice changes write an event with a delivery per interested subscription", async () => {
+	const approvals = await createSubscription("https://a.example.com/", ["invoice.approved"]);
+	const all = await createSubscription("https://b.example.com/");
+	await createSubscription("https://c.example.com/", ["*"], false);
+	const invoice = await createInvoice(organizationId, { status: "APPROVED" });
+
+	const approved = await recordStatusEvent(pool, invoice.id, "NEEDS_REVIEW");
+	assert.equal(approved.event.event_type, "invoice.approved");
+	assert.equal(approved.event.payload.data.invoice.id, invoice.id);
+	assert.equal(approved.event.payload.data.previous_status, "NEEDS_REVIEW");
+	assert.deepEqual(
+		approved.deliveries.map((d) => [d.subscription_id, d.status]),
+		[
+			[approvals, "PENDING"],
+			[all, "PENDING"],
+		]
+	);
+
+	// unchanged status, and statuses without an event
+	assert.equal(await recordStatusEvent(pool, invoice.id, "APPROVED"), null);
+	const extracted = await createInvoice(organizationId, { status: "EXTRACTED" });
+	assert.equal(await recordStatusEvent(pool, extracted.id, "EXTRACTING"), null);
+
+	const uploaded = await recordInvoiceEvent(pool, extracted.id, "invoice.uploaded");
+	assert.deepEqual(uploaded.deliveries.map((d) => d.subscription_id), [all]);
+
+	// nobody listens in other organizations
+	const other = await createInvoice(await createOrganization("Other"), { status: "APPROVED" });
+	assert.equal(await recordStatusEvent(pool, other.id, "NEEDS_REVIEW"), null);
+});
+
+test("a claimed delivery is sent once, signed with the subscription secret", async () => {
+	await createSubscription(receiverUrl());
+	const invoice = await createInvoice(organizationId, {});
+	const { event } = await recordInvoiceEvent(pool, invoice.id, "invoice.uploaded");
+
+	const delivery = await claimNextDelivery("test-worker");
+	assert.equal(delivery.status, "SENDING");
+	assert.equal(delivery.attempts, 1);
+	assert.equal(await claimNextDelivery("test-worker"), null);
+
+	const sent = await processDelivery(delivery);
+	assert.equal(sent.status, "DELIVERED");
+	assert.equal(sent.response_status, 200);
+
+	assert.equal(received.length, 1);
+	const { headers, body } = received[0];
+	assert.equal(headers["x-webhook-id"], event.id);
+	assert.equal(headers["x-webhook-event"], "invoice.uploaded");
+	const signed = `${headers["x-webhook-timestamp"]}.${body}`;
+	const hmac = crypto.createHmac("sha256", SECRET).update(signed).digest("hex");
+	assert.equal(headers["x-webhook-signature"], `sha256=${hmac}`);
+	assert.equal(JSON.parse(body).data.invoice.id, invoice.id);
+});
+
+test("failed deliveries are retried with backoff until max attempts", async (t) => {
+	t.mock.method(console, "warn", () => {});
+	respondWith = 500;
+	await createSubscription(receiverUrl());
+	const invoice = await createInvoice(organizationId, {});
+	await recordInvoiceEvent(pool, invoice.id, "invoice.uploaded");
+
+	const retry = await processDelivery(await claimNextDelivery("test-worker"));
+	assert.equal(retry.status, "PENDING");
+	assert.equal(retry.last_error, "Receiver responded 500");
+	assert.equal(retry.response_status, 500);
+	// not due before the backoff
+	assert.equal(await claimNextDelivery("test-worker"), null);
+
+	await pool.query(`UPDATE webhook_deliveries SET next_attempt_at = NOW() WHERE id = $1`, [
+		retry.id,
+	]);
+	const failed = await processDelivery(await claimNextDelivery("test-worker"));
+	assert.equal(failed.status, "FAILED");
+	assert.equal(failed.attempts, 2);
+	assert.equal(received.length, 2);
+});
+
+test("loopback, private and link-local receivers are refused", async (t) => {
+	for (const url of [
+		"http://127.0.0.1/",
+		"http://[::1]/",
+		"http://[::ffff:127.0.0.1]/",
+		"http://169.254.169.254/latest/meta-data",
+		"http://192.168.1.5/",
+		"http://10.0.0.5/",
+		"http://[fe80::1]/",
+	]) {
+		assert.match(await webhookUrlProblem(url), /loopback, private or link-local/, url);
+		assert.throws(() => assertDeliverableUrl(new URL(url)), {
+			code: "WEBHOOK_ADDRESS_BLOCKED",
+		});
+	}
+	// public addresses and WEBHOOK_ALLOWED_HOSTS exceptions
+	for (const url of ["http://93.184.216.34/", "http://10.1.2.3/", "http://localhost/"]) {
+		assert.equal(await webhookUrlProblem(url), null, url);
+	}
+
+	// host names are checked by what they resolve to
+	t.mock.method(dns.promises, "lookup", async () => [{ address: "10.0.0.5", family: 4 }]);
+	assert.notEqual(await webhookUrlProblem("http://hooks.example.com/"), null);
+	t.mock.method(dns, "lookup", (hostname, options, callback) => callback(null, "10.0.0.5", 4));
+	const err = await new Promise((resolve) => deliveryLookup("hooks.example.com", {}, resolve));
+	assert.equal(err.code, "WEBHOOK_ADDRESS_BLOCKED");
+});
+
+test("a delivery to a blocked address fails without reaching it", async (t) => {
+	t.mock.method(console, "warn", () => {});
+	await createSubscription(receiverUrl("127.0.0.1"));
+	const invoice = await createInvoice(organizationId, {});
+	await recordInvoiceEvent(pool, invoice.id, "invoice.uploaded");
+
+	const delivery = await processDelivery(await claimNextDelivery("test-worker"));
+	assert.equal(delivery.status, "PENDING");
+	assert.match(delivery.last_error, /127\.0\.0\.1 resolves to 127\.0\.0\.1/);
+	assert.equal(received.length, 0);
+	assert.equal((await loadDelivery(delivery.id)).response_status, null);
+});